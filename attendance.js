@@ -0,0 +1,276 @@
+// Voice-certificate attendance: per-group quota rules, the attendance report built from CERTIFICATE
+// events, its CSV export, and the summary that can be posted back into the group. server.js stores
+// rules in certificate_rules and serves the report under /api/groups/:groupId/attendance.
+//
+// Certificates are recorded at most once per member, group and day (events.date, a UTC date), so
+// a quota counts days with a certificate. Dates here are "YYYY-MM-DD" strings in UTC like events.date.
+
+const { DAY_MS, query, httpError, addDays, isDate, csvField } = require('./utils');
+
+const RULE_PERIODS = ['day', 'week'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function weekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Validate a rule from a request body: { period, requiredCount, countedDays, weekStart }
+function parseCertificateRule(input = {}) {
+    const period = input.period || 'week';
+    if (!RULE_PERIODS.includes(period)) {
+        throw httpError(`period must be one of: ${RULE_PERIODS.join(', ')}`, 400);
+    }
+
+    const countedDays = input.countedDays === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.countedDays;
+    if (!Array.isArray(countedDays) || countedDays.length === 0
+        || !countedDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        throw httpError('countedDays must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)', 400);
+    }
+    const days = [...new Set(countedDays)].sort((a, b) => a - b);
+
+    const requiredCount = parseInt(input.requiredCount);
+    if (Number.isNaN(requiredCount) || requiredCount < 1) {
+        throw httpError('requiredCount must be at least 1', 400);
+    }
+    if (period === 'day' && requiredCount > 1) {
+        throw httpError('Certificates are recorded once per member per day, so a daily rule can only require 1', 400);
+    }
+    if (period === 'week' && requiredCount > days.length) {
+        throw httpError(`A weekly rule counting ${days.length} days can require at most ${days.length} certificates`, 400);
+    }
+
+    const weekStart = input.weekStart === undefined ? 0 : parseInt(input.weekStart);
+    if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+        throw httpError('weekStart must be a weekday (0 = Sunday ... 6 = Saturday)', 400);
+    }
+
+    return { period, requiredCount, countedDays: days, weekStart };
+}
+
+function formatCertificateRule(row) {
+    return {
+        groupId: row.group_id,
+        period: row.period,
+        requiredCount: row.required_count,
+        countedDays: JSON.parse(row.counted_days),
+        weekStart: row.week_start,
+        updatedAt: row.updated_at
+    };
+}
+
+async function getCertificateRule(db, userId, groupId) {
+    const row = await query(db, 'get', `SELECT * FROM certificate_rules WHERE user_id = ? AND group_id = ?`, [userId, groupId]);
+    return row ? formatCertificateRule(row) : null;
+}
+
+async function saveCertificateRule(db, userId, groupId, rule) {
+    await query(db, 'run', `
+        INSERT INTO certificate_rules (user_id, group_id, period, required_count, counted_days, week_start, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, group_id) DO UPDATE SET
+            period = excluded.period,
+            required_count = excluded.required_count,
+            counted_days = excluded.counted_days,
+            week_start = excluded.week_start,
+            updated_at = excluded.updated_at
+    `, [userId, groupId, rule.period, rule.requiredCount, JSON.stringify(rule.countedDays), rule.weekStart, new Date().toISOString()]);
+    return getCertificateRule(db, userId, groupId);
+}
+
+// "5 certificates per week (Sun, Mon, Tue, Wed, Thu)"
+function describeRule(rule) {
+    const unit = rule.requiredCount === 1 ? 'certificate' : 'certificates';
+    const days = rule.countedDays.length === 7 ? 'every day' : rule.countedDays.map(day => WEEKDAY_NAMES[day]).join(', ');
+    return `${rule.requiredCount} ${unit} per ${rule.period} (${days})`;
+}
+
+// Periods overlapping from..to. Weeks are whole weeks starting on rule.weekStart; day periods are only the
+// counted days. Each period lists the dates in it that count.
+function attendancePeriods(rule, from, to) {
+    const periods = [];
+
+    if (rule.period === 'day') {
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            if (rule.countedDays.includes(weekday(date))) {
+                periods.push({ start: date, end: date, countedDates: [date] });
+            }
+        }
+        return periods;
+    }
+
+    let start = addDays(from, -((weekday(from) - rule.weekStart + 7) % 7));
+    for (; start <= to; start = addDays(start, 7)) {
+        const countedDates = [];
+        for (let i = 0; i < 7; i++) {
+            const date = addDays(start, i);
+            if (rule.countedDays.includes(weekday(date))) {
+                countedDates.push(date);
+            }
+        }
+        periods.push({ start, end: addDays(start, 6), countedDates });
+    }
+    return periods;
+}
+
+// Report range from query/body values. Without from/to: the last 7 days for daily rules or the last
+// 4 weeks for weekly ones, ending today; with completeOnly, the most recent period that has ended.
+function attendanceRange(rule, { from, to } = {}, { today, completeOnly = false }) {
+    if (from || to) {
+        const end = to || today;
+        const start = from || end;
+        if (!isDate(start) || !isDate(end) || start > end) {
+            throw httpError('from and to must be YYYY-MM-DD dates with from <= to', 400);
+        }
+        if (Date.parse(end) - Date.parse(start) > 366 * DAY_MS) {
+            throw httpError('The report can cover at most one year', 400);
+        }
+        return { from: start, to: end };
+    }
+
+    if (completeOnly) {
+        const ended = attendancePeriods(rule, addDays(today, rule.period === 'day' ? -7 : -14), addDays(today, -1))
+            .filter(period => period.end < today);
+        const last = ended[ended.length - 1];
+        return last ? { from: last.start, to: last.end } : { from: addDays(today, -1), to: addDays(today, -1) };
+    }
+
+    return { from: addDays(today, rule.period === 'day' ? -6 : -27), to: today };
+}
+
+// members: current participants as [{ memberId (phone), name }], or null when the member list isn't
+// available. Members with certificates in the range who are not in the list are added with isMember false.
+// A period's status is "exceeded", "met" or "missed"; a period that hasn't ended yet and isn't met is "pending".
+async function buildAttendanceReport(db, userId, groupId, rule, members, { from, to, today }) {
+    const periods = attendancePeriods(rule, from, to);
+    const rangeStart = periods.length ? periods[0].start : from;
+    const rangeEnd = periods.length ? periods[periods.length - 1].end : to;
+
+    const rows = await query(db, 'all', `
+        SELECT member_id, MAX(member_name) AS member_name, date
+        FROM events
+        WHERE user_id = ? AND group_id = ? AND type = 'CERTIFICATE' AND date BETWEEN ? AND ?
+        GROUP BY member_id, date
+    `, [userId, groupId, rangeStart, rangeEnd]);
+
+    const certificateDates = new Map();
+    const certificateNames = new Map();
+    for (const row of rows) {
+        if (!certificateDates.has(row.member_id)) certificateDates.set(row.member_id, new Set());
+        certificateDates.get(row.member_id).add(row.date);
+        certificateNames.set(row.member_id, row.member_name);
+    }
+
+    const roster = new Map();
+    for (const member of members || []) {
+        roster.set(member.memberId, { memberId: member.memberId, name: member.name, isMember: true });
+    }
+    for (const memberId of certificateDates.keys()) {
+        if (!roster.has(memberId)) {
+            roster.set(memberId, { memberId, name: certificateNames.get(memberId) || memberId, isMember: members ? false : null });
+        }
+    }
+
+    const periodSummaries = periods.map(period => ({
+        ...period,
+        complete: period.end < today,
+        met: 0,
+        missed: 0,
+        exceeded: 0,
+        pending: 0
+    }));
+
+    const memberReports = Array.from(roster.values()).map(member => {
+        const dates = certificateDates.get(member.memberId) || new Set();
+        const summary = { certificates: 0, required: 0, met: 0, missed: 0, exceeded: 0, pending: 0 };
+
+        const memberPeriods = periodSummaries.map(period => {
+            const count = period.countedDates.filter(date => dates.has(date)).length;
+            let status;
+            if (count > rule.requiredCount) status = 'exceeded';
+            else if (count === rule.requiredCount) status = 'met';
+            else status = period.complete ? 'missed' : 'pending';
+
+            period[status]++;
+            summary[status]++;
+            summary.certificates += count;
+            summary.required += rule.requiredCount;
+            return { start: period.start, end: period.end, count, status };
+        });
+
+        return { ...member, ...summary, periods: memberPeriods };
+    });
+
+    memberReports.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        rule,
+        from: rangeStart,
+        to: rangeEnd,
+        periods: periodSummaries,
+        members: memberReports
+    };
+}
+
+// Overall standing of a member over the report: missed if any period was missed
+function overallStatus(member) {
+    if (member.missed > 0) return 'missed';
+    if (member.pending > 0) return 'pending';
+    if (member.exceeded > 0) return 'exceeded';
+    return 'met';
+}
+
+// One row per member and period
+function attendanceCsv(report) {
+    const lines = [['memberId', 'name', 'isMember', 'periodStart', 'periodEnd', 'certificates', 'required', 'status'].join(',')];
+    for (const member of report.members) {
+        for (const period of member.periods) {
+            lines.push([
+                member.memberId, member.name, member.isMember, period.start, period.end,
+                period.count, report.rule.requiredCount, period.status
+            ].map(csvField).join(','));
+        }
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function formatAttendanceMessage(groupName, report) {
+    const range = report.from === report.to ? report.from : `${report.from} – ${report.to}`;
+    const lines = [
+        `📋 *${groupName}* attendance (${range})`,
+        `Required: ${describeRule(report.rule)}`
+    ];
+
+    const sections = [
+        ['exceeded', '⭐ Exceeded'],
+        ['met', '✅ Met'],
+        ['missed', '❌ Missed'],
+        ['pending', '⏳ In progress']
+    ];
+    // Members who left and have nothing in the range aren't worth listing
+    const listed = report.members.filter(member => member.isMember !== false || member.certificates > 0);
+
+    for (const [status, title] of sections) {
+        const group = listed.filter(member => overallStatus(member) === status);
+        if (group.length === 0) continue;
+        lines.push('', `${title} (${group.length})`);
+        for (const member of group) {
+            lines.push(`• ${member.name} — ${member.certificates}/${member.required}`);
+        }
+    }
+
+    if (listed.length === 0) {
+        lines.push('', 'No members to report.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseCertificateRule,
+    getCertificateRule,
+    saveCertificateRule,
+    describeRule,
+    attendanceRange,
+    buildAttendanceReport,
+    attendanceCsv,
+    formatAttendanceMessage
+};
@@ -0,0 +1,175 @@
+// Append-only audit log: who sent what, who changed group settings, and what admins did - including
+// looking at other users' data. server.js writes it through the auditAction middleware and serves it
+// at GET /api/admin/audit (JSON) and /api/admin/audit/export (CSV).
+//
+// Rows are never changed: the table has triggers that refuse UPDATE and DELETE, and no foreign keys,
+// so entries outlive the users, groups and schedules they mention. Emails are copied in for that reason.
+
+const { query, httpError, csvField } = require('./utils');
+
+const EXPORT_COLUMNS = [
+    ['id', 'id'],
+    ['created_at', 'createdAt'],
+    ['action', 'action'],
+    ['actor_user_id', 'actorUserId'],
+    ['actor_email', 'actorEmail'],
+    ['api_key_id', 'apiKeyId'],
+    ['workspace_id', 'workspaceId'],
+    ['workspace_owner_id', 'workspaceOwnerId'],
+    ['target_type', 'targetType'],
+    ['target_id', 'targetId'],
+    ['target_label', 'targetLabel'],
+    ['ip_address', 'ipAddress'],
+    ['details', 'details']
+];
+
+async function recordAudit(db, entry) {
+    await query(db, 'run', `
+        INSERT INTO audit_log (
+            created_at, action, actor_user_id, actor_email, api_key_id, workspace_id, workspace_owner_id,
+            target_type, target_id, target_label, ip_address, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        new Date().toISOString(),
+        entry.action,
+        entry.actorUserId ?? null,
+        entry.actorEmail ?? null,
+        entry.apiKeyId ?? null,
+        entry.workspaceId ?? null,
+        entry.workspaceOwnerId ?? null,
+        entry.targetType ?? null,
+        entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+        entry.targetLabel ?? null,
+        entry.ipAddress ?? null,
+        entry.details ? JSON.stringify(entry.details) : null
+    ]);
+}
+
+function parseDate(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw httpError(`Invalid ${name} date`, 400);
+    }
+    return date.toISOString();
+}
+
+// Conditions for the filters both the list and the export accept (all optional):
+//   actorUserId, workspaceId, targetType, targetId
+//   action  - exact ("broadcast.send") or a prefix ending in "." ("broadcast.")
+//   from/to - ISO dates or datetimes; a bare "to" date includes that whole day
+function buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.actorUserId) {
+        conditions.push('actor_user_id = ?');
+        params.push(parseInt(filters.actorUserId));
+    }
+    if (filters.workspaceId) {
+        conditions.push('workspace_id = ?');
+        params.push(parseInt(filters.workspaceId));
+    }
+    if (filters.targetType) {
+        conditions.push('target_type = ?');
+        params.push(filters.targetType);
+    }
+    if (filters.targetId) {
+        conditions.push('target_id = ?');
+        params.push(String(filters.targetId));
+    }
+    if (filters.action) {
+        if (filters.action.endsWith('.')) {
+            conditions.push('substr(action, 1, ?) = ?');
+            params.push(filters.action.length, filters.action);
+        } else {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+    }
+
+    const from = parseDate(filters.from, 'from');
+    if (from) {
+        conditions.push('created_at >= ?');
+        params.push(from);
+    }
+    let to = parseDate(filters.to, 'to');
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+        to = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000).toISOString();
+    }
+    if (to) {
+        conditions.push('created_at < ?');
+        params.push(to);
+    }
+
+    return { conditions, params };
+}
+
+function whereClause(conditions) {
+    return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+function formatEntry(row) {
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        action: row.action,
+        actorUserId: row.actor_user_id,
+        actorEmail: row.actor_email,
+        apiKeyId: row.api_key_id,
+        workspaceId: row.workspace_id,
+        workspaceOwnerId: row.workspace_owner_id,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        targetLabel: row.target_label,
+        ipAddress: row.ip_address,
+        details: row.details ? JSON.parse(row.details) : null
+    };
+}
+
+// Newest first. Pass the returned nextCursor as beforeId for the next page (null on the last one).
+async function listAuditEntries(db, filters = {}, { limit = 100, beforeId = null } = {}) {
+    const { conditions, params } = buildFilter(filters);
+    if (beforeId) {
+        conditions.push('id < ?');
+        params.push(parseInt(beforeId));
+    }
+
+    const rows = await query(db, 'all', `
+        SELECT * FROM audit_log
+        ${whereClause(conditions)}
+        ORDER BY id DESC
+        LIMIT ?
+    `, [...params, limit + 1]);
+
+    const page = rows.slice(0, limit);
+    return {
+        entries: page.map(formatEntry),
+        nextCursor: rows.length > limit ? page[page.length - 1].id : null
+    };
+}
+
+// Oldest first, as an auditor reads it. Returns { csv, rowCount, truncated }.
+async function exportAuditCsv(db, filters = {}, maxRows = 100000) {
+    const { conditions, params } = buildFilter(filters);
+    const rows = await query(db, 'all', `
+        SELECT * FROM audit_log
+        ${whereClause(conditions)}
+        ORDER BY id ASC
+        LIMIT ?
+    `, [...params, maxRows + 1]);
+
+    const truncated = rows.length > maxRows;
+    const lines = [EXPORT_COLUMNS.map(([, header]) => header).join(',')];
+    for (const row of rows.slice(0, maxRows)) {
+        lines.push(EXPORT_COLUMNS.map(([column]) => csvField(row[column])).join(','));
+    }
+
+    return { csv: lines.join('\r\n') + '\r\n', rowCount: Math.min(rows.length, maxRows), truncated };
+}
+
+module.exports = {
+    recordAudit,
+    listAuditEntries,
+    exportAuditCsv
+};
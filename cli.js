@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Maintenance commands that run against the database without starting the server.
+//
+//   node cli.js migrate:status   Show applied and pending schema migrations
+//   node cli.js migrate:up       Apply pending migrations
+//   node cli.js admin:promote <email>   Grant admin (use this to create the first admin)
+//   node cli.js admin:demote <email>    Revoke admin
+//   node cli.js 2fa:reset <email>       Turn off two-factor authentication (lost authenticator)
+
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations, getMigrationStatus } = require('./migrations');
+const { setAdminRole } = require('./roles');
+const { disableTwoFactor } = require('./totp');
+
+// Same location server.js uses
+const DATA_DIR = process.env.RAILWAY_ENVIRONMENT ? '/app/data' : __dirname;
+const dbPath = path.join(DATA_DIR, 'whatsapp_analytics.db');
+
+const commands = {
+    'migrate:status': async (db) => {
+        const status = await getMigrationStatus(db);
+
+        console.log(`📊 Database: ${dbPath}`);
+        console.log(`   Schema version: ${status.currentVersion} (latest known: ${status.latestVersion})\n`);
+
+        for (const migration of status.migrations) {
+            const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+            console.log(`   ${migration.appliedAt ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+        }
+
+        for (const row of status.unknown) {
+            console.log(`   ⚠️  ${row.version}_${row.name} - applied ${row.applied_at}, unknown to this build`);
+        }
+
+        if (status.currentVersion > status.latestVersion) {
+            console.log('\n❌ Database schema is newer than this build. The server will refuse to start.');
+            return 1;
+        }
+        return 0;
+    },
+
+    'migrate:up': async (db) => {
+        const applied = await runMigrations(db);
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Nothing to apply.');
+        return 0;
+    },
+
+    'admin:promote': (db, args) => changeAdmin(db, args[0], true),
+
+    'admin:demote': (db, args) => changeAdmin(db, args[0], false),
+
+    '2fa:reset': async (db, args) => {
+        const email = args[0];
+        if (!email) {
+            console.log('Usage: node cli.js 2fa:reset <email>');
+            return 1;
+        }
+
+        const status = await getMigrationStatus(db);
+        if (status.currentVersion < status.latestVersion) {
+            console.log('❌ Database has pending migrations. Run `node cli.js migrate:up` first.');
+            return 1;
+        }
+
+        const user = await new Promise((resolve, reject) => {
+            db.get('SELECT id, username, email, totp_enabled_at FROM users WHERE email = ?', [email], (err, row) => err ? reject(err) : resolve(row));
+        });
+        if (!user) {
+            console.log(`❌ No user with email ${email}`);
+            return 1;
+        }
+        if (!user.totp_enabled_at) {
+            console.log(`${user.username} (${user.email}) doesn't have two-factor authentication enabled.`);
+            return 0;
+        }
+
+        await disableTwoFactor(db, user.id);
+        console.log(`✅ Turned off two-factor authentication for ${user.username} (${user.email}). They can set it up again after logging in.`);
+        return 0;
+    }
+};
+
+// Role changes go through roles.js so they land in the role_changes audit trail like API changes do
+async function changeAdmin(db, email, isAdmin) {
+    if (!email) {
+        console.log(`Usage: node cli.js admin:${isAdmin ? 'promote' : 'demote'} <email>`);
+        return 1;
+    }
+
+    // Refuse to touch an out-of-date schema; role_changes may not exist yet
+    const status = await getMigrationStatus(db);
+    if (status.currentVersion < status.latestVersion) {
+        console.log('❌ Database has pending migrations. Run `node cli.js migrate:up` first.');
+        return 1;
+    }
+
+    const user = await new Promise((resolve, reject) => {
+        db.get('SELECT id FROM users WHERE email = ?', [email], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!user) {
+        console.log(`❌ No user with email ${email}`);
+        return 1;
+    }
+
+    const { user: updated, changed } = await setAdminRole(db, { userId: user.id, isAdmin, source: 'cli' });
+    if (!changed) {
+        console.log(`${updated.username} (${updated.email}) is already ${isAdmin ? 'an admin' : 'not an admin'}.`);
+    } else {
+        console.log(`✅ ${isAdmin ? 'Granted admin to' : 'Revoked admin from'} ${updated.username} (${updated.email}). They need to log in again.`);
+    }
+    return 0;
+}
+
+async function main() {
+    const command = process.argv[2];
+
+    if (!commands[command]) {
+        console.log('Usage: node cli.js <command>\n');
+        console.log('Commands:');
+        Object.keys(commands).forEach(name => console.log(`  ${name}`));
+        process.exit(command ? 1 : 0);
+    }
+
+    const db = new sqlite3.Database(dbPath);
+    db.run(`PRAGMA recursive_triggers = ON`);
+
+    let exitCode = 1;
+    try {
+        exitCode = await commands[command](db, process.argv.slice(3));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+    } finally {
+        db.close();
+    }
+    process.exit(exitCode);
+}
+
+main();
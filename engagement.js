@@ -0,0 +1,286 @@
+// Member engagement: per-member activity in monitored groups, the engagement score, the
+// leaderboard text that can be posted back into a group, and the inactive member report. Used by
+// the member profile, leaderboard and inactive member endpoints in server.js.
+//
+// Members are identified by the number part of their WhatsApp id ("201234567890"), which is what
+// events.member_id holds; messages.sender_id has the full id ("201234567890@c.us").
+
+const { query, httpError } = require('./utils');
+
+// Points per unit of activity in the engagement score
+const SCORE_WEIGHTS = {
+    messages: 1,
+    repliesSent: 2,     // Answering someone counts more than posting
+    repliesReceived: 2, // Others answering you
+    certificates: 5,    // Voice certificates (at most one per member, group and day)
+    activeDays: 3       // Rewards showing up regularly over one burst of messages
+};
+
+const LEADERBOARD_METRICS = ['score', 'messages', 'replies', 'certificates'];
+
+// "201234567890@c.us" -> "201234567890"
+function memberKey(id) {
+    return String(id || '').split('@')[0];
+}
+
+// Time window from query parameters: date ("YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD", UTC days like
+// /api/stats) or days (the last N days; 0 = all time). Returns { startDate, endDate } or { since }.
+function parseWindow({ date, days } = {}, defaultDays = 0) {
+    if (date) {
+        const [startDate, endDate = startDate] = String(date).split(',');
+        if (![startDate, endDate].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d)) || startDate > endDate) {
+            throw httpError('date must be YYYY-MM-DD or YYYY-MM-DD,YYYY-MM-DD', 400);
+        }
+        return { startDate, endDate };
+    }
+
+    const windowDays = days === undefined || days === '' ? defaultDays : parseInt(days);
+    if (Number.isNaN(windowDays) || windowDays < 0) {
+        throw httpError('days must be a whole number (0 = all time)', 400);
+    }
+    return windowDays > 0
+        ? { since: new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString(), days: windowDays }
+        : { days: 0 };
+}
+
+function windowConditions(window, column) {
+    if (window.startDate) {
+        return { sql: ` AND DATE(${column}) BETWEEN ? AND ?`, params: [window.startDate, window.endDate] };
+    }
+    if (window.since) {
+        return { sql: ` AND ${column} >= ?`, params: [window.since] };
+    }
+    return { sql: '', params: [] };
+}
+
+function engagementScore(stats) {
+    return Object.entries(SCORE_WEIGHTS).reduce((score, [field, weight]) => score + (stats[field] || 0) * weight, 0);
+}
+
+// Activity per member (and per group unless perGroup is false) in the window.
+// Filters: groupIds (required, the monitored groups to look at), memberId (one member).
+// Returns rows of { groupId, memberId, name, messages, repliesSent, repliesReceived, certificates,
+// activeDays, firstActivity, lastActivity, score }.
+async function memberActivity(db, userId, { groupIds, memberId = null, window = {}, perGroup = true }) {
+    if (!groupIds || groupIds.length === 0) return [];
+
+    const groupPlaceholders = groupIds.map(() => '?').join(', ');
+    const groupColumn = (table) => (perGroup ? `${table}.group_id` : `''`);
+    const senderKey = (table) => `substr(${table}.sender_id, 1, instr(${table}.sender_id, '@') - 1)`;
+
+    const messageWindow = windowConditions(window, 'm.timestamp');
+    const memberFilter = memberId ? ` AND ${senderKey('m')} = ?` : '';
+    const memberParams = memberId ? [memberId] : [];
+
+    // Name: the sender label on the member's latest message
+    const messageRows = await query(db, 'all', `
+        SELECT activity.*,
+               (SELECT sender FROM messages latest
+                WHERE latest.user_id = ? AND latest.sender_id = activity.sender_id
+                ORDER BY latest.timestamp DESC LIMIT 1) AS name
+        FROM (
+            SELECT ${groupColumn('m')} AS group_id, ${senderKey('m')} AS member_id, MAX(m.sender_id) AS sender_id,
+                   COUNT(*) AS messages,
+                   SUM(CASE WHEN m.replied_to_message_id IS NOT NULL THEN 1 ELSE 0 END) AS replies_sent,
+                   COUNT(DISTINCT substr(m.timestamp, 1, 10)) AS active_days,
+                   MIN(m.timestamp) AS first_activity, MAX(m.timestamp) AS last_activity
+            FROM messages m
+            WHERE m.user_id = ? AND m.group_id IN (${groupPlaceholders}) AND instr(m.sender_id, '@') > 0
+                ${memberFilter}${messageWindow.sql}
+            GROUP BY 1, 2
+        ) activity
+    `, [userId, userId, ...groupIds, ...memberParams, ...messageWindow.params]);
+
+    // Replies to the member's messages by someone else, counted when the reply was sent
+    const replyWindow = windowConditions(window, 'r.timestamp');
+    const repliedFilter = memberId ? ` AND ${senderKey('o')} = ?` : '';
+    const replyRows = await query(db, 'all', `
+        SELECT ${groupColumn('r')} AS group_id, ${senderKey('o')} AS member_id, COUNT(*) AS replies_received
+        FROM messages r
+        JOIN messages o ON o.id = r.replied_to_message_id
+        WHERE r.user_id = ? AND o.user_id = r.user_id AND r.group_id IN (${groupPlaceholders})
+            AND instr(o.sender_id, '@') > 0 AND r.sender_id != o.sender_id
+            ${repliedFilter}${replyWindow.sql}
+        GROUP BY 1, 2
+    `, [userId, ...groupIds, ...memberParams, ...replyWindow.params]);
+
+    const eventWindow = windowConditions(window, 'e.timestamp');
+    const eventMemberFilter = memberId ? ' AND e.member_id = ?' : '';
+    const certificateRows = await query(db, 'all', `
+        SELECT ${groupColumn('e')} AS group_id, e.member_id, COUNT(*) AS certificates,
+               MAX(e.member_name) AS name, MIN(e.timestamp) AS first_activity, MAX(e.timestamp) AS last_activity
+        FROM events e
+        WHERE e.user_id = ? AND e.type = 'CERTIFICATE' AND e.group_id IN (${groupPlaceholders})
+            ${eventMemberFilter}${eventWindow.sql}
+        GROUP BY 1, 2
+    `, [userId, ...groupIds, ...memberParams, ...eventWindow.params]);
+
+    const rows = new Map();
+    const rowFor = (groupId, member) => {
+        const key = `${groupId}|${member}`;
+        if (!rows.has(key)) {
+            rows.set(key, {
+                groupId: perGroup ? groupId : null,
+                memberId: member,
+                name: null,
+                messages: 0,
+                repliesSent: 0,
+                repliesReceived: 0,
+                certificates: 0,
+                activeDays: 0,
+                firstActivity: null,
+                lastActivity: null
+            });
+        }
+        return rows.get(key);
+    };
+    const widen = (row, first, last) => {
+        if (first && (!row.firstActivity || first < row.firstActivity)) row.firstActivity = first;
+        if (last && (!row.lastActivity || last > row.lastActivity)) row.lastActivity = last;
+    };
+
+    for (const r of messageRows) {
+        const row = rowFor(r.group_id, r.member_id);
+        row.messages = r.messages;
+        row.repliesSent = r.replies_sent;
+        row.activeDays = r.active_days;
+        row.name = r.name;
+        widen(row, r.first_activity, r.last_activity);
+    }
+    for (const r of replyRows) {
+        rowFor(r.group_id, r.member_id).repliesReceived = r.replies_received;
+    }
+    for (const r of certificateRows) {
+        const row = rowFor(r.group_id, r.member_id);
+        row.certificates = r.certificates;
+        row.name = row.name || r.name;
+        widen(row, r.first_activity, r.last_activity);
+    }
+
+    return Array.from(rows.values()).map(row => ({ ...row, name: displayName(row.name, row.memberId), score: engagementScore(row) }));
+}
+
+// Message senders are stored as "Name (201234567890)"; drop the number for display
+function displayName(name, member) {
+    if (!name) return member;
+    const stripped = name.replace(/\s*\(\+?\d+\)$/, '').trim();
+    return stripped || member;
+}
+
+// Ranked members of one group. metric is one of LEADERBOARD_METRICS ("replies" = sent + received).
+async function groupLeaderboard(db, userId, groupId, { window = {}, metric = 'score', limit = 10 } = {}) {
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+        throw httpError(`metric must be one of: ${LEADERBOARD_METRICS.join(', ')}`, 400);
+    }
+
+    const value = (row) => (metric === 'replies' ? row.repliesSent + row.repliesReceived : row[metric]);
+    const rows = await memberActivity(db, userId, { groupIds: [groupId], window });
+
+    return rows
+        .filter(row => value(row) > 0)
+        .sort((a, b) => value(b) - value(a) || b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map((row, index) => ({ rank: index + 1, value: value(row), ...row }));
+}
+
+// Current participants with no message, certificate or join in the last `days` days, longest idle first.
+// participants: [{ id, phone, name, isAdmin }] from the WhatsApp client. Members with no recorded activity
+// count as idle since the group's history starts (its first stored message, or when it was added), so a
+// recently added group reports nobody until it has been tracked for `days`.
+async function inactiveMembers(db, userId, groupId, participants, { days, now = Date.now() }) {
+    const cutoff = new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const [messageRows, eventRows, trackedRow] = await Promise.all([
+        query(db, 'all', `
+            SELECT substr(sender_id, 1, instr(sender_id, '@') - 1) AS member_id, MAX(timestamp) AS last_message
+            FROM messages
+            WHERE user_id = ? AND group_id = ? AND instr(sender_id, '@') > 0
+            GROUP BY 1
+        `, [userId, groupId]),
+        query(db, 'all', `
+            SELECT member_id,
+                   MAX(CASE WHEN type = 'JOIN' THEN timestamp END) AS joined_at,
+                   MAX(CASE WHEN type = 'CERTIFICATE' THEN timestamp END) AS last_certificate
+            FROM events
+            WHERE user_id = ? AND group_id = ? AND type IN ('JOIN', 'CERTIFICATE')
+            GROUP BY member_id
+        `, [userId, groupId]),
+        query(db, 'get', `
+            SELECT MIN(first_seen) AS tracked_since FROM (
+                SELECT MIN(timestamp) AS first_seen FROM messages WHERE user_id = ? AND group_id = ?
+                UNION ALL
+                SELECT replace(added_at, ' ', 'T') || 'Z' FROM monitored_groups WHERE user_id = ? AND group_id = ?
+            )
+        `, [userId, groupId, userId, groupId])
+    ]);
+
+    const lastMessages = new Map(messageRows.map(row => [row.member_id, row.last_message]));
+    const memberEvents = new Map(eventRows.map(row => [row.member_id, row]));
+    const trackedSince = trackedRow ? trackedRow.tracked_since : null;
+    const latest = (...timestamps) => timestamps.filter(Boolean).sort().pop() || null;
+
+    return participants
+        .map(participant => {
+            const events = memberEvents.get(participant.phone) || {};
+            const lastMessageAt = lastMessages.get(participant.phone) || null;
+            const lastCertificateAt = events.last_certificate || null;
+            const joinedAt = events.joined_at || null;
+            const idleSince = latest(lastMessageAt, lastCertificateAt, joinedAt) || trackedSince;
+            return {
+                ...participant,
+                joinedAt,
+                lastMessageAt,
+                lastCertificateAt,
+                idleSince,
+                inactiveDays: idleSince ? Math.floor((now - Date.parse(idleSince)) / (24 * 60 * 60 * 1000)) : null
+            };
+        })
+        .filter(member => member.idleSince && member.idleSince < cutoff)
+        .sort((a, b) => a.idleSince.localeCompare(b.idleSince));
+}
+
+const METRIC_LABELS = {
+    score: 'points',
+    messages: 'messages',
+    replies: 'replies',
+    certificates: 'certificates'
+};
+
+function describeWindow(window) {
+    if (window.startDate) {
+        return window.startDate === window.endDate ? window.startDate : `${window.startDate} – ${window.endDate}`;
+    }
+    return window.days ? `last ${window.days} days` : 'all time';
+}
+
+// WhatsApp message for a leaderboard. With mention, names become @<number> so WhatsApp links them
+// (the caller passes the member ids as mentions when sending).
+function formatLeaderboardMessage(groupName, entries, { window = {}, metric = 'score', mention = false } = {}) {
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = [
+        `🏆 *${groupName}* leaderboard (${describeWindow(window)})`,
+        ''
+    ];
+
+    for (const entry of entries) {
+        const who = mention ? `@${entry.memberId}` : entry.name;
+        lines.push(`${medals[entry.rank - 1] || `${entry.rank}.`} ${who} — ${entry.value} ${METRIC_LABELS[metric]}`);
+    }
+    if (entries.length === 0) {
+        lines.push('No activity yet in this period.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SCORE_WEIGHTS,
+    LEADERBOARD_METRICS,
+    memberKey,
+    parseWindow,
+    windowConditions,
+    displayName,
+    memberActivity,
+    groupLeaderboard,
+    inactiveMembers,
+    formatLeaderboardMessage
+};
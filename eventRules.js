@@ -0,0 +1,439 @@
+// Event classification rules: turn incoming group messages into custom events (HOMEWORK, PHOTO_PROOF,
+// QUESTION, ...) stored in events.type. server.js keeps rules in event_rules, serves them under
+// /api/event-rules and runs classifyMessage() on every group message.
+//
+// A rule matches when every condition it sets matches: message type, keyword or regex in the body,
+// sender phone and time of day. Voice notes are CERTIFICATE events through DEFAULT_CERTIFICATE_RULE
+// unless a group has its own enabled CERTIFICATE rules, which then replace it.
+//
+// Rules run on every group message on the one event loop, so patterns are kept short, patterns that
+// can backtrack exponentially (a repeated group with a quantifier or | inside, backreferences) are
+// refused, and each match runs in a vm with a time limit in case one still gets through.
+
+const vm = require('vm');
+const { query, httpError } = require('./utils');
+
+// Rule message types and the whatsapp-web.js msg.type values they cover
+const MESSAGE_TYPES = {
+    text: ['chat'],
+    image: ['image'],
+    video: ['video'],
+    voice: ['ptt', 'audio'],
+    document: ['document'],
+    sticker: ['sticker'],
+    poll: ['poll_creation'],
+    location: ['location'],
+    contact: ['vcard', 'multi_vcard']
+};
+
+// Created by the member diff and removal code, never by rules
+const RESERVED_EVENT_TYPES = ['JOIN', 'LEAVE', 'REMOVED'];
+
+const MAX_KEYWORDS = 20;
+const MAX_SENDERS = 100;
+const MAX_PATTERN_LENGTH = 200;
+const PATTERN_TIMEOUT_MS = 50;
+// Only the start of long messages is searched for keywords and patterns
+const MAX_BODY_LENGTH = 4096;
+
+const DEFAULT_CERTIFICATE_RULE = {
+    id: null,
+    groupId: null,
+    name: 'Voice note',
+    eventType: 'CERTIFICATE',
+    enabled: true,
+    oncePerDay: true,
+    messageTypes: ['voice'],
+    keywords: [],
+    pattern: null,
+    senders: [],
+    timeStart: null,
+    timeEnd: null,
+    timezone: null
+};
+
+function stringList(value, field, max, maxLength) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw httpError(`${field} must be a list of strings`, 400);
+    }
+    const items = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+    if (items.length > max) {
+        throw httpError(`${field} can have at most ${max} entries`, 400);
+    }
+    if (items.some(item => item.length > maxLength)) {
+        throw httpError(`${field} entries can be at most ${maxLength} characters`, 400);
+    }
+    return items;
+}
+
+// Index just past a quantifier starting at pattern[i], whether it can repeat more than once and
+// whether it's an exact count like {3}
+function readQuantifier(pattern, i) {
+    const char = pattern[i];
+    let end;
+    let repeats;
+    let exact = false;
+    if (char === '*' || char === '+') {
+        end = i + 1;
+        repeats = true;
+    } else if (char === '?') {
+        end = i + 1;
+        repeats = false;
+    } else if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!match) return null;
+        end = i + match[0].length;
+        repeats = match[2] !== undefined ? match[3] === '' || Number(match[3]) > 1 : Number(match[1]) > 1;
+        exact = match[2] === undefined;
+    } else {
+        return null;
+    }
+    // A trailing ? makes the quantifier lazy; it doesn't quantify again
+    if (pattern[end] === '?') end++;
+    return { end, repeats, exact };
+}
+
+// Why a (syntactically valid) pattern could backtrack exponentially, or null when it can't.
+// Refuses backreferences and repeated groups that contain a quantifier or an alternation, like
+// (a+)+, (\w*)* or (a|ab)*: those are the shapes that make a failing match try every split.
+function unsafePatternReason(pattern) {
+    // One frame per open group: whether anything inside it is quantified or alternated
+    const stack = [{ quantified: false, alternated: false }];
+    let lastGroup = null;
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        let atomGroup = null;
+        if (char === '\\') {
+            const next = pattern[i + 1];
+            if (/[1-9]/.test(next) || next === 'k') {
+                return 'backreferences are not supported';
+            }
+            i += 2;
+        } else if (char === '[') {
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                i += pattern[i] === '\\' ? 2 : 1;
+            }
+            i++;
+        } else if (char === '(') {
+            stack.push({ quantified: false, alternated: false });
+            i++;
+            if (pattern[i] === '?') {
+                // (?:, (?=, (?!, (?<=, (?<! and (?<name>
+                i += pattern[i + 1] === '<' && pattern[i + 2] !== '=' && pattern[i + 2] !== '!'
+                    ? pattern.indexOf('>', i) + 1 - i
+                    : pattern[i + 1] === '<' ? 3 : 2;
+            }
+            continue;
+        } else if (char === ')') {
+            atomGroup = stack.pop();
+            const parent = stack[stack.length - 1];
+            parent.quantified = parent.quantified || atomGroup.quantified;
+            parent.alternated = parent.alternated || atomGroup.alternated;
+            i++;
+        } else if (char === '|') {
+            stack[stack.length - 1].alternated = true;
+            i++;
+            continue;
+        } else {
+            i++;
+        }
+        lastGroup = atomGroup;
+
+        const quantifier = readQuantifier(pattern, i);
+        if (quantifier) {
+            if (quantifier.repeats && lastGroup && (lastGroup.quantified || lastGroup.alternated)) {
+                return 'a repeated group can\'t contain quantifiers or |';
+            }
+            // An exact count can only match one way, so (\d{2})+ is fine
+            if (!quantifier.exact) stack[stack.length - 1].quantified = true;
+            i = quantifier.end;
+        }
+    }
+    return null;
+}
+
+function parseTimeOfDay(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value);
+    if (!match) {
+        throw httpError(`${field} must be in HH:mm format`, 400);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Validate a rule from a request body: { name, eventType, groupId, enabled, oncePerDay, messageTypes,
+// keywords, pattern, senders, timeStart, timeEnd, timezone }
+function parseEventRule(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 100) {
+        throw httpError('name is required (at most 100 characters)', 400);
+    }
+
+    const eventType = typeof input.eventType === 'string' ? input.eventType.trim().toUpperCase() : '';
+    if (!/^[A-Z][A-Z0-9_]{1,31}$/.test(eventType)) {
+        throw httpError('eventType must be 2-32 letters, digits or underscores, starting with a letter', 400);
+    }
+    if (RESERVED_EVENT_TYPES.includes(eventType)) {
+        throw httpError(`${eventType} events are created by member tracking and can't come from a rule`, 400);
+    }
+
+    const messageTypes = stringList(input.messageTypes, 'messageTypes', Object.keys(MESSAGE_TYPES).length, 20);
+    const unknownType = messageTypes.find(type => !MESSAGE_TYPES[type]);
+    if (unknownType) {
+        throw httpError(`Unknown message type "${unknownType}". Use: ${Object.keys(MESSAGE_TYPES).join(', ')}`, 400);
+    }
+
+    const keywords = stringList(input.keywords, 'keywords', MAX_KEYWORDS, 100);
+
+    if (input.pattern !== undefined && input.pattern !== null && typeof input.pattern !== 'string') {
+        throw httpError('pattern must be a string', 400);
+    }
+    const pattern = input.pattern && input.pattern.trim() ? input.pattern.trim() : null;
+    if (pattern) {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            throw httpError(`pattern can be at most ${MAX_PATTERN_LENGTH} characters`, 400);
+        }
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            throw httpError(`Invalid pattern: ${error.message}`, 400);
+        }
+        const problem = unsafePatternReason(pattern);
+        if (problem) {
+            throw httpError(`pattern is not allowed: ${problem}`, 400);
+        }
+    }
+
+    // Senders are phone numbers like events.member_id; "+20 100-123" and "20100123" are the same sender
+    const senders = stringList(input.senders, 'senders', MAX_SENDERS, 32).map(sender => sender.replace(/\D/g, ''));
+    if (senders.some(sender => !sender)) {
+        throw httpError('senders must be phone numbers', 400);
+    }
+
+    const timeStart = parseTimeOfDay(input.timeStart, 'timeStart');
+    const timeEnd = parseTimeOfDay(input.timeEnd, 'timeEnd');
+    if (!timeStart !== !timeEnd) {
+        throw httpError('timeStart and timeEnd must be set together', 400);
+    }
+    if (timeStart && timeStart === timeEnd) {
+        throw httpError('timeStart and timeEnd must differ', 400);
+    }
+
+    const timezone = typeof input.timezone === 'string' && input.timezone.trim() ? input.timezone.trim() : null;
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw httpError(`Unknown timezone: ${timezone}`, 400);
+        }
+    }
+
+    if (messageTypes.length === 0 && keywords.length === 0 && !pattern && senders.length === 0 && !timeStart) {
+        throw httpError('A rule needs at least one condition: messageTypes, keywords, pattern, senders or a time window', 400);
+    }
+
+    const groupId = typeof input.groupId === 'string' && input.groupId ? input.groupId : null;
+
+    return {
+        groupId,
+        name,
+        eventType,
+        enabled: input.enabled !== false,
+        // Attendance counts certificate days, so CERTIFICATE events are always once per member per day
+        oncePerDay: eventType === 'CERTIFICATE' || input.oncePerDay === true,
+        messageTypes,
+        keywords,
+        pattern,
+        senders: [...new Set(senders)],
+        timeStart,
+        timeEnd,
+        timezone
+    };
+}
+
+function formatEventRule(row) {
+    const conditions = JSON.parse(row.conditions);
+    return {
+        id: row.id,
+        groupId: row.group_id,
+        name: row.name,
+        eventType: row.event_type,
+        enabled: row.enabled === 1,
+        oncePerDay: row.once_per_day === 1,
+        messageTypes: conditions.messageTypes || [],
+        keywords: conditions.keywords || [],
+        pattern: conditions.pattern || null,
+        senders: conditions.senders || [],
+        timeStart: conditions.timeStart || null,
+        timeEnd: conditions.timeEnd || null,
+        timezone: conditions.timezone || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function ruleConditions(rule) {
+    return JSON.stringify({
+        messageTypes: rule.messageTypes,
+        keywords: rule.keywords,
+        pattern: rule.pattern,
+        senders: rule.senders,
+        timeStart: rule.timeStart,
+        timeEnd: rule.timeEnd,
+        timezone: rule.timezone
+    });
+}
+
+// A user's rules, oldest first. With groupId: that group's rules and the ones for all groups.
+async function listEventRules(db, userId, groupId = null) {
+    const rows = groupId
+        ? await query(db, 'all', `SELECT * FROM event_rules WHERE user_id = ? AND (group_id = ? OR group_id IS NULL) ORDER BY id`, [userId, groupId])
+        : await query(db, 'all', `SELECT * FROM event_rules WHERE user_id = ? ORDER BY id`, [userId]);
+    return rows.map(formatEventRule);
+}
+
+async function getEventRule(db, userId, ruleId) {
+    const row = await query(db, 'get', `SELECT * FROM event_rules WHERE id = ? AND user_id = ?`, [ruleId, userId]);
+    return row ? formatEventRule(row) : null;
+}
+
+async function createEventRule(db, userId, rule) {
+    const now = new Date().toISOString();
+    const result = await query(db, 'run', `
+        INSERT INTO event_rules (user_id, group_id, name, event_type, conditions, once_per_day, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [userId, rule.groupId, rule.name, rule.eventType, ruleConditions(rule), rule.oncePerDay ? 1 : 0, rule.enabled ? 1 : 0, now, now]);
+    return getEventRule(db, userId, result.lastID);
+}
+
+// Returns null when the rule doesn't exist for this user
+async function updateEventRule(db, userId, ruleId, rule) {
+    const result = await query(db, 'run', `
+        UPDATE event_rules
+        SET group_id = ?, name = ?, event_type = ?, conditions = ?, once_per_day = ?, enabled = ?, updated_at = ?
+        WHERE id = ? AND user_id = ?
+    `, [rule.groupId, rule.name, rule.eventType, ruleConditions(rule), rule.oncePerDay ? 1 : 0, rule.enabled ? 1 : 0,
+        new Date().toISOString(), ruleId, userId]);
+    return result.changes > 0 ? getEventRule(db, userId, ruleId) : null;
+}
+
+async function deleteEventRule(db, userId, ruleId) {
+    const result = await query(db, 'run', `DELETE FROM event_rules WHERE id = ? AND user_id = ?`, [ruleId, userId]);
+    return result.changes > 0;
+}
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Matches run in their own context so the time limit can interrupt a runaway pattern
+const matchContext = vm.createContext({ regex: null, text: '' });
+const matchScript = new vm.Script('regex.test(text)');
+
+// Whether the rule's pattern matches text within PATTERN_TIMEOUT_MS. A pattern that runs out of time
+// counts as no match and is skipped for the rule's remaining messages until the rules are reloaded.
+function patternMatches(rule, text) {
+    if (rule.patternTimedOut) return false;
+    matchContext.regex = rule.regex;
+    matchContext.text = text;
+    try {
+        return matchScript.runInContext(matchContext, { timeout: PATTERN_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        rule.patternTimedOut = true;
+        console.warn(`Event rule ${rule.id} pattern took over ${PATTERN_TIMEOUT_MS}ms and is skipped until rules reload`);
+        return false;
+    } finally {
+        matchContext.text = '';
+    }
+}
+
+// Prepare enabled rules for classifyMessage: regexes compiled once and time windows as minutes of the
+// day in the rule's time zone (defaultTimezone when the rule has none)
+function compileEventRules(rules, defaultTimezone) {
+    const formatters = new Map();
+    const formatterFor = timeZone => {
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }));
+        }
+        return formatters.get(timeZone);
+    };
+
+    return rules.filter(rule => rule.enabled).map(rule => ({
+        ...rule,
+        msgTypes: new Set(rule.messageTypes.flatMap(type => MESSAGE_TYPES[type] || [])),
+        lowerKeywords: rule.keywords.map(keyword => keyword.toLowerCase()),
+        regex: rule.pattern ? new RegExp(rule.pattern, 'i') : null,
+        senderSet: new Set(rule.senders),
+        window: rule.timeStart ? {
+            start: minutesOfDay(rule.timeStart),
+            end: minutesOfDay(rule.timeEnd),
+            formatter: formatterFor(rule.timezone || defaultTimezone)
+        } : null
+    }));
+}
+
+function ruleMatches(rule, { type, body, senderPhone, timestamp }) {
+    if (rule.msgTypes.size > 0 && !rule.msgTypes.has(type)) return false;
+    if (rule.senderSet.size > 0 && !rule.senderSet.has(String(senderPhone || '').replace(/\D/g, ''))) return false;
+
+    if (rule.lowerKeywords.length > 0 || rule.regex) {
+        const text = (body || '').slice(0, MAX_BODY_LENGTH);
+        const lowerText = text.toLowerCase();
+        if (rule.lowerKeywords.length > 0 && !rule.lowerKeywords.some(keyword => lowerText.includes(keyword))) return false;
+        if (rule.regex && !patternMatches(rule, text)) return false;
+    }
+
+    if (rule.window) {
+        const parts = {};
+        rule.window.formatter.formatToParts(timestamp).forEach(part => { parts[part.type] = part.value; });
+        const minute = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+        // A window like 22:00-02:00 runs past midnight; the end minute is excluded
+        const inWindow = rule.window.start < rule.window.end
+            ? minute >= rule.window.start && minute < rule.window.end
+            : minute >= rule.window.start || minute < rule.window.end;
+        if (!inWindow) return false;
+    }
+
+    return true;
+}
+
+// The default rule has no time window, so its time zone is never used
+const [defaultCertificateRule] = compileEventRules([DEFAULT_CERTIFICATE_RULE], 'UTC');
+
+// Events a message should create, one per event type: [{ eventType, oncePerDay, ruleId }].
+// compiledRules come from compileEventRules; message is { type (msg.type), body, senderPhone, timestamp (Date) }.
+function classifyMessage(compiledRules, groupId, message) {
+    const groupRules = compiledRules.filter(rule => rule.groupId === null || rule.groupId === groupId);
+    const rules = groupRules.some(rule => rule.eventType === 'CERTIFICATE')
+        ? groupRules
+        : [defaultCertificateRule, ...groupRules];
+
+    const matches = new Map();
+    for (const rule of rules) {
+        if (!matches.has(rule.eventType) && ruleMatches(rule, message)) {
+            matches.set(rule.eventType, { eventType: rule.eventType, oncePerDay: rule.oncePerDay, ruleId: rule.id });
+        }
+    }
+    return Array.from(matches.values());
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    RESERVED_EVENT_TYPES,
+    DEFAULT_CERTIFICATE_RULE,
+    parseEventRule,
+    listEventRules,
+    getEventRule,
+    createEventRule,
+    updateEventRule,
+    deleteEventRule,
+    compileEventRules,
+    classifyMessage
+};
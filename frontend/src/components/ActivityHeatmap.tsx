@@ -0,0 +1,99 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Flame } from "lucide-react";
+import { api, ActivityHeatmap as HeatmapData } from "@/lib/api";
+
+interface ActivityHeatmapProps {
+  translateMode: boolean;
+  groupId?: string | null;
+  date?: string | null;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS_ZH = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+export function ActivityHeatmap({ translateMode, groupId, date, isViewingAsAdmin = false, viewingUserId = null }: ActivityHeatmapProps) {
+  const [heatmap, setHeatmap] = useState<HeatmapData | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadHeatmap = async () => {
+      setLoading(true);
+      try {
+        // Hours and dates are the viewer's local ones, also when an admin views another user
+        const query = { groupId, date, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+        const response = isViewingAsAdmin && viewingUserId
+          ? await api.viewUserActivityHeatmap(viewingUserId, query)
+          : await api.getActivityHeatmap(query);
+        if (response.success) {
+          setHeatmap(response.heatmap);
+        }
+      } catch (error) {
+        console.error('Error loading activity heatmap:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadHeatmap();
+  }, [groupId, date, isViewingAsAdmin, viewingUserId]);
+
+  const weekdayNames = translateMode ? WEEKDAYS_ZH : WEEKDAYS;
+  const max = heatmap ? Math.max(1, ...heatmap.cells.flat()) : 1;
+
+  return (
+    <Card className="border-border">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+          {translateMode ? "活跃时段" : "Activity by hour"}
+          <Flame className="h-4 w-4 text-primary" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {!heatmap ? (
+          <p className="text-sm text-muted-foreground">{loading ? (translateMode ? "加载中..." : "Loading...") : (translateMode ? "没有数据" : "No data")}</p>
+        ) : (
+          <>
+            <div className="space-y-px">
+              {heatmap.cells.map((hours, weekday) => (
+                <div key={weekday} className="flex items-center gap-1">
+                  <span className="w-8 shrink-0 text-[10px] text-muted-foreground">{weekdayNames[weekday]}</span>
+                  <div className="grid flex-1 gap-px" style={{ gridTemplateColumns: 'repeat(24, minmax(0, 1fr))' }}>
+                    {hours.map((count, hour) => (
+                      <div
+                        key={hour}
+                        className="aspect-square rounded-[2px] bg-muted"
+                        style={count > 0 ? { backgroundColor: `hsl(var(--primary) / ${0.15 + 0.85 * (count / max)})` } : undefined}
+                        title={`${weekdayNames[weekday]} ${String(hour).padStart(2, '0')}:00–${String(hour).padStart(2, '0')}:59 · ${count} ${translateMode ? '条消息' : count === 1 ? 'message' : 'messages'}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <div className="flex items-center gap-1">
+                <span className="w-8 shrink-0" />
+                <div className="flex flex-1 justify-between text-[10px] text-muted-foreground">
+                  <span>0</span>
+                  <span>6</span>
+                  <span>12</span>
+                  <span>18</span>
+                  <span>23</span>
+                </div>
+              </div>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {heatmap.peak
+                ? (translateMode
+                  ? `最活跃：${weekdayNames[heatmap.peak.weekday]} ${heatmap.peak.hour}:00（${heatmap.peak.count} 条消息）`
+                  : `Busiest: ${weekdayNames[heatmap.peak.weekday]} ${heatmap.peak.hour}:00 (${heatmap.peak.count} messages)`)
+                : (translateMode ? "此期间没有消息" : "No messages in this period")}
+              {' · '}
+              {heatmap.timezone}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
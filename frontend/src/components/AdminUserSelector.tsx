@@ -4,6 +4,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { useToast } from "@/hooks/use-toast";
 import { Loader2, Users, UserCheck } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
+import { TwoFactorSettings } from "@/components/TwoFactorSettings";
 
 interface User {
   id: number;
@@ -48,9 +49,14 @@ export default function AdminUserSelector({ onUserSelect }: AdminUserSelectorPro
     }
   };
 
+  // Admin endpoints refuse to answer until 2FA is set up when the policy requires it
+  const twoFactorSetupRequired = Boolean(currentUser?.twoFactorSetupRequired);
+
   useEffect(() => {
-    fetchUsers();
-  }, []);
+    if (!twoFactorSetupRequired) {
+      fetchUsers();
+    }
+  }, [twoFactorSetupRequired]);
 
   const whatsappConnectedUsers = users.filter(u => u.whatsappAuthenticated);
 
@@ -79,6 +85,24 @@ export default function AdminUserSelector({ onUserSelect }: AdminUserSelectorPro
     return colors[id % colors.length];
   };
 
+  if (twoFactorSetupRequired) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-6">
+        <Card className="max-w-lg w-full">
+          <CardHeader>
+            <CardTitle>Set Up Two-Factor Authentication</CardTitle>
+            <CardDescription>
+              Two-factor authentication is required for admin accounts. Set it up to continue.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <TwoFactorSettings />
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-6">
       <Card className="max-w-5xl w-full">
@@ -4,11 +4,20 @@ import { Button } from "@/components/ui/button";
 import { Calendar } from "@/components/ui/calendar";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
-import { UserPlus, UserMinus, Users, MessageSquare, TrendingUp, CalendarIcon, Award, Download } from "lucide-react";
+import { UserPlus, UserMinus, UserX, Users, MessageSquare, TrendingUp, CalendarIcon, Award, Download, ClipboardCheck, Tags, Settings2 } from "lucide-react";
 import { format } from "date-fns";
 import { cn } from "@/lib/utils";
 import ExcelJS from 'exceljs';
-import { api } from "@/lib/api";
+import { api, EventType } from "@/lib/api";
+import { ActivityHeatmap } from "@/components/ActivityHeatmap";
+import { Leaderboard } from "@/components/Leaderboard";
+import { GroupGrowth } from "@/components/GroupGrowth";
+import { CohortRetention } from "@/components/CohortRetention";
+import { ReplyAnalytics } from "@/components/ReplyAnalytics";
+import { MemberProfileDialog } from "@/components/MemberProfileDialog";
+import { InactiveMembersDialog } from "@/components/InactiveMembersDialog";
+import { AttendanceDialog } from "@/components/AttendanceDialog";
+import { EventRulesDialog } from "@/components/EventRulesDialog";
 
 interface AnalyticsData {
   totalMembers: number;
@@ -25,11 +34,17 @@ interface Event {
   groupName: string;
   memberId: string;
   memberName: string;
-  type: 'JOIN' | 'LEAVE' | 'CERTIFICATE';
+  type: EventType;
   timestamp: string;
   date: string;
+  detectedAfterDowntime?: number | boolean;
+  windowStart?: string | null;
+  windowEnd?: string | null;
 }
 
+// Event types with their own cards; anything else comes from event rules
+const BUILT_IN_EVENT_TYPES = ['JOIN', 'LEAVE', 'CERTIFICATE', 'REMOVED'];
+
 interface AnalyticsPanelProps {
   analytics: AnalyticsData;
   translateMode: boolean;
@@ -47,9 +62,20 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
   const [startDate, setStartDate] = useState<Date>(() => new Date());
   const [endDate, setEndDate] = useState<Date>(() => new Date());
   const [showDialog, setShowDialog] = useState(false);
-  const [dialogType, setDialogType] = useState<'JOIN' | 'LEAVE' | 'CERTIFICATE' | 'MEMBERS' | null>(null);
+  const [dialogType, setDialogType] = useState<EventType | 'MEMBERS' | null>(null);
   const [members, setMembers] = useState<any[]>([]);
   const [loadingMembers, setLoadingMembers] = useState(false);
+  const [profileMemberId, setProfileMemberId] = useState<string | null>(null);
+  const [showInactive, setShowInactive] = useState(false);
+  const [showAttendance, setShowAttendance] = useState(false);
+  const [showEventRules, setShowEventRules] = useState(false);
+
+  // The same filter the parent gets through onDateFilterChange
+  const dateFilter = mode === "all"
+    ? null
+    : mode === "specific"
+      ? (selectedDate ? format(selectedDate, "yyyy-MM-dd") : null)
+      : `${format(startDate, "yyyy-MM-dd")},${format(endDate, "yyyy-MM-dd")}`;
 
   // Notify parent of initial date on mount
   useEffect(() => {
@@ -62,7 +88,7 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
     }
   }, []);
 
-  const handleCardClick = async (type: 'JOIN' | 'LEAVE' | 'CERTIFICATE' | 'MEMBERS') => {
+  const handleCardClick = async (type: EventType | 'MEMBERS') => {
     setDialogType(type);
     setShowDialog(true);
 
@@ -92,6 +118,16 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
 
   const filteredEvents = dialogType ? events.filter(e => e.type === dialogType) : [];
 
+  // Counts of rule-created event types (HOMEWORK, QUESTION, ...), most frequent first
+  const customEventCounts = Object.entries(
+    events
+      .filter(e => !BUILT_IN_EVENT_TYPES.includes(e.type))
+      .reduce((acc, event) => {
+        acc[event.type] = (acc[event.type] || 0) + 1;
+        return acc;
+      }, {} as Record<string, number>)
+  ).sort((a, b) => b[1] - a[1]);
+
   // Aggregate certificates by member (for display purposes)
   const aggregatedCertificates = dialogType === 'CERTIFICATE' ?
     Object.values(
@@ -120,10 +156,12 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
     // Generate filename based on event type
     const eventTypeName = dialogType === 'JOIN' ? 'Members Joined' :
                           dialogType === 'LEAVE' ? 'Members Left' :
-                          'Certificates';
+                          dialogType === 'CERTIFICATE' ? 'Certificates' :
+                          dialogType;
     const eventTypeKey = dialogType === 'JOIN' ? 'Members_Joined' :
                           dialogType === 'LEAVE' ? 'Members_Left' :
-                          'Certificates';
+                          dialogType === 'CERTIFICATE' ? 'Certificates' :
+                          dialogType;
 
     // Create workbook and worksheet
     const workbook = new ExcelJS.Workbook();
@@ -584,8 +622,129 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
             </CardContent>
           </Card>
         ))}
+        {(customEventCounts.length > 0 || !isViewingAsAdmin) && (
+          <Card className="border-border">
+            <CardHeader className="pb-3">
+              <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+                {translateMode ? "自定义事件" : "Custom events"}
+                {isViewingAsAdmin ? (
+                  <Tags className="h-4 w-4 text-primary" />
+                ) : (
+                  <button
+                    type="button"
+                    className="text-primary hover:text-foreground transition-colors"
+                    onClick={() => setShowEventRules(true)}
+                    title={translateMode ? "事件规则" : "Event rules"}
+                  >
+                    <Settings2 className="h-4 w-4" />
+                  </button>
+                )}
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-1">
+              {customEventCounts.length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                  {translateMode ? "添加事件规则来记录作业、照片等" : "Add event rules to track homework, photos and more"}
+                </p>
+              ) : (
+                customEventCounts.map(([type, count]) => (
+                  <button
+                    key={type}
+                    type="button"
+                    className="w-full flex items-center justify-between gap-2 rounded px-1 py-0.5 text-sm hover:bg-accent transition-colors"
+                    onClick={() => handleCardClick(type)}
+                  >
+                    <span className="truncate text-left">{type}</span>
+                    <span className="font-medium text-primary">{count}</span>
+                  </button>
+                ))
+              )}
+            </CardContent>
+          </Card>
+        )}
+        <ActivityHeatmap
+          translateMode={translateMode}
+          groupId={groupId}
+          date={dateFilter}
+          isViewingAsAdmin={isViewingAsAdmin}
+          viewingUserId={viewingUserId}
+        />
+        {groupId && (
+          <Leaderboard
+            translateMode={translateMode}
+            groupId={groupId}
+            onMemberClick={setProfileMemberId}
+            isViewingAsAdmin={isViewingAsAdmin}
+            viewingUserId={viewingUserId}
+          />
+        )}
+        {groupId && (
+          <ReplyAnalytics
+            translateMode={translateMode}
+            groupId={groupId}
+            onMemberClick={setProfileMemberId}
+            isViewingAsAdmin={isViewingAsAdmin}
+            viewingUserId={viewingUserId}
+          />
+        )}
+        {groupId && (
+          <GroupGrowth
+            translateMode={translateMode}
+            groupId={groupId}
+            isViewingAsAdmin={isViewingAsAdmin}
+            viewingUserId={viewingUserId}
+          />
+        )}
+        {groupId && (
+          <CohortRetention
+            translateMode={translateMode}
+            groupId={groupId}
+            isViewingAsAdmin={isViewingAsAdmin}
+            viewingUserId={viewingUserId}
+          />
+        )}
       </div>
 
+      {groupId && !isViewingAsAdmin && (
+        <InactiveMembersDialog
+          open={showInactive}
+          onOpenChange={setShowInactive}
+          groupId={groupId}
+          groupName={groupName}
+          translateMode={translateMode}
+        />
+      )}
+
+      {!isViewingAsAdmin && (
+        <EventRulesDialog
+          open={showEventRules}
+          onOpenChange={setShowEventRules}
+          groupId={groupId}
+          groupName={groupName}
+          translateMode={translateMode}
+        />
+      )}
+
+      {groupId && (
+        <AttendanceDialog
+          open={showAttendance}
+          onOpenChange={setShowAttendance}
+          groupId={groupId}
+          groupName={groupName}
+          translateMode={translateMode}
+          isViewingAsAdmin={isViewingAsAdmin}
+          viewingUserId={viewingUserId}
+        />
+      )}
+
+      <MemberProfileDialog
+        memberId={profileMemberId}
+        onClose={() => setProfileMemberId(null)}
+        translateMode={translateMode}
+        isViewingAsAdmin={isViewingAsAdmin}
+        viewingUserId={viewingUserId}
+      />
+
       <Dialog open={showDialog} onOpenChange={setShowDialog}>
         <DialogContent className="max-w-md">
           <DialogHeader>
@@ -597,9 +756,33 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
                   ? (translateMode ? "离开成员" : "Members Left")
                   : dialogType === 'MEMBERS'
                   ? (translateMode ? "所有成员" : "All Members")
-                  : (translateMode ? "证书" : "Certificates")
+                  : dialogType === 'CERTIFICATE'
+                  ? (translateMode ? "证书" : "Certificates")
+                  : dialogType
                 }
               </DialogTitle>
+              {dialogType === 'MEMBERS' && groupId && !isViewingAsAdmin && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowInactive(true)}
+                  className="gap-2"
+                >
+                  <UserX className="h-4 w-4" />
+                  {translateMode ? "不活跃" : "Inactive"}
+                </Button>
+              )}
+              {dialogType === 'CERTIFICATE' && groupId && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowAttendance(true)}
+                  className="gap-2 ml-auto mr-2"
+                >
+                  <ClipboardCheck className="h-4 w-4" />
+                  {translateMode ? "出勤" : "Attendance"}
+                </Button>
+              )}
               {dialogType !== 'MEMBERS' && (
                 <Button
                   variant="outline"
@@ -625,7 +808,8 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
                   {members.map((member) => (
                     <div
                       key={member.id}
-                      className="p-3 border border-border rounded-lg hover:bg-accent transition-colors"
+                      className="p-3 border border-border rounded-lg hover:bg-accent transition-colors cursor-pointer"
+                      onClick={() => setProfileMemberId(member.phone || member.id)}
                     >
                       <div className="flex justify-between items-start">
                         <div className="flex-1">
@@ -653,7 +837,8 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
                 {aggregatedCertificates.map((cert) => (
                   <div
                     key={cert.memberId}
-                    className="p-3 border border-border rounded-lg hover:bg-accent transition-colors"
+                    className="p-3 border border-border rounded-lg hover:bg-accent transition-colors cursor-pointer"
+                    onClick={() => setProfileMemberId(cert.memberId)}
                   >
                     <div className="flex justify-between items-start">
                       <div className="flex-1">
@@ -678,7 +863,8 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
                 {filteredEvents.map((event) => (
                   <div
                     key={event.id}
-                    className="p-3 border border-border rounded-lg hover:bg-accent transition-colors"
+                    className="p-3 border border-border rounded-lg hover:bg-accent transition-colors cursor-pointer"
+                    onClick={() => setProfileMemberId(event.memberId)}
                   >
                     <div className="flex justify-between items-start">
                       <div className="flex-1">
@@ -687,9 +873,18 @@ export function AnalyticsPanel({ analytics, translateMode, onDateFilterChange, e
                       </div>
                       <div className="text-right">
                         <p className="text-sm text-muted-foreground">{event.date}</p>
-                        <p className="text-xs text-muted-foreground">
-                          {new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                        </p>
+                        {event.detectedAfterDowntime && event.windowStart ? (
+                          <p
+                            className="text-xs text-amber-600 dark:text-amber-400"
+                            title={`Happened between ${new Date(event.windowStart).toLocaleString()} and ${new Date(event.windowEnd || event.timestamp).toLocaleString()}`}
+                          >
+                            {translateMode ? "离线期间检测到" : "Detected after downtime"}
+                          </p>
+                        ) : (
+                          <p className="text-xs text-muted-foreground">
+                            {new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </p>
+                        )}
                       </div>
                     </div>
                   </div>
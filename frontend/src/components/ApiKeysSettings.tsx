@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { Checkbox } from './ui/checkbox';
+import { Copy, KeyRound, Loader2, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, ApiKey, ApiKeyScope } from '../lib/api';
+
+interface ApiKeysSettingsProps {
+  translateMode?: boolean;
+}
+
+const SCOPES: Array<{ scope: ApiKeyScope; label: string; labelZh: string }> = [
+  { scope: 'messages:read', label: 'Read messages and groups', labelZh: '读取消息和群组' },
+  { scope: 'events:read', label: 'Read join/leave events', labelZh: '读取加入/离开事件' },
+  { scope: 'stats:read', label: 'Read statistics', labelZh: '读取统计' },
+  { scope: 'broadcast:send', label: 'Send and broadcast messages', labelZh: '发送和群发消息' },
+];
+
+const EXPIRY_OPTIONS = [30, 90, 180, 365];
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+export function ApiKeysSettings({ translateMode = false }: ApiKeysSettingsProps) {
+  const [keys, setKeys] = useState<ApiKey[]>([]);
+  const [creating, setCreating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<ApiKeyScope[]>(['messages:read']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  // The new key, shown until dismissed; it can't be fetched again
+  const [newKey, setNewKey] = useState<string | null>(null);
+
+  const loadKeys = async () => {
+    try {
+      const response = await api.getApiKeys();
+      if (response.success) {
+        setKeys(response.keys);
+      }
+    } catch (error) {
+      console.error('Error loading API keys:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const toggleScope = (scope: ApiKeyScope, checked: boolean) => {
+    setScopes(prev => checked ? [...prev, scope] : prev.filter(s => s !== scope));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const response = await api.createApiKey(name.trim(), scopes, expiresInDays);
+      if (response.success) {
+        setNewKey(response.key);
+        setKeys(prev => [response.apiKey, ...prev]);
+        setCreating(false);
+        setName('');
+        setScopes(['messages:read']);
+      } else {
+        toast.error(response.error || (translateMode ? '创建密钥失败' : 'Failed to create API key'));
+      }
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      toast.error(translateMode ? '创建密钥失败' : 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (key: ApiKey) => {
+    if (!window.confirm(translateMode ? `撤销密钥 "${key.name}"？` : `Revoke API key "${key.name}"? Integrations using it stop working.`)) return;
+
+    try {
+      const response = await api.revokeApiKey(key.id);
+      if (response.success) {
+        setKeys(prev => prev.map(k => k.id === key.id ? { ...k, revokedAt: new Date().toISOString() } : k));
+      } else {
+        toast.error(response.error || (translateMode ? '撤销密钥失败' : 'Failed to revoke API key'));
+      }
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      toast.error(translateMode ? '撤销密钥失败' : 'Failed to revoke API key');
+    }
+  };
+
+  const copyNewKey = () => {
+    if (!newKey) return;
+    navigator.clipboard.writeText(newKey);
+    toast.success(translateMode ? '已复制' : 'Copied to clipboard');
+  };
+
+  const keyState = (key: ApiKey) => {
+    if (key.revokedAt) return { label: translateMode ? '已撤销' : 'Revoked', active: false };
+    if (new Date(key.expiresAt) <= new Date()) return { label: translateMode ? '已过期' : 'Expired', active: false };
+    return { label: null, active: true };
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <KeyRound className="h-4 w-4" />
+          <span className="text-sm font-semibold">{translateMode ? 'API 密钥' : 'API keys'}</span>
+        </div>
+        {!creating && (
+          <Button variant="outline" size="sm" onClick={() => setCreating(true)}>
+            <Plus className="h-4 w-4 mr-1" />
+            {translateMode ? '新建' : 'New key'}
+          </Button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">
+        {translateMode
+          ? '供脚本和集成使用：Authorization: Bearer wa_...。密钥的权限不会超过你在工作区中的角色。'
+          : 'For scripts and integrations: Authorization: Bearer wa_... A key can never do more than your role in the workspace allows.'}
+      </p>
+
+      {newKey && (
+        <div className="space-y-2 rounded-md border border-amber-300 bg-amber-50 dark:bg-amber-950 p-3">
+          <p className="text-sm font-medium">
+            {translateMode ? '复制新密钥，它只显示这一次' : "Copy your new key now. It won't be shown again."}
+          </p>
+          <div className="flex gap-2">
+            <Input readOnly value={newKey} className="font-mono text-xs" onFocus={(e) => e.target.select()} />
+            <Button variant="outline" size="sm" onClick={copyNewKey}>
+              <Copy className="h-4 w-4" />
+            </Button>
+          </div>
+          <div className="flex justify-end">
+            <Button size="sm" onClick={() => setNewKey(null)}>{translateMode ? '完成' : 'Done'}</Button>
+          </div>
+        </div>
+      )}
+
+      {creating && (
+        <div className="space-y-3 rounded-md border p-3">
+          <Input
+            placeholder={translateMode ? '名称，例如 "报表脚本"' : 'Name, e.g. "Reporting script"'}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <div className="space-y-2">
+            {SCOPES.map(({ scope, label, labelZh }) => (
+              <label key={scope} className="flex items-center gap-2 text-sm">
+                <Checkbox
+                  checked={scopes.includes(scope)}
+                  onCheckedChange={(checked) => toggleScope(scope, checked === true)}
+                />
+                <span className="font-mono text-xs">{scope}</span>
+                <span className="text-gray-500">{translateMode ? labelZh : label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <span>{translateMode ? '有效期' : 'Expires after'}</span>
+            <select
+              className={selectClassName}
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(parseInt(e.target.value))}
+            >
+              {EXPIRY_OPTIONS.map(days => (
+                <option key={days} value={days}>{translateMode ? `${days} 天` : `${days} days`}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={() => setCreating(false)}>{translateMode ? '取消' : 'Cancel'}</Button>
+            <Button size="sm" onClick={handleCreate} disabled={saving || !name.trim() || scopes.length === 0}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {translateMode ? '创建' : 'Create'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {keys.length > 0 && (
+        <div className="divide-y border rounded-md">
+          {keys.map(key => {
+            const state = keyState(key);
+            return (
+              <div key={key.id} className={`flex items-center justify-between gap-2 px-3 py-2 ${state.active ? '' : 'opacity-60'}`}>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">
+                    {key.name}
+                    <span className="ml-2 font-mono text-xs text-gray-500">{key.prefix}…</span>
+                    {state.label && <Badge variant="secondary" className="ml-2">{state.label}</Badge>}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {key.scopes.join(', ')}
+                    {' · '}
+                    {key.lastUsedAt
+                      ? `${translateMode ? '最近使用 ' : 'Last used '}${new Date(key.lastUsedAt).toLocaleString()}`
+                      : (translateMode ? '从未使用' : 'Never used')}
+                    {state.active && ` · ${translateMode ? '到期 ' : 'Expires '}${new Date(key.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {state.active && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleRevoke(key)}
+                    className="text-red-500 hover:text-red-700 shrink-0"
+                    title={translateMode ? '撤销' : 'Revoke'}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,320 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Download, Loader2, Save, Send, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { api, AttendanceReport, CertificateRule } from "@/lib/api";
+
+interface AttendanceDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  groupId: string;
+  groupName: string;
+  translateMode: boolean;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS_ZH = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+const DEFAULT_RULE: CertificateRule = { period: 'week', requiredCount: 5, countedDays: [0, 1, 2, 3, 4], weekStart: 0 };
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+export function AttendanceDialog({ open, onOpenChange, groupId, groupName, translateMode, isViewingAsAdmin = false, viewingUserId = null }: AttendanceDialogProps) {
+  const [rule, setRule] = useState<CertificateRule>(DEFAULT_RULE);
+  const [hasRule, setHasRule] = useState(false);
+  const [report, setReport] = useState<AttendanceReport | null>(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [includeAdmins, setIncludeAdmins] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  const weekdayNames = translateMode ? WEEKDAYS_ZH : WEEKDAYS;
+  const query = { from: from || undefined, to: to || undefined, includeAdmins };
+
+  const loadRule = async () => {
+    if (isViewingAsAdmin) return;
+    try {
+      const response = await api.getCertificateRule(groupId);
+      if (response.success) {
+        setHasRule(!!response.rule);
+        setRule(response.rule || DEFAULT_RULE);
+      }
+    } catch (error) {
+      console.error('Error loading certificate rule:', error);
+    }
+  };
+
+  const loadReport = async () => {
+    setLoading(true);
+    try {
+      const response = isViewingAsAdmin && viewingUserId
+        ? await api.viewUserAttendanceReport(viewingUserId, groupId, query)
+        : await api.getAttendanceReport(groupId, query);
+      if (response.success) {
+        setReport(response.report);
+        if (isViewingAsAdmin) {
+          setRule(response.report.rule);
+          setHasRule(true);
+        }
+      } else {
+        setReport(null);
+      }
+    } catch (error) {
+      console.error('Error loading attendance report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      loadRule();
+    }
+  }, [open, groupId]);
+
+  useEffect(() => {
+    if (open) {
+      loadReport();
+    }
+  }, [open, groupId, from, to, includeAdmins]);
+
+  const toggleDay = (day: number, checked: boolean) => {
+    setRule(prev => ({
+      ...prev,
+      countedDays: checked
+        ? [...prev.countedDays, day].sort((a, b) => a - b)
+        : prev.countedDays.filter(d => d !== day),
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await api.saveCertificateRule(groupId, rule);
+      if (response.success) {
+        setHasRule(true);
+        setRule(response.rule);
+        toast.success(translateMode ? '规则已保存' : 'Certificate rule saved');
+        loadReport();
+      } else {
+        toast.error(response.error || 'Failed to save certificate rule');
+      }
+    } catch (error) {
+      console.error('Error saving certificate rule:', error);
+      toast.error('Failed to save certificate rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(translateMode ? '删除此群组的证书规则？' : 'Delete the certificate rule for this group?')) return;
+    try {
+      const response = await api.deleteCertificateRule(groupId);
+      if (response.success) {
+        setHasRule(false);
+        setRule(DEFAULT_RULE);
+        setReport(null);
+        toast.success(translateMode ? '规则已删除' : 'Certificate rule deleted');
+      } else {
+        toast.error(response.error || 'Failed to delete certificate rule');
+      }
+    } catch (error) {
+      console.error('Error deleting certificate rule:', error);
+      toast.error('Failed to delete certificate rule');
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await api.exportAttendanceReport(groupId, query);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `attendance-${report ? `${report.from}-to-${report.to}` : new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting attendance report:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to export attendance report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handlePost = async () => {
+    const question = from || to
+      ? (translateMode ? `将 ${from || to} 至 ${to || from} 的出勤摘要发送到 ${groupName}？` : `Post the attendance summary for ${from || to} – ${to || from} to ${groupName}?`)
+      : (translateMode ? `将上一个完整周期的出勤摘要发送到 ${groupName}？` : `Post the attendance summary for the last completed period to ${groupName}?`);
+    if (!window.confirm(question)) return;
+
+    setPosting(true);
+    try {
+      const response = await api.postAttendanceSummary(groupId, query);
+      if (response.success) {
+        toast.success(translateMode ? '出勤摘要已发送' : 'Attendance summary posted to the group');
+      } else {
+        toast.error(response.error || 'Failed to post attendance summary');
+      }
+    } catch (error) {
+      console.error('Error posting attendance summary:', error);
+      toast.error('Failed to post attendance summary');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{translateMode ? "证书出勤" : "Certificate attendance"}</DialogTitle>
+          <DialogDescription>{groupName}</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3 rounded-lg border border-border p-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span>{translateMode ? "要求" : "Require"}</span>
+            <Input
+              type="number"
+              min={1}
+              className="w-16 h-9"
+              value={rule.requiredCount}
+              disabled={isViewingAsAdmin}
+              onChange={(e) => setRule(prev => ({ ...prev, requiredCount: parseInt(e.target.value) || 0 }))}
+            />
+            <span>{translateMode ? "个证书，每" : "certificates per"}</span>
+            <select
+              className={selectClassName}
+              value={rule.period}
+              disabled={isViewingAsAdmin}
+              onChange={(e) => setRule(prev => ({ ...prev, period: e.target.value as CertificateRule['period'] }))}
+            >
+              <option value="day">{translateMode ? "天" : "day"}</option>
+              <option value="week">{translateMode ? "周" : "week"}</option>
+            </select>
+            {rule.period === 'week' && (
+              <>
+                <span>{translateMode ? "每周从" : "starting"}</span>
+                <select
+                  className={selectClassName}
+                  value={rule.weekStart}
+                  disabled={isViewingAsAdmin}
+                  onChange={(e) => setRule(prev => ({ ...prev, weekStart: parseInt(e.target.value) }))}
+                >
+                  {weekdayNames.map((name, day) => (
+                    <option key={day} value={day}>{name}</option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="text-muted-foreground">{translateMode ? "计入的日子" : "Counted days"}</span>
+            {weekdayNames.map((name, day) => (
+              <label key={day} className="flex items-center gap-1">
+                <Checkbox
+                  checked={rule.countedDays.includes(day)}
+                  disabled={isViewingAsAdmin}
+                  onCheckedChange={(checked) => toggleDay(day, checked === true)}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+          {!isViewingAsAdmin && (
+            <div className="flex gap-2">
+              <Button size="sm" onClick={handleSave} disabled={saving || rule.countedDays.length === 0}>
+                {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                {translateMode ? "保存规则" : "Save rule"}
+              </Button>
+              {hasRule && (
+                <Button size="sm" variant="outline" onClick={handleDelete}>
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  {translateMode ? "删除" : "Delete"}
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Input type="date" className="w-auto h-9" value={from} onChange={(e) => setFrom(e.target.value)} />
+          <span className="text-muted-foreground">{translateMode ? "至" : "to"}</span>
+          <Input type="date" className="w-auto h-9" value={to} onChange={(e) => setTo(e.target.value)} />
+          <label className="flex items-center gap-2">
+            <Checkbox checked={includeAdmins} onCheckedChange={(checked) => setIncludeAdmins(checked === true)} />
+            {translateMode ? "包括管理员" : "Include admins"}
+          </label>
+          {!isViewingAsAdmin && (
+            <div className="ml-auto flex gap-2">
+              <Button variant="outline" size="sm" onClick={handleExport} disabled={!report || exporting}>
+                {exporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+                CSV
+              </Button>
+              <Button variant="outline" size="sm" onClick={handlePost} disabled={!report || posting}>
+                {posting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+                {translateMode ? "发送到群组" : "Post to group"}
+              </Button>
+            </div>
+          )}
+        </div>
+
+        <div className="max-h-80 overflow-y-auto">
+          {loading ? (
+            <p className="text-center text-muted-foreground py-8">{translateMode ? "加载中..." : "Loading..."}</p>
+          ) : !report ? (
+            <p className="text-center text-muted-foreground py-8">
+              {hasRule || isViewingAsAdmin
+                ? (translateMode ? "没有数据" : "No data")
+                : (translateMode ? "先为此群组保存证书规则" : "Save a certificate rule for this group to see attendance")}
+            </p>
+          ) : (
+            <>
+              <p className="text-xs text-muted-foreground mb-2">
+                {report.from} – {report.to} · {report.periods.length} {translateMode ? "个周期" : report.periods.length === 1 ? "period" : "periods"}
+              </p>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{translateMode ? "成员" : "Member"}</TableHead>
+                    <TableHead className="text-right">{translateMode ? "证书" : "Certificates"}</TableHead>
+                    <TableHead className="text-right">{translateMode ? "超额" : "Exceeded"}</TableHead>
+                    <TableHead className="text-right">{translateMode ? "达标" : "Met"}</TableHead>
+                    <TableHead className="text-right">{translateMode ? "未达标" : "Missed"}</TableHead>
+                    <TableHead className="text-right">{translateMode ? "进行中" : "Pending"}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.members.map(member => (
+                    <TableRow key={member.memberId}>
+                      <TableCell>
+                        <span className={member.isMember === false ? "text-muted-foreground" : "text-foreground"}>{member.name}</span>
+                        <span className="block text-xs text-muted-foreground">{member.memberId}</span>
+                      </TableCell>
+                      <TableCell className="text-right">{member.certificates}/{member.required}</TableCell>
+                      <TableCell className="text-right text-primary">{member.exceeded || ''}</TableCell>
+                      <TableCell className="text-right text-green-600">{member.met || ''}</TableCell>
+                      <TableCell className="text-right text-red-600">{member.missed || ''}</TableCell>
+                      <TableCell className="text-right text-muted-foreground">{member.pending || ''}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
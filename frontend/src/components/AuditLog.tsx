@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Download, Loader2, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, AuditLogEntry, AuditLogFilters } from '../lib/api';
+
+interface AuditLogProps {
+  users: Array<{ id: number; username: string; email: string }>;
+}
+
+// Filter values are exact actions or prefixes ending in "."
+const ACTION_FILTERS: Array<{ value: string; label: string }> = [
+  { value: '', label: 'All actions' },
+  { value: 'message.send', label: 'Messages sent' },
+  { value: 'leaderboard.post', label: 'Leaderboards posted' },
+  { value: 'attendance.post', label: 'Attendance summaries posted' },
+  { value: 'certificate_rules.', label: 'Certificate rules' },
+  { value: 'event_rules.', label: 'Event rules' },
+  { value: 'broadcast.', label: 'Broadcasts and schedules' },
+  { value: 'welcome_settings.', label: 'Welcome messages' },
+  { value: 'admin_only_schedule.', label: 'Admin-only schedules' },
+  { value: 'group.', label: 'Monitored groups' },
+  { value: 'channel.', label: 'Channels' },
+  { value: 'admin.view_user', label: 'Admin views of user data' },
+  { value: 'user.', label: 'User administration' },
+  { value: 'security_policy.update', label: 'Security policy' },
+  { value: 'audit.export', label: 'Audit exports' },
+];
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+function summarizeDetails(details: AuditLogEntry['details']) {
+  if (!details) return '';
+  return Object.entries(details)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`)
+    .join(' · ');
+}
+
+export function AuditLog({ users }: AuditLogProps) {
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<number | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [action, setAction] = useState('');
+  const [actorUserId, setActorUserId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const filters = (): AuditLogFilters => ({
+    action: action || undefined,
+    actorUserId: actorUserId ? parseInt(actorUserId) : undefined,
+    from: from || undefined,
+    to: to || undefined,
+  });
+
+  const loadEntries = async (beforeId?: number) => {
+    setLoading(true);
+    try {
+      const response = await api.getAuditLog(filters(), beforeId);
+      if (response.success) {
+        setEntries(prev => beforeId ? [...prev, ...response.entries] : response.entries);
+        setNextCursor(response.nextCursor);
+      } else {
+        toast.error(response.error || 'Failed to load audit log');
+      }
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      toast.error('Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, [action, actorUserId, from, to]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await api.exportAuditLog(filters());
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <CardTitle>Audit Log</CardTitle>
+            <CardDescription>
+              Messages sent, broadcasts, group and welcome settings changes, and admin actions
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => loadEntries()} disabled={loading}>
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleExport} disabled={exporting}>
+              {exporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+              Export CSV
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <select className={selectClassName} value={action} onChange={(e) => setAction(e.target.value)}>
+            {ACTION_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          <select className={selectClassName} value={actorUserId} onChange={(e) => setActorUserId(e.target.value)}>
+            <option value="">Anyone</option>
+            {users.map(user => (
+              <option key={user.id} value={user.id}>{user.username} ({user.email})</option>
+            ))}
+          </select>
+          <Input type="date" className="w-auto" value={from} onChange={(e) => setFrom(e.target.value)} />
+          <span className="text-sm text-gray-500">to</span>
+          <Input type="date" className="w-auto" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+
+        {entries.length === 0 ? (
+          <div className="text-center py-6 text-gray-500">
+            {loading ? <Loader2 className="h-5 w-5 animate-spin mx-auto" /> : 'No audit entries match these filters'}
+          </div>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>When</TableHead>
+                  <TableHead>Action</TableHead>
+                  <TableHead>By</TableHead>
+                  <TableHead>Target</TableHead>
+                  <TableHead>Details</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell className="text-sm text-gray-500 whitespace-nowrap">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline" className="font-mono text-xs">{entry.action}</Badge>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {entry.actorEmail || (entry.actorUserId ? `#${entry.actorUserId}` : '—')}
+                      {entry.apiKeyId && <span className="block text-xs text-gray-500">API key #{entry.apiKeyId}</span>}
+                      {entry.ipAddress && <span className="block text-xs text-gray-500">{entry.ipAddress}</span>}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {entry.targetType ? (
+                        <>
+                          {entry.targetLabel || entry.targetId}
+                          <span className="block text-xs text-gray-500">{entry.targetType}</span>
+                        </>
+                      ) : '—'}
+                    </TableCell>
+                    <TableCell className="text-xs text-gray-600 dark:text-gray-300 max-w-md break-words">
+                      {summarizeDetails(entry.details)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {nextCursor && (
+          <div className="flex justify-center">
+            <Button variant="outline" size="sm" onClick={() => loadEntries(nextCursor)} disabled={loading}>
+              {loading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Load more
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -24,8 +24,9 @@ import {
   Radio
 } from 'lucide-react';
 import { toast } from 'sonner';
-import { api } from '../lib/api';
+import { api, BroadcastRecurrence } from '../lib/api';
 import { ScrollArea } from './ui/scroll-area';
+import { TemplatePicker } from './TemplatePicker';
 
 interface BroadcastDialogProps {
   open: boolean;
@@ -56,6 +57,12 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
   const [broadcastMode, setBroadcastMode] = useState<'now' | 'schedule'>('now');
   const [scheduledDate, setScheduledDate] = useState('');
   const [scheduledTime, setScheduledTime] = useState('');
+  const [repeat, setRepeat] = useState<'none' | BroadcastRecurrence['type']>('none');
+  const [repeatDays, setRepeatDays] = useState<number[]>([]);
+  const [repeatDayOfMonth, setRepeatDayOfMonth] = useState(1);
+  const [cronExpression, setCronExpression] = useState('');
+  const [repeatEndDate, setRepeatEndDate] = useState('');
+  const [repeatMaxOccurrences, setRepeatMaxOccurrences] = useState('');
 
   const fileInputRef = useRef<HTMLInputElement>(null);
   const imageInputRef = useRef<HTMLInputElement>(null);
@@ -135,6 +142,65 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
     setSelectedGroups(new Set());
   };
 
+  const toggleRepeatDay = (day: number) => {
+    setRepeatDays(repeatDays.includes(day) ? repeatDays.filter(d => d !== day) : [...repeatDays, day]);
+  };
+
+  // Times are entered in the browser's timezone, so recurring runs follow it too
+  const buildRecurrence = (): BroadcastRecurrence | undefined => {
+    if (repeat === 'none') return undefined;
+
+    return {
+      type: repeat,
+      time: repeat === 'cron' ? undefined : scheduledTime,
+      daysOfWeek: repeat === 'weekly' ? repeatDays : undefined,
+      dayOfMonth: repeat === 'monthly' ? repeatDayOfMonth : undefined,
+      cron: repeat === 'cron' ? cronExpression.trim() : undefined,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      endDate: repeatEndDate ? new Date(`${repeatEndDate}T23:59:59`).toISOString() : undefined,
+      maxOccurrences: repeatMaxOccurrences ? parseInt(repeatMaxOccurrences) : undefined,
+    };
+  };
+
+  const resetSchedule = () => {
+    setBroadcastMode('now');
+    setScheduledDate('');
+    setScheduledTime('');
+    setRepeat('none');
+    setRepeatDays([]);
+    setRepeatDayOfMonth(1);
+    setCronExpression('');
+    setRepeatEndDate('');
+    setRepeatMaxOccurrences('');
+  };
+
+  // Offer to re-send to the groups that failed; the server re-sends the broadcast's own content and gap
+  // time and adds the outcome to the broadcast's result
+  const warnFailedGroups = (broadcastId: number, result: { totalFailed: number }) => {
+    toast.warning(`${result.totalFailed} group(s) failed`, {
+      duration: 15000,
+      action: {
+        label: 'Retry failed',
+        onClick: async () => {
+          toast.info(`Re-sending to ${result.totalFailed} group(s)...`);
+          try {
+            const retryResult = await api.retryFailedBroadcast(broadcastId);
+            if (!retryResult.success) {
+              toast.error(retryResult.error || 'Failed to broadcast message');
+            } else if (retryResult.totalFailed > 0) {
+              warnFailedGroups(broadcastId, retryResult);
+            } else {
+              toast.success(`Broadcast sent to ${retryResult.totalSent} group(s)`);
+            }
+          } catch (error) {
+            console.error('Error retrying broadcast:', error);
+            toast.error('Failed to broadcast message');
+          }
+        },
+      },
+    });
+  };
+
   const handleBroadcast = async () => {
     if (selectedGroups.size === 0) {
       toast.error('Please select at least one group');
@@ -164,7 +230,20 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
     }
 
     // Validate scheduling
-    if (broadcastMode === 'schedule') {
+    if (broadcastMode === 'schedule' && repeat !== 'none') {
+      if (!scheduledDate || (repeat !== 'cron' && !scheduledTime)) {
+        toast.error(repeat === 'cron' ? 'Please select a start date' : 'Please select a start date and time');
+        return;
+      }
+      if (repeat === 'weekly' && repeatDays.length === 0) {
+        toast.error('Please select at least one day of the week');
+        return;
+      }
+      if (repeat === 'cron' && cronExpression.trim().split(/\s+/).length !== 5) {
+        toast.error('Cron expression must have 5 fields: minute hour day month weekday');
+        return;
+      }
+    } else if (broadcastMode === 'schedule') {
       if (!scheduledDate || !scheduledTime) {
         toast.error('Please select both date and time for scheduled broadcast');
         return;
@@ -188,8 +267,8 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
       let result;
 
       if (broadcastMode === 'schedule') {
-        // Schedule the broadcast
-        const scheduledDateTime = new Date(`${scheduledDate}T${scheduledTime}`);
+        // Schedule the broadcast (for a repeating one this is when the series starts)
+        const scheduledDateTime = new Date(`${scheduledDate}T${scheduledTime || '00:00'}`);
 
         result = await api.schedulebroadcast(
           Array.from(selectedGroups),
@@ -199,7 +278,9 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
           messageType,
           pollOpts,
           gapTime,
-          allowMultipleAnswers
+          allowMultipleAnswers,
+          undefined,
+          buildRecurrence()
         );
 
         if (result.success) {
@@ -214,9 +295,7 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
           handleRemoveFile();
           setSelectedGroups(new Set());
           setGapTime(10);
-          setBroadcastMode('now');
-          setScheduledDate('');
-          setScheduledTime('');
+          resetSchedule();
           onOpenChange(false);
           onBroadcastSent?.();
         } else {
@@ -253,7 +332,7 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
         if (result.success) {
           toast.success(result.message || `Broadcast sent to ${result.totalSent} group(s)`);
           if (result.totalFailed > 0) {
-            toast.warning(`${result.totalFailed} group(s) failed`);
+            warnFailedGroups(result.broadcastId, result);
           }
 
           // Reset form
@@ -424,7 +503,22 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
           {broadcastMode === 'schedule' && (
             <div className="space-y-3">
               <div>
-                <Label htmlFor="scheduledDate">Scheduled Date</Label>
+                <Label>Repeat</Label>
+                <div className="flex gap-2 mt-1">
+                  {(['none', 'daily', 'weekly', 'monthly', 'cron'] as const).map((option) => (
+                    <Button
+                      key={option}
+                      variant={repeat === option ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => setRepeat(option)}
+                    >
+                      {option === 'none' ? 'Once' : option === 'cron' ? 'Custom (cron)' : option.charAt(0).toUpperCase() + option.slice(1)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="scheduledDate">{repeat === 'none' ? 'Scheduled Date' : 'Start Date'}</Label>
                 <Input
                   id="scheduledDate"
                   type="date"
@@ -434,21 +528,99 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
                   min={new Date().toISOString().split('T')[0]}
                 />
               </div>
-              <div>
-                <Label htmlFor="scheduledTime">Scheduled Time</Label>
-                <Input
-                  id="scheduledTime"
-                  type="time"
-                  value={scheduledTime}
-                  onChange={(e) => setScheduledTime(e.target.value)}
-                  className="mt-1"
-                />
-              </div>
-              {scheduledDate && scheduledTime && (
+              {repeat !== 'cron' && (
+                <div>
+                  <Label htmlFor="scheduledTime">{repeat === 'none' ? 'Scheduled Time' : 'Time'}</Label>
+                  <Input
+                    id="scheduledTime"
+                    type="time"
+                    value={scheduledTime}
+                    onChange={(e) => setScheduledTime(e.target.value)}
+                    className="mt-1"
+                  />
+                </div>
+              )}
+              {repeat === 'weekly' && (
+                <div>
+                  <Label>On</Label>
+                  <div className="flex gap-1 mt-1">
+                    {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, index) => (
+                      <Button
+                        key={day}
+                        variant={repeatDays.includes(index) ? 'default' : 'outline'}
+                        size="sm"
+                        onClick={() => toggleRepeatDay(index)}
+                      >
+                        {day}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {repeat === 'monthly' && (
+                <div>
+                  <Label htmlFor="repeatDayOfMonth">Day of Month</Label>
+                  <Input
+                    id="repeatDayOfMonth"
+                    type="number"
+                    min={1}
+                    max={31}
+                    value={repeatDayOfMonth}
+                    onChange={(e) => setRepeatDayOfMonth(Math.min(31, Math.max(1, parseInt(e.target.value) || 1)))}
+                    className="mt-1"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Months without this day are skipped</p>
+                </div>
+              )}
+              {repeat === 'cron' && (
+                <div>
+                  <Label htmlFor="cronExpression">Cron Expression</Label>
+                  <Input
+                    id="cronExpression"
+                    value={cronExpression}
+                    onChange={(e) => setCronExpression(e.target.value)}
+                    placeholder="0 9 * * 1-5"
+                    className="mt-1 font-mono"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">minute hour day-of-month month day-of-week</p>
+                </div>
+              )}
+              {repeat !== 'none' && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <Label htmlFor="repeatEndDate">End Date (optional)</Label>
+                    <Input
+                      id="repeatEndDate"
+                      type="date"
+                      value={repeatEndDate}
+                      onChange={(e) => setRepeatEndDate(e.target.value)}
+                      className="mt-1"
+                      min={scheduledDate || new Date().toISOString().split('T')[0]}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="repeatMaxOccurrences">Stop After (runs, optional)</Label>
+                    <Input
+                      id="repeatMaxOccurrences"
+                      type="number"
+                      min={1}
+                      value={repeatMaxOccurrences}
+                      onChange={(e) => setRepeatMaxOccurrences(e.target.value)}
+                      className="mt-1"
+                    />
+                  </div>
+                </div>
+              )}
+              {repeat === 'none' && scheduledDate && scheduledTime && (
                 <p className="text-sm text-blue-600 dark:text-blue-400">
                   Broadcast will be sent on {new Date(`${scheduledDate}T${scheduledTime}`).toLocaleString()}
                 </p>
               )}
+              {repeat !== 'none' && (
+                <p className="text-sm text-blue-600 dark:text-blue-400">
+                  Times are in your timezone ({Intl.DateTimeFormat().resolvedOptions().timeZone})
+                </p>
+              )}
             </div>
           )}
 
@@ -555,10 +727,18 @@ export function BroadcastDialog({ open, onOpenChange, onBroadcastSent }: Broadca
                 />
               </div>
               <div>
-                <Label htmlFor="message">Message</Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="message">Message</Label>
+                  <TemplatePicker
+                    value={message}
+                    onChange={setMessage}
+                    groupId={selectedGroups.size > 0 ? Array.from(selectedGroups)[0] : undefined}
+                    disabled={isSending}
+                  />
+                </div>
                 <Textarea
                   id="message"
-                  placeholder="Type your message..."
+                  placeholder="Type your message... Use {{group_name}}, {{date}} and other placeholders to personalize it per group"
                   value={message}
                   onChange={(e) => setMessage(e.target.value)}
                   disabled={isSending}
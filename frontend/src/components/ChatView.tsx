@@ -3,6 +3,7 @@ import { ScrollArea } from "@/components/ui/scroll-area";
 import { Button } from "@/components/ui/button";
 import { Languages, Reply, Heart } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { api } from "@/lib/api";
 import { MessageInput } from "./MessageInput";
 
 interface Message {
@@ -71,18 +72,7 @@ export function ChatView({ messages, groupName, groupId, onMessageSent, onReacti
 
     try {
       // Call backend translation API
-      const response = await fetch('/api/translate-message', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messageId: messageId,
-          text: messageContent
-        })
-      });
-
-      const data = await response.json();
+      const data = await api.translateMessage(messageId, messageContent);
 
       if (data.success) {
         // Store the translation
@@ -0,0 +1,128 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { UserCheck } from "lucide-react";
+import { api, CohortRetention as RetentionData, RetentionCheckpoint, RetentionPeriod } from "@/lib/api";
+
+interface CohortRetentionProps {
+  translateMode: boolean;
+  groupId: string;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const PERIODS: Array<{ value: RetentionPeriod; days: number; label: string; labelZh: string }> = [
+  { value: 'week', days: 182, label: 'Weekly cohorts', labelZh: '按周分组' },
+  { value: 'month', days: 366, label: 'Monthly cohorts', labelZh: '按月分组' },
+];
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-xs';
+
+function formatRate(rate: number | null) {
+  return rate === null ? '–' : `${Math.round(rate)}%`;
+}
+
+export function CohortRetention({ translateMode, groupId, isViewingAsAdmin = false, viewingUserId = null }: CohortRetentionProps) {
+  const [retention, setRetention] = useState<RetentionData | null>(null);
+  const [period, setPeriod] = useState<RetentionPeriod>('week');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadRetention = async () => {
+      setLoading(true);
+      try {
+        const query = { period, days: PERIODS.find(p => p.value === period)?.days };
+        const response = isViewingAsAdmin && viewingUserId
+          ? await api.viewUserCohortRetention(viewingUserId, groupId, query)
+          : await api.getCohortRetention(groupId, query);
+        if (response.success) {
+          setRetention(response.retention);
+        }
+      } catch (error) {
+        console.error('Error loading cohort retention:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRetention();
+  }, [groupId, period, isViewingAsAdmin, viewingUserId]);
+
+  // Still in the group, with the share that also posted underneath. Shaded by the retained share.
+  const renderCell = (checkpoint: RetentionCheckpoint, key: string | number) => (
+    <TableCell
+      key={key}
+      className="text-center px-2 py-1"
+      style={checkpoint.retainedRate === null ? undefined : { backgroundColor: `hsl(var(--primary) / ${(checkpoint.retainedRate / 100) * 0.35})` }}
+      title={checkpoint.due > 0
+        ? (translateMode
+          ? `${checkpoint.retained}/${checkpoint.due} 仍在群组，${checkpoint.active} 人仍在发言`
+          : `${checkpoint.retained}/${checkpoint.due} still in the group, ${checkpoint.active} still posting`)
+        : (translateMode ? "尚未到期" : "Not due yet")}
+    >
+      <div className="font-medium text-foreground">{formatRate(checkpoint.retainedRate)}</div>
+      <div className="text-muted-foreground">{formatRate(checkpoint.activeRate)}</div>
+    </TableCell>
+  );
+
+  return (
+    <Card className="border-border">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+          {translateMode ? "成员留存" : "Member retention"}
+          <UserCheck className="h-4 w-4 text-primary" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <select className={selectClassName} value={period} onChange={(e) => setPeriod(e.target.value as RetentionPeriod)}>
+          {PERIODS.map(option => (
+            <option key={option.value} value={option.value}>{translateMode ? option.labelZh : option.label}</option>
+          ))}
+        </select>
+        {!retention || retention.cohorts.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {loading
+              ? (translateMode ? "加载中..." : "Loading...")
+              : (translateMode ? "这段时间没有记录到加入的成员" : "No joins recorded in this period")}
+          </p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <Table className="text-xs">
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="h-8 px-2">{translateMode ? "加入" : "Joined"}</TableHead>
+                    <TableHead className="h-8 px-2 text-right">{translateMode ? "人数" : "Size"}</TableHead>
+                    {retention.checkpoints.map(days => (
+                      <TableHead key={days} className="h-8 px-2 text-center">{translateMode ? `${days}天` : `${days}d`}</TableHead>
+                    ))}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {retention.cohorts.map(cohort => (
+                    <TableRow key={cohort.start}>
+                      <TableCell className="px-2 py-1 whitespace-nowrap">
+                        {retention.period === 'month' ? cohort.start.slice(0, 7) : cohort.start}
+                      </TableCell>
+                      <TableCell className="px-2 py-1 text-right">{cohort.size}</TableCell>
+                      {cohort.checkpoints.map(checkpoint => renderCell(checkpoint, checkpoint.days))}
+                    </TableRow>
+                  ))}
+                  <TableRow className="font-medium">
+                    <TableCell className="px-2 py-1">{translateMode ? "合计" : "All"}</TableCell>
+                    <TableCell className="px-2 py-1 text-right">{retention.totals.size}</TableCell>
+                    {retention.totals.checkpoints.map(checkpoint => renderCell(checkpoint, checkpoint.days))}
+                  </TableRow>
+                </TableBody>
+              </Table>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {translateMode
+                ? "上：仍在群组 · 下：仍在发言（自上一个节点以来）"
+                : "Top: still in the group · Bottom: still posting (since the previous checkpoint)"}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,306 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Badge } from "@/components/ui/badge";
+import { Loader2, Pencil, Plus, Save, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { api, EventRule, EventRuleMessageType } from "@/lib/api";
+
+interface EventRulesDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  groupId?: string | null;
+  groupName: string;
+  translateMode: boolean;
+}
+
+const MESSAGE_TYPES: Array<{ value: EventRuleMessageType; label: string; labelZh: string }> = [
+  { value: 'text', label: 'Text', labelZh: '文字' },
+  { value: 'image', label: 'Image', labelZh: '图片' },
+  { value: 'video', label: 'Video', labelZh: '视频' },
+  { value: 'voice', label: 'Voice', labelZh: '语音' },
+  { value: 'document', label: 'Document', labelZh: '文件' },
+  { value: 'sticker', label: 'Sticker', labelZh: '贴纸' },
+  { value: 'poll', label: 'Poll', labelZh: '投票' },
+  { value: 'location', label: 'Location', labelZh: '位置' },
+  { value: 'contact', label: 'Contact', labelZh: '联系人' },
+];
+
+const EMPTY_RULE: EventRule = {
+  groupId: null,
+  name: '',
+  eventType: '',
+  enabled: true,
+  oncePerDay: false,
+  messageTypes: [],
+  keywords: [],
+  pattern: null,
+  senders: [],
+  timeStart: null,
+  timeEnd: null,
+  timezone: null,
+};
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+function splitList(value: string) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+export function EventRulesDialog({ open, onOpenChange, groupId, groupName, translateMode }: EventRulesDialogProps) {
+  const [rules, setRules] = useState<EventRule[]>([]);
+  const [editing, setEditing] = useState<EventRule | null>(null);
+  const [keywords, setKeywords] = useState('');
+  const [senders, setSenders] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadRules = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getEventRules(groupId || undefined);
+      if (response.success) {
+        setRules(response.rules);
+      }
+    } catch (error) {
+      console.error('Error loading event rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      setEditing(null);
+      loadRules();
+    }
+  }, [open, groupId]);
+
+  const startEditing = (rule: EventRule) => {
+    setEditing(rule);
+    setKeywords(rule.keywords.join(', '));
+    setSenders(rule.senders.join(', '));
+  };
+
+  const toggleMessageType = (type: EventRuleMessageType, checked: boolean) => {
+    setEditing(prev => prev && ({
+      ...prev,
+      messageTypes: checked ? [...prev.messageTypes, type] : prev.messageTypes.filter(t => t !== type)
+    }));
+  };
+
+  const saveRule = async (rule: EventRule) => {
+    const response = rule.id
+      ? await api.updateEventRule(rule.id, rule)
+      : await api.createEventRule(rule);
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to save event rule');
+    }
+    return response.rule as EventRule;
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+    setSaving(true);
+    try {
+      await saveRule({ ...editing, keywords: splitList(keywords), senders: splitList(senders) });
+      toast.success(translateMode ? '事件规则已保存' : 'Event rule saved');
+      setEditing(null);
+      loadRules();
+    } catch (error) {
+      console.error('Error saving event rule:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to save event rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (rule: EventRule, enabled: boolean) => {
+    try {
+      const saved = await saveRule({ ...rule, enabled });
+      setRules(prev => prev.map(r => r.id === saved.id ? saved : r));
+    } catch (error) {
+      console.error('Error updating event rule:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to update event rule');
+    }
+  };
+
+  const handleDelete = async (rule: EventRule) => {
+    const question = translateMode
+      ? `删除规则 "${rule.name}"？已创建的 ${rule.eventType} 事件会保留。`
+      : `Delete the rule "${rule.name}"? ${rule.eventType} events it already created are kept.`;
+    if (!rule.id || !window.confirm(question)) return;
+
+    try {
+      const response = await api.deleteEventRule(rule.id);
+      if (response.success) {
+        setRules(prev => prev.filter(r => r.id !== rule.id));
+        toast.success(translateMode ? '事件规则已删除' : 'Event rule deleted');
+      } else {
+        toast.error(response.error || 'Failed to delete event rule');
+      }
+    } catch (error) {
+      console.error('Error deleting event rule:', error);
+      toast.error('Failed to delete event rule');
+    }
+  };
+
+  const describeConditions = (rule: EventRule) => {
+    const parts: string[] = [];
+    if (rule.messageTypes.length > 0) {
+      parts.push(rule.messageTypes.map(type => {
+        const option = MESSAGE_TYPES.find(o => o.value === type);
+        return option ? (translateMode ? option.labelZh : option.label) : type;
+      }).join(' / '));
+    }
+    if (rule.keywords.length > 0) parts.push(`"${rule.keywords.join('", "')}"`);
+    if (rule.pattern) parts.push(`/${rule.pattern}/`);
+    if (rule.senders.length > 0) parts.push(`${rule.senders.length} ${translateMode ? '个发送者' : rule.senders.length === 1 ? 'sender' : 'senders'}`);
+    if (rule.timeStart) parts.push(`${rule.timeStart}–${rule.timeEnd}`);
+    return parts.join(' · ');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{translateMode ? "事件规则" : "Event rules"}</DialogTitle>
+          <DialogDescription>
+            {translateMode
+              ? "把符合条件的消息记录为自定义事件。群组的证书规则会取代默认的“语音 = 证书”。"
+              : "Record matching messages as custom events. A group's CERTIFICATE rules replace the default \"voice note = certificate\"."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {editing ? (
+          <div className="space-y-3 text-sm">
+            <div className="flex gap-2">
+              <Input
+                placeholder={translateMode ? "规则名称" : "Rule name"}
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+              <Input
+                className="w-44"
+                placeholder="HOMEWORK"
+                value={editing.eventType}
+                onChange={(e) => setEditing({ ...editing, eventType: e.target.value.toUpperCase() })}
+              />
+            </div>
+            {groupId && (
+              <select
+                className={selectClassName}
+                value={editing.groupId ? 'group' : 'all'}
+                onChange={(e) => setEditing({ ...editing, groupId: e.target.value === 'group' ? groupId : null })}
+              >
+                <option value="group">{translateMode ? `仅 ${groupName}` : `Only ${groupName}`}</option>
+                <option value="all">{translateMode ? "所有群组" : "All groups"}</option>
+              </select>
+            )}
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-muted-foreground">{translateMode ? "消息类型" : "Message type"}</span>
+              {MESSAGE_TYPES.map(option => (
+                <label key={option.value} className="flex items-center gap-1">
+                  <Checkbox
+                    checked={editing.messageTypes.includes(option.value)}
+                    onCheckedChange={(checked) => toggleMessageType(option.value, checked === true)}
+                  />
+                  {translateMode ? option.labelZh : option.label}
+                </label>
+              ))}
+            </div>
+            <Input
+              placeholder={translateMode ? "关键词，用逗号分隔" : "Keywords, comma separated"}
+              value={keywords}
+              onChange={(e) => setKeywords(e.target.value)}
+            />
+            <Input
+              placeholder={translateMode ? "正则表达式（可选）" : "Regex (optional)"}
+              value={editing.pattern || ''}
+              onChange={(e) => setEditing({ ...editing, pattern: e.target.value || null })}
+            />
+            <Input
+              placeholder={translateMode ? "发送者电话，用逗号分隔" : "Sender phones, comma separated"}
+              value={senders}
+              onChange={(e) => setSenders(e.target.value)}
+            />
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-muted-foreground">{translateMode ? "时间段" : "Between"}</span>
+              <Input
+                type="time"
+                className="w-auto h-9"
+                value={editing.timeStart || ''}
+                onChange={(e) => setEditing({ ...editing, timeStart: e.target.value || null })}
+              />
+              <span className="text-muted-foreground">{translateMode ? "至" : "and"}</span>
+              <Input
+                type="time"
+                className="w-auto h-9"
+                value={editing.timeEnd || ''}
+                onChange={(e) => setEditing({ ...editing, timeEnd: e.target.value || null })}
+              />
+            </div>
+            <label className="flex items-center gap-2">
+              <Checkbox
+                checked={editing.oncePerDay || editing.eventType === 'CERTIFICATE'}
+                disabled={editing.eventType === 'CERTIFICATE'}
+                onCheckedChange={(checked) => setEditing({ ...editing, oncePerDay: checked === true })}
+              />
+              {translateMode ? "每个成员每天最多一次" : "At most once per member per day"}
+            </label>
+            <div className="flex gap-2">
+              <Button size="sm" onClick={handleSave} disabled={saving || !editing.name.trim() || !editing.eventType.trim()}>
+                {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                {translateMode ? "保存" : "Save"}
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setEditing(null)}>
+                {translateMode ? "取消" : "Cancel"}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="max-h-80 overflow-y-auto space-y-2">
+              {loading ? (
+                <p className="text-center text-muted-foreground py-8">{translateMode ? "加载中..." : "Loading..."}</p>
+              ) : rules.length === 0 ? (
+                <p className="text-center text-muted-foreground py-8">{translateMode ? "还没有事件规则" : "No event rules yet"}</p>
+              ) : (
+                rules.map(rule => (
+                  <div key={rule.id} className="flex items-start gap-3 p-3 border border-border rounded-lg">
+                    <Checkbox
+                      className="mt-1"
+                      checked={rule.enabled}
+                      title={translateMode ? "启用" : "Enabled"}
+                      onCheckedChange={(checked) => handleToggleEnabled(rule, checked === true)}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-foreground">
+                        {rule.name}
+                        <Badge variant="secondary" className="ml-2">{rule.eventType}</Badge>
+                        {!rule.groupId && <Badge variant="outline" className="ml-2">{translateMode ? "所有群组" : "All groups"}</Badge>}
+                      </p>
+                      <p className="text-xs text-muted-foreground mt-1 break-words">{describeConditions(rule)}</p>
+                    </div>
+                    <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={() => startEditing(rule)}>
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" className="h-8 w-8 p-0" onClick={() => handleDelete(rule)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))
+              )}
+            </div>
+            <Button size="sm" variant="outline" onClick={() => startEditing({ ...EMPTY_RULE, groupId: groupId || null })}>
+              <Plus className="h-4 w-4 mr-2" />
+              {translateMode ? "新建规则" : "New rule"}
+            </Button>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { LineChart } from "lucide-react";
+import { api, GroupGrowth as GrowthData } from "@/lib/api";
+
+interface GroupGrowthProps {
+  translateMode: boolean;
+  groupId: string;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const PERIODS = [
+  { days: 7, label: '7 days', labelZh: '7天' },
+  { days: 30, label: '30 days', labelZh: '30天' },
+  { days: 90, label: '90 days', labelZh: '90天' },
+];
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-xs';
+
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 60;
+
+function signed(value: number) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+export function GroupGrowth({ translateMode, groupId, isViewingAsAdmin = false, viewingUserId = null }: GroupGrowthProps) {
+  const [growth, setGrowth] = useState<GrowthData | null>(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadGrowth = async () => {
+      setLoading(true);
+      try {
+        const response = isViewingAsAdmin && viewingUserId
+          ? await api.viewUserGroupGrowth(viewingUserId, groupId, { days })
+          : await api.getGroupGrowth(groupId, { days });
+        if (response.success) {
+          setGrowth(response.growth);
+        }
+      } catch (error) {
+        console.error('Error loading group growth:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadGrowth();
+  }, [groupId, days, isViewingAsAdmin, viewingUserId]);
+
+  const snapshots = growth ? growth.series.filter(day => day.memberCount !== null) : [];
+  const unexplainedDays = growth ? growth.series.filter(day => day.unexplained) : [];
+  const latest = snapshots[snapshots.length - 1];
+
+  // Member count line, one point per day that has a snapshot
+  const counts = snapshots.map(day => day.memberCount as number);
+  const min = Math.min(...counts);
+  const range = Math.max(1, Math.max(...counts) - min);
+  const step = growth && growth.series.length > 1 ? CHART_WIDTH / (growth.series.length - 1) : 0;
+  const points = growth ? growth.series
+    .map((day, index) => day.memberCount === null ? null : `${index * step},${CHART_HEIGHT - ((day.memberCount - min) / range) * (CHART_HEIGHT - 4) - 2}`)
+    .filter(Boolean)
+    .join(' ') : '';
+
+  return (
+    <Card className="border-border">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+          {translateMode ? "群组增长" : "Group growth"}
+          <LineChart className="h-4 w-4 text-primary" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <select className={selectClassName} value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+          {PERIODS.map(period => (
+            <option key={period.days} value={period.days}>{translateMode ? period.labelZh : period.label}</option>
+          ))}
+        </select>
+        {!growth ? (
+          <p className="text-sm text-muted-foreground">
+            {loading ? (translateMode ? "加载中..." : "Loading...") : (translateMode ? "没有数据" : "No data")}
+          </p>
+        ) : (
+          <>
+            {latest ? (
+              <p className="text-2xl font-bold text-foreground">
+                {latest.memberCount}
+                {growth.totals.countChange !== null && growth.totals.countChange !== 0 && (
+                  <span className={growth.totals.countChange > 0 ? "ml-2 text-sm text-green-600" : "ml-2 text-sm text-red-600"}>
+                    {signed(growth.totals.countChange)}
+                  </span>
+                )}
+              </p>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                {translateMode ? "还没有成员数快照，每天结束时记录一次" : "No member count snapshots yet. One is taken at the end of each day."}
+              </p>
+            )}
+            {snapshots.length > 1 && (
+              <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-16" preserveAspectRatio="none">
+                <polyline points={points} fill="none" stroke="currentColor" strokeWidth={2} className="text-primary" vectorEffect="non-scaling-stroke" />
+              </svg>
+            )}
+            <p className="text-xs text-muted-foreground">
+              +{growth.totals.joins} {translateMode ? "加入" : "joined"}
+              {' · '}-{growth.totals.leaves} {translateMode ? "离开" : "left"}
+              {' · '}{translateMode ? "净变化" : "net"} {signed(growth.totals.netChange)}
+            </p>
+            {unexplainedDays.length > 0 && (
+              <p
+                className="text-xs text-amber-600 dark:text-amber-400"
+                title={unexplainedDays.map(day => `${day.date}: ${signed(day.unexplained as number)}`).join('\n')}
+              >
+                {translateMode
+                  ? `${unexplainedDays.length} 天的成员数变化与记录的加入/离开不符`
+                  : `${unexplainedDays.length} ${unexplainedDays.length === 1 ? 'day' : 'days'} where the member count doesn't match recorded joins and leaves`}
+              </p>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
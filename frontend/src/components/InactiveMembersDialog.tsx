@@ -0,0 +1,190 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Badge } from "@/components/ui/badge";
+import { Loader2, UserX } from "lucide-react";
+import { toast } from "sonner";
+import { api, InactiveMember } from "@/lib/api";
+
+interface InactiveMembersDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  groupId: string;
+  groupName: string;
+  translateMode: boolean;
+}
+
+function formatDate(timestamp: string | null) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : '—';
+}
+
+export function InactiveMembersDialog({ open, onOpenChange, groupId, groupName, translateMode }: InactiveMembersDialogProps) {
+  const [days, setDays] = useState(30);
+  const [includeAdmins, setIncludeAdmins] = useState(false);
+  const [gapSeconds, setGapSeconds] = useState(15);
+  const [members, setMembers] = useState<InactiveMember[]>([]);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [loading, setLoading] = useState(false);
+  const [removing, setRemoving] = useState(false);
+
+  const loadMembers = async () => {
+    if (!days || days < 1) return;
+    setLoading(true);
+    try {
+      const response = await api.getInactiveMembers(groupId, days, includeAdmins);
+      if (response.success) {
+        setMembers(response.members);
+        setSelected(new Set());
+      } else {
+        toast.error(response.error || 'Failed to load inactive members');
+      }
+    } catch (error) {
+      console.error('Error loading inactive members:', error);
+      toast.error('Failed to load inactive members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      loadMembers();
+    }
+  }, [open, groupId, days, includeAdmins]);
+
+  const toggleMember = (memberId: string, checked: boolean) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (checked) next.add(memberId);
+      else next.delete(memberId);
+      return next;
+    });
+  };
+
+  const handleRemove = async () => {
+    const question = translateMode
+      ? `从 ${groupName} 移出 ${selected.size} 名成员？每 ${gapSeconds} 秒移出一名。`
+      : `Remove ${selected.size} members from ${groupName}? One member is removed every ${gapSeconds} seconds.`;
+    if (!window.confirm(question)) return;
+
+    setRemoving(true);
+    try {
+      const response = await api.removeInactiveMembers(groupId, Array.from(selected), days, gapSeconds);
+      if (response.success) {
+        toast.success(translateMode
+          ? `正在移出 ${response.queued.length} 名成员`
+          : `Removing ${response.queued.length} members over about ${Math.ceil(response.estimatedSeconds / 60)} min`);
+        if (response.skipped.length > 0) {
+          toast.warning(translateMode
+            ? `${response.skipped.length} 名成员已不再不活跃，已跳过`
+            : `${response.skipped.length} members are no longer inactive and were skipped`);
+        }
+        setSelected(new Set());
+      } else {
+        toast.error(response.error || 'Failed to remove members');
+      }
+    } catch (error) {
+      console.error('Error removing members:', error);
+      toast.error('Failed to remove members');
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{translateMode ? "不活跃成员" : "Inactive members"}</DialogTitle>
+          <DialogDescription>
+            {translateMode
+              ? `${groupName} 中在指定天数内没有消息、证书或加入记录的成员`
+              : `Members of ${groupName} with no message, certificate or join in the period`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>{translateMode ? "不活跃天数" : "Inactive for"}</span>
+          <Input
+            type="number"
+            min={1}
+            className="w-20 h-8"
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value) || 0)}
+          />
+          <span>{translateMode ? "天" : "days"}</span>
+          <label className="flex items-center gap-2 ml-auto">
+            <Checkbox checked={includeAdmins} onCheckedChange={(checked) => setIncludeAdmins(checked === true)} />
+            {translateMode ? "包括管理员" : "Include admins"}
+          </label>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto space-y-2">
+          {loading ? (
+            <p className="text-center text-muted-foreground py-8">{translateMode ? "加载中..." : "Loading..."}</p>
+          ) : members.length === 0 ? (
+            <p className="text-center text-muted-foreground py-8">{translateMode ? "没有不活跃成员" : "No inactive members"}</p>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 text-sm text-muted-foreground px-1">
+                <Checkbox
+                  checked={selected.size === members.length}
+                  onCheckedChange={(checked) => setSelected(checked === true ? new Set(members.map(m => m.id)) : new Set())}
+                />
+                {translateMode ? `全选（${members.length}）` : `Select all (${members.length})`}
+              </label>
+              {members.map(member => (
+                <label key={member.id} className="flex items-start gap-3 p-3 border border-border rounded-lg hover:bg-accent transition-colors cursor-pointer">
+                  <Checkbox
+                    className="mt-1"
+                    checked={selected.has(member.id)}
+                    onCheckedChange={(checked) => toggleMember(member.id, checked === true)}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-foreground">
+                      {member.name}
+                      {member.isAdmin && <Badge variant="secondary" className="ml-2">{translateMode ? "管理员" : "Admin"}</Badge>}
+                    </p>
+                    <p className="text-xs text-primary">{member.phone}</p>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {translateMode ? "加入" : "Joined"}: {formatDate(member.joinedAt)}
+                      {' · '}
+                      {translateMode ? "最后消息" : "Last message"}: {formatDate(member.lastMessageAt)}
+                    </p>
+                  </div>
+                  <span className="text-sm font-medium text-muted-foreground whitespace-nowrap">
+                    {member.inactiveDays}{translateMode ? " 天" : "d"}
+                  </span>
+                </label>
+              ))}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <span>{translateMode ? "间隔" : "Gap"}</span>
+          <Input
+            type="number"
+            min={10}
+            className="w-20 h-8"
+            value={gapSeconds}
+            onChange={(e) => setGapSeconds(parseInt(e.target.value) || 0)}
+          />
+          <span>{translateMode ? "秒" : "seconds"}</span>
+          <Button
+            variant="destructive"
+            size="sm"
+            className="ml-auto"
+            onClick={handleRemove}
+            disabled={selected.size === 0 || removing || gapSeconds < 10}
+          >
+            {removing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <UserX className="h-4 w-4 mr-2" />}
+            {translateMode ? `移出所选（${selected.size}）` : `Remove selected (${selected.size})`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Award, Loader2, Send } from "lucide-react";
+import { toast } from "sonner";
+import { api, LeaderboardEntry, LeaderboardMetric } from "@/lib/api";
+
+interface LeaderboardProps {
+  translateMode: boolean;
+  groupId: string;
+  onMemberClick?: (memberId: string) => void;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const METRICS: Array<{ value: LeaderboardMetric; label: string; labelZh: string }> = [
+  { value: 'score', label: 'Score', labelZh: '参与度' },
+  { value: 'messages', label: 'Messages', labelZh: '消息' },
+  { value: 'replies', label: 'Replies', labelZh: '回复' },
+  { value: 'certificates', label: 'Certificates', labelZh: '证书' },
+];
+
+const PERIODS = [
+  { days: 7, label: '7 days', labelZh: '7天' },
+  { days: 30, label: '30 days', labelZh: '30天' },
+  { days: 0, label: 'All time', labelZh: '全部' },
+];
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-xs';
+
+export function Leaderboard({ translateMode, groupId, onMemberClick, isViewingAsAdmin = false, viewingUserId = null }: LeaderboardProps) {
+  const [entries, setEntries] = useState<LeaderboardEntry[]>([]);
+  const [metric, setMetric] = useState<LeaderboardMetric>('score');
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  useEffect(() => {
+    const loadLeaderboard = async () => {
+      setLoading(true);
+      try {
+        const query = { metric, days, limit: 10 };
+        const response = isViewingAsAdmin && viewingUserId
+          ? await api.viewUserLeaderboard(viewingUserId, groupId, query)
+          : await api.getLeaderboard(groupId, query);
+        if (response.success) {
+          setEntries(response.entries);
+        }
+      } catch (error) {
+        console.error('Error loading leaderboard:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLeaderboard();
+  }, [groupId, metric, days, isViewingAsAdmin, viewingUserId]);
+
+  const handlePost = async () => {
+    setPosting(true);
+    try {
+      const response = await api.postLeaderboard(groupId, { metric, days, limit: 10 });
+      if (response.success) {
+        toast.success(translateMode ? '排行榜已发送到群组' : 'Leaderboard posted to the group');
+      } else {
+        toast.error(response.error || 'Failed to post leaderboard');
+      }
+    } catch (error) {
+      console.error('Error posting leaderboard:', error);
+      toast.error('Failed to post leaderboard');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <Card className="border-border">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+          {translateMode ? "排行榜" : "Leaderboard"}
+          <Award className="h-4 w-4 text-primary" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <div className="flex items-center gap-2">
+          <select className={selectClassName} value={metric} onChange={(e) => setMetric(e.target.value as LeaderboardMetric)}>
+            {METRICS.map(option => (
+              <option key={option.value} value={option.value}>{translateMode ? option.labelZh : option.label}</option>
+            ))}
+          </select>
+          <select className={selectClassName} value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+            {PERIODS.map(period => (
+              <option key={period.days} value={period.days}>{translateMode ? period.labelZh : period.label}</option>
+            ))}
+          </select>
+          {!isViewingAsAdmin && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="ml-auto h-8"
+              onClick={handlePost}
+              disabled={posting || entries.length === 0}
+              title={translateMode ? "发送到群组" : "Post to group"}
+            >
+              {posting ? <Loader2 className="h-3 w-3 animate-spin" /> : <Send className="h-3 w-3" />}
+            </Button>
+          )}
+        </div>
+        {entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {loading ? (translateMode ? "加载中..." : "Loading...") : (translateMode ? "此期间没有活动" : "No activity in this period")}
+          </p>
+        ) : (
+          <div className="space-y-1">
+            {entries.map(entry => (
+              <button
+                key={entry.memberId}
+                type="button"
+                className="w-full flex items-center justify-between gap-2 rounded px-1 py-0.5 text-sm hover:bg-accent transition-colors"
+                onClick={() => onMemberClick?.(entry.memberId)}
+              >
+                <span className="truncate text-left">
+                  <span className="text-muted-foreground mr-2">{entry.rank}.</span>
+                  {entry.name}
+                </span>
+                <span className="font-medium text-primary">{entry.value}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
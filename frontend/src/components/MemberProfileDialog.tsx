@@ -0,0 +1,134 @@
+import { useState, useEffect } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { api, MemberProfile } from "@/lib/api";
+
+interface MemberProfileDialogProps {
+  memberId: string | null;
+  onClose: () => void;
+  translateMode: boolean;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+function formatDate(timestamp: string | null) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : '—';
+}
+
+export function MemberProfileDialog({ memberId, onClose, translateMode, isViewingAsAdmin = false, viewingUserId = null }: MemberProfileDialogProps) {
+  const [profile, setProfile] = useState<MemberProfile | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!memberId) return;
+
+    const loadProfile = async () => {
+      setLoading(true);
+      setProfile(null);
+      setError(null);
+      try {
+        const response = isViewingAsAdmin && viewingUserId
+          ? await api.viewUserMemberProfile(viewingUserId, memberId)
+          : await api.getMemberProfile(memberId);
+        if (response.success) {
+          setProfile(response.profile);
+        } else {
+          setError(response.error || 'Failed to load member profile');
+        }
+      } catch (err) {
+        console.error('Error loading member profile:', err);
+        setError('Failed to load member profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProfile();
+  }, [memberId, isViewingAsAdmin, viewingUserId]);
+
+  const totals = profile ? [
+    { label: translateMode ? "参与度" : "Score", value: profile.totals.score },
+    { label: translateMode ? "消息" : "Messages", value: profile.totals.messages },
+    { label: translateMode ? "回复" : "Replies sent", value: profile.totals.repliesSent },
+    { label: translateMode ? "被回复" : "Replies received", value: profile.totals.repliesReceived },
+    { label: translateMode ? "证书" : "Certificates", value: profile.totals.certificates },
+    { label: translateMode ? "活跃天数" : "Active days", value: profile.totals.activeDays },
+  ] : [];
+
+  return (
+    <Dialog open={!!memberId} onOpenChange={(open) => { if (!open) onClose(); }}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            {profile ? profile.name : (translateMode ? "成员资料" : "Member profile")}
+          </DialogTitle>
+          {profile && <p className="text-sm text-primary">{profile.memberId}</p>}
+        </DialogHeader>
+        <div className="max-h-[28rem] overflow-y-auto space-y-4">
+          {loading ? (
+            <p className="text-center text-muted-foreground py-8">{translateMode ? "加载中..." : "Loading..."}</p>
+          ) : error ? (
+            <p className="text-center text-muted-foreground py-8">{error}</p>
+          ) : profile && (
+            <>
+              <div className="grid grid-cols-3 gap-2">
+                {totals.map(item => (
+                  <div key={item.label} className="p-2 border border-border rounded-lg text-center">
+                    <p className="text-lg font-bold text-foreground">{item.value}</p>
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {translateMode ? "首次出现" : "First seen"}: {formatDate(profile.totals.firstActivity)}
+                {' · '}
+                {translateMode ? "最后出现" : "Last seen"}: {formatDate(profile.totals.lastActivity)}
+              </p>
+
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-foreground">{translateMode ? "群组" : "Groups"}</p>
+                {profile.groups.map(group => (
+                  <div key={group.groupId} className="p-3 border border-border rounded-lg">
+                    <div className="flex justify-between items-start gap-2">
+                      <p className="font-medium text-foreground">{group.groupName}</p>
+                      {group.isMember === false && (
+                        <Badge variant="outline">{translateMode ? "已离开" : "Not a member"}</Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {group.score} {translateMode ? "分" : "points"}
+                      {' · '}{group.messages} {translateMode ? "条消息" : "messages"}
+                      {' · '}{group.repliesSent + group.repliesReceived} {translateMode ? "回复" : "replies"}
+                      {' · '}{group.certificates} {translateMode ? "证书" : "certificates"}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {formatDate(group.firstActivity)} – {formatDate(group.lastActivity)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {profile.history.length > 0 && (
+                <div className="space-y-2">
+                  <p className="text-sm font-medium text-foreground">{translateMode ? "加入/离开记录" : "Joins and leaves"}</p>
+                  {profile.history.map(event => (
+                    <div key={`${event.groupId}-${event.type}-${event.timestamp}`} className="flex justify-between text-sm">
+                      <span className={event.type === 'JOIN' ? "text-green-600" : "text-red-600"}>
+                        {event.type === 'JOIN'
+                          ? (translateMode ? "加入" : "Joined")
+                          : event.type === 'REMOVED'
+                          ? (translateMode ? "被移出" : "Removed from")
+                          : (translateMode ? "离开" : "Left")} {event.groupName}
+                      </span>
+                      <span className="text-muted-foreground">{new Date(event.timestamp).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
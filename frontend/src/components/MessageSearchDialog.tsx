@@ -0,0 +1,159 @@
+import { useState, useEffect, FormEvent } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Loader2, Search } from "lucide-react";
+import { toast } from "sonner";
+import { api, SearchResult, SearchSort } from "@/lib/api";
+
+interface MessageSearchDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  translateMode: boolean;
+  // Offered as a scope when a group is open
+  groupId?: string | null;
+  groupName?: string;
+  onSelectResult?: (result: SearchResult) => void;
+}
+
+const PAGE_SIZE = 25;
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+export function MessageSearchDialog({ open, onOpenChange, translateMode, groupId, groupName, onSelectResult }: MessageSearchDialogProps) {
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState<SearchSort>('relevance');
+  const [onlyThisGroup, setOnlyThisGroup] = useState(false);
+  // The search the current results belong to, so "Load more" keeps using it after the input changes
+  const [submitted, setSubmitted] = useState<{ query: string; sort: SearchSort; groupId?: string } | null>(null);
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!groupId) setOnlyThisGroup(false);
+  }, [groupId]);
+
+  const runSearch = async (search: { query: string; sort: SearchSort; groupId?: string }, cursor?: string) => {
+    setLoading(true);
+    try {
+      const response = await api.searchMessages(search.query, search.groupId, PAGE_SIZE, search.sort, cursor);
+      if (response.success) {
+        setResults(prev => cursor ? [...prev, ...response.results] : response.results);
+        setTotal(response.total);
+        setNextCursor(response.nextCursor);
+        setSubmitted(search);
+      } else {
+        toast.error(response.error || 'Search failed');
+      }
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      toast.error('Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    runSearch({ query: query.trim(), sort, groupId: onlyThisGroup && groupId ? groupId : undefined });
+  };
+
+  const handleLoadMore = () => {
+    if (submitted && nextCursor) {
+      runSearch(submitted, nextCursor);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Search className="h-5 w-5" />
+            {translateMode ? "搜索消息" : "Search messages"}
+          </DialogTitle>
+          <DialogDescription>
+            {translateMode
+              ? "支持 OR、-排除、\"短语\"、前缀*，以及 from: group: before: after: has:reply 筛选"
+              : "Supports OR, -exclude, \"phrases\", prefix*, and from: group: before: after: has:reply filters"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <div className="flex gap-2">
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={translateMode ? "搜索..." : "Search..."}
+              autoFocus
+            />
+            <select className={selectClassName} value={sort} onChange={(e) => setSort(e.target.value as SearchSort)}>
+              <option value="relevance">{translateMode ? "相关度" : "Relevance"}</option>
+              <option value="recent">{translateMode ? "最新" : "Most recent"}</option>
+            </select>
+            <Button type="submit" disabled={loading || !query.trim()}>
+              {loading && results.length === 0 ? <Loader2 className="h-4 w-4 animate-spin" /> : (translateMode ? "搜索" : "Search")}
+            </Button>
+          </div>
+          {groupId && (
+            <label className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Checkbox checked={onlyThisGroup} onCheckedChange={(checked) => setOnlyThisGroup(checked === true)} />
+              {translateMode ? `仅搜索 ${groupName || groupId}` : `Only ${groupName || groupId}`}
+            </label>
+          )}
+        </form>
+
+        {submitted && (
+          <div className="space-y-2">
+            <p className="text-xs text-muted-foreground">
+              {translateMode
+                ? `共 ${total} 条结果，已显示 ${results.length} 条`
+                : `${total} ${total === 1 ? 'result' : 'results'}, showing ${results.length}`}
+              {submitted.sort !== sort || submitted.query !== query.trim()
+                ? (translateMode ? "（按搜索更新）" : " (press Search to update)")
+                : ''}
+            </p>
+            <div className="max-h-[50vh] overflow-y-auto space-y-1">
+              {results.length === 0 ? (
+                <p className="text-sm text-muted-foreground py-4 text-center">{translateMode ? "没有找到消息" : "No messages found"}</p>
+              ) : results.map(result => (
+                <button
+                  key={result.id}
+                  type="button"
+                  className="w-full text-left rounded-md border border-border p-2 hover:bg-accent transition-colors"
+                  onClick={() => onSelectResult?.(result)}
+                >
+                  <div className="flex items-center justify-between gap-2 text-xs text-muted-foreground">
+                    <span className="truncate">
+                      <span className="font-medium text-foreground">{result.sender}</span> · {result.groupName}
+                    </span>
+                    <span className="whitespace-nowrap">{new Date(result.timestamp).toLocaleString()}</span>
+                  </div>
+                  {/* The server escapes the snippet and only adds <mark> around matches */}
+                  {result.snippet ? (
+                    <p
+                      className="text-sm text-foreground break-words [&_mark]:bg-yellow-200 [&_mark]:text-foreground dark:[&_mark]:bg-yellow-700"
+                      dangerouslySetInnerHTML={{ __html: result.snippet }}
+                    />
+                  ) : (
+                    <p className="text-sm text-foreground break-words line-clamp-3">{result.message}</p>
+                  )}
+                </button>
+              ))}
+            </div>
+            {nextCursor && (
+              <Button variant="outline" size="sm" className="w-full" onClick={handleLoadMore} disabled={loading}>
+                {loading ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                {translateMode ? "加载更多" : "Load more"}
+              </Button>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
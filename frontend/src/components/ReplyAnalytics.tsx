@@ -0,0 +1,188 @@
+import { useState, useEffect } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Download, Loader2, MessagesSquare } from "lucide-react";
+import { toast } from "sonner";
+import { api, ReplyAnalytics as ReplyData, UnansweredQuestion } from "@/lib/api";
+
+interface ReplyAnalyticsProps {
+  translateMode: boolean;
+  groupId: string;
+  onMemberClick?: (memberId: string) => void;
+  isViewingAsAdmin?: boolean;
+  viewingUserId?: number | null;
+}
+
+const PERIODS = [
+  { days: 7, label: '7 days', labelZh: '7天' },
+  { days: 30, label: '30 days', labelZh: '30天' },
+  { days: 0, label: 'All time', labelZh: '全部' },
+];
+
+const selectClassName = 'h-8 rounded-md border border-input bg-background px-2 text-xs';
+
+function formatDuration(seconds: number | null, translateMode: boolean) {
+  if (seconds === null) return '–';
+  if (seconds < 60) return translateMode ? `${seconds}秒` : `${seconds}s`;
+  if (seconds < 3600) return translateMode ? `${Math.round(seconds / 60)}分钟` : `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return translateMode ? `${Math.round(seconds / 360) / 10}小时` : `${Math.round(seconds / 360) / 10}h`;
+  return translateMode ? `${Math.round(seconds / 8640) / 10}天` : `${Math.round(seconds / 8640) / 10}d`;
+}
+
+export function ReplyAnalytics({ translateMode, groupId, onMemberClick, isViewingAsAdmin = false, viewingUserId = null }: ReplyAnalyticsProps) {
+  const [analytics, setAnalytics] = useState<ReplyData | null>(null);
+  const [unanswered, setUnanswered] = useState<UnansweredQuestion[]>([]);
+  const [unansweredTotal, setUnansweredTotal] = useState(0);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const loadReplies = async () => {
+      setLoading(true);
+      try {
+        const asAdmin = isViewingAsAdmin && viewingUserId;
+        const [analyticsResponse, unansweredResponse] = await Promise.all([
+          asAdmin ? api.viewUserReplyAnalytics(viewingUserId, groupId, { days, limit: 5 }) : api.getReplyAnalytics(groupId, { days, limit: 5 }),
+          asAdmin ? api.viewUserUnansweredQuestions(viewingUserId, groupId, { days, limit: 5 }) : api.getUnansweredQuestions(groupId, { days, limit: 5 }),
+        ]);
+        if (analyticsResponse.success) {
+          setAnalytics(analyticsResponse);
+        }
+        if (unansweredResponse.success) {
+          setUnanswered(unansweredResponse.messages);
+          setUnansweredTotal(unansweredResponse.total);
+        }
+      } catch (error) {
+        console.error('Error loading reply analytics:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadReplies();
+  }, [groupId, days, isViewingAsAdmin, viewingUserId]);
+
+  const handleExport = async (format: 'json' | 'graphml') => {
+    setExporting(true);
+    try {
+      const blob = isViewingAsAdmin && viewingUserId
+        ? await api.viewUserExportReplyGraph(viewingUserId, groupId, format, { days })
+        : await api.exportReplyGraph(groupId, format, { days });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `replies-${groupId.split('@')[0]}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting reply graph:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to export reply graph');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const times = analytics?.responseTimes;
+
+  return (
+    <Card className="border-border">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium text-muted-foreground flex items-center justify-between">
+          {translateMode ? "回复分析" : "Replies"}
+          <MessagesSquare className="h-4 w-4 text-primary" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center gap-2">
+          <select className={selectClassName} value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+            {PERIODS.map(period => (
+              <option key={period.days} value={period.days}>{translateMode ? period.labelZh : period.label}</option>
+            ))}
+          </select>
+          <div className="ml-auto flex gap-1">
+            {(['json', 'graphml'] as const).map(format => (
+              <Button
+                key={format}
+                variant="outline"
+                size="sm"
+                className="h-8 px-2 text-xs"
+                onClick={() => handleExport(format)}
+                disabled={exporting || !analytics || analytics.replies === 0}
+                title={translateMode ? "导出回复关系图" : "Export who-replies-to-whom graph"}
+              >
+                {exporting ? <Loader2 className="h-3 w-3 animate-spin" /> : <Download className="h-3 w-3 mr-1" />}
+                {format === 'json' ? 'JSON' : 'GraphML'}
+              </Button>
+            ))}
+          </div>
+        </div>
+        {!analytics || !times ? (
+          <p className="text-sm text-muted-foreground">
+            {loading ? (translateMode ? "加载中..." : "Loading...") : (translateMode ? "没有数据" : "No data")}
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <p className="text-2xl font-bold text-foreground">{formatDuration(times.medianSeconds, translateMode)}</p>
+                <p className="text-xs text-muted-foreground" title={`p90: ${formatDuration(times.p90Seconds, translateMode)}`}>
+                  {translateMode ? "问题首次回复中位时间" : "Median time to first reply"}
+                </p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-foreground">{times.answerRate === null ? '–' : `${Math.round(times.answerRate)}%`}</p>
+                <p className="text-xs text-muted-foreground">
+                  {translateMode
+                    ? `${times.questions} 个问题中 ${times.answered} 个有回复`
+                    : `${times.answered} of ${times.questions} questions answered`}
+                </p>
+              </div>
+            </div>
+
+            {analytics.mostRepliedTo.length > 0 && (
+              <div className="space-y-1">
+                <p className="text-xs font-medium text-muted-foreground">{translateMode ? "最常被回复" : "Most replied to"}</p>
+                {analytics.mostRepliedTo.map(member => (
+                  <button
+                    key={member.memberId}
+                    type="button"
+                    className="w-full flex items-center justify-between gap-2 rounded px-1 py-0.5 text-sm hover:bg-accent transition-colors"
+                    onClick={() => onMemberClick?.(member.memberId)}
+                    title={translateMode ? `${member.repliedBy} 位成员回复过` : `Replied to by ${member.repliedBy} ${member.repliedBy === 1 ? 'member' : 'members'}`}
+                  >
+                    <span className="truncate text-left">{member.name}</span>
+                    <span className="font-medium text-primary">{member.repliesReceived}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {unansweredTotal > 0 && (
+              <div className="space-y-1">
+                <p className="text-xs font-medium text-amber-600 dark:text-amber-400">
+                  {translateMode ? `${unansweredTotal} 个问题无人回复` : `${unansweredTotal} unanswered ${unansweredTotal === 1 ? 'question' : 'questions'}`}
+                </p>
+                {unanswered.map(question => (
+                  <div key={question.id} className="text-xs border-l-2 border-amber-400 pl-2">
+                    <p className="text-foreground line-clamp-2 break-words">{question.message}</p>
+                    <p className="text-muted-foreground">
+                      {question.name} · {translateMode ? `已等待 ${formatDuration(question.waitingSeconds, true)}` : `waiting ${formatDuration(question.waitingSeconds, false)}`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {analytics.unresolvedReplies > 0 && (
+              <p className="text-xs text-muted-foreground">
+                {translateMode
+                  ? `${analytics.unresolvedReplies} 条回复引用的消息未被记录，未计入`
+                  : `${analytics.unresolvedReplies} ${analytics.unresolvedReplies === 1 ? 'reply quotes a message' : 'replies quote messages'} that weren't captured and aren't counted`}
+              </p>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
@@ -18,9 +18,9 @@ import {
   TableRow,
 } from "./ui/table";
 import { Badge } from './ui/badge';
-import { Calendar, Clock, Trash2, Edit, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { Calendar, Clock, Trash2, Edit, CheckCircle, XCircle, Loader2, Pause, Play, Repeat, History, RotateCcw } from 'lucide-react';
 import { toast } from 'sonner';
-import { api } from '../lib/api';
+import { api, BroadcastRecurrence, ScheduledBroadcastStatus } from '../lib/api';
 import { ScrollArea } from './ui/scroll-area';
 
 interface ScheduledBroadcastsDialogProps {
@@ -38,21 +38,52 @@ interface ScheduledBroadcast {
   allow_multiple_answers: boolean;
   gap_time: number;
   scheduled_time: string;
-  status: 'pending' | 'sent' | 'failed' | 'executing';
+  status: ScheduledBroadcastStatus | 'executing';
   created_at: string;
   executed_at: string | null;
   result_summary: string | null;
   has_file: boolean;
   file_name: string | null;
+  is_recurring: boolean;
+  recurrence: BroadcastRecurrence | null;
+  timezone: string | null;
+  ends_at: string | null;
+  max_occurrences: number | null;
+  occurrence_count: number;
+  paused_at: string | null;
 }
 
+interface BroadcastExecution {
+  id: number;
+  occurrence: number;
+  retry_of: number | null;
+  scheduled_time: string;
+  started_at: string;
+  finished_at: string | null;
+  status: 'executing' | 'sent' | 'failed';
+  result_summary: { totalSent: number; totalFailed: number; error?: string } | null;
+  deliveries: {
+    group_id: string;
+    status: 'pending' | 'sent' | 'failed';
+    attempts: number;
+    next_attempt_at: string | null;
+    last_error: string | null;
+    sent_at: string | null;
+  }[];
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 export function ScheduledBroadcastsDialog({ open, onOpenChange, adminViewUserId }: ScheduledBroadcastsDialogProps) {
   const [broadcasts, setBroadcasts] = useState<ScheduledBroadcast[]>([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [filterStatus, setFilterStatus] = useState<'all' | 'pending' | 'sent' | 'failed'>('all');
+  const [filterStatus, setFilterStatus] = useState<ScheduledBroadcastStatus | 'all'>('all');
   const [editingId, setEditingId] = useState<number | null>(null);
   const [editDate, setEditDate] = useState('');
   const [editTime, setEditTime] = useState('');
+  const [historyId, setHistoryId] = useState<number | null>(null);
+  const [executions, setExecutions] = useState<BroadcastExecution[]>([]);
+  const [isLoadingExecutions, setIsLoadingExecutions] = useState(false);
 
   useEffect(() => {
     if (open) {
@@ -110,6 +141,108 @@ export function ScheduledBroadcastsDialog({ open, onOpenChange, adminViewUserId
     }
   };
 
+  const handleTogglePause = async (broadcast: ScheduledBroadcast) => {
+    try {
+      const result = broadcast.status === 'paused'
+        ? await api.resumeScheduledBroadcast(broadcast.id)
+        : await api.pauseScheduledBroadcast(broadcast.id);
+      if (result.success) {
+        toast.success(result.message);
+        loadScheduledBroadcasts();
+      } else {
+        toast.error(result.error || 'Failed to update broadcast');
+      }
+    } catch (error) {
+      console.error('Error pausing/resuming broadcast:', error);
+      toast.error('Failed to update broadcast');
+    }
+  };
+
+  const handleRetryFailed = async (id: number, executionId?: number) => {
+    try {
+      const result = await api.retryFailedBroadcastGroups(id, executionId);
+      if (result.success) {
+        toast.success(result.message);
+        loadScheduledBroadcasts();
+        if (historyId === id) {
+          loadExecutions(id);
+        }
+      } else {
+        toast.error(result.error || 'Failed to retry broadcast');
+      }
+    } catch (error) {
+      console.error('Error retrying failed groups:', error);
+      toast.error('Failed to retry broadcast');
+    }
+  };
+
+  // Failed group count of the latest run, from the broadcast's result summary
+  const getFailedCount = (broadcast: ScheduledBroadcast) => {
+    if (!broadcast.result_summary) return 0;
+    try {
+      return JSON.parse(broadcast.result_summary).totalFailed || 0;
+    } catch {
+      return 0;
+    }
+  };
+
+  const handleToggleHistory = async (id: number) => {
+    if (historyId === id) {
+      setHistoryId(null);
+      return;
+    }
+
+    setHistoryId(id);
+    setExecutions([]);
+    loadExecutions(id);
+  };
+
+  const loadExecutions = async (id: number) => {
+    setIsLoadingExecutions(true);
+    try {
+      const result = adminViewUserId
+        ? await api.viewUserBroadcastExecutions(adminViewUserId, id)
+        : await api.getBroadcastExecutions(id);
+      if (result.success) {
+        setExecutions(result.executions);
+      } else {
+        toast.error(result.error || 'Failed to load run history');
+      }
+    } catch (error) {
+      console.error('Error loading broadcast executions:', error);
+      toast.error('Failed to load run history');
+    } finally {
+      setIsLoadingExecutions(false);
+    }
+  };
+
+  const describeRecurrence = (broadcast: ScheduledBroadcast) => {
+    const rule = broadcast.recurrence;
+    if (!rule) return null;
+
+    let text = '';
+    switch (rule.type) {
+      case 'daily':
+        text = `Daily at ${rule.time}`;
+        break;
+      case 'weekly':
+        text = `Weekly on ${(rule.daysOfWeek || []).map(d => WEEKDAY_NAMES[d]).join(', ')} at ${rule.time}`;
+        break;
+      case 'monthly':
+        text = `Monthly on day ${rule.dayOfMonth} at ${rule.time}`;
+        break;
+      case 'cron':
+        text = `Cron: ${rule.cron}`;
+        break;
+    }
+
+    const limits = [`${broadcast.occurrence_count}${broadcast.max_occurrences ? `/${broadcast.max_occurrences}` : ''} run(s)`];
+    if (broadcast.ends_at) {
+      limits.push(`until ${new Date(broadcast.ends_at).toLocaleDateString()}`);
+    }
+    return `${text} (${broadcast.timezone}) · ${limits.join(', ')}`;
+  };
+
   const handleStartEdit = (broadcast: ScheduledBroadcast) => {
     setEditingId(broadcast.id);
     const scheduledDateTime = new Date(broadcast.scheduled_time);
@@ -164,6 +297,10 @@ export function ScheduledBroadcastsDialog({ open, onOpenChange, adminViewUserId
         return <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200"><CheckCircle className="h-3 w-3 mr-1" />Sent</Badge>;
       case 'failed':
         return <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200"><XCircle className="h-3 w-3 mr-1" />Failed</Badge>;
+      case 'paused':
+        return <Badge variant="outline" className="bg-gray-50 text-gray-700 border-gray-200"><Pause className="h-3 w-3 mr-1" />Paused</Badge>;
+      case 'completed':
+        return <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200"><CheckCircle className="h-3 w-3 mr-1" />Completed</Badge>;
       default:
         return <Badge variant="outline">{status}</Badge>;
     }
@@ -216,6 +353,20 @@ export function ScheduledBroadcastsDialog({ open, onOpenChange, adminViewUserId
           >
             Failed
           </Button>
+          <Button
+            variant={filterStatus === 'paused' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setFilterStatus('paused')}
+          >
+            Paused
+          </Button>
+          <Button
+            variant={filterStatus === 'completed' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setFilterStatus('completed')}
+          >
+            Completed
+          </Button>
           <Button
             variant="outline"
             size="sm"
@@ -250,93 +401,188 @@ export function ScheduledBroadcastsDialog({ open, onOpenChange, adminViewUserId
               </TableHeader>
               <TableBody>
                 {broadcasts.map((broadcast) => (
-                  <TableRow key={broadcast.id}>
-                    <TableCell>{getStatusBadge(broadcast.status)}</TableCell>
-                    <TableCell>
-                      {editingId === broadcast.id ? (
-                        <div className="space-y-2">
-                          <Input
-                            type="date"
-                            value={editDate}
-                            onChange={(e) => setEditDate(e.target.value)}
-                            min={new Date().toISOString().split('T')[0]}
-                            className="w-40"
-                          />
-                          <Input
-                            type="time"
-                            value={editTime}
-                            onChange={(e) => setEditTime(e.target.value)}
-                            className="w-40"
-                          />
-                        </div>
-                      ) : (
-                        <div className="flex items-center gap-2">
-                          <Calendar className="h-4 w-4 text-gray-400" />
-                          <span className="text-sm">{formatDateTime(broadcast.scheduled_time)}</span>
-                        </div>
-                      )}
-                    </TableCell>
-                    <TableCell>
-                      <div className="max-w-xs truncate">
-                        {broadcast.message || '(No message)'}
-                        {broadcast.has_file && (
-                          <Badge variant="outline" className="ml-2 text-xs">
-                            {broadcast.file_name}
-                          </Badge>
+                  <Fragment key={broadcast.id}>
+                    <TableRow>
+                      <TableCell>{getStatusBadge(broadcast.status)}</TableCell>
+                      <TableCell>
+                        {editingId === broadcast.id ? (
+                          <div className="space-y-2">
+                            <Input
+                              type="date"
+                              value={editDate}
+                              onChange={(e) => setEditDate(e.target.value)}
+                              min={new Date().toISOString().split('T')[0]}
+                              className="w-40"
+                            />
+                            <Input
+                              type="time"
+                              value={editTime}
+                              onChange={(e) => setEditTime(e.target.value)}
+                              className="w-40"
+                            />
+                          </div>
+                        ) : (
+                          <div className="space-y-1">
+                            <div className="flex items-center gap-2">
+                              <Calendar className="h-4 w-4 text-gray-400" />
+                              <span className="text-sm">{formatDateTime(broadcast.scheduled_time)}</span>
+                            </div>
+                            {broadcast.is_recurring && (
+                              <div className="flex items-center gap-2 text-xs text-gray-500">
+                                <Repeat className="h-3 w-3" />
+                                <span>{describeRecurrence(broadcast)}</span>
+                              </div>
+                            )}
+                          </div>
                         )}
-                      </div>
-                    </TableCell>
-                    <TableCell>{broadcast.group_ids.length} group(s)</TableCell>
-                    <TableCell>
-                      <Badge variant="secondary">{broadcast.message_type}</Badge>
-                    </TableCell>
-                    <TableCell>
-                      {adminViewUserId ? (
-                        <span className="text-xs text-gray-400">Read-only</span>
-                      ) : editingId === broadcast.id ? (
-                        <div className="flex gap-1">
-                          <Button
-                            size="sm"
-                            variant="ghost"
-                            onClick={() => handleSaveEdit(broadcast.id)}
-                            className="text-green-600 hover:text-green-700"
-                          >
-                            <CheckCircle className="h-4 w-4" />
-                          </Button>
-                          <Button
-                            size="sm"
-                            variant="ghost"
-                            onClick={handleCancelEdit}
-                            className="text-gray-600 hover:text-gray-700"
-                          >
-                            <XCircle className="h-4 w-4" />
-                          </Button>
+                      </TableCell>
+                      <TableCell>
+                        <div className="max-w-xs truncate">
+                          {broadcast.message || '(No message)'}
+                          {broadcast.has_file && (
+                            <Badge variant="outline" className="ml-2 text-xs">
+                              {broadcast.file_name}
+                            </Badge>
+                          )}
                         </div>
-                      ) : broadcast.status === 'pending' ? (
+                      </TableCell>
+                      <TableCell>{broadcast.group_ids.length} group(s)</TableCell>
+                      <TableCell>
+                        <Badge variant="secondary">{broadcast.message_type}</Badge>
+                      </TableCell>
+                      <TableCell>
                         <div className="flex gap-1">
                           <Button
                             size="sm"
                             variant="ghost"
-                            onClick={() => handleStartEdit(broadcast)}
-                            title="Reschedule"
-                          >
-                            <Edit className="h-4 w-4" />
-                          </Button>
-                          <Button
-                            size="sm"
-                            variant="ghost"
-                            onClick={() => handleCancel(broadcast.id)}
-                            className="text-red-600 hover:text-red-700"
-                            title="Cancel"
+                            onClick={() => handleToggleHistory(broadcast.id)}
+                            title="Run history"
                           >
-                            <Trash2 className="h-4 w-4" />
+                            <History className="h-4 w-4" />
                           </Button>
+                          {adminViewUserId ? (
+                            <span className="text-xs text-gray-400 self-center">Read-only</span>
+                          ) : editingId === broadcast.id ? (
+                            <div className="flex gap-1">
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => handleSaveEdit(broadcast.id)}
+                                className="text-green-600 hover:text-green-700"
+                              >
+                                <CheckCircle className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={handleCancelEdit}
+                                className="text-gray-600 hover:text-gray-700"
+                              >
+                                <XCircle className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          ) : broadcast.status === 'pending' || broadcast.status === 'paused' ? (
+                            <div className="flex gap-1">
+                              {broadcast.status === 'pending' && (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  onClick={() => handleStartEdit(broadcast)}
+                                  title={broadcast.is_recurring ? 'Reschedule next run' : 'Reschedule'}
+                                >
+                                  <Edit className="h-4 w-4" />
+                                </Button>
+                              )}
+                              {broadcast.is_recurring && (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  onClick={() => handleTogglePause(broadcast)}
+                                  title={broadcast.status === 'paused' ? 'Resume' : 'Pause'}
+                                >
+                                  {broadcast.status === 'paused' ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
+                                </Button>
+                              )}
+                              {getFailedCount(broadcast) > 0 && (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  onClick={() => handleRetryFailed(broadcast.id)}
+                                  title={`Retry ${getFailedCount(broadcast)} failed group(s)`}
+                                >
+                                  <RotateCcw className="h-4 w-4" />
+                                </Button>
+                              )}
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => handleCancel(broadcast.id)}
+                                className="text-red-600 hover:text-red-700"
+                                title="Cancel"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          ) : broadcast.status !== 'executing' && getFailedCount(broadcast) > 0 ? (
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => handleRetryFailed(broadcast.id)}
+                              title={`Retry ${getFailedCount(broadcast)} failed group(s)`}
+                            >
+                              <RotateCcw className="h-4 w-4" />
+                            </Button>
+                          ) : null}
                         </div>
-                      ) : (
-                        <span className="text-xs text-gray-400">No actions</span>
-                      )}
-                    </TableCell>
-                  </TableRow>
+                      </TableCell>
+                    </TableRow>
+                    {historyId === broadcast.id && (
+                      <TableRow>
+                        <TableCell colSpan={6} className="bg-muted/40">
+                          {isLoadingExecutions ? (
+                            <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+                          ) : executions.length === 0 ? (
+                            <span className="text-sm text-gray-500">No runs yet</span>
+                          ) : (
+                            <div className="space-y-1">
+                              {executions.map((execution) => (
+                                <div key={execution.id} className="flex items-center gap-3 text-sm">
+                                  <span className="w-20 text-gray-500">#{execution.occurrence}{execution.retry_of && ' (retry)'}</span>
+                                  {getStatusBadge(execution.status)}
+                                  <span>{formatDateTime(execution.started_at)}</span>
+                                  {execution.status === 'executing' && execution.deliveries.length > 0 && (
+                                    <span className="text-xs text-gray-500">
+                                      {execution.deliveries.filter(d => d.status === 'sent').length}/{execution.deliveries.length} delivered
+                                      {execution.deliveries.some(d => d.status === 'pending' && d.attempts > 0) && ', retrying'}
+                                    </span>
+                                  )}
+                                  {execution.result_summary && (
+                                    <span className="text-xs text-gray-500">
+                                      {execution.result_summary.error
+                                        ? execution.result_summary.error
+                                        : `${execution.result_summary.totalSent} sent, ${execution.result_summary.totalFailed} failed`}
+                                    </span>
+                                  )}
+                                  {!adminViewUserId && execution.status !== 'executing' && (execution.result_summary?.totalFailed || 0) > 0
+                                    && !executions.some(e => e.retry_of === execution.id) && (
+                                    <Button
+                                      size="sm"
+                                      variant="ghost"
+                                      onClick={() => handleRetryFailed(broadcast.id, execution.id)}
+                                      className="h-6 px-2 text-xs"
+                                    >
+                                      <RotateCcw className="h-3 w-3 mr-1" />
+                                      Retry failed
+                                    </Button>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
                 ))}
               </TableBody>
             </Table>
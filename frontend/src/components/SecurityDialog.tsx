@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Loader2, LogOut, Monitor } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, AuthSession } from '../lib/api';
+import { TwoFactorSettings } from './TwoFactorSettings';
+import { ApiKeysSettings } from './ApiKeysSettings';
+
+interface SecurityDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  translateMode?: boolean;
+}
+
+// Account security: two-factor authentication, signed-in devices and API keys
+export function SecurityDialog({ open, onOpenChange, translateMode = false }: SecurityDialogProps) {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busySessionId, setBusySessionId] = useState<number | null>(null);
+  const [revokingAll, setRevokingAll] = useState(false);
+
+  const loadSessions = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getSessions();
+      if (response.success) {
+        setSessions(response.sessions);
+      } else {
+        toast.error(response.error || (translateMode ? '加载会话失败' : 'Failed to load sessions'));
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      toast.error(translateMode ? '加载会话失败' : 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      loadSessions();
+    }
+  }, [open]);
+
+  const handleRevoke = async (session: AuthSession) => {
+    setBusySessionId(session.id);
+    try {
+      const response = await api.revokeSession(session.id);
+      if (response.success) {
+        setSessions(prev => prev.filter(s => s.id !== session.id));
+        toast.success(translateMode ? '已退出该设备' : `Signed out ${session.device}`);
+      } else {
+        toast.error(response.error || (translateMode ? '退出会话失败' : 'Failed to sign out session'));
+      }
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(translateMode ? '退出会话失败' : 'Failed to sign out session');
+    } finally {
+      setBusySessionId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm(translateMode ? '退出所有其他设备？' : 'Sign out of all other devices?')) return;
+
+    setRevokingAll(true);
+    try {
+      const response = await api.revokeAllSessions(true);
+      if (response.success) {
+        setSessions(prev => prev.filter(s => s.current));
+        toast.success(translateMode ? `已退出 ${response.revoked} 个会话` : `Signed out ${response.revoked} session(s)`);
+      } else {
+        toast.error(response.error || (translateMode ? '退出会话失败' : 'Failed to sign out sessions'));
+      }
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error(translateMode ? '退出会话失败' : 'Failed to sign out sessions');
+    } finally {
+      setRevokingAll(false);
+    }
+  };
+
+  const otherSessions = sessions.filter(s => !s.current).length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{translateMode ? '账户安全' : 'Account Security'}</DialogTitle>
+          <DialogDescription>
+            {translateMode
+              ? '双重验证、当前登录你账户的设备和 API 密钥。退出某个会话后，该设备需要重新登录。'
+              : 'Two-factor authentication, the devices signed in to your account and API keys. Signing a session out makes that device log in again.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {open && <TwoFactorSettings translateMode={translateMode} />}
+
+        <p className="text-sm font-semibold border-t pt-3">{translateMode ? '登录会话' : 'Active sessions'}</p>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="divide-y border rounded-md max-h-80 overflow-y-auto">
+            {sessions.map(session => (
+              <div key={session.id} className="flex items-center justify-between gap-2 px-3 py-2">
+                <div className="flex items-center gap-3 min-w-0">
+                  <Monitor className="h-4 w-4 shrink-0 text-gray-500" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium truncate" title={session.userAgent || undefined}>
+                      {session.device}
+                      {session.current && (
+                        <Badge variant="outline" className="ml-2">{translateMode ? '当前' : 'This device'}</Badge>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {session.ipAddress || (translateMode ? '未知 IP' : 'Unknown IP')}
+                      {' · '}
+                      {translateMode ? '最近活动 ' : 'Last active '}
+                      {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleRevoke(session)}
+                    disabled={busySessionId === session.id}
+                    className="text-red-500 hover:text-red-700 shrink-0"
+                    title={translateMode ? '退出' : 'Sign out'}
+                  >
+                    {busySessionId === session.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <LogOut className="h-4 w-4" />}
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button
+            variant="destructive"
+            size="sm"
+            onClick={handleRevokeOthers}
+            disabled={revokingAll || otherSessions === 0}
+          >
+            {revokingAll && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {translateMode ? '退出所有其他设备' : 'Sign out everywhere else'}
+          </Button>
+        </div>
+
+        {open && (
+          <div className="border-t pt-3">
+            <ApiKeysSettings translateMode={translateMode} />
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
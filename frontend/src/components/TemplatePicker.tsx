@@ -0,0 +1,210 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { BookTemplate, Braces, Eye, Loader2, Save, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, MessageTemplate } from '../lib/api';
+
+interface TemplatePickerProps {
+  // Current text of the field the picker fills in
+  value: string;
+  onChange: (value: string) => void;
+  // Group to render the preview against; sample values are used without one
+  groupId?: string;
+  // Number of joining members to fake in the preview (welcome messages)
+  newMemberCount?: number;
+  disabled?: boolean;
+  translateMode?: boolean;
+}
+
+const PLACEHOLDERS: Array<{ name: string; label: string; labelZh: string }> = [
+  { name: 'member_name', label: 'New member names', labelZh: '新成员名称' },
+  { name: 'new_member_count', label: 'Number of new members', labelZh: '新成员数量' },
+  { name: 'group_name', label: 'Group name', labelZh: '群组名称' },
+  { name: 'member_count', label: 'Group member count', labelZh: '群组成员数' },
+  { name: 'date', label: 'Date (YYYY-MM-DD)', labelZh: '日期 (YYYY-MM-DD)' },
+  { name: 'time', label: 'Time (HH:mm)', labelZh: '时间 (HH:mm)' },
+  { name: 'weekday', label: 'Day of the week', labelZh: '星期' },
+];
+
+export function TemplatePicker({
+  value,
+  onChange,
+  groupId,
+  newMemberCount,
+  disabled = false,
+  translateMode = false,
+}: TemplatePickerProps) {
+  const [templates, setTemplates] = useState<MessageTemplate[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  const handleOpenChange = (nextOpen: boolean) => {
+    setOpen(nextOpen);
+    if (nextOpen) loadTemplates();
+  };
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getTemplates();
+      if (response.success) {
+        setTemplates(response.templates);
+      } else {
+        toast.error(response.error || (translateMode ? '加载模板失败' : 'Failed to load templates'));
+      }
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      toast.error(translateMode ? '加载模板失败' : 'Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveAsTemplate = async () => {
+    if (!value.trim()) {
+      toast.error(translateMode ? '请先输入消息' : 'Type a message first');
+      return;
+    }
+
+    const name = window.prompt(translateMode ? '模板名称' : 'Template name');
+    if (!name || !name.trim()) return;
+
+    try {
+      const existing = templates.find(t => t.name.toLowerCase() === name.trim().toLowerCase());
+      const response = existing
+        ? await api.updateTemplate(existing.id, existing.name, value)
+        : await api.createTemplate(name.trim(), value);
+
+      if (response.success) {
+        toast.success(translateMode ? '模板已保存' : `Template "${name.trim()}" saved`);
+      } else {
+        toast.error(response.error || (translateMode ? '保存模板失败' : 'Failed to save template'));
+      }
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error(translateMode ? '保存模板失败' : 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async (template: MessageTemplate) => {
+    if (!window.confirm(translateMode ? `删除模板 "${template.name}"？` : `Delete template "${template.name}"?`)) return;
+
+    try {
+      const response = await api.deleteTemplate(template.id);
+      if (response.success) {
+        setTemplates(prev => prev.filter(t => t.id !== template.id));
+        toast.success(translateMode ? '模板已删除' : 'Template deleted');
+      } else {
+        toast.error(response.error || (translateMode ? '删除模板失败' : 'Failed to delete template'));
+      }
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      toast.error(translateMode ? '删除模板失败' : 'Failed to delete template');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const response = await api.previewTemplate({ body: value, groupId, newMemberCount });
+      if (response.success) {
+        toast(translateMode ? '预览' : 'Preview', {
+          description: <span className="whitespace-pre-wrap">{response.rendered}</span>,
+        });
+      } else {
+        toast.error(response.error || (translateMode ? '预览失败' : 'Failed to preview'));
+      }
+    } catch (error) {
+      console.error('Error previewing template:', error);
+      toast.error(translateMode ? '预览失败' : 'Failed to preview');
+    }
+  };
+
+  const insertPlaceholder = (name: string) => {
+    const separator = value && !/\s$/.test(value) ? ' ' : '';
+    onChange(`${value}${separator}{{${name}}}`);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="sm" disabled={disabled} title={translateMode ? '模板' : 'Templates'}>
+          <BookTemplate className="h-4 w-4 mr-1" />
+          {translateMode ? '模板' : 'Templates'}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-72 p-2 space-y-2">
+        <div>
+          <p className="px-2 py-1 text-sm font-semibold">{translateMode ? '已保存的模板' : 'Saved templates'}</p>
+          {loading ? (
+            <div className="flex justify-center py-2">
+              <Loader2 className="h-4 w-4 animate-spin" />
+            </div>
+          ) : templates.length === 0 ? (
+            <p className="px-2 py-1 text-xs text-gray-500">
+              {translateMode ? '还没有模板' : 'No templates yet'}
+            </p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto">
+              {templates.map(template => (
+                <div
+                  key={template.id}
+                  className="flex items-center justify-between gap-2 px-2 py-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer text-sm"
+                  onClick={() => {
+                    onChange(template.body);
+                    setOpen(false);
+                  }}
+                  title={template.body}
+                >
+                  <span className="truncate">{template.name}</span>
+                  <button
+                    type="button"
+                    className="text-red-500 hover:text-red-700"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDelete(template);
+                    }}
+                    title={translateMode ? '删除' : 'Delete'}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="border-t pt-2">
+          <p className="px-2 py-1 text-sm font-semibold flex items-center gap-1">
+            <Braces className="h-4 w-4" />
+            {translateMode ? '插入占位符' : 'Insert placeholder'}
+          </p>
+          <div className="flex flex-wrap gap-1 px-2">
+            {PLACEHOLDERS.map(placeholder => (
+              <button
+                key={placeholder.name}
+                type="button"
+                className="font-mono text-xs px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+                onClick={() => insertPlaceholder(placeholder.name)}
+                title={translateMode ? placeholder.labelZh : placeholder.label}
+              >
+                {`{{${placeholder.name}}}`}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="border-t pt-2 flex gap-2">
+          <Button variant="outline" size="sm" className="flex-1" onClick={handlePreview} disabled={!value.trim()}>
+            <Eye className="h-4 w-4 mr-1" />
+            {translateMode ? '预览' : 'Preview'}
+          </Button>
+          <Button variant="outline" size="sm" className="flex-1" onClick={handleSaveAsTemplate} disabled={!value.trim()}>
+            <Save className="h-4 w-4 mr-1" />
+            {translateMode ? '保存为模板' : 'Save as template'}
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'react-qr-code';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { Copy, KeyRound, Loader2, ShieldCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, TwoFactorStatus } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+
+interface TwoFactorSettingsProps {
+  translateMode?: boolean;
+}
+
+type Mode = 'idle' | 'setup' | 'regenerate' | 'disable';
+
+export function TwoFactorSettings({ translateMode = false }: TwoFactorSettingsProps) {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [setup, setSetup] = useState<{ secret: string; otpauthUrl: string } | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await api.getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response);
+      }
+    } catch (error) {
+      console.error('Error loading 2FA status:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const reset = () => {
+    setMode('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  // Runs an API call, showing its error; returns the response when it succeeded
+  const submit = async (request: () => Promise<any>, failure: string) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      if (!response.success) {
+        toast.error(response.error || failure);
+        return null;
+      }
+      return response;
+    } catch (error) {
+      console.error(failure, error);
+      toast.error(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    const response = await submit(() => api.setupTwoFactor(), translateMode ? '无法开始设置' : 'Failed to start setup');
+    if (response) {
+      setSetup({ secret: response.secret, otpauthUrl: response.otpauthUrl });
+      setRecoveryCodes(null);
+      setMode('setup');
+    }
+  };
+
+  const handleEnable = async () => {
+    const response = await submit(() => api.enableTwoFactor(code.trim()), translateMode ? '验证失败' : 'Verification failed');
+    if (response) {
+      setRecoveryCodes(response.recoveryCodes);
+      reset();
+      toast.success(translateMode ? '已启用双重验证' : 'Two-factor authentication enabled');
+      await loadStatus();
+      await refreshUser();
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const response = await submit(() => api.regenerateRecoveryCodes(code.trim()), translateMode ? '生成恢复码失败' : 'Failed to generate recovery codes');
+    if (response) {
+      setRecoveryCodes(response.recoveryCodes);
+      reset();
+      await loadStatus();
+    }
+  };
+
+  const handleDisable = async () => {
+    const response = await submit(() => api.disableTwoFactor(password, code.trim()), translateMode ? '关闭双重验证失败' : 'Failed to disable two-factor authentication');
+    if (response) {
+      setRecoveryCodes(null);
+      reset();
+      toast.success(translateMode ? '已关闭双重验证' : 'Two-factor authentication disabled');
+      await loadStatus();
+      await refreshUser();
+    }
+  };
+
+  const copyRecoveryCodes = () => {
+    if (!recoveryCodes) return;
+    navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success(translateMode ? '已复制' : 'Copied to clipboard');
+  };
+
+  if (!status) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin" />
+      </div>
+    );
+  }
+
+  const codeInput = (
+    <Input
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder={translateMode ? '验证器中的 6 位数字' : '6-digit code from your app'}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <ShieldCheck className="h-4 w-4" />
+          <span className="text-sm font-semibold">{translateMode ? '双重验证' : 'Two-factor authentication'}</span>
+          {status.enabled ? (
+            <Badge variant="default" className="bg-green-500">{translateMode ? '已启用' : 'On'}</Badge>
+          ) : (
+            <Badge variant="secondary">{translateMode ? '未启用' : 'Off'}</Badge>
+          )}
+        </div>
+        {mode === 'idle' && (
+          status.enabled ? (
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => setMode('regenerate')}>
+                {translateMode ? '新恢复码' : 'New recovery codes'}
+              </Button>
+              {!status.requiredByPolicy && (
+                <Button variant="outline" size="sm" className="text-red-600" onClick={() => setMode('disable')}>
+                  {translateMode ? '关闭' : 'Turn off'}
+                </Button>
+              )}
+            </div>
+          ) : (
+            <Button size="sm" onClick={handleStartSetup} disabled={busy}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {translateMode ? '设置' : 'Set up'}
+            </Button>
+          )
+        )}
+      </div>
+
+      {!status.enabled && status.requiredByPolicy && mode === 'idle' && (
+        <p className="text-sm text-red-600">
+          {translateMode
+            ? '管理员账户必须启用双重验证，否则无法使用管理功能。'
+            : 'Admin accounts must use two-factor authentication. Admin features stay locked until it is set up.'}
+        </p>
+      )}
+
+      {status.enabled && mode === 'idle' && !recoveryCodes && (
+        <p className="text-xs text-gray-500">
+          {translateMode
+            ? `剩余 ${status.recoveryCodesRemaining} 个恢复码`
+            : `${status.recoveryCodesRemaining} recovery code(s) left`}
+        </p>
+      )}
+
+      {mode === 'setup' && setup && (
+        <div className="space-y-3 rounded-md border p-3">
+          <p className="text-sm">
+            {translateMode
+              ? '用验证器应用（Google Authenticator、1Password 等）扫描二维码，然后输入显示的代码。'
+              : 'Scan the QR code with an authenticator app (Google Authenticator, 1Password, ...), then enter the code it shows.'}
+          </p>
+          <div className="flex justify-center bg-white p-3 rounded">
+            <QRCode value={setup.otpauthUrl} size={160} />
+          </div>
+          <p className="text-xs text-gray-500 break-all">
+            {translateMode ? '无法扫描？手动输入密钥：' : "Can't scan? Enter this key manually: "}
+            <span className="font-mono">{setup.secret}</span>
+          </p>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={reset}>{translateMode ? '取消' : 'Cancel'}</Button>
+            <Button size="sm" onClick={handleEnable} disabled={busy || !code.trim()}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {translateMode ? '启用' : 'Enable'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <div className="space-y-3 rounded-md border p-3">
+          <p className="text-sm">
+            {translateMode
+              ? '输入验证器中的代码以生成新的恢复码，旧的恢复码将失效。'
+              : 'Enter a code from your authenticator to get new recovery codes. The old ones stop working.'}
+          </p>
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={reset}>{translateMode ? '取消' : 'Cancel'}</Button>
+            <Button size="sm" onClick={handleRegenerate} disabled={busy || !code.trim()}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {translateMode ? '生成' : 'Generate'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'disable' && (
+        <div className="space-y-3 rounded-md border p-3">
+          <p className="text-sm">
+            {translateMode ? '输入密码和验证器中的代码以关闭双重验证。' : 'Enter your password and a code from your authenticator to turn 2FA off.'}
+          </p>
+          <Input
+            type="password"
+            placeholder={translateMode ? '密码' : 'Password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          {codeInput}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" size="sm" onClick={reset}>{translateMode ? '取消' : 'Cancel'}</Button>
+            <Button variant="destructive" size="sm" onClick={handleDisable} disabled={busy || !password || !code.trim()}>
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {translateMode ? '关闭双重验证' : 'Turn off 2FA'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="space-y-2 rounded-md border border-amber-300 bg-amber-50 dark:bg-amber-950 p-3">
+          <p className="text-sm font-medium flex items-center gap-2">
+            <KeyRound className="h-4 w-4" />
+            {translateMode ? '恢复码（只显示这一次）' : 'Recovery codes (shown only once)'}
+          </p>
+          <p className="text-xs text-gray-600 dark:text-gray-300">
+            {translateMode
+              ? '手机丢失时，每个代码可代替验证码登录一次。请妥善保存。'
+              : 'Each code can be used once instead of an authenticator code if you lose your phone. Keep them somewhere safe.'}
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={copyRecoveryCodes}>
+              <Copy className="h-4 w-4 mr-1" />
+              {translateMode ? '复制' : 'Copy'}
+            </Button>
+            <Button size="sm" onClick={() => setRecoveryCodes(null)}>
+              {translateMode ? '我已保存' : "I've saved them"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -16,6 +16,7 @@ import {
 import { Loader2, Save, Trash2, Settings, Image as ImageIcon, X, AtSign } from 'lucide-react';
 import { toast } from 'sonner';
 import { api } from '../lib/api';
+import { TemplatePicker } from './TemplatePicker';
 
 interface WelcomeMessageSettingsProps {
   open: boolean;
@@ -56,6 +57,9 @@ export function WelcomeMessageSettings({ open, onOpenChange, groupId, groupName,
   const [closeTime, setCloseTime] = useState('23:00');
   const [hasAdminOnlySettings, setHasAdminOnlySettings] = useState(false);
 
+  // Welcome text with placeholders filled in for the example preview
+  const [renderedPreview, setRenderedPreview] = useState<string | null>(null);
+
   useEffect(() => {
     if (open && groupId) {
       fetchSettings();
@@ -64,6 +68,24 @@ export function WelcomeMessageSettings({ open, onOpenChange, groupId, groupName,
     }
   }, [open, groupId]);
 
+  // Render placeholders as they'd look for three new members, once typing pauses
+  useEffect(() => {
+    if (!open || !messageText.includes('{{')) {
+      setRenderedPreview(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.previewTemplate({ body: messageText, groupId, newMemberCount: 3 });
+        setRenderedPreview(response.success ? response.rendered : null);
+      } catch (error) {
+        setRenderedPreview(null);
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [open, messageText, groupId]);
+
   const fetchSettings = async () => {
     setLoading(true);
     try {
@@ -356,9 +378,18 @@ export function WelcomeMessageSettings({ open, onOpenChange, groupId, groupName,
 
             {/* Welcome Message Text */}
             <div className="space-y-2">
-              <Label htmlFor="messageText" className="text-sm font-medium">
-                {translateMode ? '欢迎消息' : 'Welcome Message'}
-              </Label>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="messageText" className="text-sm font-medium">
+                  {translateMode ? '欢迎消息' : 'Welcome Message'}
+                </Label>
+                <TemplatePicker
+                  value={messageText}
+                  onChange={setMessageText}
+                  groupId={groupId}
+                  newMemberCount={3}
+                  translateMode={translateMode}
+                />
+              </div>
               <Textarea
                 id="messageText"
                 placeholder={translateMode ? '输入您的欢迎消息...' : 'Enter your welcome message...'}
@@ -370,6 +401,11 @@ export function WelcomeMessageSettings({ open, onOpenChange, groupId, groupName,
               <p className="text-xs text-gray-500">
                 {translateMode ? '新成员将在顶部被提及，然后是此消息，特定提及将在底部' : 'New members will be mentioned at the TOP, then this message, then specific mentions at the BOTTOM'}
               </p>
+              <p className="text-xs text-gray-500">
+                {translateMode
+                  ? '可使用 {{member_name}}、{{new_member_count}}、{{group_name}}、{{member_count}}、{{date}} 以及 {{#if new_member_count > 1}}...{{else}}...{{/if}}'
+                  : 'You can use {{member_name}}, {{new_member_count}}, {{group_name}}, {{member_count}}, {{date}} and {{#if new_member_count > 1}}...{{else}}...{{/if}}'}
+              </p>
             </div>
 
             {/* Specific Mentions */}
@@ -619,7 +655,7 @@ export function WelcomeMessageSettings({ open, onOpenChange, groupId, groupName,
               </p>
               <div className="text-sm text-gray-700 dark:text-gray-300 space-y-2">
                 <p className="text-blue-600 dark:text-blue-400">@201234567890 @209876543210 @201122334455</p>
-                <p className="whitespace-pre-wrap">{messageText}</p>
+                <p className="whitespace-pre-wrap">{renderedPreview ?? messageText}</p>
                 {specificMentionNames.length > 0 && (
                   <p className="text-green-600 dark:text-green-400">
                     @{specificMentionNames.join(' @')}
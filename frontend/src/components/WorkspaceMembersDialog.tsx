@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Loader2, LogOut, Trash2, UserPlus } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, setWorkspaceId, Workspace, WorkspaceMember, WorkspaceRole } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+
+interface WorkspaceMembersDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  workspace: Workspace;
+  translateMode?: boolean;
+}
+
+export const ROLE_LABELS: Record<string, { en: string; zh: string }> = {
+  owner: { en: 'Owner', zh: '所有者' },
+  manager: { en: 'Manager', zh: '管理者' },
+  analyst: { en: 'Analyst', zh: '分析师' },
+  viewer: { en: 'Viewer', zh: '查看者' },
+};
+
+const ASSIGNABLE_ROLES: WorkspaceRole[] = ['manager', 'analyst', 'viewer'];
+
+const ROLE_DESCRIPTIONS: Record<WorkspaceRole, { en: string; zh: string }> = {
+  owner: { en: 'Everything, including the WhatsApp connection and members', zh: '全部权限，包括 WhatsApp 连接和成员管理' },
+  manager: { en: 'Send, broadcast and manage group settings', zh: '发送、群发和管理群组设置' },
+  analyst: { en: 'Read messages and statistics', zh: '查看消息和统计' },
+  viewer: { en: 'Read messages only', zh: '仅查看消息' },
+};
+
+const selectClassName = 'h-9 rounded-md border border-input bg-background px-2 text-sm';
+
+export function WorkspaceMembersDialog({ open, onOpenChange, workspace, translateMode = false }: WorkspaceMembersDialogProps) {
+  const { user } = useAuth();
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<WorkspaceRole>('analyst');
+  const [adding, setAdding] = useState(false);
+  const [busyUserId, setBusyUserId] = useState<number | null>(null);
+
+  const canManage = workspace.permissions?.includes('workspace:manage');
+  const roleLabel = (r: string) => ROLE_LABELS[r] ? (translateMode ? ROLE_LABELS[r].zh : ROLE_LABELS[r].en) : r;
+
+  const loadMembers = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getWorkspaceMembers();
+      if (response.success) {
+        setMembers(response.members);
+      } else {
+        toast.error(response.error || (translateMode ? '加载成员失败' : 'Failed to load members'));
+      }
+    } catch (error) {
+      console.error('Error loading workspace members:', error);
+      toast.error(translateMode ? '加载成员失败' : 'Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      loadMembers();
+    }
+  }, [open]);
+
+  const handleAdd = async () => {
+    if (!email.trim()) return;
+
+    setAdding(true);
+    try {
+      const response = await api.addWorkspaceMember(email.trim(), role);
+      if (response.success) {
+        toast.success(translateMode ? '成员已添加' : `${response.member.username} added as ${roleLabel(role)}`);
+        setEmail('');
+        loadMembers();
+      } else {
+        toast.error(response.error || (translateMode ? '添加成员失败' : 'Failed to add member'));
+      }
+    } catch (error) {
+      console.error('Error adding workspace member:', error);
+      toast.error(translateMode ? '添加成员失败' : 'Failed to add member');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRoleChange = async (member: WorkspaceMember, newRole: WorkspaceRole) => {
+    setBusyUserId(member.userId);
+    try {
+      const response = await api.updateWorkspaceMemberRole(member.userId, newRole);
+      if (response.success) {
+        setMembers(prev => prev.map(m => m.userId === member.userId ? { ...m, role: newRole } : m));
+      } else {
+        toast.error(response.error || (translateMode ? '更改角色失败' : 'Failed to change role'));
+      }
+    } catch (error) {
+      console.error('Error changing workspace role:', error);
+      toast.error(translateMode ? '更改角色失败' : 'Failed to change role');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleRemove = async (member: WorkspaceMember) => {
+    const leaving = member.userId === user?.id;
+    const question = leaving
+      ? (translateMode ? `离开 ${workspace.name}？` : `Leave ${workspace.name}?`)
+      : (translateMode ? `将 ${member.username} 移出工作区？` : `Remove ${member.username} from this workspace?`);
+    if (!window.confirm(question)) return;
+
+    setBusyUserId(member.userId);
+    try {
+      const response = await api.removeWorkspaceMember(member.userId);
+      if (response.success) {
+        if (leaving) {
+          setWorkspaceId(null);
+          window.location.reload();
+          return;
+        }
+        setMembers(prev => prev.filter(m => m.userId !== member.userId));
+      } else {
+        toast.error(response.error || (translateMode ? '移除成员失败' : 'Failed to remove member'));
+      }
+    } catch (error) {
+      console.error('Error removing workspace member:', error);
+      toast.error(translateMode ? '移除成员失败' : 'Failed to remove member');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>{workspace.name}</DialogTitle>
+          <DialogDescription>
+            {translateMode
+              ? '工作区成员共享同一个 WhatsApp 账号，权限取决于其角色。'
+              : 'Workspace members share one WhatsApp account. What they can do depends on their role.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {canManage && (
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <Input
+                type="email"
+                placeholder={translateMode ? '已注册用户的邮箱' : "Registered user's email"}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+              />
+              <select
+                className={selectClassName}
+                value={role}
+                onChange={(e) => setRole(e.target.value as WorkspaceRole)}
+              >
+                {ASSIGNABLE_ROLES.map(r => (
+                  <option key={r} value={r}>{roleLabel(r)}</option>
+                ))}
+              </select>
+              <Button onClick={handleAdd} disabled={adding || !email.trim()}>
+                {adding ? <Loader2 className="h-4 w-4 animate-spin" /> : <UserPlus className="h-4 w-4" />}
+              </Button>
+            </div>
+            <p className="text-xs text-gray-500">
+              {translateMode ? ROLE_DESCRIPTIONS[role].zh : ROLE_DESCRIPTIONS[role].en}
+            </p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <div className="divide-y border rounded-md">
+            {members.map(member => (
+              <div key={member.userId} className="flex items-center justify-between gap-2 px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">
+                    {member.username}
+                    {member.userId === user?.id && (
+                      <Badge variant="outline" className="ml-2">{translateMode ? '你' : 'You'}</Badge>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {canManage && member.role !== 'owner' ? (
+                    <select
+                      className={selectClassName}
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value as WorkspaceRole)}
+                      disabled={busyUserId === member.userId}
+                    >
+                      {ASSIGNABLE_ROLES.map(r => (
+                        <option key={r} value={r}>{roleLabel(r)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <Badge variant={member.role === 'owner' ? 'default' : 'secondary'}>{roleLabel(member.role)}</Badge>
+                  )}
+                  {member.role !== 'owner' && (canManage || member.userId === user?.id) && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRemove(member)}
+                      disabled={busyUserId === member.userId}
+                      className="text-red-500 hover:text-red-700"
+                      title={member.userId === user?.id ? (translateMode ? '离开' : 'Leave') : (translateMode ? '移除' : 'Remove')}
+                    >
+                      {member.userId === user?.id ? <LogOut className="h-4 w-4" /> : <Trash2 className="h-4 w-4" />}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
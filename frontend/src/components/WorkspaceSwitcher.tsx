@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Briefcase, Check, ChevronDown, UserPlus } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, getWorkspaceId, setWorkspaceId, Workspace } from '../lib/api';
+import { WorkspaceMembersDialog, ROLE_LABELS } from './WorkspaceMembersDialog';
+
+interface WorkspaceSwitcherProps {
+  translateMode?: boolean;
+  // Called with the workspace requests currently act in, once it's known
+  onWorkspaceLoaded?: (workspace: Workspace) => void;
+}
+
+export function WorkspaceSwitcher({ translateMode = false, onWorkspaceLoaded }: WorkspaceSwitcherProps) {
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [current, setCurrent] = useState<Workspace | null>(null);
+  const [open, setOpen] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+
+  const loadWorkspaces = async () => {
+    try {
+      const response = await api.getWorkspaces();
+      if (response.success) {
+        setWorkspaces(response.workspaces);
+        setCurrent(response.current);
+        onWorkspaceLoaded?.(response.current);
+      } else if (getWorkspaceId()) {
+        // Removed from the selected workspace - fall back to the user's own
+        setWorkspaceId(null);
+        window.location.reload();
+      }
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, []);
+
+  const handleSwitch = (workspace: Workspace) => {
+    setOpen(false);
+    if (workspace.id === current?.id) return;
+
+    // Everything on the page belongs to the old workspace, so start over
+    setWorkspaceId(workspace.isPersonal ? null : workspace.id);
+    toast.success(translateMode ? `已切换到 ${workspace.name}` : `Switched to ${workspace.name}`);
+    window.location.reload();
+  };
+
+  if (!current) return null;
+
+  const roleLabel = (role: string) => ROLE_LABELS[role] ? (translateMode ? ROLE_LABELS[role].zh : ROLE_LABELS[role].en) : role;
+  const canManage = current.permissions?.includes('workspace:manage');
+
+  return (
+    <>
+      <Popover open={open} onOpenChange={setOpen}>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" className="gap-2">
+            <Briefcase className="h-4 w-4" />
+            <span className="max-w-[160px] truncate">{current.name}</span>
+            {current.role !== 'owner' && (
+              <Badge variant="secondary" className="text-xs">{roleLabel(current.role)}</Badge>
+            )}
+            <ChevronDown className="h-3 w-3" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-72 p-2">
+          <p className="px-2 py-1 text-sm font-semibold">{translateMode ? '工作区' : 'Workspaces'}</p>
+          {workspaces.map(workspace => (
+            <button
+              key={workspace.id}
+              type="button"
+              className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded text-sm text-left hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => handleSwitch(workspace)}
+            >
+              <span className="flex items-center gap-2 min-w-0">
+                {workspace.id === current.id ? <Check className="h-4 w-4 shrink-0" /> : <span className="w-4 shrink-0" />}
+                <span className="truncate">{workspace.name}</span>
+              </span>
+              <span className="text-xs text-gray-500 shrink-0">{roleLabel(workspace.role)}</span>
+            </button>
+          ))}
+          <div className="border-t mt-2 pt-2">
+            <Button
+              variant="ghost"
+              size="sm"
+              className="w-full justify-start"
+              onClick={() => {
+                setOpen(false);
+                setShowMembers(true);
+              }}
+            >
+              <UserPlus className="h-4 w-4 mr-2" />
+              {canManage
+                ? (translateMode ? '管理成员' : 'Manage members')
+                : (translateMode ? '查看成员' : 'View members')}
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <WorkspaceMembersDialog
+        open={showMembers}
+        onOpenChange={setShowMembers}
+        workspace={current}
+        translateMode={translateMode}
+      />
+    </>
+  );
+}
@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { authFetch, storeSession, clearSession } from '../lib/api';
 
 // Dynamic URL configuration for local development and production
 const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3000' : '';
@@ -8,13 +9,24 @@ interface User {
   username: string;
   email: string;
   isAdmin: boolean;
+  twoFactorEnabled?: boolean;
+  // Admin policy requires 2FA and this account hasn't set it up yet
+  twoFactorSetupRequired?: boolean;
+}
+
+// Returned by login() when the password was right but a second factor is needed
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  challengeToken: string;
 }
 
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (email: string, password: string) => Promise<User>;
+  login: (email: string, password: string) => Promise<User | TwoFactorChallenge>;
+  verifyTwoFactor: (challengeToken: string, code: string, isRecoveryCode?: boolean) => Promise<User>;
   register: (username: string, email: string, password: string) => Promise<void>;
+  refreshUser: () => Promise<void>;
   logout: () => void;
   isLoading: boolean;
   isAdmin: boolean;
@@ -31,8 +43,8 @@ export function AuthProvider({ children }: { children: ReactNode }) {
   useEffect(() => {
     const storedToken = localStorage.getItem('token');
     if (storedToken) {
-      // Verify token with backend
-      fetch(`${API_BASE_URL}/api/auth/me`, {
+      // Verify token with backend (renewing it if it has expired)
+      authFetch(`${API_BASE_URL}/api/auth/me`, {
         headers: {
           'Authorization': `Bearer ${storedToken}`
         }
@@ -40,15 +52,15 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         .then(res => res.json())
         .then(data => {
           if (data.success) {
-            setToken(storedToken);
+            setToken(localStorage.getItem('token'));
             setUser(data.user);
           } else {
             // Token invalid, clear it
-            localStorage.removeItem('token');
+            clearSession();
           }
         })
         .catch(() => {
-          localStorage.removeItem('token');
+          clearSession();
         })
         .finally(() => {
           setIsLoading(false);
@@ -58,7 +70,7 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   }, []);
 
-  const login = async (email: string, password: string): Promise<User> => {
+  const login = async (email: string, password: string): Promise<User | TwoFactorChallenge> => {
     const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
       method: 'POST',
       headers: {
@@ -73,13 +85,54 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       throw new Error(data.error || 'Login failed');
     }
 
+    if (data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: data.challengeToken };
+    }
+
+    setToken(data.token);
+    setUser(data.user);
+    storeSession(data.token, data.refreshToken);
+
+    return data.user;
+  };
+
+  const verifyTwoFactor = async (challengeToken: string, code: string, isRecoveryCode = false): Promise<User> => {
+    const response = await fetch(`${API_BASE_URL}/api/auth/login/2fa`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(isRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code }),
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      const error: Error & { challengeExpired?: boolean } = new Error(data.error || 'Verification failed');
+      error.challengeExpired = data.challengeExpired;
+      throw error;
+    }
+
     setToken(data.token);
     setUser(data.user);
-    localStorage.setItem('token', data.token);
+    storeSession(data.token, data.refreshToken);
 
     return data.user;
   };
 
+  // Re-read the user after account changes (e.g. enabling 2FA)
+  const refreshUser = async () => {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/me`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+    const data = await response.json();
+    if (data.success) {
+      setUser(data.user);
+    }
+  };
+
   const register = async (username: string, email: string, password: string) => {
     const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
       method: 'POST',
@@ -97,19 +150,30 @@ export function AuthProvider({ children }: { children: ReactNode }) {
 
     setToken(data.token);
     setUser(data.user);
-    localStorage.setItem('token', data.token);
+    storeSession(data.token, data.refreshToken);
   };
 
   const logout = () => {
+    // End the session server-side too; the local tokens go either way
+    const storedToken = localStorage.getItem('token');
+    if (storedToken) {
+      fetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${storedToken}`
+        }
+      }).catch(() => {});
+    }
+
     setToken(null);
     setUser(null);
-    localStorage.removeItem('token');
+    clearSession();
   };
 
   const isAdmin = user?.isAdmin || false;
 
   return (
-    <AuthContext.Provider value={{ user, token, login, register, logout, isLoading, isAdmin }}>
+    <AuthContext.Provider value={{ user, token, login, verifyTwoFactor, register, refreshUser, logout, isLoading, isAdmin }}>
       {children}
     </AuthContext.Provider>
   );
@@ -2,18 +2,488 @@
 const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3000' : '';  // localhost for dev, relative URLs for production
 const WS_URL = import.meta.env.DEV ? 'ws://localhost:3000/ws' : 'wss://whatsappanalytics-productionn.up.railway.app/ws';
 
-// Helper to get auth headers
-function getAuthHeaders(): HeadersInit {
+// Workspace the user is acting in; unset means their own
+export function getWorkspaceId(): string | null {
+  return localStorage.getItem('workspaceId');
+}
+
+export function setWorkspaceId(workspaceId: number | null) {
+  if (workspaceId) {
+    localStorage.setItem('workspaceId', String(workspaceId));
+  } else {
+    localStorage.removeItem('workspaceId');
+  }
+}
+
+// Save the tokens returned by login, register and refresh
+export function storeSession(token: string, refreshToken: string) {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('workspaceId');
+}
+
+// True once the access token's exp has passed (or it can't be read)
+function accessTokenExpired(token: string): boolean {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' && payload.exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+}
+
+// Concurrent 401s share one refresh; the refresh token is single-use so racing would end the session
+let refreshInFlight: Promise<boolean> | null = null;
+
+export function refreshSession(): Promise<boolean> {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      try {
+        const response = await authFetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await response.json();
+        if (!data.success) return false;
+
+        storeSession(data.token, data.refreshToken);
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+// fetch() for authenticated endpoints. When the access token has expired it is refreshed once and
+// the request retried; if the session can't be renewed the user is sent back to the login page.
+export async function authFetch(input: string, init: RequestInit = {}): Promise<Response> {
+  const sentToken = localStorage.getItem('token');
+  const response = await fetch(input, init);
+
+  const headers = new Headers(init.headers);
+  if (response.status !== 401 || !sentToken || !headers.has('Authorization')) {
+    return response;
+  }
+
+  // Another tab (or request) may have refreshed while this one was in flight
+  const refreshed = localStorage.getItem('token') !== sentToken || await refreshSession();
+  if (!refreshed) {
+    clearSession();
+    window.location.href = '/login';
+    return response;
+  }
+
+  headers.set('Authorization', `Bearer ${localStorage.getItem('token')}`);
+  return fetch(input, { ...init, headers });
+}
+
+// Helper to get auth headers (without Content-Type, for multipart uploads)
+function getUploadHeaders(): Record<string, string> {
   const token = localStorage.getItem('token');
-  const headers: HeadersInit = {
-    'Content-Type': 'application/json',
-  };
+  const headers: Record<string, string> = {};
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
   }
+  const workspaceId = getWorkspaceId();
+  if (workspaceId) {
+    headers['X-Workspace-Id'] = workspaceId;
+  }
   return headers;
 }
 
+// Helper to get auth headers
+function getAuthHeaders(): HeadersInit {
+  return {
+    'Content-Type': 'application/json',
+    ...getUploadHeaders(),
+  };
+}
+
+// cells[weekday][hour], weekday 0 = Sunday, hours in `timezone`
+export interface ActivityHeatmap {
+  timezone: string;
+  cells: number[][];
+  weekdayTotals: number[];
+  hourTotals: number[];
+  totalMessages: number;
+  peak: { weekday: number; hour: number; count: number } | null;
+}
+
+// date is "YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD", like getStats, as local dates in timezone.
+// Without a timezone the server uses its broadcast time zone, so the UI always sends the browser's.
+export interface ActivityHeatmapQuery {
+  groupId?: string | null;
+  senderId?: string;
+  date?: string | null;
+  timezone: string;
+}
+
+function activityHeatmapParams(query: ActivityHeatmapQuery): URLSearchParams {
+  const params = new URLSearchParams({ timezone: query.timezone });
+  if (query.groupId) params.set('groupId', query.groupId);
+  if (query.senderId) params.set('senderId', query.senderId);
+  if (query.date) params.set('date', query.date);
+  return params;
+}
+
+// Daily member counts of a group next to its joins and leaves. unexplained is the count change the
+// recorded joins/leaves don't account for since the previous snapshot (non-zero means missed events).
+export interface GroupGrowthDay {
+  date: string;
+  memberCount: number | null;
+  adminCount: number | null;
+  snapshotAt: string | null;
+  joins: number;
+  leaves: number;
+  netChange: number;
+  countChange: number | null;
+  expectedChange: number | null;
+  unexplained: number | null;
+}
+
+export interface GroupGrowth {
+  from: string;
+  to: string;
+  series: GroupGrowthDay[];
+  totals: {
+    joins: number;
+    leaves: number;
+    netChange: number;
+    countChange: number | null;
+    unexplained: number;
+    daysWithUnexplained: number;
+  };
+}
+
+export interface GroupGrowthQuery {
+  from?: string;
+  to?: string;
+  days?: number;
+}
+
+function groupGrowthParams(query: GroupGrowthQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.from) params.set('from', query.from);
+  if (query.to) params.set('to', query.to);
+  if (query.days) params.set('days', query.days.toString());
+  return params;
+}
+
+// Members grouped by the week/month of their JOIN. Per checkpoint (days after joining): due members
+// are those who joined long enough ago, retained ones hadn't left by then, active ones also posted
+// since the previous checkpoint. Rates are percentages of due, null while nobody is due.
+export interface RetentionCheckpoint {
+  days: number;
+  due: number;
+  retained: number;
+  active: number;
+  retainedRate: number | null;
+  activeRate: number | null;
+}
+
+export type RetentionPeriod = 'week' | 'month';
+
+export interface CohortRetention {
+  period: RetentionPeriod;
+  from: string;
+  to: string;
+  checkpoints: number[];
+  cohorts: Array<{
+    start: string;
+    end: string;
+    size: number;
+    checkpoints: RetentionCheckpoint[];
+  }>;
+  totals: {
+    size: number;
+    checkpoints: RetentionCheckpoint[];
+  };
+}
+
+export interface CohortRetentionQuery {
+  period?: RetentionPeriod;
+  from?: string;
+  to?: string;
+  days?: number;
+  checkpoints?: number[];
+}
+
+function cohortRetentionParams(query: CohortRetentionQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.period) params.set('period', query.period);
+  if (query.from) params.set('from', query.from);
+  if (query.to) params.set('to', query.to);
+  if (query.days) params.set('days', query.days.toString());
+  if (query.checkpoints && query.checkpoints.length > 0) params.set('checkpoints', query.checkpoints.join(','));
+  return params;
+}
+
+export interface EngagementStats {
+  messages: number;
+  repliesSent: number;
+  repliesReceived: number;
+  certificates: number;
+  activeDays: number;
+  firstActivity: string | null;
+  lastActivity: string | null;
+  score: number;
+}
+
+// Period for profiles and leaderboards: days (0 = all time) or date ("YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD")
+export interface EngagementWindow {
+  days?: number;
+  since?: string;
+  startDate?: string;
+  endDate?: string;
+}
+
+export interface MemberProfile {
+  memberId: string;
+  name: string;
+  window: EngagementWindow;
+  totals: EngagementStats;
+  groups: Array<EngagementStats & { groupId: string; groupName: string; isMember: boolean | null }>;
+  history: Array<{ groupId: string; groupName: string; memberName: string; type: 'JOIN' | 'LEAVE' | 'REMOVED'; timestamp: string }>;
+}
+
+export type LeaderboardMetric = 'score' | 'messages' | 'replies' | 'certificates';
+
+export interface LeaderboardEntry extends EngagementStats {
+  rank: number;
+  value: number;
+  memberId: string;
+  name: string;
+}
+
+export interface LeaderboardQuery {
+  days?: number;
+  date?: string | null;
+  metric?: LeaderboardMetric;
+  limit?: number;
+}
+
+function engagementParams(query: LeaderboardQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.date) params.set('date', query.date);
+  else if (query.days !== undefined) params.set('days', String(query.days));
+  if (query.metric) params.set('metric', query.metric);
+  if (query.limit) params.set('limit', String(query.limit));
+  return params;
+}
+
+// Reply analytics from quoted messages. Times are in seconds; questions are messages with a question mark.
+export interface ReplyResponseTimes {
+  questions: number;
+  answered: number;
+  unanswered: number;
+  answerRate: number | null;
+  medianSeconds: number | null;
+  p90Seconds: number | null;
+}
+
+export interface RepliedToMember {
+  memberId: string;
+  name: string;
+  repliesReceived: number;
+  repliedBy: number;
+  messages: number;
+}
+
+export interface ReplyAnalytics {
+  group: { id: string; name: string };
+  window: EngagementWindow;
+  replies: number;
+  unresolvedReplies: number;
+  responseTimes: ReplyResponseTimes;
+  mostRepliedTo: RepliedToMember[];
+}
+
+export interface ReplyGraph {
+  nodes: Array<{ id: string; name: string; messages: number; repliesSent: number; repliesReceived: number }>;
+  edges: Array<{ source: string; target: string; replies: number }>;
+  replies: number;
+  unresolvedReplies: number;
+}
+
+export interface UnansweredQuestion {
+  id: string;
+  memberId: string;
+  name: string;
+  message: string;
+  timestamp: string;
+  waitingSeconds: number;
+}
+
+export interface ReplyAnalyticsQuery {
+  days?: number;
+  date?: string | null;
+  limit?: number;
+  minAge?: number;
+}
+
+function replyParams(query: ReplyAnalyticsQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.date) params.set('date', query.date);
+  else if (query.days !== undefined) params.set('days', String(query.days));
+  if (query.limit) params.set('limit', String(query.limit));
+  if (query.minAge !== undefined) params.set('minAge', String(query.minAge));
+  return params;
+}
+
+// The reply graph as a file: GraphML as served, JSON as the graph object
+async function downloadReplyGraph(path: string, format: 'json' | 'graphml', query: ReplyAnalyticsQuery): Promise<Blob> {
+  const params = replyParams(query);
+  params.set('format', format);
+  const response = await authFetch(`${API_BASE_URL}${path}?${params}`, {
+    headers: getUploadHeaders(),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to export reply graph');
+  }
+  if (format === 'graphml') {
+    return response.blob();
+  }
+  const data = await response.json();
+  return new Blob([JSON.stringify(data.graph, null, 2)], { type: 'application/json' });
+}
+
+// idleSince is the latest of the member's last message, certificate and join, or when the group's
+// history starts if none of those were recorded
+export interface InactiveMember {
+  id: string;
+  phone: string;
+  name: string;
+  isAdmin: boolean;
+  joinedAt: string | null;
+  lastMessageAt: string | null;
+  lastCertificateAt: string | null;
+  idleSince: string;
+  inactiveDays: number;
+}
+
+// Attendance quota for a group's voice certificates; countedDays are weekdays, 0 = Sunday
+export interface CertificateRule {
+  period: 'day' | 'week';
+  requiredCount: number;
+  countedDays: number[];
+  weekStart: number;
+  groupId?: string;
+  updatedAt?: string;
+}
+
+export type AttendanceStatus = 'met' | 'missed' | 'exceeded' | 'pending';
+
+export interface AttendanceReport {
+  rule: CertificateRule;
+  from: string;
+  to: string;
+  periods: Array<{
+    start: string;
+    end: string;
+    countedDates: string[];
+    complete: boolean;
+    met: number;
+    missed: number;
+    exceeded: number;
+    pending: number;
+  }>;
+  members: Array<{
+    memberId: string;
+    name: string;
+    isMember: boolean | null;
+    certificates: number;
+    required: number;
+    met: number;
+    missed: number;
+    exceeded: number;
+    pending: number;
+    periods: Array<{ start: string; end: string; count: number; status: AttendanceStatus }>;
+  }>;
+}
+
+export type EventRuleMessageType = 'text' | 'image' | 'video' | 'voice' | 'document' | 'sticker' | 'poll' | 'location' | 'contact';
+
+// Turns matching messages into events of eventType; groupId null applies to every group. A group's
+// CERTIFICATE rules replace the default "voice note = CERTIFICATE" rule.
+export interface EventRule {
+  id?: number;
+  groupId: string | null;
+  name: string;
+  eventType: string;
+  enabled: boolean;
+  oncePerDay: boolean;
+  messageTypes: EventRuleMessageType[];
+  keywords: string[];
+  pattern: string | null;
+  senders: string[];
+  timeStart: string | null;
+  timeEnd: string | null;
+  timezone: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface AttendanceQuery {
+  from?: string;
+  to?: string;
+  includeAdmins?: boolean;
+}
+
+function attendanceParams(query: AttendanceQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.from) params.set('from', query.from);
+  if (query.to) params.set('to', query.to);
+  if (query.includeAdmins) params.set('includeAdmins', 'true');
+  return params;
+}
+
+export interface AuditLogEntry {
+  id: number;
+  createdAt: string;
+  action: string;
+  actorUserId: number | null;
+  actorEmail: string | null;
+  apiKeyId: number | null;
+  workspaceId: number | null;
+  workspaceOwnerId: number | null;
+  targetType: string | null;
+  targetId: string | null;
+  targetLabel: string | null;
+  ipAddress: string | null;
+  details: Record<string, unknown> | null;
+}
+
+// action is exact ("broadcast.send") or a prefix ending in "." ("broadcast."); from/to are YYYY-MM-DD
+export interface AuditLogFilters {
+  action?: string;
+  actorUserId?: number;
+  from?: string;
+  to?: string;
+}
+
+function auditLogParams(filters: AuditLogFilters): URLSearchParams {
+  const params = new URLSearchParams();
+  if (filters.action) params.set('action', filters.action);
+  if (filters.actorUserId) params.set('actorUserId', filters.actorUserId.toString());
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  return params;
+}
+
 export interface Message {
   id: string;
   groupId: string;
@@ -26,15 +496,51 @@ export interface Message {
   replied_to_message?: string | null;
 }
 
+export type SearchSort = 'relevance' | 'recent';
+
+export interface SearchResult {
+  id: string;
+  groupId: string;
+  groupName: string;
+  sender: string;
+  senderId: string;
+  message: string;
+  timestamp: string;
+  repliedToMessageId: string | null;
+  repliedToSender: string | null;
+  repliedToMessage: string | null;
+  // Escaped excerpt with <mark> around the matched terms; null for filter-only queries
+  snippet: string | null;
+}
+
+export interface SearchResponse {
+  success: boolean;
+  error?: string;
+  query: string;
+  sort: SearchSort;
+  results: SearchResult[];
+  total: number;
+  hasMore: boolean;
+  // Pass back as `cursor` for the next page; null on the last page
+  nextCursor: string | null;
+}
+
+// Built-in event types; event rules add their own (HOMEWORK, QUESTION, ...)
+export type EventType = 'JOIN' | 'LEAVE' | 'CERTIFICATE' | 'REMOVED' | (string & {});
+
 export interface Event {
   id: string;
   groupId: string;
   groupName: string;
-  type: 'JOIN' | 'LEAVE' | 'CERTIFICATE';
+  type: EventType;
   memberId: string;
   memberName: string;
   timestamp: string;
   certificateName?: string;
+  // Set on JOIN/LEAVE events found by comparing member snapshots after a restart
+  detectedAfterDowntime?: number | boolean;
+  windowStart?: string | null;
+  windowEnd?: string | null;
 }
 
 export interface Channel {
@@ -68,6 +574,88 @@ export interface Reaction {
   reactors: Reactor[];
 }
 
+// Repeat rule for a scheduled broadcast. `time` is wall-clock time in `timezone`.
+export interface BroadcastRecurrence {
+  type: 'daily' | 'weekly' | 'monthly' | 'cron';
+  time?: string;
+  daysOfWeek?: number[];
+  dayOfMonth?: number;
+  cron?: string;
+  timezone?: string;
+  endDate?: string;
+  maxOccurrences?: number;
+}
+
+export type WorkspaceRole = 'owner' | 'manager' | 'analyst' | 'viewer';
+
+export interface Workspace {
+  id: number;
+  name: string;
+  role: WorkspaceRole;
+  ownerUserId: number;
+  ownerUsername?: string;
+  isPersonal?: boolean;
+  permissions?: string[];
+}
+
+export interface WorkspaceMember {
+  userId: number;
+  username: string;
+  email: string;
+  role: WorkspaceRole;
+  createdAt: string;
+}
+
+export type ScheduledBroadcastStatus = 'pending' | 'paused' | 'sent' | 'failed' | 'completed';
+
+// Saved message with {{placeholders}}, rendered per group when sent
+export interface MessageTemplate {
+  id: number;
+  name: string;
+  body: string;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface AuthSession {
+  id: number;
+  device: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export type ApiKeyScope = 'messages:read' | 'events:read' | 'stats:read' | 'broadcast:send';
+
+export interface ApiKey {
+  id: number;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  createdAt: string;
+  expiresAt: string;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  revokedAt: string | null;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  requiredByPolicy: boolean;
+}
+
+export interface TemplatePreviewOptions {
+  body?: string;
+  templateId?: number;
+  groupId?: string;
+  newMemberCount?: number;
+}
+
 export const api = {
   async getHealth() {
     const response = await fetch(`${API_BASE_URL}/api/health`);
@@ -85,51 +673,66 @@ export const api = {
   },
 
   async getGroups() {
-    const response = await fetch(`${API_BASE_URL}/api/groups`, {
+    const response = await authFetch(`${API_BASE_URL}/api/groups`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
   async getMessages(limit = 100, offset = 0) {
-    const response = await fetch(`${API_BASE_URL}/api/messages?limit=${limit}&offset=${offset}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages?limit=${limit}&offset=${offset}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
   async getMessagesByGroup(groupId: string, limit = 100, offset = 0) {
-    const response = await fetch(`${API_BASE_URL}/api/messages/${groupId}?limit=${limit}&offset=${offset}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/${groupId}?limit=${limit}&offset=${offset}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async getEvents(limit = 100, offset = 0, date?: string, memberId?: string) {
+  // types filters by event type, e.g. ['HOMEWORK'] or ['JOIN', 'LEAVE']
+  async getEvents(limit = 100, offset = 0, date?: string, memberId?: string, types?: string[]) {
     const params = new URLSearchParams({
       limit: limit.toString(),
       offset: offset.toString()
     });
     if (date) params.append('date', date);
     if (memberId) params.append('memberId', memberId);
-    const response = await fetch(`${API_BASE_URL}/api/events?${params}`, {
+    if (types && types.length > 0) params.append('type', types.join(','));
+    const response = await authFetch(`${API_BASE_URL}/api/events?${params}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async getEventsByGroup(groupId: string, limit = 100, offset = 0) {
-    const response = await fetch(`${API_BASE_URL}/api/events/${groupId}?limit=${limit}&offset=${offset}`, {
+  async getEventsByGroup(groupId: string, limit = 100, offset = 0, types?: string[]) {
+    const typeParam = types && types.length > 0 ? `&type=${encodeURIComponent(types.join(','))}` : '';
+    const response = await authFetch(`${API_BASE_URL}/api/events/${groupId}?limit=${limit}&offset=${offset}${typeParam}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async searchMessages(query: string, groupId?: string, limit = 100) {
-    const params = new URLSearchParams({ q: query, limit: limit.toString() });
+  // Supports "phrases", prefix*, OR, NOT/-term, from:, group:, before:, after: and has:reply
+  async searchMessages(query: string, groupId?: string, limit = 50, sort: SearchSort = 'relevance', cursor?: string): Promise<SearchResponse> {
+    const params = new URLSearchParams({ q: query, limit: limit.toString(), sort });
     if (groupId) params.append('groupId', groupId);
-    const response = await fetch(`${API_BASE_URL}/api/search?${params}`, {
+    if (cursor) params.append('cursor', cursor);
+    const response = await authFetch(`${API_BASE_URL}/api/search?${params}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Arabic to Simplified Chinese; rate limited per user (429 with retryAfter when exceeded)
+  async translateMessage(messageId: string, text: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/translate-message`, {
+      method: 'POST',
       headers: getAuthHeaders(),
+      body: JSON.stringify({ messageId, text }),
     });
     return response.json();
   },
@@ -163,13 +766,9 @@ export const api = {
       formData.append('mentions', JSON.stringify(mentions));
     }
 
-    const token = localStorage.getItem('token');
-    const headers: HeadersInit = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    const headers = getUploadHeaders();
 
-    const response = await fetch(`${API_BASE_URL}/api/messages/send`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/send`, {
       method: 'POST',
       headers: headers,
       body: formData,
@@ -178,7 +777,7 @@ export const api = {
   },
 
   async getAllChats() {
-    const response = await fetch(`${API_BASE_URL}/api/whatsapp/all-chats`, {
+    const response = await authFetch(`${API_BASE_URL}/api/whatsapp/all-chats`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -210,13 +809,9 @@ export const api = {
       formData.append('mentions', JSON.stringify(mentions));
     }
 
-    const token = localStorage.getItem('token');
-    const headers: HeadersInit = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    const headers = getUploadHeaders();
 
-    const response = await fetch(`${API_BASE_URL}/api/messages/broadcast`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast`, {
       method: 'POST',
       headers: headers,
       body: formData,
@@ -224,13 +819,26 @@ export const api = {
     return response.json();
   },
 
-  async schedulebroadcast(groupIds: string[], message: string, scheduledTime: string, file?: File, messageType?: 'text' | 'poll', pollOptions?: string[], gapTime?: number, allowMultipleAnswers?: boolean, mentions?: string[]) {
+  // Re-send an immediate broadcast (broadcastId from broadcastMessage) to the groups that failed last time
+  async retryFailedBroadcast(broadcastId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/${broadcastId}/retry-failed`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async schedulebroadcast(groupIds: string[], message: string, scheduledTime: string, file?: File, messageType?: 'text' | 'poll', pollOptions?: string[], gapTime?: number, allowMultipleAnswers?: boolean, mentions?: string[], recurrence?: BroadcastRecurrence) {
     const formData = new FormData();
     formData.append('groupIds', JSON.stringify(groupIds));
     formData.append('message', message);
     formData.append('scheduledTime', scheduledTime);
     formData.append('gapTime', (gapTime || 10).toString());
 
+    if (recurrence) {
+      formData.append('recurrence', JSON.stringify(recurrence));
+    }
+
     if (file) {
       formData.append('file', file);
     }
@@ -251,13 +859,9 @@ export const api = {
       formData.append('mentions', JSON.stringify(mentions));
     }
 
-    const token = localStorage.getItem('token');
-    const headers: HeadersInit = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    const headers = getUploadHeaders();
 
-    const response = await fetch(`${API_BASE_URL}/api/messages/broadcast/schedule`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/schedule`, {
       method: 'POST',
       headers: headers,
       body: formData,
@@ -265,18 +869,18 @@ export const api = {
     return response.json();
   },
 
-  async getScheduledBroadcasts(status?: 'pending' | 'sent' | 'failed' | 'all') {
+  async getScheduledBroadcasts(status?: ScheduledBroadcastStatus | 'all') {
     const url = status && status !== 'all'
       ? `${API_BASE_URL}/api/messages/broadcast/scheduled?status=${status}`
       : `${API_BASE_URL}/api/messages/broadcast/scheduled`;
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
   async cancelScheduledBroadcast(scheduleId: number) {
-    const response = await fetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}`, {
       method: 'DELETE',
       headers: getAuthHeaders(),
     });
@@ -284,7 +888,7 @@ export const api = {
   },
 
   async updateScheduledBroadcastTime(scheduleId: number, scheduledTime: string) {
-    const response = await fetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}`, {
       method: 'PUT',
       headers: getAuthHeaders(),
       body: JSON.stringify({ scheduledTime }),
@@ -292,168 +896,492 @@ export const api = {
     return response.json();
   },
 
-  async getStats(date?: string) {
-    const url = date ? `${API_BASE_URL}/api/stats?date=${encodeURIComponent(date)}` : `${API_BASE_URL}/api/stats`;
-    const response = await fetch(url, {
+  async pauseScheduledBroadcast(scheduleId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}/pause`, {
+      method: 'POST',
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async addGroup(name: string) {
-    const response = await fetch(`${API_BASE_URL}/api/groups`, {
+  async resumeScheduledBroadcast(scheduleId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}/resume`, {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify({ name }),
     });
     return response.json();
   },
 
-  async deleteGroup(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/groups/${groupId}`, {
-      method: 'DELETE',
+  async retryFailedBroadcastGroups(scheduleId: number, executionId?: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}/retry-failed`, {
+      method: 'POST',
       headers: getAuthHeaders(),
+      body: JSON.stringify({ executionId }),
     });
     return response.json();
   },
 
-  async addChannel(name: string) {
-    const response = await fetch(`${API_BASE_URL}/api/channels/add`, {
-      method: 'POST',
+  async getBroadcastExecutions(scheduleId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/broadcast/scheduled/${scheduleId}/executions`, {
       headers: getAuthHeaders(),
-      body: JSON.stringify({ name }),
     });
-    const data = await response.json();
-
-    // If response is not ok, throw the error data so it can be caught
-    if (!response.ok || !data.success) {
-      throw data;
-    }
-
-    return data;
+    return response.json();
   },
 
-  async deleteChannel(channelId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/channels/${channelId}`, {
-      method: 'DELETE',
+  async getStats(date?: string) {
+    const url = date ? `${API_BASE_URL}/api/stats?date=${encodeURIComponent(date)}` : `${API_BASE_URL}/api/stats`;
+    const response = await authFetch(url, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async getGroupMembers(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/groups/${groupId}/members`, {
+  async getActivityHeatmap(query: ActivityHeatmapQuery) {
+    const response = await authFetch(`${API_BASE_URL}/api/stats/heatmap?${activityHeatmapParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async logout() {
-    const response = await fetch(`${API_BASE_URL}/api/auth/logout`, {
-      method: 'POST',
+  async getGroupGrowth(groupId: string, query: GroupGrowthQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/stats/groups/${encodeURIComponent(groupId)}/growth?${groupGrowthParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async logoutWhatsApp() {
-    const response = await fetch(`${API_BASE_URL}/api/whatsapp/logout`, {
-      method: 'POST',
+  async getCohortRetention(groupId: string, query: CohortRetentionQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/stats/groups/${encodeURIComponent(groupId)}/retention?${cohortRetentionParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  // Admin endpoints
-  async getUsers() {
-    const response = await fetch(`${API_BASE_URL}/api/admin/users`, {
+  async getMemberProfile(memberId: string, query: LeaderboardQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/members/${encodeURIComponent(memberId)}/profile?${engagementParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async updateUserAdmin(userId: number, isAdmin: boolean) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/users/${userId}/admin`, {
-      method: 'PUT',
+  async getLeaderboard(groupId: string, query: LeaderboardQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/leaderboard?${engagementParams(query)}`, {
       headers: getAuthHeaders(),
-      body: JSON.stringify({ isAdmin }),
     });
     return response.json();
   },
 
-  async deleteUser(userId: number) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/users/${userId}`, {
-      method: 'DELETE',
+  async getReplyAnalytics(groupId: string, query: ReplyAnalyticsQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/replies?${replyParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async makeMeAdmin() {
-    const response = await fetch(`${API_BASE_URL}/api/admin/make-me-admin`, {
-      method: 'POST',
+  async getUnansweredQuestions(groupId: string, query: ReplyAnalyticsQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/replies/unanswered?${replyParams(query)}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  // Admin view user data endpoints
-  async viewUserGroups(userId: number) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups`, {
+  exportReplyGraph(groupId: string, format: 'json' | 'graphml', query: ReplyAnalyticsQuery = {}): Promise<Blob> {
+    return downloadReplyGraph(`/api/groups/${encodeURIComponent(groupId)}/replies/graph`, format, query);
+  },
+
+  async postLeaderboard(groupId: string, query: LeaderboardQuery & { mention?: boolean } = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/leaderboard/post`, {
+      method: 'POST',
       headers: getAuthHeaders(),
+      body: JSON.stringify(query),
     });
     return response.json();
   },
 
-  async viewUserMessages(userId: number, limit = 100, offset = 0) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/view-user/${userId}/messages?limit=${limit}&offset=${offset}`, {
+  async addGroup(name: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups`, {
+      method: 'POST',
       headers: getAuthHeaders(),
+      body: JSON.stringify({ name }),
     });
     return response.json();
   },
 
-  async viewUserMessagesByGroup(userId: number, groupId: string, limit = 100, offset = 0) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/view-user/${userId}/messages/${groupId}?limit=${limit}&offset=${offset}`, {
+  async deleteGroup(groupId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${groupId}`, {
+      method: 'DELETE',
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async viewUserEvents(userId: number, limit = 100, offset = 0, date?: string, memberId?: string) {
-    const params = new URLSearchParams({
-      limit: limit.toString(),
-      offset: offset.toString()
-    });
-    if (date) params.append('date', date);
-    if (memberId) params.append('memberId', memberId);
-    const response = await fetch(`${API_BASE_URL}/api/admin/view-user/${userId}/events?${params}`, {
+  async addChannel(name: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/channels/add`, {
+      method: 'POST',
       headers: getAuthHeaders(),
+      body: JSON.stringify({ name }),
     });
-    return response.json();
+    const data = await response.json();
+
+    // If response is not ok, throw the error data so it can be caught
+    if (!response.ok || !data.success) {
+      throw data;
+    }
+
+    return data;
   },
 
-  async viewUserStats(userId: number, date?: string) {
-    const url = date
-      ? `${API_BASE_URL}/api/admin/view-user/${userId}/stats?date=${encodeURIComponent(date)}`
-      : `${API_BASE_URL}/api/admin/view-user/${userId}/stats`;
-    const response = await fetch(url, {
+  async deleteChannel(channelId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/channels/${channelId}`, {
+      method: 'DELETE',
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async viewUserGroupMembers(userId: number, groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${groupId}/members`, {
+  async getInactiveMembers(groupId: string, days: number, includeAdmins = false) {
+    const params = new URLSearchParams({ days: String(days) });
+    if (includeAdmins) params.set('includeAdmins', 'true');
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/inactive?${params}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
-  async viewUserScheduledBroadcasts(userId: number, status?: 'pending' | 'sent' | 'failed' | 'all') {
-    const url = status && status !== 'all'
-      ? `${API_BASE_URL}/api/admin/view-user/${userId}/scheduled-broadcasts?status=${status}`
-      : `${API_BASE_URL}/api/admin/view-user/${userId}/scheduled-broadcasts`;
-    const response = await fetch(url, {
+  async removeInactiveMembers(groupId: string, memberIds: string[], days: number, gapSeconds?: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/inactive/remove`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ memberIds, days, gapSeconds }),
+    });
+    return response.json();
+  },
+
+  async getGroupMembers(groupId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${groupId}/members`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async logout() {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/logout`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async logoutWhatsApp() {
+    const response = await authFetch(`${API_BASE_URL}/api/whatsapp/logout`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Login sessions of the current user
+  async getSessions() {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/sessions`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async revokeSession(sessionId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async revokeAllSessions(keepCurrent = true) {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/sessions?keepCurrent=${keepCurrent}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Two-factor authentication of the current user
+  async getTwoFactorStatus() {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/2fa`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async setupTwoFactor() {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/2fa/setup`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async enableTwoFactor(code: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/2fa/enable`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ code }),
+    });
+    return response.json();
+  },
+
+  async regenerateRecoveryCodes(code: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/2fa/recovery-codes`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ code }),
+    });
+    return response.json();
+  },
+
+  async disableTwoFactor(password: string, code: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/auth/2fa/disable`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ password, code }),
+    });
+    return response.json();
+  },
+
+  // Personal API keys
+  async getApiKeys() {
+    const response = await authFetch(`${API_BASE_URL}/api/api-keys`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async createApiKey(name: string, scopes: ApiKeyScope[], expiresInDays: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/api-keys`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name, scopes, expiresInDays }),
+    });
+    return response.json();
+  },
+
+  async revokeApiKey(id: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/api-keys/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Admin endpoints
+  async getUsers() {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/users`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async updateUserAdmin(userId: number, isAdmin: boolean) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/users/${userId}/admin`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ isAdmin }),
+    });
+    return response.json();
+  },
+
+  async deleteUser(userId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/users/${userId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async revokeUserSessions(userId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/users/${userId}/sessions`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async resetUserTwoFactor(userId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/users/${userId}/2fa`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async getSecurityPolicy() {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/security-policy`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async updateSecurityPolicy(requireAdminTwoFactor: boolean) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/security-policy`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ requireAdminTwoFactor }),
+    });
+    return response.json();
+  },
+
+  async getRoleChanges(limit = 100) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/role-changes?limit=${limit}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async getAuditLog(filters: AuditLogFilters = {}, beforeId?: number, limit = 50) {
+    const params = auditLogParams(filters);
+    params.set('limit', limit.toString());
+    if (beforeId) params.set('beforeId', beforeId.toString());
+    const response = await authFetch(`${API_BASE_URL}/api/admin/audit?${params}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Resolves to the CSV file; throws with the server's error message if the export was refused
+  async exportAuditLog(filters: AuditLogFilters = {}): Promise<Blob> {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/audit/export?${auditLogParams(filters)}`, {
+      headers: getUploadHeaders(),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to export audit log');
+    }
+    return response.blob();
+  },
+
+  // Admin view user data endpoints
+  async viewUserGroups(userId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserMessages(userId: number, limit = 100, offset = 0) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/messages?limit=${limit}&offset=${offset}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserMessagesByGroup(userId: number, groupId: string, limit = 100, offset = 0) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/messages/${groupId}?limit=${limit}&offset=${offset}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserEvents(userId: number, limit = 100, offset = 0, date?: string, memberId?: string) {
+    const params = new URLSearchParams({
+      limit: limit.toString(),
+      offset: offset.toString()
+    });
+    if (date) params.append('date', date);
+    if (memberId) params.append('memberId', memberId);
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/events?${params}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserActivityHeatmap(userId: number, query: ActivityHeatmapQuery) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/stats/heatmap?${activityHeatmapParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserGroupGrowth(userId: number, groupId: string, query: GroupGrowthQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/stats/groups/${encodeURIComponent(groupId)}/growth?${groupGrowthParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserCohortRetention(userId: number, groupId: string, query: CohortRetentionQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/stats/groups/${encodeURIComponent(groupId)}/retention?${cohortRetentionParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserMemberProfile(userId: number, memberId: string, query: LeaderboardQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/members/${encodeURIComponent(memberId)}/profile?${engagementParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserLeaderboard(userId: number, groupId: string, query: LeaderboardQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${encodeURIComponent(groupId)}/leaderboard?${engagementParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserReplyAnalytics(userId: number, groupId: string, query: ReplyAnalyticsQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${encodeURIComponent(groupId)}/replies?${replyParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserUnansweredQuestions(userId: number, groupId: string, query: ReplyAnalyticsQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${encodeURIComponent(groupId)}/replies/unanswered?${replyParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  viewUserExportReplyGraph(userId: number, groupId: string, format: 'json' | 'graphml', query: ReplyAnalyticsQuery = {}): Promise<Blob> {
+    return downloadReplyGraph(`/api/admin/view-user/${userId}/groups/${encodeURIComponent(groupId)}/replies/graph`, format, query);
+  },
+
+  async viewUserAttendanceReport(userId: number, groupId: string, query: AttendanceQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${encodeURIComponent(groupId)}/attendance?${attendanceParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserStats(userId: number, date?: string) {
+    const url = date
+      ? `${API_BASE_URL}/api/admin/view-user/${userId}/stats?date=${encodeURIComponent(date)}`
+      : `${API_BASE_URL}/api/admin/view-user/${userId}/stats`;
+    const response = await authFetch(url, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserGroupMembers(userId: number, groupId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/groups/${groupId}/members`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserScheduledBroadcasts(userId: number, status?: ScheduledBroadcastStatus | 'all') {
+    const url = status && status !== 'all'
+      ? `${API_BASE_URL}/api/admin/view-user/${userId}/scheduled-broadcasts?status=${status}`
+      : `${API_BASE_URL}/api/admin/view-user/${userId}/scheduled-broadcasts`;
+    const response = await authFetch(url, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async viewUserBroadcastExecutions(userId: number, scheduleId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/view-user/${userId}/scheduled-broadcasts/${scheduleId}/executions`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -461,7 +1389,7 @@ export const api = {
 
   // Welcome message settings
   async getWelcomeSettings(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -494,13 +1422,9 @@ export const api = {
       formData.append('image', imageFile);
     }
 
-    const token = localStorage.getItem('token');
-    const headers: HeadersInit = {};
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    const headers = getUploadHeaders();
 
-    const response = await fetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
       method: 'POST',
       headers: headers,
       body: formData,
@@ -509,23 +1433,116 @@ export const api = {
   },
 
   async deleteWelcomeSettings(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/welcome-settings/${groupId}`, {
       method: 'DELETE',
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
+  // Workspaces
+  async getWorkspaces() {
+    const response = await authFetch(`${API_BASE_URL}/api/workspaces`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async renameWorkspace(name: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/workspace`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name }),
+    });
+    return response.json();
+  },
+
+  async getWorkspaceMembers() {
+    const response = await authFetch(`${API_BASE_URL}/api/workspace/members`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async addWorkspaceMember(email: string, role: WorkspaceRole) {
+    const response = await authFetch(`${API_BASE_URL}/api/workspace/members`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ email, role }),
+    });
+    return response.json();
+  },
+
+  async updateWorkspaceMemberRole(userId: number, role: WorkspaceRole) {
+    const response = await authFetch(`${API_BASE_URL}/api/workspace/members/${userId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ role }),
+    });
+    return response.json();
+  },
+
+  async removeWorkspaceMember(userId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/workspace/members/${userId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Message templates
+  async getTemplates() {
+    const response = await authFetch(`${API_BASE_URL}/api/templates`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async createTemplate(name: string, body: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/templates`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name, body }),
+    });
+    return response.json();
+  },
+
+  async updateTemplate(templateId: number, name: string, body: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/templates/${templateId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name, body }),
+    });
+    return response.json();
+  },
+
+  async deleteTemplate(templateId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/templates/${templateId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async previewTemplate(options: TemplatePreviewOptions) {
+    const response = await authFetch(`${API_BASE_URL}/api/templates/preview`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(options),
+    });
+    return response.json();
+  },
+
   // Admin-only schedule settings
   async getAdminOnlySchedule(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
   },
 
   async saveAdminOnlySchedule(groupId: string, enabled: boolean, openTime: string, closeTime: string) {
-    const response = await fetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({ enabled, openTime, closeTime }),
@@ -534,7 +1551,94 @@ export const api = {
   },
 
   async deleteAdminOnlySchedule(groupId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/admin-only-schedule/${groupId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  // Certificate attendance
+  async getCertificateRule(groupId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/certificate-rules/${encodeURIComponent(groupId)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async saveCertificateRule(groupId: string, rule: CertificateRule) {
+    const response = await authFetch(`${API_BASE_URL}/api/certificate-rules/${encodeURIComponent(groupId)}`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(rule),
+    });
+    return response.json();
+  },
+
+  async deleteCertificateRule(groupId: string) {
+    const response = await authFetch(`${API_BASE_URL}/api/certificate-rules/${encodeURIComponent(groupId)}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async getAttendanceReport(groupId: string, query: AttendanceQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/attendance?${attendanceParams(query)}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async exportAttendanceReport(groupId: string, query: AttendanceQuery = {}): Promise<Blob> {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/attendance/export?${attendanceParams(query)}`, {
+      headers: getUploadHeaders(),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to export attendance report');
+    }
+    return response.blob();
+  },
+
+  async postAttendanceSummary(groupId: string, query: AttendanceQuery = {}) {
+    const response = await authFetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(groupId)}/attendance/post`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(query),
+    });
+    return response.json();
+  },
+
+  // Event rules
+  async getEventRules(groupId?: string) {
+    const query = groupId ? `?groupId=${encodeURIComponent(groupId)}` : '';
+    const response = await authFetch(`${API_BASE_URL}/api/event-rules${query}`, {
+      headers: getAuthHeaders(),
+    });
+    return response.json();
+  },
+
+  async createEventRule(rule: EventRule) {
+    const response = await authFetch(`${API_BASE_URL}/api/event-rules`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(rule),
+    });
+    return response.json();
+  },
+
+  async updateEventRule(ruleId: number, rule: EventRule) {
+    const response = await authFetch(`${API_BASE_URL}/api/event-rules/${ruleId}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(rule),
+    });
+    return response.json();
+  },
+
+  async deleteEventRule(ruleId: number) {
+    const response = await authFetch(`${API_BASE_URL}/api/event-rules/${ruleId}`, {
       method: 'DELETE',
       headers: getAuthHeaders(),
     });
@@ -547,7 +1651,7 @@ export const api = {
 
   // Get all channels user follows
   async getChannels() {
-    const response = await fetch(`${API_BASE_URL}/api/channels`, {
+    const response = await authFetch(`${API_BASE_URL}/api/channels`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -555,7 +1659,7 @@ export const api = {
 
   // Get messages/posts from a specific channel
   async getChannelMessages(channelId: string, limit = 50) {
-    const response = await fetch(`${API_BASE_URL}/api/channels/${channelId}/messages?limit=${limit}`, {
+    const response = await authFetch(`${API_BASE_URL}/api/channels/${channelId}/messages?limit=${limit}`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -563,7 +1667,7 @@ export const api = {
 
   // Get reactions for a specific message (works for both groups and channels)
   async getMessageReactions(messageId: string) {
-    const response = await fetch(`${API_BASE_URL}/api/messages/${messageId}/reactions`, {
+    const response = await authFetch(`${API_BASE_URL}/api/messages/${messageId}/reactions`, {
       headers: getAuthHeaders(),
     });
     return response.json();
@@ -576,6 +1680,15 @@ export class WSClient {
   private listeners: Map<string, Set<(data: any) => void>> = new Map();
   private reconnectAttempts = 0;
   private maxReconnectAttempts = 3;
+  private viewUserId: number | null = null; // Admin opt-in to another user's stream
+  private groupIds: string[] | null = null; // null = all groups
+  private eventTypes: string[] | null = null; // null = all event types
+  // Last-seen position in the stream, sent as a resume request after a reconnect
+  private cursor: { since: string | null; lastMessageId: string | null; lastEventId: number | null } = {
+    since: null,
+    lastMessageId: null,
+    lastEventId: null,
+  };
 
   connect() {
     if (this.ws?.readyState === WebSocket.OPEN) return;
@@ -584,12 +1697,41 @@ export class WSClient {
       return;
     }
 
+    const token = localStorage.getItem('token');
+    if (!token) {
+      console.log('WebSocket: No auth token, skipping connection');
+      return;
+    }
+
+    // The handshake is rejected with an expired access token, so renew it first
+    if (accessTokenExpired(token)) {
+      refreshSession().then(refreshed => {
+        if (refreshed) this.connect();
+      });
+      return;
+    }
+
     try {
-      this.ws = new WebSocket(WS_URL);
+      const workspaceId = getWorkspaceId();
+      const workspaceParam = workspaceId ? `&workspace=${encodeURIComponent(workspaceId)}` : '';
+      this.ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}${workspaceParam}`);
 
       this.ws.onopen = () => {
         console.log('✅ WebSocket connected');
         this.reconnectAttempts = 0; // Reset on successful connection
+
+        // Re-subscribe to the viewed user's stream after a reconnect
+        if (this.viewUserId !== null) {
+          this.send({ type: 'view_user', userId: this.viewUserId });
+        }
+        if (this.groupIds || this.eventTypes) {
+          this.send({ type: 'subscribe', groupIds: this.groupIds ?? undefined, eventTypes: this.eventTypes ?? undefined });
+        }
+
+        // Ask the server to replay whatever arrived while we were disconnected
+        if (this.cursor.since || this.cursor.lastEventId) {
+          this.send({ type: 'resume', ...this.cursor });
+        }
       };
 
       this.ws.onmessage = (event) => {
@@ -597,6 +1739,8 @@ export class WSClient {
           const data = JSON.parse(event.data);
           const type = data.type;
 
+          this.advanceCursor(data);
+
           const listeners = this.listeners.get(type);
           if (listeners) {
             listeners.forEach(listener => listener(data));
@@ -615,8 +1759,16 @@ export class WSClient {
         console.warn('⚠️ WebSocket error (app will use polling):', error);
       };
 
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
         console.log('WebSocket disconnected');
+        if (event.code === 4001) {
+          console.log('WebSocket: session was revoked, not reconnecting');
+          return;
+        }
+        if (event.code === 4003) {
+          console.log('WebSocket: removed from the workspace, not reconnecting');
+          return;
+        }
         this.reconnectAttempts++;
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
           this.reconnectTimeout = setTimeout(() => this.connect(), 5000);
@@ -640,6 +1792,54 @@ export class WSClient {
     }
   }
 
+  // Admin only: also receive live frames for another user's WhatsApp account
+  viewUser(userId: number) {
+    this.viewUserId = userId;
+    this.send({ type: 'view_user', userId });
+  }
+
+  stopViewing() {
+    this.viewUserId = null;
+    this.send({ type: 'stop_viewing' });
+  }
+
+  // Limit live frames to specific groups and/or event types (e.g. 'JOIN', 'LEAVE')
+  subscribe(groupIds?: string[], eventTypes?: string[]) {
+    if (groupIds) this.groupIds = [...new Set([...(this.groupIds || []), ...groupIds])];
+    if (eventTypes) this.eventTypes = [...new Set([...(this.eventTypes || []), ...eventTypes])];
+    if (!groupIds && !eventTypes) {
+      this.groupIds = null;
+      this.eventTypes = null;
+    }
+    this.send({ type: 'subscribe', groupIds, eventTypes });
+  }
+
+  unsubscribe(groupIds?: string[], eventTypes?: string[]) {
+    if (groupIds && this.groupIds) this.groupIds = this.groupIds.filter(id => !groupIds.includes(id));
+    if (eventTypes && this.eventTypes) this.eventTypes = this.eventTypes.filter(t => !eventTypes.includes(t));
+    this.send({ type: 'unsubscribe', groupIds, eventTypes });
+  }
+
+  private advanceCursor(data: any) {
+    if (data.type === 'message' && data.message?.timestamp) {
+      if (!this.cursor.since || data.message.timestamp >= this.cursor.since) {
+        this.cursor.since = data.message.timestamp;
+        this.cursor.lastMessageId = data.message.id;
+      }
+    } else if (data.type === 'event' && data.event?.id) {
+      this.cursor.lastEventId = Math.max(this.cursor.lastEventId || 0, data.event.id);
+    } else if (data.type === 'connected' && !this.cursor.since && !this.cursor.lastEventId) {
+      // First connection: anything after this point is "missed" if we drop
+      this.cursor.since = new Date().toISOString();
+    }
+  }
+
+  private send(data: any) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(data));
+    }
+  }
+
   on(event: string, callback: (data: any) => void) {
     if (!this.listeners.has(event)) {
       this.listeners.set(event, new Set());
@@ -7,7 +7,7 @@ import { ChatView } from "@/components/ChatView";
 import { AnalyticsPanel } from "@/components/AnalyticsPanel";
 import { Button } from "@/components/ui/button";
 import { ArrowLeft, Eye, Calendar } from "lucide-react";
-import { api, Message, Event } from "@/lib/api";
+import { api, wsClient, Message, Event } from "@/lib/api";
 import { useToast } from "@/hooks/use-toast";
 import { Badge } from "@/components/ui/badge";
 import { ScheduledBroadcastsDialog } from "@/components/ScheduledBroadcastsDialog";
@@ -96,6 +96,37 @@ const AdminUserView = () => {
     }
   }, [eventsData]);
 
+  // Opt into this user's live WebSocket stream
+  useEffect(() => {
+    if (viewUserIdNum <= 0) return;
+
+    wsClient.connect();
+    wsClient.viewUser(viewUserIdNum);
+
+    const handleMessage = (data: any) => {
+      if (data.userId !== viewUserIdNum) return;
+      const newMessage = data.message as Message;
+      if (newMessage.groupId === selectedGroupId) {
+        setMessages((prev) => prev.some((m) => m.id === newMessage.id) ? prev : [newMessage, ...prev]);
+      }
+      refetchAllMessages();
+    };
+
+    const handleEvent = (data: any) => {
+      if (data.userId !== viewUserIdNum) return;
+      setEvents((prev) => [data.event as Event, ...prev]);
+    };
+
+    wsClient.on('message', handleMessage);
+    wsClient.on('event', handleEvent);
+
+    return () => {
+      wsClient.off('message', handleMessage);
+      wsClient.off('event', handleEvent);
+      wsClient.stopViewing();
+    };
+  }, [viewUserIdNum, selectedGroupId]);
+
   // Transform groups data
   const transformedGroups = groupsData?.groups?.map((group: any) => {
     const groupMessages = allMessagesData?.messages?.filter(
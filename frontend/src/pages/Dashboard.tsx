@@ -6,7 +6,9 @@ import { Button } from "@/components/ui/button";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
 import { useToast } from "@/hooks/use-toast";
-import { Loader2, Shield, ShieldOff, UserCog, ArrowLeft, RefreshCw, Trash2, Eye } from "lucide-react";
+import { Loader2, Shield, ShieldOff, ArrowLeft, RefreshCw, Trash2, Eye, LogOut, KeyRound } from "lucide-react";
+import { TwoFactorSettings } from "@/components/TwoFactorSettings";
+import { AuditLog } from "@/components/AuditLog";
 import { Switch } from "@/components/ui/switch";
 import {
   AlertDialog,
@@ -26,20 +28,55 @@ interface User {
   isAdmin: boolean;
   whatsappAuthenticated: boolean;
   createdAt: string;
+  activeSessions: number;
+  twoFactorEnabled: boolean;
 }
 
+interface RoleChange {
+  id: number;
+  user_id: number;
+  user_email: string | null;
+  username: string | null;
+  role: string;
+  action: 'grant' | 'revoke' | 'change';
+  actor_user_id: number | null;
+  actor_username: string | null;
+  source: 'bootstrap' | 'cli' | 'admin_api' | 'workspace';
+  workspace_id: number | null;
+  created_at: string;
+}
+
+const ROLE_CHANGE_SOURCES: Record<RoleChange['source'], string> = {
+  bootstrap: 'Bootstrap token',
+  cli: 'Server CLI',
+  admin_api: 'Admin dashboard',
+  workspace: 'Workspace owner',
+};
+
+const WORKSPACE_ACTIONS: Record<RoleChange['action'], string> = {
+  grant: 'Added as',
+  change: 'Changed to',
+  revoke: 'Removed as',
+};
+
 export default function Dashboard() {
   const [users, setUsers] = useState<User[]>([]);
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState<number | null>(null);
   const [deleting, setDeleting] = useState<number | null>(null);
+  const [revoking, setRevoking] = useState<number | null>(null);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [selectedUser, setSelectedUser] = useState<User | null>(null);
   const [userToDelete, setUserToDelete] = useState<User | null>(null);
   const [actionType, setActionType] = useState<'grant' | 'revoke'>('grant');
+  const [roleChanges, setRoleChanges] = useState<RoleChange[]>([]);
+  const [requireAdminTwoFactor, setRequireAdminTwoFactor] = useState(false);
+  const [savingPolicy, setSavingPolicy] = useState(false);
   const { toast } = useToast();
   const { user: currentUser, logout } = useAuth();
+  // Admin endpoints refuse to answer until 2FA is set up when the policy requires it
+  const twoFactorSetupRequired = Boolean(currentUser?.twoFactorSetupRequired);
 
   const fetchUsers = async () => {
     try {
@@ -65,9 +102,89 @@ export default function Dashboard() {
     }
   };
 
+  const fetchRoleChanges = async () => {
+    try {
+      const response = await api.getRoleChanges(20);
+      if (response.success) {
+        setRoleChanges(response.roleChanges);
+      }
+    } catch (error) {
+      console.error('Error fetching role changes:', error);
+    }
+  };
+
+  const fetchSecurityPolicy = async () => {
+    try {
+      const response = await api.getSecurityPolicy();
+      if (response.success) {
+        setRequireAdminTwoFactor(response.requireAdminTwoFactor);
+      }
+    } catch (error) {
+      console.error('Error fetching security policy:', error);
+    }
+  };
+
   useEffect(() => {
+    if (twoFactorSetupRequired) return;
     fetchUsers();
-  }, []);
+    fetchRoleChanges();
+    fetchSecurityPolicy();
+  }, [twoFactorSetupRequired]);
+
+  const handlePolicyChange = async (checked: boolean) => {
+    try {
+      setSavingPolicy(true);
+      const response = await api.updateSecurityPolicy(checked);
+      if (response.success) {
+        setRequireAdminTwoFactor(response.requireAdminTwoFactor);
+        toast({
+          title: "Success",
+          description: checked ? "Admins now need two-factor authentication" : "Two-factor authentication is optional for admins",
+        });
+      } else {
+        toast({
+          variant: "destructive",
+          title: "Error",
+          description: response.error || "Failed to update security policy",
+        });
+      }
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to update security policy",
+      });
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleResetTwoFactor = async (user: User) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.username}? They will be logged out everywhere and can set it up again after logging in with their password.`)) return;
+
+    try {
+      const response = await api.resetUserTwoFactor(user.id);
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: `Two-factor authentication reset for ${user.username}`,
+        });
+        setUsers(users.map(u => u.id === user.id ? { ...u, twoFactorEnabled: false, activeSessions: 0 } : u));
+      } else {
+        toast({
+          variant: "destructive",
+          title: "Error",
+          description: response.error || "Failed to reset two-factor authentication",
+        });
+      }
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to reset two-factor authentication",
+      });
+    }
+  };
 
   const handleAdminToggle = (user: User) => {
     setSelectedUser(user);
@@ -93,6 +210,7 @@ export default function Dashboard() {
         setUsers(users.map(u =>
           u.id === selectedUser.id ? { ...u, isAdmin: newAdminStatus } : u
         ));
+        fetchRoleChanges();
 
         // If user removed their own admin status, redirect after 2 seconds
         if (selectedUser.id === currentUser?.id && !newAdminStatus) {
@@ -126,6 +244,37 @@ export default function Dashboard() {
     }
   };
 
+  const handleRevokeSessions = async (user: User) => {
+    if (!window.confirm(`Log ${user.username} out of all ${user.activeSessions} active session(s)?`)) return;
+
+    try {
+      setRevoking(user.id);
+      const response = await api.revokeUserSessions(user.id);
+
+      if (response.success) {
+        toast({
+          title: "Success",
+          description: `Ended ${response.revoked} session(s) of ${user.username}`,
+        });
+        setUsers(users.map(u => u.id === user.id ? { ...u, activeSessions: 0 } : u));
+      } else {
+        toast({
+          variant: "destructive",
+          title: "Error",
+          description: response.error || "Failed to end sessions",
+        });
+      }
+    } catch (error) {
+      toast({
+        variant: "destructive",
+        title: "Error",
+        description: "Failed to end sessions",
+      });
+    } finally {
+      setRevoking(null);
+    }
+  };
+
   const handleDeleteUser = (user: User) => {
     if (user.id === currentUser?.id) {
       toast({
@@ -174,34 +323,6 @@ export default function Dashboard() {
     }
   };
 
-  const handleMakeMeAdmin = async () => {
-    try {
-      const response = await api.makeMeAdmin();
-      if (response.success) {
-        toast({
-          title: "Success",
-          description: response.message,
-        });
-        setTimeout(() => {
-          logout();
-          window.location.href = '/login';
-        }, 2000);
-      } else {
-        toast({
-          variant: "destructive",
-          title: "Error",
-          description: response.error || "Failed to grant admin privileges",
-        });
-      }
-    } catch (error) {
-      toast({
-        variant: "destructive",
-        title: "Error",
-        description: "Failed to grant admin privileges",
-      });
-    }
-  };
-
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -212,6 +333,24 @@ export default function Dashboard() {
     });
   };
 
+  if (twoFactorSetupRequired) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-6">
+        <Card className="max-w-lg w-full">
+          <CardHeader>
+            <CardTitle>Set Up Two-Factor Authentication</CardTitle>
+            <CardDescription>
+              Two-factor authentication is required for admin accounts. Set it up to use the admin dashboard.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <TwoFactorSettings />
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 dark:from-gray-900 dark:to-gray-800">
       <div className="container mx-auto p-6 space-y-6">
@@ -239,20 +378,16 @@ export default function Dashboard() {
             <Button
               variant="outline"
               size="sm"
-              onClick={fetchUsers}
+              onClick={() => {
+                fetchUsers();
+                fetchRoleChanges();
+                fetchSecurityPolicy();
+              }}
               disabled={loading}
             >
               <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
               Refresh
             </Button>
-            <Button
-              variant="default"
-              size="sm"
-              onClick={handleMakeMeAdmin}
-            >
-              <UserCog className="h-4 w-4 mr-2" />
-              Make Me Admin
-            </Button>
           </div>
         </div>
 
@@ -334,6 +469,9 @@ export default function Dashboard() {
                           ) : (
                             <Badge variant="secondary">User</Badge>
                           )}
+                          {user.twoFactorEnabled && (
+                            <Badge variant="outline" className="ml-2">2FA</Badge>
+                          )}
                         </TableCell>
                         <TableCell>
                           {user.whatsappAuthenticated ? (
@@ -367,6 +505,31 @@ export default function Dashboard() {
                             >
                               <Eye className="h-4 w-4" />
                             </Button>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleRevokeSessions(user)}
+                              disabled={revoking === user.id || user.id === currentUser?.id || user.activeSessions === 0}
+                              title={user.id === currentUser?.id
+                                ? "Use Sessions on the main page to sign out your own devices"
+                                : `Force logout (${user.activeSessions} active session${user.activeSessions === 1 ? '' : 's'})`}
+                            >
+                              {revoking === user.id ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <LogOut className="h-4 w-4" />
+                              )}
+                            </Button>
+                            {user.twoFactorEnabled && user.id !== currentUser?.id && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => handleResetTwoFactor(user)}
+                                title="Reset two-factor authentication (lost authenticator)"
+                              >
+                                <KeyRound className="h-4 w-4" />
+                              </Button>
+                            )}
                             <Button
                               variant="outline"
                               size="sm"
@@ -392,6 +555,102 @@ export default function Dashboard() {
           </CardContent>
         </Card>
 
+        {/* Security Policy */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Security Policy</CardTitle>
+            <CardDescription>
+              Rules that apply to every account on this server
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <p className="font-medium">Require two-factor authentication for admins</p>
+                <p className="text-sm text-gray-500">
+                  Admins without 2FA keep their account but can't use admin features until they set it up.
+                  {!currentUser?.twoFactorEnabled && ' Enable 2FA on your own account (Security on the main page) first.'}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {savingPolicy && <Loader2 className="h-4 w-4 animate-spin text-blue-500" />}
+                <Switch
+                  checked={requireAdminTwoFactor}
+                  onCheckedChange={handlePolicyChange}
+                  disabled={savingPolicy || (!requireAdminTwoFactor && !currentUser?.twoFactorEnabled)}
+                />
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Role Change History */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Role Changes</CardTitle>
+            <CardDescription>
+              Recent admin grants and revocations, and workspace membership changes
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {roleChanges.length === 0 ? (
+              <div className="text-center py-6 text-gray-500">
+                No role changes recorded
+              </div>
+            ) : (
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>When</TableHead>
+                      <TableHead>User</TableHead>
+                      <TableHead>Change</TableHead>
+                      <TableHead>By</TableHead>
+                      <TableHead>Via</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {roleChanges.map((change) => (
+                      <TableRow key={change.id}>
+                        <TableCell className="text-sm text-gray-500">
+                          {formatDate(change.created_at.replace(' ', 'T') + (change.created_at.endsWith('Z') ? '' : 'Z'))}
+                        </TableCell>
+                        <TableCell>{change.username || change.user_email || `#${change.user_id}`}</TableCell>
+                        <TableCell>
+                          {change.role !== 'admin' ? (
+                            <Badge variant="outline">
+                              {WORKSPACE_ACTIONS[change.action]} {change.role} (workspace #{change.workspace_id})
+                            </Badge>
+                          ) : change.action === 'grant' ? (
+                            <Badge variant="default" className="gap-1">
+                              <Shield className="h-3 w-3" />
+                              Granted
+                            </Badge>
+                          ) : (
+                            <Badge variant="secondary" className="gap-1">
+                              <ShieldOff className="h-3 w-3" />
+                              Revoked
+                            </Badge>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {change.actor_username || (change.actor_user_id ? `#${change.actor_user_id}` : '—')}
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-500">
+                          {ROLE_CHANGE_SOURCES[change.source] || change.source}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Audit Log */}
+        <AuditLog users={users} />
+
         {/* Admin Toggle Confirmation Dialog */}
         <AlertDialog open={dialogOpen} onOpenChange={setDialogOpen}>
           <AlertDialogContent>
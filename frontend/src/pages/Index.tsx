@@ -9,13 +9,16 @@ import { AnalyticsPanel } from "@/components/AnalyticsPanel";
 import { ReactionsDialog } from "@/components/ReactionsDialog";
 import { Button } from "@/components/ui/button";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
-import { Languages, LogOut, Power, ShieldCheck, Eye, Users, Radio } from "lucide-react";
-import { api, wsClient, Message, Event, Channel, ChannelMessage } from "@/lib/api";
+import { Languages, LogOut, Power, ShieldCheck, Eye, Users, Radio, MonitorSmartphone, Search } from "lucide-react";
+import { api, authFetch, wsClient, getWorkspaceId, Message, Event, Channel, ChannelMessage, Workspace } from "@/lib/api";
 import { useToast } from "@/hooks/use-toast";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "@/contexts/AuthContext";
 import AdminUserSelector from "@/components/AdminUserSelector";
 import { Badge } from "@/components/ui/badge";
+import { WorkspaceSwitcher } from "@/components/WorkspaceSwitcher";
+import { SecurityDialog } from "@/components/SecurityDialog";
+import { MessageSearchDialog } from "@/components/MessageSearchDialog";
 
 // Dynamic URL configuration for local development and production
 const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3000' : '';
@@ -25,6 +28,8 @@ const Index = () => {
   const [selectedGroupId, setSelectedGroupId] = useState<string | null>(null);
   const [selectedChannelId, setSelectedChannelId] = useState<string | null>(null);
   const [translateMode, setTranslateMode] = useState(false);
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
   const [messages, setMessages] = useState<Message[]>([]);
   const [channelMessages, setChannelMessages] = useState<ChannelMessage[]>([]);
   const [events, setEvents] = useState<Event[]>([]);
@@ -35,6 +40,7 @@ const Index = () => {
   const [viewingUserInfo, setViewingUserInfo] = useState<{username: string, email: string} | null>(null);
   const [showReactionsDialog, setShowReactionsDialog] = useState(false);
   const [selectedMessageId, setSelectedMessageId] = useState<string | null>(null);
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
   const { toast} = useToast();
   const queryClient = useQueryClient();
   const navigate = useNavigate();
@@ -150,9 +156,11 @@ const Index = () => {
         const token = localStorage.getItem('token');
         if (!token) return;
 
-        const response = await fetch(`${API_BASE_URL}/api/whatsapp/status`, {
+        const workspaceId = getWorkspaceId();
+        const response = await authFetch(`${API_BASE_URL}/api/whatsapp/status`, {
           headers: {
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            ...(workspaceId ? { 'X-Workspace-Id': workspaceId } : {})
           }
         });
         const data = await response.json();
@@ -220,6 +228,9 @@ const Index = () => {
         return [data.message, ...prev];
       });
 
+      // Replayed frames (after a reconnect) are caught up silently
+      if (data.replayed) return;
+
       // Show toast notification
       toast({
         title: `New message in ${data.message.groupName}`,
@@ -234,9 +245,12 @@ const Index = () => {
         const newEvent = data.event;
         const eventDate = newEvent.timestamp.substring(0, 10);
 
-        // Remove any existing event of the same type for the same member on the same date
+        // Remove the copy we already have and, for built-in types, any existing event of the same type for
+        // the same member on the same date (rule events can repeat within a day)
+        const builtIn = ['JOIN', 'LEAVE', 'CERTIFICATE', 'REMOVED'].includes(newEvent.type);
         const filtered = prev.filter(e => {
-          if (e.memberId === newEvent.memberId && e.type === newEvent.type) {
+          if (newEvent.id && e.id === newEvent.id) return false;
+          if (builtIn && e.memberId === newEvent.memberId && e.type === newEvent.type) {
             const eDate = e.timestamp.substring(0, 10);
             return eDate !== eventDate;
           }
@@ -246,8 +260,14 @@ const Index = () => {
         return [newEvent, ...filtered];
       });
 
+      if (data.replayed) return;
+
       // Show toast notification
-      const action = data.event.type === 'JOIN' ? 'joined' : data.event.type === 'LEAVE' ? 'left' : 'recorded certificate';
+      const action = data.event.type === 'JOIN' ? 'joined'
+        : data.event.type === 'LEAVE' ? 'left'
+        : data.event.type === 'REMOVED' ? 'was removed'
+        : data.event.type === 'CERTIFICATE' ? 'recorded certificate'
+        : `recorded ${data.event.type}`;
       toast({
         title: `${data.event.memberName} ${action}`,
         description: `Group: ${data.event.groupName}`,
@@ -266,6 +286,15 @@ const Index = () => {
       });
     };
 
+    const handleReplayComplete = (data: any) => {
+      // Too much was missed to replay over the socket - reload from the API instead
+      if (data.truncated) {
+        refetchMessages();
+        refetchAllMessages();
+        queryClient.invalidateQueries({ queryKey: ['events'] });
+      }
+    };
+
     const handleDisconnected = (data: any) => {
       console.log('⚠️ WhatsApp disconnected:', data);
 
@@ -285,8 +314,10 @@ const Index = () => {
     wsClient.on('event', handleEvent);
     wsClient.on('group_added', handleGroupAdded);
     wsClient.on('disconnected', handleDisconnected);
+    wsClient.on('replay_complete', handleReplayComplete);
 
     return () => {
+      wsClient.off('replay_complete', handleReplayComplete);
       wsClient.off('message', handleMessage);
       wsClient.off('event', handleEvent);
       wsClient.off('group_added', handleGroupAdded);
@@ -674,6 +705,10 @@ const Index = () => {
             </Button>
           </div>
 
+          {!isViewingAsAdmin && (
+            <WorkspaceSwitcher translateMode={translateMode} onWorkspaceLoaded={setWorkspace} />
+          )}
+
           {isViewingAsAdmin && viewingUserInfo && (
             <div className="flex items-center gap-2">
               <Badge variant="secondary" className="gap-1">
@@ -684,6 +719,18 @@ const Index = () => {
           )}
         </div>
         <div className="flex items-center gap-2">
+          {/* Search runs over the signed-in account's messages, so it isn't offered while viewing another user */}
+          {!isViewingAsAdmin && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setShowSearch(true)}
+              className="gap-2"
+            >
+              <Search className="h-4 w-4" />
+              {translateMode ? "搜索" : "Search"}
+            </Button>
+          )}
           {isViewingAsAdmin && (
             <Button
               variant="outline"
@@ -716,6 +763,16 @@ const Index = () => {
             {translateMode ? "显示原文" : "Translate to Chinese"}
           </Button>
           <ThemeToggle />
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowSecurity(true)}
+            className="gap-2"
+            title={translateMode ? "双重验证和登录会话" : "Two-factor authentication and active sessions"}
+          >
+            <MonitorSmartphone className="h-4 w-4" />
+            {translateMode ? "安全" : "Security"}
+          </Button>
           <Button
             variant="outline"
             size="sm"
@@ -728,7 +785,7 @@ const Index = () => {
             <LogOut className="h-4 w-4" />
             {translateMode ? "退出账户" : "Logout from Account"}
           </Button>
-          {!isViewingAsAdmin && (
+          {!isViewingAsAdmin && (!workspace || workspace.role === 'owner') && (
             <Button
               variant="destructive"
               size="sm"
@@ -744,6 +801,20 @@ const Index = () => {
           )}
         </div>
       </header>
+
+      <SecurityDialog open={showSecurity} onOpenChange={setShowSecurity} translateMode={translateMode} />
+      <MessageSearchDialog
+        open={showSearch}
+        onOpenChange={setShowSearch}
+        translateMode={translateMode}
+        groupId={viewMode === 'groups' ? selectedGroupId : null}
+        groupName={selectedGroupName}
+        onSelectResult={(result) => {
+          if (viewMode !== 'groups') handleViewModeChange('groups');
+          setSelectedGroupId(result.groupId);
+          setShowSearch(false);
+        }}
+      />
       <div className="flex-1 grid grid-cols-12 overflow-hidden">
         <div className="col-span-3 h-full">
           {viewMode === 'groups' ? (
@@ -12,9 +12,46 @@ export default function Login() {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  // Set once the password is accepted for an account with 2FA
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
+  const goToApp = (userData: { isAdmin: boolean }) => {
+    if (userData.isAdmin) {
+      console.log('Redirecting admin to main page');
+      // Admins go directly to main page (user selection)
+      navigate('/');
+    } else {
+      console.log('Redirecting regular user to WhatsApp connect');
+      // Regular users need to connect WhatsApp
+      navigate('/whatsapp-connect');
+    }
+  };
+
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) return;
+    setError('');
+    setIsLoading(true);
+
+    try {
+      goToApp(await verifyTwoFactor(challengeToken, code, useRecoveryCode));
+    } catch (err: any) {
+      if (err.challengeExpired) {
+        // Too many attempts or took too long: back to the password
+        setChallengeToken(null);
+        setPassword('');
+      }
+      setCode('');
+      setError(err.message || 'Verification failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -23,19 +60,17 @@ export default function Login() {
     try {
       const userData = await login(email, password);
 
+      if ('twoFactorRequired' in userData) {
+        setChallengeToken(userData.challengeToken);
+        setCode('');
+        setUseRecoveryCode(false);
+        return;
+      }
+
       console.log('User login data:', userData);
       console.log('Is admin?', userData?.isAdmin);
 
-      // Check if user is admin (data is now available from login response)
-      if (userData?.isAdmin) {
-        console.log('Redirecting admin to main page');
-        // Admins go directly to main page (user selection)
-        navigate('/');
-      } else {
-        console.log('Redirecting regular user to WhatsApp connect');
-        // Regular users need to connect WhatsApp
-        navigate('/whatsapp-connect');
-      }
+      goToApp(userData);
     } catch (err: any) {
       setError(err.message || 'Failed to login');
     } finally {
@@ -43,6 +78,75 @@ export default function Login() {
     }
   };
 
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 p-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl font-bold text-center">Two-Factor Authentication</CardTitle>
+            <CardDescription className="text-center">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when setting up 2FA'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </CardDescription>
+          </CardHeader>
+          <form onSubmit={handleVerify}>
+            <CardContent className="space-y-4">
+              {error && (
+                <Alert variant="destructive">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="code">{useRecoveryCode ? 'Recovery code' : 'Verification code'}</Label>
+                <Input
+                  id="code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                  autoFocus
+                  disabled={isLoading}
+                />
+              </div>
+            </CardContent>
+            <CardFooter className="flex flex-col space-y-4">
+              <Button type="submit" className="w-full" disabled={isLoading || !code.trim()}>
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <div className="flex w-full justify-between text-sm">
+                <button
+                  type="button"
+                  className="text-primary hover:underline"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                    setError('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  className="text-muted-foreground hover:underline"
+                  onClick={() => {
+                    setChallengeToken(null);
+                    setPassword('');
+                    setError('');
+                  }}
+                >
+                  Back
+                </button>
+              </div>
+            </CardFooter>
+          </form>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 p-4">
       <Card className="w-full max-w-md">
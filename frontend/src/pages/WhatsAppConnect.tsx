@@ -6,6 +6,7 @@ import { Button } from "@/components/ui/button";
 import { Loader2, Smartphone, CheckCircle2, XCircle, LogOut } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import QRCode from "react-qr-code";
+import { authFetch } from "@/lib/api";
 
 // Dynamic URL configuration for local development and production
 const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3000' : '';
@@ -21,9 +22,9 @@ export default function WhatsAppConnect() {
 
   const checkWhatsAppStatus = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/status`, {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/status`, {
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
       });
       const data = await response.json();
@@ -45,10 +46,10 @@ export default function WhatsAppConnect() {
   const initializeWhatsApp = async () => {
     setIsInitializing(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/init`, {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/init`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
       });
       const data = await response.json();
@@ -77,9 +78,9 @@ export default function WhatsAppConnect() {
   const fetchQRCode = async () => {
     setIsLoading(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/whatsapp/qr`, {
+      const response = await authFetch(`${API_BASE_URL}/api/whatsapp/qr`, {
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
       });
       const data = await response.json();
@@ -0,0 +1,137 @@
+// Group size over time: daily participant/admin count snapshots (group_member_counts) next to the
+// JOIN and LEAVE (or REMOVED) events of each day. server.js records the snapshots and serves the series under
+// /api/stats/groups/:groupId/growth.
+//
+// Snapshots are keyed by UTC date like events.date; a later snapshot on the same day replaces the
+// earlier one, so each day holds the last count seen that day.
+
+const { DAY_MS, query, httpError, addDays, isDate } = require('./utils');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+async function recordMemberCount(db, userId, groupId, { participantCount, adminCount, recordedAt = new Date() }) {
+    const timestamp = recordedAt.toISOString();
+    await query(db, 'run', `
+        INSERT INTO group_member_counts (user_id, group_id, date, participant_count, admin_count, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, group_id, date) DO UPDATE SET
+            participant_count = excluded.participant_count,
+            admin_count = excluded.admin_count,
+            recorded_at = excluded.recorded_at
+    `, [userId, groupId, timestamp.slice(0, 10), participantCount, adminCount, timestamp]);
+}
+
+// Range from query values: from/to ("YYYY-MM-DD"), or the last `days` days (default 30) ending today
+function growthRange({ from, to, days } = {}, today) {
+    if (from || to) {
+        const end = to || today;
+        const start = from || end;
+        if (!isDate(start) || !isDate(end) || start > end) {
+            throw httpError('from and to must be YYYY-MM-DD dates with from <= to', 400);
+        }
+        if (Date.parse(end) - Date.parse(start) >= MAX_DAYS * DAY_MS) {
+            throw httpError(`The range can cover at most ${MAX_DAYS} days`, 400);
+        }
+        return { from: start, to: end };
+    }
+
+    const count = days === undefined ? DEFAULT_DAYS : parseInt(days);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DAYS) {
+        throw httpError(`days must be between 1 and ${MAX_DAYS}`, 400);
+    }
+    return { from: addDays(today, -(count - 1)), to: today };
+}
+
+// One entry per day from..to:
+// - memberCount/adminCount/snapshotAt: the day's snapshot, or null when none was taken
+// - joins/leaves/netChange: the day's JOIN events and LEAVE or REMOVED events
+// - countChange: memberCount minus the previous snapshot's (which may be days earlier)
+// - expectedChange: joins minus leaves recorded between those two snapshots
+// - unexplained: countChange - expectedChange; anything but 0 means joins or leaves were not recorded
+async function buildGrowthReport(db, userId, groupId, { from, to }) {
+    // The range's snapshots plus the last one before it, which the first day is compared with
+    const snapshots = await query(db, 'all', `
+        SELECT date, participant_count, admin_count, recorded_at
+        FROM group_member_counts
+        WHERE user_id = ? AND group_id = ? AND date <= ?
+          AND date >= COALESCE((
+              SELECT MAX(date) FROM group_member_counts WHERE user_id = ? AND group_id = ? AND date < ?
+          ), ?)
+        ORDER BY date
+    `, [userId, groupId, to, userId, groupId, from, from]);
+
+    const dailyEvents = await query(db, 'all', `
+        SELECT date, SUM(type = 'JOIN') AS joins, SUM(type IN ('LEAVE', 'REMOVED')) AS leaves
+        FROM events
+        WHERE user_id = ? AND group_id = ? AND type IN ('JOIN', 'LEAVE', 'REMOVED') AND date BETWEEN ? AND ?
+        GROUP BY date
+    `, [userId, groupId, from, to]);
+    const eventsByDate = new Map(dailyEvents.map(row => [row.date, row]));
+
+    // JOIN/LEAVE/REMOVED timestamps between the first and last snapshot, for comparing consecutive snapshots
+    const memberEvents = snapshots.length > 1 ? await query(db, 'all', `
+        SELECT type, timestamp FROM events
+        WHERE user_id = ? AND group_id = ? AND type IN ('JOIN', 'LEAVE', 'REMOVED') AND timestamp > ? AND timestamp <= ?
+    `, [userId, groupId, snapshots[0].recorded_at, snapshots[snapshots.length - 1].recorded_at]) : [];
+
+    const expectedBetween = (start, end) => memberEvents
+        .filter(event => event.timestamp > start && event.timestamp <= end)
+        .reduce((sum, event) => sum + (event.type === 'JOIN' ? 1 : -1), 0);
+
+    const snapshotsByDate = new Map(snapshots.map((snapshot, index) => [snapshot.date, { snapshot, previous: snapshots[index - 1] || null }]));
+
+    const series = [];
+    const totals = { joins: 0, leaves: 0, netChange: 0, countChange: null, unexplained: 0, daysWithUnexplained: 0 };
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const events = eventsByDate.get(date);
+        const joins = events ? events.joins : 0;
+        const leaves = events ? events.leaves : 0;
+        const entry = {
+            date,
+            memberCount: null,
+            adminCount: null,
+            snapshotAt: null,
+            joins,
+            leaves,
+            netChange: joins - leaves,
+            countChange: null,
+            expectedChange: null,
+            unexplained: null
+        };
+
+        const found = snapshotsByDate.get(date);
+        if (found) {
+            const { snapshot, previous } = found;
+            entry.memberCount = snapshot.participant_count;
+            entry.adminCount = snapshot.admin_count;
+            entry.snapshotAt = snapshot.recorded_at;
+            if (previous) {
+                entry.countChange = snapshot.participant_count - previous.participant_count;
+                entry.expectedChange = expectedBetween(previous.recorded_at, snapshot.recorded_at);
+                entry.unexplained = entry.countChange - entry.expectedChange;
+                totals.unexplained += entry.unexplained;
+                if (entry.unexplained !== 0) totals.daysWithUnexplained++;
+            }
+        }
+
+        totals.joins += joins;
+        totals.leaves += leaves;
+        series.push(entry);
+    }
+
+    totals.netChange = totals.joins - totals.leaves;
+    // From the last snapshot before the range (or the first one in it) to the last one in it
+    if (snapshots.length > 0) {
+        totals.countChange = snapshots[snapshots.length - 1].participant_count - snapshots[0].participant_count;
+    }
+
+    return { from, to, series, totals };
+}
+
+module.exports = {
+    recordMemberCount,
+    growthRange,
+    buildGrowthReport
+};
@@ -0,0 +1,913 @@
+// ============================================
+// DATABASE MIGRATIONS
+// ============================================
+//
+// Numbered, append-only schema migrations. Each migration runs inside a transaction and is
+// recorded in schema_migrations, so a failed step leaves the database at the previous version.
+//
+// Never edit a migration that has shipped - add a new one instead.
+
+// Arabic spelling variants that should match each other in search: harakat and tatweel are dropped,
+// alef forms fold to bare alef, alef maqsura to ya, ta marbuta to ha.
+// The messages_fts triggers bake this into SQL, so changing it needs a new migration that
+// recreates the triggers and rebuilds the index.
+const ARABIC_NORMALIZATION = [
+    ['\u064B', ''], ['\u064C', ''], ['\u064D', ''],  // tanween
+    ['\u064E', ''], ['\u064F', ''], ['\u0650', ''],  // fatha, damma, kasra
+    ['\u0651', ''], ['\u0652', ''],                   // shadda, sukun
+    ['\u0670', ''], ['\u0640', ''],                   // dagger alef, tatweel
+    ['\u0623', '\u0627'], ['\u0625', '\u0627'], ['\u0622', '\u0627'], ['\u0671', '\u0627'],  // أ إ آ ٱ -> ا
+    ['\u0649', '\u064A'],  // ى -> ي
+    ['\u0629', '\u0647']   // ة -> ه
+];
+
+// Same normalization as a SQL expression over a column
+function sqlNormalizeSearchText(column) {
+    return ARABIC_NORMALIZATION.reduce(
+        (expr, [from, to]) => `replace(${expr}, '${from}', '${to}')`,
+        `coalesce(${column}, '')`
+    );
+}
+
+// Keep messages_fts in step with messages (recreated whenever the messages table is rebuilt)
+async function createMessagesFtsTriggers(run) {
+    await run(`DROP TRIGGER IF EXISTS messages_fts_insert`);
+    await run(`DROP TRIGGER IF EXISTS messages_fts_delete`);
+    await run(`DROP TRIGGER IF EXISTS messages_fts_update`);
+    await run(`
+        CREATE TRIGGER messages_fts_insert AFTER INSERT ON messages BEGIN
+            INSERT INTO messages_fts (rowid, body, sender)
+            VALUES (new.rowid, ${sqlNormalizeSearchText('new.message')}, ${sqlNormalizeSearchText('new.sender')});
+        END
+    `);
+    await run(`
+        CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages BEGIN
+            DELETE FROM messages_fts WHERE rowid = old.rowid;
+        END
+    `);
+    await run(`
+        CREATE TRIGGER messages_fts_update AFTER UPDATE OF message, sender ON messages BEGIN
+            DELETE FROM messages_fts WHERE rowid = old.rowid;
+            INSERT INTO messages_fts (rowid, body, sender)
+            VALUES (new.rowid, ${sqlNormalizeSearchText('new.message')}, ${sqlNormalizeSearchText('new.sender')});
+        END
+    `);
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline',
+        // Databases created before migrations existed already have most of this, with whichever
+        // columns their ALTER TABLE calls managed to add. Create what's missing, add missing columns.
+        up: async ({ run, ensureColumns }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT UNIQUE NOT NULL,
+                    email TEXT UNIQUE NOT NULL,
+                    password_hash TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    is_admin BOOLEAN DEFAULT 0,
+                    whatsapp_authenticated BOOLEAN DEFAULT 0
+                )
+            `);
+            await ensureColumns('users', [
+                ['is_admin', 'BOOLEAN DEFAULT 0'],
+                ['whatsapp_authenticated', 'BOOLEAN DEFAULT 0']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    session_id TEXT UNIQUE NOT NULL,
+                    phone_number TEXT,
+                    is_authenticated BOOLEAN DEFAULT 0,
+                    last_connected DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS messages (
+                    id TEXT PRIMARY KEY,
+                    user_id INTEGER,
+                    group_id TEXT NOT NULL,
+                    group_name TEXT NOT NULL,
+                    sender TEXT NOT NULL,
+                    sender_id TEXT,
+                    message TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    replied_to_message_id TEXT,
+                    replied_to_sender TEXT,
+                    replied_to_message TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await ensureColumns('messages', [
+                ['user_id', 'INTEGER'],
+                ['sender_id', 'TEXT'],
+                ['replied_to_message_id', 'TEXT'],
+                ['replied_to_sender', 'TEXT'],
+                ['replied_to_message', 'TEXT']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER,
+                    group_id TEXT NOT NULL,
+                    group_name TEXT NOT NULL,
+                    member_id TEXT NOT NULL,
+                    member_name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            const addedEventColumns = await ensureColumns('events', [
+                ['user_id', 'INTEGER'],
+                ['date', 'TEXT']
+            ]);
+            if (addedEventColumns.includes('date')) {
+                await run(`UPDATE events SET date = substr(timestamp, 1, 10) WHERE date IS NULL`);
+            }
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS monitored_groups (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    group_name TEXT NOT NULL,
+                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                    UNIQUE(user_id, group_id)
+                )
+            `);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS scheduled_broadcasts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    group_ids TEXT NOT NULL,
+                    message TEXT,
+                    message_type TEXT DEFAULT 'text',
+                    poll_options TEXT,
+                    allow_multiple_answers BOOLEAN DEFAULT 0,
+                    gap_time INTEGER DEFAULT 10,
+                    scheduled_time DATETIME NOT NULL,
+                    status TEXT DEFAULT 'pending',
+                    file_data TEXT,
+                    file_mimetype TEXT,
+                    file_name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    executed_at DATETIME,
+                    result_summary TEXT,
+                    mentions TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await ensureColumns('scheduled_broadcasts', [
+                ['mentions', 'TEXT']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS welcome_message_settings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    enabled BOOLEAN DEFAULT 0,
+                    message_text TEXT NOT NULL,
+                    member_threshold INTEGER DEFAULT 5,
+                    delay_minutes INTEGER DEFAULT 5,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    image_enabled BOOLEAN DEFAULT 0,
+                    image_data TEXT,
+                    image_mimetype TEXT,
+                    image_filename TEXT,
+                    image_caption TEXT,
+                    specific_mentions TEXT,
+                    UNIQUE(user_id, group_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await ensureColumns('welcome_message_settings', [
+                ['image_enabled', 'BOOLEAN DEFAULT 0'],
+                ['image_data', 'TEXT'],
+                ['image_mimetype', 'TEXT'],
+                ['image_filename', 'TEXT'],
+                ['image_caption', 'TEXT'],
+                ['specific_mentions', 'TEXT']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS admin_only_schedule (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    enabled BOOLEAN DEFAULT 0,
+                    open_time TEXT NOT NULL,
+                    close_time TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, group_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await run(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_user_id ON whatsapp_sessions(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_session_id ON whatsapp_sessions(session_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages(group_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_group_id ON events(group_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp DESC)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_date ON events(date DESC)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_date_member ON events(date, member_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_monitored_groups_user_id ON monitored_groups(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_monitored_groups_group_id ON monitored_groups(group_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_user_id ON scheduled_broadcasts(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_scheduled_time ON scheduled_broadcasts(scheduled_time)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_status ON scheduled_broadcasts(status)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_welcome_settings_user_id ON welcome_message_settings(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_welcome_settings_group_id ON welcome_message_settings(group_id)`);
+        }
+    },
+    {
+        version: 2,
+        name: 'group_member_snapshots',
+        // Last known participant list per (user, group), so JOIN/LEAVE detection survives restarts.
+        // Events found by diffing a snapshot carry an approximate time window.
+        up: async ({ run, ensureColumns }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS group_member_snapshots (
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    member_ids TEXT NOT NULL,
+                    captured_at TEXT NOT NULL,
+                    PRIMARY KEY (user_id, group_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await ensureColumns('events', [
+                ['detected_after_downtime', 'BOOLEAN DEFAULT 0'],
+                ['window_start', 'TEXT'],
+                ['window_end', 'TEXT']
+            ]);
+        }
+    },
+    {
+        version: 3,
+        name: 'messages_fts',
+        // Full-text index over messages.message / messages.sender, keyed by messages.rowid
+        up: async ({ run }) => {
+            await run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                    body,
+                    sender,
+                    tokenize = 'unicode61 remove_diacritics 2'
+                )
+            `);
+
+            await createMessagesFtsTriggers(run);
+
+            // Index everything stored so far
+            await run(`DELETE FROM messages_fts`);
+            await run(`
+                INSERT INTO messages_fts (rowid, body, sender)
+                SELECT rowid, ${sqlNormalizeSearchText('message')}, ${sqlNormalizeSearchText('sender')} FROM messages
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'recurring_broadcasts',
+        // A scheduled broadcast with a cron_expression is a series: scheduled_time holds its next run
+        // and every run, recurring or one-off, gets its own broadcast_executions row.
+        up: async ({ run, ensureColumns }) => {
+            await ensureColumns('scheduled_broadcasts', [
+                ['recurrence', 'TEXT'],
+                ['cron_expression', 'TEXT'],
+                ['timezone', 'TEXT'],
+                ['ends_at', 'TEXT'],
+                ['max_occurrences', 'INTEGER'],
+                ['occurrence_count', 'INTEGER DEFAULT 0'],
+                ['paused_at', 'TEXT']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS broadcast_executions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    broadcast_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    occurrence INTEGER NOT NULL,
+                    scheduled_time TEXT NOT NULL,
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT,
+                    status TEXT NOT NULL DEFAULT 'executing',
+                    result_summary TEXT,
+                    FOREIGN KEY (broadcast_id) REFERENCES scheduled_broadcasts(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_broadcast_executions_broadcast_id ON broadcast_executions(broadcast_id, scheduled_time DESC)`);
+
+            // Runs that happened before executions were tracked
+            await run(`
+                INSERT INTO broadcast_executions (broadcast_id, user_id, occurrence, scheduled_time, started_at, finished_at, status, result_summary)
+                SELECT id, user_id, 1, scheduled_time, executed_at, executed_at, status, result_summary
+                FROM scheduled_broadcasts
+                WHERE status IN ('sent', 'failed') AND executed_at IS NOT NULL
+            `);
+            await run(`UPDATE scheduled_broadcasts SET occurrence_count = 1 WHERE status IN ('sent', 'failed')`);
+        }
+    },
+    {
+        version: 5,
+        name: 'broadcast_deliveries',
+        // One row per (run, target group), written before anything is sent, so an interrupted run
+        // can be resumed without re-sending to groups that already got the message.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS broadcast_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    execution_id INTEGER NOT NULL,
+                    broadcast_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TEXT,
+                    last_error TEXT,
+                    message_id TEXT,
+                    sent_at TEXT,
+                    updated_at TEXT,
+                    UNIQUE(execution_id, group_id),
+                    FOREIGN KEY (execution_id) REFERENCES broadcast_executions(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_broadcast_deliveries_execution ON broadcast_deliveries(execution_id, status, position)`);
+
+            // Runs left 'executing' by an older build may have reached some groups already and there
+            // is no record of which - close them instead of guessing. Series are paused so they can be resumed.
+            const now = new Date().toISOString();
+            const interrupted = JSON.stringify({
+                error: 'Interrupted by a restart before per-group delivery tracking existed',
+                totalSent: 0,
+                totalFailed: 0
+            });
+            await run(`
+                UPDATE broadcast_executions
+                SET status = 'failed', finished_at = ?, result_summary = ?
+                WHERE status = 'executing'
+            `, [now, interrupted]);
+            await run(`
+                UPDATE scheduled_broadcasts
+                SET status = 'failed', executed_at = ?, result_summary = ?
+                WHERE status = 'executing' AND cron_expression IS NULL
+            `, [now, interrupted]);
+            await run(`
+                UPDATE scheduled_broadcasts
+                SET status = 'paused', paused_at = ?, result_summary = ?
+                WHERE status = 'executing' AND cron_expression IS NOT NULL
+            `, [now, interrupted]);
+        }
+    },
+    {
+        version: 6,
+        name: 'broadcast_execution_retries',
+        // A resend of a run's failed groups is its own execution, pointing back at the run it retries
+        up: async ({ ensureColumns }) => {
+            await ensureColumns('broadcast_executions', [
+                ['retry_of', 'INTEGER']
+            ]);
+        }
+    },
+    {
+        version: 7,
+        name: 'message_templates',
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS message_templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    body TEXT NOT NULL,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, name),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'role_changes',
+        // Audit trail of admin grants and revokes. No foreign keys: rows outlive deleted users,
+        // which is why the email is copied in.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS role_changes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    user_email TEXT,
+                    role TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    actor_user_id INTEGER,
+                    source TEXT NOT NULL,
+                    ip_address TEXT,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_role_changes_user ON role_changes(user_id, created_at)`);
+        }
+    },
+    {
+        version: 9,
+        name: 'workspaces',
+        // A workspace is one WhatsApp account (its owner's) shared with other users under a role.
+        // Every existing user gets their own workspace with themselves as owner.
+        up: async ({ run, ensureColumns }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS workspaces (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    owner_user_id INTEGER NOT NULL UNIQUE,
+                    name TEXT NOT NULL,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`
+                CREATE TABLE IF NOT EXISTS workspace_members (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    role TEXT NOT NULL,
+                    added_by INTEGER,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(workspace_id, user_id),
+                    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id)`);
+
+            await run(`
+                INSERT OR IGNORE INTO workspaces (owner_user_id, name)
+                SELECT id, username || '''s workspace' FROM users
+            `);
+            await run(`
+                INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role)
+                SELECT id, owner_user_id, 'owner' FROM workspaces
+            `);
+
+            // Workspace role changes share the admin audit trail
+            await ensureColumns('role_changes', [
+                ['workspace_id', 'INTEGER']
+            ]);
+        }
+    },
+    {
+        version: 10,
+        name: 'auth_sessions',
+        // One row per login. Access tokens carry the session id; the refresh token is stored hashed and
+        // replaced on every refresh, keeping the previous hash to spot a stolen token being replayed.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS auth_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    refresh_token_hash TEXT NOT NULL,
+                    previous_token_hash TEXT,
+                    user_agent TEXT,
+                    ip_address TEXT,
+                    created_at TEXT NOT NULL,
+                    last_used_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    revoked_at TEXT,
+                    revoked_reason TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, revoked_at)`);
+        }
+    },
+    {
+        version: 11,
+        name: 'two_factor',
+        // TOTP 2FA. totp_enabled_at is set once enrollment is confirmed; totp_last_step is the last
+        // accepted time step, so a code can't be used twice. app_settings holds instance-wide policies.
+        up: async ({ run, ensureColumns }) => {
+            await ensureColumns('users', [
+                ['totp_secret', 'TEXT'],
+                ['totp_pending_secret', 'TEXT'],
+                ['totp_enabled_at', 'TEXT'],
+                ['totp_last_step', 'INTEGER']
+            ]);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS recovery_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    code_hash TEXT NOT NULL,
+                    used_at TEXT,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)`);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS app_settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    updated_by INTEGER,
+                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'api_keys',
+        // Personal API keys. Only a sha256 of the key is stored; key_prefix is the start of it, kept so
+        // users can tell their keys apart. scopes is a JSON array.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    key_prefix TEXT NOT NULL,
+                    key_hash TEXT UNIQUE NOT NULL,
+                    scopes TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    last_used_at TEXT,
+                    last_used_ip TEXT,
+                    revoked_at TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+        }
+    },
+    {
+        version: 13,
+        name: 'audit_log',
+        // Append-only record of outbound and admin actions (see audit.js). No foreign keys so rows
+        // outlive what they refer to; the triggers make the table refuse edits and deletes.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    created_at TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    actor_user_id INTEGER,
+                    actor_email TEXT,
+                    api_key_id INTEGER,
+                    workspace_id INTEGER,
+                    workspace_owner_id INTEGER,
+                    target_type TEXT,
+                    target_id TEXT,
+                    target_label TEXT,
+                    ip_address TEXT,
+                    details TEXT
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_user_id, id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)`);
+
+            await run(`
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+            `);
+            await run(`
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+            `);
+        }
+    },
+    {
+        version: 14,
+        name: 'certificate_rules',
+        // Attendance quota per group (see attendance.js): required_count certificates per day or week,
+        // counting only the weekdays in counted_days (JSON array, 0 = Sunday).
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS certificate_rules (
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    period TEXT NOT NULL,
+                    required_count INTEGER NOT NULL,
+                    counted_days TEXT NOT NULL,
+                    week_start INTEGER NOT NULL DEFAULT 0,
+                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, group_id),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+        }
+    },
+    {
+        version: 15,
+        name: 'event_rules',
+        // Rules that turn messages into custom event types (see eventRules.js). group_id NULL applies to
+        // every monitored group; conditions is the JSON of the rule's match conditions. events.message_id
+        // keeps a message from creating the same rule event twice when it is processed again.
+        up: async ({ run, ensureColumns }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS event_rules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT,
+                    name TEXT NOT NULL,
+                    event_type TEXT NOT NULL,
+                    conditions TEXT NOT NULL,
+                    once_per_day INTEGER NOT NULL DEFAULT 0,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_event_rules_user ON event_rules(user_id)`);
+
+            await ensureColumns('events', [
+                ['message_id', 'TEXT']
+            ]);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_user_type ON events(user_id, type, date)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_message ON events(user_id, message_id)`);
+        }
+    },
+    {
+        version: 16,
+        name: 'group_member_counts',
+        // Daily participant and admin counts per monitored group (see growth.js); date is the UTC day
+        // and recorded_at the time of the last snapshot taken that day.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS group_member_counts (
+                    user_id INTEGER NOT NULL,
+                    group_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    participant_count INTEGER NOT NULL,
+                    admin_count INTEGER NOT NULL,
+                    recorded_at TEXT NOT NULL,
+                    PRIMARY KEY (user_id, group_id, date),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+        }
+    },
+    {
+        version: 17,
+        name: 'messages_reply_index',
+        // Reply analytics (see replies.js) look up the replies to a message by replied_to_message_id
+        up: async ({ run }) => {
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_replied_to ON messages(replied_to_message_id)`);
+        }
+    },
+    {
+        version: 18,
+        name: 'broadcast_contents',
+        // What a broadcast run actually sent, so a retry of its failed groups re-sends that and not the
+        // broadcast as it was edited since. Rows are shared by runs with the same content (hash of the
+        // fields). sent_broadcasts records immediate broadcasts and the retries appended to their result.
+        up: async ({ run, ensureColumns }) => {
+            await run(`
+                CREATE TABLE IF NOT EXISTS broadcast_contents (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    hash TEXT NOT NULL,
+                    message TEXT,
+                    message_type TEXT,
+                    poll_options TEXT,
+                    allow_multiple_answers INTEGER DEFAULT 0,
+                    mentions TEXT,
+                    file_data TEXT,
+                    file_mimetype TEXT,
+                    file_name TEXT,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, hash),
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+
+            await ensureColumns('broadcast_executions', [
+                ['content_id', 'INTEGER']
+            ]);
+            await run(`CREATE INDEX IF NOT EXISTS idx_broadcast_executions_retry_of ON broadcast_executions(retry_of)`);
+
+            await run(`
+                CREATE TABLE IF NOT EXISTS sent_broadcasts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    content_id INTEGER NOT NULL,
+                    group_ids TEXT NOT NULL,
+                    gap_time INTEGER NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'sending',
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT,
+                    result_summary TEXT,
+                    retrying_at TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`CREATE INDEX IF NOT EXISTS idx_sent_broadcasts_user ON sent_broadcasts(user_id, started_at DESC)`);
+        }
+    },
+    {
+        version: 19,
+        name: 'events_member_history',
+        // Every JOIN and LEAVE is kept now, and a new one is checked against the member's earlier ones
+        // in the group (see isRecordedMembershipChange in server.js)
+        up: async ({ run }) => {
+            await run(`CREATE INDEX IF NOT EXISTS idx_events_member_history ON events(user_id, group_id, member_id, timestamp)`);
+        }
+    },
+    {
+        version: 20,
+        name: 'messages_per_account',
+        // WhatsApp message ids are the same for every account in a group, so a global id key kept all
+        // but the first account's copy out. Messages are keyed by (user_id, id) now; the legacy
+        // single-client rows have no user_id and count as one account. Rowids are copied so
+        // messages_fts stays valid; dropping the old table drops its triggers and indexes.
+        up: async ({ run }) => {
+            await run(`
+                CREATE TABLE messages_new (
+                    id TEXT NOT NULL,
+                    user_id INTEGER,
+                    group_id TEXT NOT NULL,
+                    group_name TEXT NOT NULL,
+                    sender TEXT NOT NULL,
+                    sender_id TEXT,
+                    message TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    replied_to_message_id TEXT,
+                    replied_to_sender TEXT,
+                    replied_to_message TEXT,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await run(`
+                INSERT INTO messages_new (rowid, id, user_id, group_id, group_name, sender, sender_id, message, timestamp,
+                                          created_at, replied_to_message_id, replied_to_sender, replied_to_message)
+                SELECT rowid, id, user_id, group_id, group_name, sender, sender_id, message, timestamp,
+                       created_at, replied_to_message_id, replied_to_sender, replied_to_message
+                FROM messages
+            `);
+            await run(`DROP TABLE messages`);
+            await run(`ALTER TABLE messages_new RENAME TO messages`);
+
+            // ON CONFLICT targets in server.js name this expression
+            await run(`CREATE UNIQUE INDEX idx_messages_account_id ON messages(ifnull(user_id, 0), id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages(group_id)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC)`);
+            await run(`CREATE INDEX IF NOT EXISTS idx_messages_replied_to ON messages(replied_to_message_id)`);
+            await createMessagesFtsTriggers(run);
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Small promise helpers bound to one sqlite3 connection
+function createHelpers(db) {
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+
+    const all = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+
+    const get = (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+
+    // Add any of [name, definition] that the table doesn't have yet; returns the names that were added
+    const ensureColumns = async (table, columns) => {
+        const existing = new Set((await all(`PRAGMA table_info(${table})`)).map(c => c.name));
+        const added = [];
+        for (const [name, definition] of columns) {
+            if (!existing.has(name)) {
+                await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                added.push(name);
+            }
+        }
+        return added;
+    };
+
+    return { run, all, get, ensureColumns };
+}
+
+async function ensureMigrationsTable(helpers) {
+    await helpers.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Current version, latest known version, and every migration with its applied state.
+ * Versions recorded in the database that this build doesn't know about are listed as unknown.
+ */
+async function getMigrationStatus(db) {
+    const helpers = createHelpers(db);
+    await ensureMigrationsTable(helpers);
+
+    const appliedRows = await helpers.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+    const applied = new Map(appliedRows.map(row => [row.version, row]));
+    const currentVersion = appliedRows.length > 0 ? appliedRows[appliedRows.length - 1].version : 0;
+
+    return {
+        currentVersion,
+        latestVersion: LATEST_VERSION,
+        migrations: MIGRATIONS.map(m => ({
+            version: m.version,
+            name: m.name,
+            appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+        })),
+        unknown: appliedRows.filter(row => !MIGRATIONS.some(m => m.version === row.version))
+    };
+}
+
+/**
+ * Apply all pending migrations in order, each in its own transaction.
+ * Throws (without touching anything) if the database was migrated by a newer build.
+ */
+async function runMigrations(db, log = console.log) {
+    const helpers = createHelpers(db);
+    const status = await getMigrationStatus(db);
+
+    if (status.currentVersion > LATEST_VERSION) {
+        throw new Error(
+            `Database schema is at version ${status.currentVersion} but this build only knows migrations up to ${LATEST_VERSION}. ` +
+            `Refusing to run against a newer schema - deploy a newer build or restore a matching backup.`
+        );
+    }
+
+    const pending = status.migrations.filter(m => !m.appliedAt);
+    if (pending.length === 0) {
+        log(`✅ Database schema is up to date (version ${status.currentVersion})`);
+        return [];
+    }
+
+    const appliedNow = [];
+    for (const { version } of pending) {
+        const migration = MIGRATIONS.find(m => m.version === version);
+        log(`🔧 Applying migration ${migration.version}_${migration.name}...`);
+
+        await helpers.run('BEGIN');
+        try {
+            await migration.up(helpers);
+            await helpers.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+            await helpers.run('COMMIT');
+        } catch (error) {
+            await helpers.run('ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+
+        appliedNow.push(migration.version);
+    }
+
+    log(`✅ Database schema migrated to version ${LATEST_VERSION}`);
+    return appliedNow;
+}
+
+module.exports = {
+    MIGRATIONS,
+    LATEST_VERSION,
+    ARABIC_NORMALIZATION,
+    runMigrations,
+    getMigrationStatus
+};
@@ -0,0 +1,111 @@
+// Request throttling and login lockouts. Counters live in memory, so they are per process and reset
+// on restart - enough for the single instance this runs as.
+//
+// Blocked requests get 429 with a Retry-After header (seconds) and the same number in the body.
+
+// Buckets and lockout records are dropped once they haven't been touched for this long
+const CLEANUP_INTERVAL = 10 * 60 * 1000;
+
+function sendTooManyRequests(res, retryAfterMs, error) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error,
+        retryAfter
+    });
+}
+
+function startCleanup(map, isStale) {
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, value] of map) {
+            if (isStale(value, now)) map.delete(key);
+        }
+    }, CLEANUP_INTERVAL);
+    timer.unref();
+}
+
+// Fixed-window limiter middleware: at most `max` requests per `windowMs` for each key.
+// key(req) picks what is counted (default: client IP); returning null skips the limit.
+// max <= 0 turns the limiter off.
+function createRateLimiter({ name, windowMs, max, key = req => req.ip, message = 'Too many requests. Please slow down.' }) {
+    const buckets = new Map(); // key -> { count, resetAt }
+    startCleanup(buckets, (bucket, now) => bucket.resetAt <= now);
+
+    return (req, res, next) => {
+        if (!max || max <= 0) return next();
+
+        const bucketKey = key(req);
+        if (bucketKey === null || bucketKey === undefined) return next();
+
+        const now = Date.now();
+        let bucket = buckets.get(bucketKey);
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + windowMs };
+            buckets.set(bucketKey, bucket);
+        }
+
+        bucket.count++;
+        if (bucket.count > max) {
+            if (bucket.count === max + 1) {
+                console.log(`🚦 Rate limit "${name}" hit by ${bucketKey}`);
+            }
+            return sendTooManyRequests(res, bucket.resetAt - now, message);
+        }
+        next();
+    };
+}
+
+// Escalating lockout after failed logins. Every `maxFailures` failures in a row lock the key
+// (an account or an IP) for baseLockoutMs, doubling with each further lockout up to maxLockoutMs.
+// A success clears the record; so does a day without failures.
+function createLoginGuard({ maxFailures, baseLockoutMs, maxLockoutMs, forgetAfterMs = 24 * 60 * 60 * 1000 }) {
+    const records = new Map(); // key -> { failures, lockouts, lockedUntil, lastFailureAt }
+    startCleanup(records, (record, now) => record.lockedUntil <= now && now - record.lastFailureAt > forgetAfterMs);
+
+    function current(key, now) {
+        const record = records.get(key);
+        if (record && record.lockedUntil <= now && now - record.lastFailureAt > forgetAfterMs) {
+            records.delete(key);
+            return null;
+        }
+        return record || null;
+    }
+
+    return {
+        // Milliseconds until the key may try again; 0 when it isn't locked
+        lockedFor(key) {
+            const now = Date.now();
+            const record = current(key, now);
+            return record && record.lockedUntil > now ? record.lockedUntil - now : 0;
+        },
+
+        // Returns the new lockout in milliseconds, or 0 if this failure didn't trigger one
+        recordFailure(key) {
+            const now = Date.now();
+            const record = current(key, now) || { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+            record.failures++;
+            record.lastFailureAt = now;
+            records.set(key, record);
+
+            if (maxFailures > 0 && record.failures % maxFailures === 0) {
+                const lockout = Math.min(baseLockoutMs * 2 ** record.lockouts, maxLockoutMs);
+                record.lockouts++;
+                record.lockedUntil = now + lockout;
+                return lockout;
+            }
+            return 0;
+        },
+
+        recordSuccess(key) {
+            records.delete(key);
+        }
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    createLoginGuard,
+    sendTooManyRequests
+};
@@ -0,0 +1,227 @@
+// Reply analytics from quoted messages (messages.replied_to_message_id): who replies to whom, how
+// long questions wait for their first reply, and the questions nobody answered. Used by the
+// /api/groups/:groupId/replies endpoints in server.js.
+//
+// A reply is only linked to its member when the quoted message is stored too; replies to messages
+// from before monitoring started are counted as unresolved. Replying to yourself doesn't count.
+
+const { windowConditions, displayName } = require('./engagement');
+const { query, httpError } = require('./utils');
+
+// "?" plus the full-width and Arabic question marks
+const QUESTION_MARKS = ['?', '？', '؟'];
+
+const DEFAULT_UNANSWERED_MIN_AGE = 60; // minutes
+const MAX_UNANSWERED_LIMIT = 200;
+
+const senderKey = (table) => `substr(${table}.sender_id, 1, instr(${table}.sender_id, '@') - 1)`;
+const questionCondition = (table) => `(${QUESTION_MARKS.map(() => `instr(${table}.message, ?) > 0`).join(' OR ')})`;
+
+// Directed graph of replies sent in the window. Nodes are members who posted or were replied to
+// ({ id, name, messages, repliesSent, repliesReceived }); edges are { source, target, replies },
+// source being the member who replied.
+async function replyGraph(db, userId, groupId, window = {}) {
+    const messageWindow = windowConditions(window, 'm.timestamp');
+    const replyWindow = windowConditions(window, 'r.timestamp');
+
+    // SQLite takes the bare sender column from the row with the latest timestamp
+    const memberRows = await query(db, 'all', `
+        SELECT ${senderKey('m')} AS member_id, m.sender AS name, MAX(m.timestamp) AS last_message, COUNT(*) AS messages
+        FROM messages m
+        WHERE m.user_id = ? AND m.group_id = ? AND instr(m.sender_id, '@') > 0${messageWindow.sql}
+        GROUP BY 1
+    `, [userId, groupId, ...messageWindow.params]);
+
+    const edgeRows = await query(db, 'all', `
+        SELECT ${senderKey('r')} AS source, ${senderKey('o')} AS target, MAX(o.sender) AS target_name, COUNT(*) AS replies
+        FROM messages r
+        JOIN messages o ON o.id = r.replied_to_message_id AND o.user_id = r.user_id
+        WHERE r.user_id = ? AND r.group_id = ? AND instr(r.sender_id, '@') > 0 AND instr(o.sender_id, '@') > 0
+            AND r.sender_id != o.sender_id${replyWindow.sql}
+        GROUP BY 1, 2
+    `, [userId, groupId, ...replyWindow.params]);
+
+    const [{ unresolved }] = await query(db, 'all', `
+        SELECT COUNT(*) AS unresolved
+        FROM messages r
+        LEFT JOIN messages o ON o.id = r.replied_to_message_id AND o.user_id = r.user_id
+        WHERE r.user_id = ? AND r.group_id = ? AND r.replied_to_message_id IS NOT NULL AND o.id IS NULL${replyWindow.sql}
+    `, [userId, groupId, ...replyWindow.params]);
+
+    const nodes = new Map();
+    const nodeFor = (id, name) => {
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, name: displayName(name, id), messages: 0, repliesSent: 0, repliesReceived: 0 });
+        }
+        return nodes.get(id);
+    };
+
+    for (const row of memberRows) {
+        nodeFor(row.member_id, row.name).messages = row.messages;
+    }
+    const edges = edgeRows.map(row => {
+        nodeFor(row.source, null).repliesSent += row.replies;
+        nodeFor(row.target, row.target_name).repliesReceived += row.replies;
+        return { source: row.source, target: row.target, replies: row.replies };
+    });
+
+    return {
+        nodes: Array.from(nodes.values()).sort((a, b) => a.name.localeCompare(b.name)),
+        edges: edges.sort((a, b) => b.replies - a.replies),
+        replies: edges.reduce((sum, edge) => sum + edge.replies, 0),
+        unresolvedReplies: unresolved
+    };
+}
+
+// Members whose messages got the most replies from others, with how many different members replied
+function mostRepliedTo(graph, limit = 10) {
+    return graph.nodes
+        .filter(node => node.repliesReceived > 0)
+        .map(node => ({
+            memberId: node.id,
+            name: node.name,
+            repliesReceived: node.repliesReceived,
+            repliedBy: graph.edges.filter(edge => edge.target === node.id).length,
+            messages: node.messages
+        }))
+        .sort((a, b) => b.repliesReceived - a.repliesReceived || b.repliedBy - a.repliedBy)
+        .slice(0, limit);
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Questions (messages with a question mark) asked in the window and how long they waited for the
+// first reply from someone else. Times are in seconds; a question without a reply has none.
+async function responseTimes(db, userId, groupId, window = {}) {
+    const questionWindow = windowConditions(window, 'q.timestamp');
+    const rows = await query(db, 'all', `
+        SELECT q.timestamp,
+            (SELECT MIN(r.timestamp) FROM messages r
+             WHERE r.replied_to_message_id = q.id AND r.user_id = q.user_id AND r.sender_id != q.sender_id) AS first_reply
+        FROM messages q
+        WHERE q.user_id = ? AND q.group_id = ? AND instr(q.sender_id, '@') > 0
+            AND ${questionCondition('q')}${questionWindow.sql}
+    `, [userId, groupId, ...QUESTION_MARKS, ...questionWindow.params]);
+
+    const waits = rows
+        .filter(row => row.first_reply)
+        .map(row => Math.max(0, Math.round((Date.parse(row.first_reply) - Date.parse(row.timestamp)) / 1000)))
+        .sort((a, b) => a - b);
+
+    let median = null;
+    if (waits.length > 0) {
+        const middle = Math.floor(waits.length / 2);
+        median = waits.length % 2 ? waits[middle] : Math.round((waits[middle - 1] + waits[middle]) / 2);
+    }
+
+    return {
+        questions: rows.length,
+        answered: waits.length,
+        unanswered: rows.length - waits.length,
+        answerRate: rows.length > 0 ? Math.round((waits.length / rows.length) * 1000) / 10 : null,
+        medianSeconds: median,
+        p90Seconds: percentile(waits, 0.9)
+    };
+}
+
+// Unanswered list options from query values: minAge (minutes a question has waited, default 60)
+// and limit (1-200, default 50)
+function unansweredOptions({ minAge, limit } = {}) {
+    const minAgeMinutes = minAge === undefined || minAge === '' ? DEFAULT_UNANSWERED_MIN_AGE : Number(minAge);
+    if (!Number.isInteger(minAgeMinutes) || minAgeMinutes < 0) {
+        throw httpError('minAge must be a whole number of minutes', 400);
+    }
+    return {
+        minAgeMinutes,
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_UNANSWERED_LIMIT)
+    };
+}
+
+// Questions in the window that nobody else replied to, newest first
+async function unansweredQuestions(db, userId, groupId, { window = {}, minAgeMinutes = DEFAULT_UNANSWERED_MIN_AGE, limit = 50, now = Date.now() } = {}) {
+    const questionWindow = windowConditions(window, 'q.timestamp');
+    const conditions = `
+        q.user_id = ? AND q.group_id = ? AND instr(q.sender_id, '@') > 0 AND q.timestamp <= ?
+            AND ${questionCondition('q')}${questionWindow.sql}
+            AND NOT EXISTS (
+                SELECT 1 FROM messages r
+                WHERE r.replied_to_message_id = q.id AND r.user_id = q.user_id AND r.sender_id != q.sender_id
+            )
+    `;
+    const params = [userId, groupId, new Date(now - minAgeMinutes * 60 * 1000).toISOString(), ...QUESTION_MARKS, ...questionWindow.params];
+
+    const [{ total }] = await query(db, 'all', `SELECT COUNT(*) AS total FROM messages q WHERE ${conditions}`, params);
+    const rows = await query(db, 'all', `
+        SELECT q.id, q.sender, ${senderKey('q')} AS member_id, q.message, q.timestamp
+        FROM messages q
+        WHERE ${conditions}
+        ORDER BY q.timestamp DESC
+        LIMIT ?
+    `, [...params, limit]);
+
+    return {
+        total,
+        messages: rows.map(row => ({
+            id: row.id,
+            memberId: row.member_id,
+            name: displayName(row.sender, row.member_id),
+            message: row.message,
+            timestamp: row.timestamp,
+            waitingSeconds: Math.round((now - Date.parse(row.timestamp)) / 1000)
+        }))
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// The reply graph as GraphML (Gephi, yEd, Cytoscape); edge weight is the number of replies
+function replyGraphML(graph, groupName) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+        '  <key id="messages" for="node" attr.name="messages" attr.type="int"/>',
+        '  <key id="repliesSent" for="node" attr.name="repliesSent" attr.type="int"/>',
+        '  <key id="repliesReceived" for="node" attr.name="repliesReceived" attr.type="int"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+        `  <graph id="${escapeXml(groupName)}" edgedefault="directed">`
+    ];
+    for (const node of graph.nodes) {
+        lines.push(
+            `    <node id="${escapeXml(node.id)}">`,
+            `      <data key="name">${escapeXml(node.name)}</data>`,
+            `      <data key="messages">${node.messages}</data>`,
+            `      <data key="repliesSent">${node.repliesSent}</data>`,
+            `      <data key="repliesReceived">${node.repliesReceived}</data>`,
+            '    </node>'
+        );
+    }
+    graph.edges.forEach((edge, index) => {
+        lines.push(
+            `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+            `      <data key="weight">${edge.replies}</data>`,
+            '    </edge>'
+        );
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    replyGraph,
+    mostRepliedTo,
+    responseTimes,
+    unansweredOptions,
+    unansweredQuestions,
+    replyGraphML
+};
@@ -0,0 +1,164 @@
+// Cohort retention: members grouped by the week (or month) of their JOIN event, and how many of each
+// cohort are still in the group and still posting some days after joining. server.js serves the
+// report under /api/stats/groups/:groupId/retention.
+//
+// Every JOIN is its own entry, so a member who left and rejoined counts once in each cohort they
+// joined in. The first LEAVE or REMOVED event after a join marks when that stay ended.
+
+const { DAY_MS, query, httpError, addDays, isDate } = require('./utils');
+
+const DEFAULT_DAYS = 182;
+const MAX_DAYS = 366;
+const DEFAULT_CHECKPOINTS = [30, 60, 90];
+const MAX_CHECKPOINTS = 6;
+const PERIODS = ['week', 'month'];
+
+// First day of the cohort a UTC date falls in: the Monday of its week, or the 1st of its month
+function cohortStart(date, period) {
+    if (period === 'month') {
+        return `${date.slice(0, 7)}-01`;
+    }
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+}
+
+function cohortEnd(start, period) {
+    if (period === 'month') {
+        const next = new Date(`${start}T00:00:00Z`);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        return addDays(next.toISOString().slice(0, 10), -1);
+    }
+    return addDays(start, 6);
+}
+
+// Options from query values:
+// - period: "week" (default) or "month"
+// - from/to ("YYYY-MM-DD"): join dates to build cohorts from, or the last `days` days (default 182)
+// - checkpoints: comma separated days after joining (default "30,60,90")
+function retentionOptions({ period, from, to, days, checkpoints } = {}, today) {
+    const cohortPeriod = period || 'week';
+    if (!PERIODS.includes(cohortPeriod)) {
+        throw httpError(`period must be one of: ${PERIODS.join(', ')}`, 400);
+    }
+
+    let range;
+    if (from || to) {
+        const end = to || today;
+        const start = from || end;
+        if (!isDate(start) || !isDate(end) || start > end) {
+            throw httpError('from and to must be YYYY-MM-DD dates with from <= to', 400);
+        }
+        if (Date.parse(end) - Date.parse(start) >= MAX_DAYS * DAY_MS) {
+            throw httpError(`The range can cover at most ${MAX_DAYS} days`, 400);
+        }
+        range = { from: start, to: end };
+    } else {
+        const count = days === undefined ? DEFAULT_DAYS : parseInt(days);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_DAYS) {
+            throw httpError(`days must be between 1 and ${MAX_DAYS}`, 400);
+        }
+        range = { from: addDays(today, -(count - 1)), to: today };
+    }
+
+    let checkpointDays = DEFAULT_CHECKPOINTS;
+    if (checkpoints) {
+        checkpointDays = String(checkpoints).split(',').map(value => Number(value.trim()));
+        if (checkpointDays.length > MAX_CHECKPOINTS || checkpointDays.some(value => !Number.isInteger(value) || value < 1 || value > MAX_DAYS)) {
+            throw httpError(`checkpoints must be up to ${MAX_CHECKPOINTS} comma separated days between 1 and ${MAX_DAYS}`, 400);
+        }
+        checkpointDays = Array.from(new Set(checkpointDays)).sort((a, b) => a - b);
+    }
+
+    return { period: cohortPeriod, ...range, checkpoints: checkpointDays };
+}
+
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+// One entry per cohort with at least one join, oldest first. For each checkpoint of N days:
+// - due: members who joined at least N days ago; the others can't be counted yet
+// - retained: due members with no LEAVE/REMOVED in their first N days
+// - active: retained members who posted since the previous checkpoint (days 0-30, 30-60, 60-90)
+// - retainedRate/activeRate: percentages of due, or null when nobody is due yet
+async function buildRetentionReport(db, userId, groupId, { period, from, to, checkpoints }, now = Date.now()) {
+    const maxDays = checkpoints[checkpoints.length - 1];
+
+    const members = await query(db, 'all', `
+        SELECT j.id AS join_id, j.member_id, j.timestamp AS joined_at,
+            (SELECT MIN(l.timestamp) FROM events l
+             WHERE l.user_id = j.user_id AND l.group_id = j.group_id AND l.member_id = j.member_id
+               AND l.type IN ('LEAVE', 'REMOVED') AND l.timestamp > j.timestamp) AS left_at
+        FROM events j
+        WHERE j.user_id = ? AND j.group_id = ? AND j.type = 'JOIN' AND j.date BETWEEN ? AND ?
+    `, [userId, groupId, from, to]);
+
+    // Whole days after each join on which the member posted, up to the last checkpoint
+    const postingDays = members.length === 0 ? [] : await query(db, 'all', `
+        SELECT j.id AS join_id, CAST(julianday(m.timestamp) - julianday(j.timestamp) AS INTEGER) AS day
+        FROM events j
+        JOIN messages m ON m.user_id = j.user_id AND m.group_id = j.group_id
+            AND substr(m.sender_id, 1, instr(m.sender_id, '@') - 1) = j.member_id
+            AND m.timestamp >= j.timestamp
+        WHERE j.user_id = ? AND j.group_id = ? AND j.type = 'JOIN' AND j.date BETWEEN ? AND ?
+            AND julianday(m.timestamp) - julianday(j.timestamp) < ?
+        GROUP BY j.id, day
+    `, [userId, groupId, from, to, maxDays]);
+
+    const daysByJoin = new Map();
+    for (const row of postingDays) {
+        if (!daysByJoin.has(row.join_id)) daysByJoin.set(row.join_id, []);
+        daysByJoin.get(row.join_id).push(row.day);
+    }
+
+    const cohorts = new Map();
+    const emptyCheckpoints = () => checkpoints.map(days => ({ days, due: 0, retained: 0, active: 0 }));
+    const totals = { size: 0, checkpoints: emptyCheckpoints() };
+
+    for (const member of members) {
+        const start = cohortStart(member.joined_at.slice(0, 10), period);
+        if (!cohorts.has(start)) {
+            cohorts.set(start, { start, end: cohortEnd(start, period), size: 0, checkpoints: emptyCheckpoints() });
+        }
+        const cohort = cohorts.get(start);
+        cohort.size++;
+        totals.size++;
+
+        const joinedAt = Date.parse(member.joined_at);
+        const leftAt = member.left_at ? Date.parse(member.left_at) : null;
+        const days = daysByJoin.get(member.join_id) || [];
+
+        checkpoints.forEach((checkpointDays, index) => {
+            const checkpointAt = joinedAt + checkpointDays * DAY_MS;
+            if (checkpointAt > now) return;
+
+            const since = index > 0 ? checkpoints[index - 1] : 0;
+            const retained = leftAt === null || leftAt > checkpointAt;
+            const active = retained && days.some(day => day >= since && day < checkpointDays);
+
+            for (const entry of [cohort.checkpoints[index], totals.checkpoints[index]]) {
+                entry.due++;
+                if (retained) entry.retained++;
+                if (active) entry.active++;
+            }
+        });
+    }
+
+    const withRates = entry => ({ ...entry, retainedRate: rate(entry.retained, entry.due), activeRate: rate(entry.active, entry.due) });
+
+    return {
+        period,
+        from,
+        to,
+        checkpoints,
+        cohorts: Array.from(cohorts.values())
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .map(cohort => ({ ...cohort, checkpoints: cohort.checkpoints.map(withRates) })),
+        totals: { size: totals.size, checkpoints: totals.checkpoints.map(withRates) }
+    };
+}
+
+module.exports = {
+    retentionOptions,
+    buildRetentionReport
+};
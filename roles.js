@@ -0,0 +1,99 @@
+// Admin role changes. Used by server.js and cli.js so every way of granting or revoking admin
+// goes through the same checks and leaves a row in role_changes.
+//
+// Sources recorded in the audit trail:
+//   bootstrap  - first admin, claimed with the one-time bootstrap token
+//   cli        - node cli.js admin:promote / admin:demote on the server
+//   admin_api  - PUT /api/admin/users/:userId/admin by another admin
+//   workspace  - a workspace owner adding, re-roling or removing a member (role is the workspace role)
+
+const crypto = require('crypto');
+const { query, httpError } = require('./utils');
+
+async function recordRoleChange(db, { user, isAdmin, actorUserId = null, source, ipAddress = null }) {
+    await query(db, 'run', `
+        INSERT INTO role_changes (user_id, user_email, role, action, actor_user_id, source, ip_address)
+        VALUES (?, ?, 'admin', ?, ?, ?, ?)
+    `, [user.id, user.email, isAdmin ? 'grant' : 'revoke', actorUserId, source, ipAddress]);
+}
+
+// Workspace membership changes: action is 'grant' (added), 'change' (new role) or 'revoke' (removed)
+async function recordWorkspaceRoleChange(db, { workspaceId, user, role, action, actorUserId, ipAddress = null }) {
+    await query(db, 'run', `
+        INSERT INTO role_changes (user_id, user_email, role, action, actor_user_id, source, ip_address, workspace_id)
+        VALUES (?, ?, ?, ?, ?, 'workspace', ?, ?)
+    `, [user.id, user.email, role, action, actorUserId, ipAddress, workspaceId]);
+}
+
+// Grant or revoke admin. Refuses to revoke the last remaining admin. Returns { user, changed }.
+async function setAdminRole(db, { userId, isAdmin, actorUserId = null, source, ipAddress = null }) {
+    const user = await query(db, 'get', 'SELECT id, username, email, is_admin FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+
+    if (Boolean(user.is_admin) === isAdmin) {
+        return { user, changed: false };
+    }
+
+    // The last-admin check is part of the UPDATE so two concurrent revokes can't both pass it
+    const result = isAdmin
+        ? await query(db, 'run', 'UPDATE users SET is_admin = 1 WHERE id = ?', [userId])
+        : await query(db, 'run', `
+            UPDATE users SET is_admin = 0
+            WHERE id = ? AND (SELECT COUNT(*) FROM users WHERE is_admin = 1) > 1
+        `, [userId]);
+
+    if (result.changes === 0) {
+        throw httpError('Cannot revoke the last remaining admin', 400);
+    }
+
+    await recordRoleChange(db, { user, isAdmin, actorUserId, source, ipAddress });
+    return { user: { ...user, is_admin: isAdmin ? 1 : 0 }, changed: true };
+}
+
+// The bootstrap token can be used once, and only while nobody is an admin
+async function isBootstrapAvailable(db) {
+    const row = await query(db, 'get', `
+        SELECT
+            (SELECT COUNT(*) FROM users WHERE is_admin = 1) AS admins,
+            (SELECT COUNT(*) FROM role_changes WHERE source = 'bootstrap') AS bootstraps
+    `);
+    return row.admins === 0 && row.bootstraps === 0;
+}
+
+async function claimBootstrapAdmin(db, { userId, token, expectedToken, ipAddress = null }) {
+    const matches = typeof token === 'string' && expectedToken &&
+        token.length === expectedToken.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expectedToken));
+    if (!matches) {
+        throw httpError('Invalid bootstrap token', 403);
+    }
+
+    const user = await query(db, 'get', 'SELECT id, username, email FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+
+    // Checked again inside the UPDATE so two claims racing each other can't both win
+    const result = await query(db, 'run', `
+        UPDATE users SET is_admin = 1
+        WHERE id = ?
+          AND NOT EXISTS (SELECT 1 FROM users WHERE is_admin = 1)
+          AND NOT EXISTS (SELECT 1 FROM role_changes WHERE source = 'bootstrap')
+    `, [userId]);
+
+    if (result.changes === 0) {
+        throw httpError('Bootstrap token has already been used', 403);
+    }
+
+    await recordRoleChange(db, { user, isAdmin: true, actorUserId: user.id, source: 'bootstrap', ipAddress });
+    return user;
+}
+
+module.exports = {
+    setAdminRole,
+    isBootstrapAvailable,
+    claimBootstrapAdmin,
+    recordWorkspaceRoleChange
+};
@@ -14,6 +14,31 @@ const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const { MessageMedia, Poll } = require('whatsapp-web.js');
 const schedule = require('node-schedule');
+const cronParser = require('cron-parser');
+const crypto = require('crypto');
+const { runMigrations, ARABIC_NORMALIZATION } = require('./migrations');
+const { setAdminRole, isBootstrapAvailable, claimBootstrapAdmin, recordWorkspaceRoleChange } = require('./roles');
+const {
+    getTwoFactorStatus, startEnrollment, confirmEnrollment, verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor
+} = require('./totp');
+const { createRateLimiter, createLoginGuard, sendTooManyRequests } = require('./rateLimit');
+const { recordAudit, listAuditEntries, exportAuditCsv } = require('./audit');
+const {
+    SCORE_WEIGHTS, memberKey, parseWindow, memberActivity, groupLeaderboard, inactiveMembers, formatLeaderboardMessage
+} = require('./engagement');
+const {
+    parseCertificateRule, getCertificateRule, saveCertificateRule, describeRule, attendanceRange, buildAttendanceReport,
+    attendanceCsv, formatAttendanceMessage
+} = require('./attendance');
+const { recordMemberCount, growthRange, buildGrowthReport } = require('./growth');
+const { retentionOptions, buildRetentionReport } = require('./retention');
+const {
+    replyGraph, mostRepliedTo, responseTimes, unansweredOptions, unansweredQuestions, replyGraphML
+} = require('./replies');
+const {
+    MESSAGE_TYPES, parseEventRule, listEventRules, getEventRule, createEventRule, updateEventRule, deleteEventRule,
+    compileEventRules, classifyMessage
+} = require('./eventRules');
 
 // Configuration will be loaded from DATA_DIR below
 let config;
@@ -27,14 +52,56 @@ const wss = new WebSocket.Server({
 
 // Handle WebSocket upgrade explicitly for Railway
 server.on('upgrade', (request, socket, head) => {
-    console.log(`📡 WebSocket upgrade request received: ${request.url}`);
-    const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
-    console.log(`   Path: ${pathname}`);
+    // Only the path is logged: the query string carries the JWT
+    const { pathname, searchParams: params } = new URL(request.url, `http://${request.headers.host}`);
+    console.log(`📡 WebSocket upgrade request received: ${pathname}`);
 
     if (pathname === '/ws') {
-        console.log('✅ Upgrading to WebSocket on /ws path');
-        wss.handleUpgrade(request, socket, head, (ws) => {
-            wss.emit('connection', ws, request);
+        // Browsers can't set headers on a WebSocket handshake, so the JWT comes in ?token= and the
+        // workspace (X-Workspace-Id for REST calls) in ?workspace=
+        const token = params.get('token');
+
+        jwt.verify(token || '', JWT_SECRET, async (err, user) => {
+            if (err) {
+                console.log('❌ Rejected WebSocket upgrade: missing or invalid token');
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            let workspace = null;
+            try {
+                if (!(await isSessionActive(user))) {
+                    console.log(`❌ Rejected WebSocket upgrade: session of user ${user.userId} has ended`);
+                    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+                workspace = await resolveWorkspace(user.userId, params.get('workspace'));
+            } catch (error) {
+                console.error('Error resolving workspace for WebSocket:', error);
+            }
+            if (!workspace) {
+                console.log(`❌ Rejected WebSocket upgrade: user ${user.userId} is not a member of the workspace`);
+                socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            // Same shape as req.user after authenticateToken: userId is the workspace owner's account
+            const socketUser = {
+                ...user,
+                actorUserId: user.userId,
+                userId: workspace.ownerUserId,
+                sessionId: user.sid,
+                workspaceId: workspace.id,
+                ip: upgradeClientIp(request)
+            };
+
+            console.log(`✅ Upgrading to WebSocket on /ws path (user ${user.userId}, workspace ${workspace.id})`);
+            wss.handleUpgrade(request, socket, head, (ws) => {
+                wss.emit('connection', ws, request, socketUser);
+            });
         });
     } else {
         console.log(`❌ Rejected upgrade for path: ${pathname}`);
@@ -42,6 +109,22 @@ server.on('upgrade', (request, socket, head) => {
     }
 });
 
+// Behind Railway's proxy every request comes from the proxy's address; trusting one hop makes req.ip
+// the client's, which the rate limits count by. TRUST_PROXY overrides the number of hops (0 = none).
+const TRUST_PROXY = process.env.TRUST_PROXY !== undefined
+    ? parseInt(process.env.TRUST_PROXY) || 0
+    : (process.env.RAILWAY_ENVIRONMENT ? 1 : 0);
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY);
+}
+
+// req.ip for a WebSocket upgrade, which doesn't go through Express: the address TRUST_PROXY hops back
+function upgradeClientIp(request) {
+    const forwarded = (request.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    const addresses = [request.socket.remoteAddress, ...forwarded.reverse()];
+    return addresses[Math.min(TRUST_PROXY, addresses.length - 1)] || null;
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -67,7 +150,77 @@ if (!fs.existsSync(DATA_DIR)) {
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '1d'; // Token expires in 1 day
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'; // Short-lived; renewed with the refresh token
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30; // A session idle this long has to log in again
+
+// One-time token for claiming the first admin account (POST /api/admin/bootstrap). If it isn't set
+// and there is no admin yet, a random one is generated at startup and printed to the log.
+let ADMIN_BOOTSTRAP_TOKEN = process.env.ADMIN_BOOTSTRAP_TOKEN || null;
+
+// Rate limits: requests allowed per window (0 turns a limit off). Blocked requests get 429 + Retry-After.
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const RATE_LIMITS = {
+    api: { windowMs: 60 * 1000, max: envInt('RATE_LIMIT_API_PER_MINUTE', 300) },               // Every /api request, per IP
+    login: { windowMs: 15 * 60 * 1000, max: envInt('RATE_LIMIT_LOGIN_PER_15_MIN', 20) },      // Login and its 2FA step, per IP
+    register: { windowMs: 60 * 60 * 1000, max: envInt('RATE_LIMIT_REGISTER_PER_HOUR', 5) },   // Per IP
+    refresh: { windowMs: 15 * 60 * 1000, max: envInt('RATE_LIMIT_REFRESH_PER_15_MIN', 60) },  // Per IP
+    translate: { windowMs: 60 * 1000, max: envInt('RATE_LIMIT_TRANSLATE_PER_MINUTE', 30) },   // Per user
+    send: { windowMs: 60 * 1000, max: envInt('RATE_LIMIT_SEND_PER_MINUTE', 30) }              // Sends and broadcasts, per user
+};
+
+// Failed logins: every LOGIN_MAX_FAILURES in a row lock the account, and four times as many lock the
+// IP. The lockout starts at LOGIN_LOCKOUT_MINUTES and doubles each time, up to LOGIN_LOCKOUT_MAX_MINUTES.
+const LOGIN_MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 5);
+const LOGIN_LOCKOUT_MINUTES = envInt('LOGIN_LOCKOUT_MINUTES', 1);
+const LOGIN_LOCKOUT_MAX_MINUTES = envInt('LOGIN_LOCKOUT_MAX_MINUTES', 60);
+
+// Limits on authenticated routes count per logged-in user, so teammates behind one IP don't share them
+const perUser = req => (req.user ? `user:${req.user.actorUserId}` : req.ip);
+
+const apiLimiter = createRateLimiter({ name: 'api', ...RATE_LIMITS.api });
+const loginLimiter = createRateLimiter({
+    name: 'login', ...RATE_LIMITS.login, message: 'Too many login attempts. Please try again later.'
+});
+const registerLimiter = createRateLimiter({
+    name: 'register', ...RATE_LIMITS.register, message: 'Too many accounts created from this address. Please try again later.'
+});
+const refreshLimiter = createRateLimiter({ name: 'refresh', ...RATE_LIMITS.refresh });
+const translateLimiter = createRateLimiter({
+    name: 'translate', ...RATE_LIMITS.translate, key: perUser, message: 'Too many translations. Please wait a moment.'
+});
+const sendLimiter = createRateLimiter({
+    name: 'send', ...RATE_LIMITS.send, key: perUser, message: 'Too many messages sent. Please wait a moment.'
+});
+
+app.use('/api', apiLimiter);
+
+const loginGuardOptions = {
+    baseLockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+    maxLockoutMs: LOGIN_LOCKOUT_MAX_MINUTES * 60 * 1000
+};
+const accountLoginGuard = createLoginGuard({ maxFailures: LOGIN_MAX_FAILURES, ...loginGuardOptions });
+const ipLoginGuard = createLoginGuard({ maxFailures: LOGIN_MAX_FAILURES * 4, ...loginGuardOptions });
+
+// Milliseconds until this account or IP may try to log in again (0 = now)
+function loginLockedFor(email, ip) {
+    return Math.max(accountLoginGuard.lockedFor(String(email).toLowerCase()), ipLoginGuard.lockedFor(ip));
+}
+
+function recordFailedLogin(email, ip) {
+    const account = String(email).toLowerCase();
+    const accountLockout = accountLoginGuard.recordFailure(account);
+    const ipLockout = ipLoginGuard.recordFailure(ip);
+    if (accountLockout) {
+        console.log(`🔒 Logins to ${account} locked for ${Math.round(accountLockout / 1000)}s after repeated failures`);
+    }
+    if (ipLockout) {
+        console.log(`🔒 Logins from ${ip} locked for ${Math.round(ipLockout / 1000)}s after repeated failures`);
+    }
+}
 
 // Multer Configuration for file uploads
 const upload = multer({
@@ -78,6 +231,11 @@ const upload = multer({
 });
 
 // JWT Authentication Middleware
+//
+// Also picks the workspace the request acts in (X-Workspace-Id header, default: the user's own).
+// After this runs, req.user.userId is the workspace owner - the account whose WhatsApp session and
+// data every route works on - and req.user.actorUserId is the user who is actually logged in.
+// req.workspace is { id, name, ownerUserId, role }.
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -89,23 +247,71 @@ function authenticateToken(req, res, next) {
         });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (token.startsWith(API_KEY_PREFIX)) {
+        return authenticateApiKey(token, req, res, next);
+    }
+
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
-            return res.status(403).json({
+            // 401 tells the client to use its refresh token; anything else is a bad token
+            return res.status(err.name === 'TokenExpiredError' ? 401 : 403).json({
                 success: false,
                 error: 'Invalid or expired token'
             });
         }
-        req.user = user; // { userId, username, email }
-        next();
+
+        try {
+            if (!(await isSessionActive(user))) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Session has ended. Please log in again.',
+                    sessionEnded: true
+                });
+            }
+
+            const workspace = await resolveWorkspace(user.userId, req.headers['x-workspace-id']);
+            if (!workspace) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You are not a member of this workspace'
+                });
+            }
+
+            // { userId, actorUserId, sessionId, username, email }
+            req.user = { ...user, actorUserId: user.userId, userId: workspace.ownerUserId, sessionId: user.sid };
+            req.workspace = workspace;
+            next();
+        } catch (error) {
+            console.error('Error authenticating request:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Database error'
+            });
+        }
     });
 }
 
 // Middleware to check if user is admin
+// Why a users row (is_admin, totp_enabled_at) can't use admin powers, or null if it can. Shared by
+// authenticateAdmin and the WebSocket view_user command.
+function adminAccessError(row) {
+    if (!row || !row.is_admin) {
+        return { error: 'Admin access required' };
+    }
+    // Admin powers wait until 2FA is set up; the account itself still works so it can be enrolled
+    if (securityPolicy.requireAdminTwoFactor && !row.totp_enabled_at) {
+        return {
+            error: 'Two-factor authentication is required for admin accounts. Enable it to continue.',
+            twoFactorSetupRequired: true
+        };
+    }
+    return null;
+}
+
 function authenticateAdmin(req, res, next) {
-    const userId = req.user.userId;
+    const userId = req.user.actorUserId;
 
-    db.get('SELECT is_admin FROM users WHERE id = ?', [userId], (err, row) => {
+    db.get('SELECT is_admin, totp_enabled_at FROM users WHERE id = ?', [userId], (err, row) => {
         if (err) {
             return res.status(500).json({
                 success: false,
@@ -113,11 +319,9 @@ function authenticateAdmin(req, res, next) {
             });
         }
 
-        if (!row || !row.is_admin) {
-            return res.status(403).json({
-                success: false,
-                error: 'Admin access required'
-            });
+        const denied = adminAccessError(row);
+        if (denied) {
+            return res.status(403).json({ success: false, ...denied });
         }
 
         next();
@@ -151,8 +355,14 @@ try {
 const PORT = process.env.PORT || config.port || 3000;
 const CHECK_INTERVAL = config.checkInterval || 15000;
 const MESSAGE_LIMIT = config.messageLimit || 15;
+const RECONCILE_INTERVAL = config.reconcileInterval || 5 * 60 * 1000; // Gap-filling pass; live capture is event-driven
+const RECONCILE_MAX_FETCH = config.reconcileMaxFetch || 1000; // Upper bound when widening the fetch to cover a gap
 const DETECT_JOINS_LEAVES = config.detectJoinsLeaves !== false;
 const GROUP_NAMES = config.groups || [];
+const BROADCAST_TIMEZONE = config.broadcastTimezone || 'Africa/Cairo'; // Recurring broadcasts without their own timezone
+const BROADCAST_MAX_ATTEMPTS = config.broadcastMaxAttempts || 5; // Sends per group before a transient failure is final
+const BROADCAST_RETRY_DELAY = config.broadcastRetryDelay || 30000; // First retry delay, doubled on each attempt
+const PRUNE_GAP_SECONDS = config.pruneGapSeconds || 15; // Default wait between inactive member removals
 
 // Initialize SQLite database
 const dbPath = path.join(DATA_DIR, 'whatsapp_analytics.db');
@@ -163,310 +373,40 @@ const db = new sqlite3.Database(dbPath, (err) => {
         console.error('Error opening database:', err);
     } else {
         console.log('📊 SQLite database connected');
-        initializeDatabase();
     }
 });
 
-// Create tables if they don't exist
-function initializeDatabase() {
-    db.serialize(() => {
-        // Users table (for multi-tenant support)
-        db.run(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // WhatsApp sessions table (maps users to their WhatsApp clients)
-        db.run(`
-            CREATE TABLE IF NOT EXISTS whatsapp_sessions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                session_id TEXT UNIQUE NOT NULL,
-                phone_number TEXT,
-                is_authenticated BOOLEAN DEFAULT 0,
-                last_connected DATETIME,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Messages table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS messages (
-                id TEXT PRIMARY KEY,
-                user_id INTEGER,
-                group_id TEXT NOT NULL,
-                group_name TEXT NOT NULL,
-                sender TEXT NOT NULL,
-                sender_id TEXT,
-                message TEXT NOT NULL,
-                timestamp TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Events table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER,
-                group_id TEXT NOT NULL,
-                group_name TEXT NOT NULL,
-                member_id TEXT NOT NULL,
-                member_name TEXT NOT NULL,
-                type TEXT NOT NULL,
-                timestamp TEXT NOT NULL,
-                date TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Monitored groups table (stores which groups each user is monitoring)
-        db.run(`
-            CREATE TABLE IF NOT EXISTS monitored_groups (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                group_id TEXT NOT NULL,
-                group_name TEXT NOT NULL,
-                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                UNIQUE(user_id, group_id)
-            )
-        `);
-
-        // Scheduled broadcasts table (stores broadcasts scheduled for future execution)
-        db.run(`
-            CREATE TABLE IF NOT EXISTS scheduled_broadcasts (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                group_ids TEXT NOT NULL,
-                message TEXT,
-                message_type TEXT DEFAULT 'text',
-                poll_options TEXT,
-                allow_multiple_answers BOOLEAN DEFAULT 0,
-                gap_time INTEGER DEFAULT 10,
-                scheduled_time DATETIME NOT NULL,
-                status TEXT DEFAULT 'pending',
-                file_data TEXT,
-                file_mimetype TEXT,
-                file_name TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                executed_at DATETIME,
-                result_summary TEXT,
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Create welcome_message_settings table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS welcome_message_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                group_id TEXT NOT NULL,
-                enabled BOOLEAN DEFAULT 0,
-                message_text TEXT NOT NULL,
-                member_threshold INTEGER DEFAULT 5,
-                delay_minutes INTEGER DEFAULT 5,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_id, group_id),
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Create admin_only_schedule table
-        db.run(`
-            CREATE TABLE IF NOT EXISTS admin_only_schedule (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                group_id TEXT NOT NULL,
-                enabled BOOLEAN DEFAULT 0,
-                open_time TEXT NOT NULL,
-                close_time TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_id, group_id),
-                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Add mentions column to scheduled_broadcasts table if it doesn't exist
-        db.run(`
-            ALTER TABLE scheduled_broadcasts ADD COLUMN mentions TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding mentions column:', err);
-            } else if (!err) {
-                console.log('✅ Added mentions column to scheduled_broadcasts table');
-            }
-        });
-
-        // Add image fields to welcome_message_settings table if they don't exist
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN image_enabled BOOLEAN DEFAULT 0`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding image_enabled column:', err);
-            }
-        });
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN image_data TEXT`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding image_data column:', err);
-            }
-        });
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN image_mimetype TEXT`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding image_mimetype column:', err);
-            }
-        });
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN image_filename TEXT`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding image_filename column:', err);
-            }
-        });
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN image_caption TEXT`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding image_caption column:', err);
-            }
-        });
-        db.run(`ALTER TABLE welcome_message_settings ADD COLUMN specific_mentions TEXT`, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding specific_mentions column:', err);
-            }
-        });
-
-        // Add date column to existing events table if it doesn't exist
-        db.run(`
-            ALTER TABLE events ADD COLUMN date TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding date column:', err);
-            } else if (!err) {
-                console.log('✅ Added date column to events table');
-                // Populate date for existing records
-                db.run(`
-                    UPDATE events
-                    SET date = substr(timestamp, 1, 10)
-                    WHERE date IS NULL
-                `);
-            }
-        });
-
-        // Add sender_id column to existing messages table if it doesn't exist
-        db.run(`
-            ALTER TABLE messages ADD COLUMN sender_id TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding sender_id column:', err);
-            } else if (!err) {
-                console.log('✅ Added sender_id column to messages table');
-            }
-        });
-
-        // Add is_admin column to users table for admin privileges
-        db.run(`
-            ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT 0
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding is_admin column:', err);
-            } else if (!err) {
-                console.log('✅ Added is_admin column to users table');
-            }
-        });
-
-        // Add whatsapp_authenticated column to users table for quick lookup
-        db.run(`
-            ALTER TABLE users ADD COLUMN whatsapp_authenticated BOOLEAN DEFAULT 0
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding whatsapp_authenticated column:', err);
-            } else if (!err) {
-                console.log('✅ Added whatsapp_authenticated column to users table');
-            }
-        });
-
-        // Add user_id column to existing messages table if it doesn't exist
-        db.run(`
-            ALTER TABLE messages ADD COLUMN user_id INTEGER
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding user_id column to messages:', err);
-            } else if (!err) {
-                console.log('✅ Added user_id column to messages table');
-            }
-        });
+// INSERT OR REPLACE deletes the old row; without this the messages_fts delete trigger wouldn't fire for it
+db.run(`PRAGMA recursive_triggers = ON`);
 
-        // Add user_id column to existing events table if it doesn't exist
-        db.run(`
-            ALTER TABLE events ADD COLUMN user_id INTEGER
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding user_id column to events:', err);
-            } else if (!err) {
-                console.log('✅ Added user_id column to events table');
-            }
-        });
+// Bring the schema up to date (see migrations.js). The HTTP server only starts listening once this resolves.
+const databaseReady = runMigrations(db);
 
-        // Add replied_to_message_id column to messages table for reply functionality
-        db.run(`
-            ALTER TABLE messages ADD COLUMN replied_to_message_id TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding replied_to_message_id column:', err);
-            } else if (!err) {
-                console.log('✅ Added replied_to_message_id column to messages table');
-            }
+// Promise wrappers around the sqlite3 callback API, for async code paths
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
         });
+    });
+}
 
-        // Add replied_to_sender column to messages table
-        db.run(`
-            ALTER TABLE messages ADD COLUMN replied_to_sender TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding replied_to_sender column:', err);
-            } else if (!err) {
-                console.log('✅ Added replied_to_sender column to messages table');
-            }
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
         });
+    });
+}
 
-        // Add replied_to_message column to messages table
-        db.run(`
-            ALTER TABLE messages ADD COLUMN replied_to_message TEXT
-        `, (err) => {
-            if (err && !err.message.includes('duplicate column')) {
-                console.error('Error adding replied_to_message column:', err);
-            } else if (!err) {
-                console.log('✅ Added replied_to_message column to messages table');
-            }
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
         });
-
-        // Create indexes for better query performance
-        db.run(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_user_id ON whatsapp_sessions(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_session_id ON whatsapp_sessions(session_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages(group_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_events_group_id ON events(group_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp DESC)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_events_date ON events(date DESC)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_events_date_member ON events(date, member_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_monitored_groups_user_id ON monitored_groups(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_monitored_groups_group_id ON monitored_groups(group_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_user_id ON scheduled_broadcasts(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_scheduled_time ON scheduled_broadcasts(scheduled_time)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_scheduled_broadcasts_status ON scheduled_broadcasts(status)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_welcome_settings_user_id ON welcome_message_settings(user_id)`);
-        db.run(`CREATE INDEX IF NOT EXISTS idx_welcome_settings_group_id ON welcome_message_settings(group_id)`);
-
-        console.log('✅ Database tables initialized');
     });
 }
 
@@ -549,6 +489,7 @@ console.log(`Port: ${PORT}`);
 console.log(`Monitoring groups: ${GROUP_NAMES.join(', ')}`);
 console.log(`Check interval: ${CHECK_INTERVAL / 1000} seconds`);
 console.log(`Message limit: ${MESSAGE_LIMIT}`);
+console.log(`Reconcile interval: ${RECONCILE_INTERVAL / 1000} seconds`);
 console.log(`Detect joins/leaves: ${DETECT_JOINS_LEAVES ? 'Yes' : 'No'}\n`);
 
 // ============================================
@@ -567,110 +508,601 @@ app.get('/api/health', (req, res) => {
 });
 
 // ============================================
-// USER AUTHENTICATION ENDPOINTS
+// WORKSPACES AND ROLES
 // ============================================
 
-// User Registration
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { username, email, password } = req.body;
+const WORKSPACE_ROLES = ['owner', 'manager', 'analyst', 'viewer'];
+
+// What each workspace role may do. Routes declare what they need with requirePermission().
+//   messages:read    - groups, channels, messages, events, search, settings (read-only)
+//   analytics:read   - statistics and analytics
+//   messages:send    - send, broadcast, scheduled broadcasts, templates
+//   groups:manage    - monitored groups and channels, welcome messages, admin-only schedules
+//   whatsapp:manage  - connect or disconnect the shared WhatsApp account
+//   workspace:manage - add and remove members, change their roles
+const ROLE_PERMISSIONS = {
+    owner: ['messages:read', 'analytics:read', 'messages:send', 'groups:manage', 'whatsapp:manage', 'workspace:manage'],
+    manager: ['messages:read', 'analytics:read', 'messages:send', 'groups:manage'],
+    analyst: ['messages:read', 'analytics:read'],
+    viewer: ['messages:read']
+};
 
-        // Validation
-        if (!username || !email || !password) {
-            return res.status(400).json({
+// API key scope needed on routes guarded by each permission. Permissions not listed can't be used
+// with an API key at all (a key can't manage groups, WhatsApp or members).
+const PERMISSION_SCOPES = {
+    'messages:read': 'messages:read',
+    'analytics:read': 'stats:read',
+    'messages:send': 'broadcast:send'
+};
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Use after authenticateToken. scope is what an API key needs for the route; null keeps keys out.
+function requirePermission(permission, scope = PERMISSION_SCOPES[permission] || null) {
+    const middleware = (req, res, next) => {
+        if (!req.workspace || !hasPermission(req.workspace.role, permission)) {
+            return res.status(403).json({
                 success: false,
-                error: 'Username, email, and password are required'
+                error: `Your role (${req.workspace ? req.workspace.role : 'none'}) does not allow this action`
             });
         }
-
-        if (password.length < 6) {
-            return res.status(400).json({
+        if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
                 success: false,
-                error: 'Password must be at least 6 characters long'
+                error: `This API key needs the ${scope} scope`
             });
         }
+        next();
+    };
+    // authenticateToken looks for this to tell whether the route accepts API keys
+    middleware.apiKeyScope = scope;
+    return middleware;
+}
 
-        // Check if user already exists
-        db.get('SELECT id FROM users WHERE email = ? OR username = ?', [email, username], async (err, existingUser) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Database error'
-                });
+// Every user owns one workspace for their own WhatsApp account; created on first use
+async function ensurePersonalWorkspace(userId) {
+    let workspace = await dbGet(`SELECT id, name FROM workspaces WHERE owner_user_id = ?`, [userId]);
+    if (!workspace) {
+        const user = await dbGet(`SELECT username FROM users WHERE id = ?`, [userId]);
+        if (!user) return null;
+
+        await dbRun(`INSERT OR IGNORE INTO workspaces (owner_user_id, name) VALUES (?, ?)`, [userId, `${user.username}'s workspace`]);
+        workspace = await dbGet(`SELECT id, name FROM workspaces WHERE owner_user_id = ?`, [userId]);
+        await dbRun(`INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')`, [workspace.id, userId]);
+    }
+    return workspace;
+}
+
+// The workspace a request acts in, or null if the user isn't a member of the one asked for
+async function resolveWorkspace(userId, requestedWorkspaceId) {
+    let workspaceId = parseInt(requestedWorkspaceId);
+    if (!workspaceId) {
+        const personal = await ensurePersonalWorkspace(userId);
+        if (!personal) return null;
+        workspaceId = personal.id;
+    }
+
+    const row = await dbGet(`
+        SELECT w.id, w.name, w.owner_user_id, m.role
+        FROM workspace_members m
+        JOIN workspaces w ON w.id = m.workspace_id
+        WHERE m.user_id = ? AND w.id = ?
+    `, [userId, workspaceId]);
+
+    return row ? { id: row.id, name: row.name, ownerUserId: row.owner_user_id, role: row.role } : null;
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+//
+// Routes that send something, change group settings or are admin actions declare it with
+// auditAction(). The entry is written once the route has answered with success, so refused and
+// failed requests don't show up. Listed at GET /api/admin/audit.
+
+// describe(req, body) gets the JSON the route answered with and returns any of
+// { targetType, targetId, targetLabel, details }. targetLabel(req), if given, runs before the route
+// instead, so a name is still known after the route deleted what it belongs to.
+function auditAction(action, describe = () => ({}), { targetLabel = null } = {}) {
+    return async (req, res, next) => {
+        let label = null;
+        if (targetLabel) {
+            try {
+                label = await targetLabel(req);
+            } catch (error) {
+                console.error(`Error looking up audit target (${action}):`, error);
             }
+        }
 
-            if (existingUser) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Username or email already exists'
-                });
+        let body = null;
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+            body = payload;
+            return json(payload);
+        };
+
+        res.on('finish', () => {
+            if (res.statusCode >= 300 || !req.user || (body && body.success === false)) return;
+
+            let described = {};
+            try {
+                described = describe(req, body || {}) || {};
+            } catch (error) {
+                console.error(`Error describing audit entry (${action}):`, error);
             }
 
-            // Hash password
-            const passwordHash = await bcrypt.hash(password, 10);
+            recordAudit(db, {
+                action,
+                actorUserId: req.user.actorUserId,
+                actorEmail: req.user.email,
+                apiKeyId: req.user.apiKeyId || null,
+                workspaceId: req.workspace ? req.workspace.id : null,
+                workspaceOwnerId: req.user.userId,
+                ipAddress: req.ip,
+                targetLabel: label,
+                ...described
+            }).catch(error => console.error(`❌ Failed to write audit entry (${action}):`, error));
+        });
 
-            // Create user
-            db.run(
-                'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-                [username, email, passwordHash],
-                function(err) {
-                    if (err) {
-                        console.error('Error creating user:', err);
-                        return res.status(500).json({
-                            success: false,
-                            error: 'Failed to create user'
-                        });
-                    }
+        next();
+    };
+}
 
-                    const userId = this.lastID;
+// Message text is kept in the log, cut to this length
+const AUDIT_TEXT_LENGTH = 1000;
 
-                    // Generate JWT token
-                    const token = jwt.sign(
-                        { userId, username, email },
-                        JWT_SECRET,
-                        { expiresIn: JWT_EXPIRES_IN }
-                    );
+function auditText(text) {
+    if (text === undefined || text === null) return null;
+    const value = String(text);
+    return value.length > AUDIT_TEXT_LENGTH ? `${value.slice(0, AUDIT_TEXT_LENGTH)}…` : value;
+}
 
-                    console.log(`✅ User registered: ${username} (${email})`);
+// Fields shared by send, broadcast and schedule entries
+function auditMessageDetails(req) {
+    const { message, messageType, pollOptions, gapTime } = req.body;
+    return {
+        message: auditText(message),
+        messageType: messageType || 'text',
+        pollOptions: pollOptions ? auditText(pollOptions) : undefined,
+        gapTimeSeconds: gapTime ? parseInt(gapTime) : undefined,
+        fileName: req.file ? req.file.originalname : undefined
+    };
+}
 
-                    res.status(201).json({
-                        success: true,
-                        token,
-                        user: {
-                            id: userId,
-                            username,
-                            email
-                        }
-                    });
-                }
-            );
-        });
+// Labels for targetLabel: a user's email, a monitored group's name
+async function auditUserEmail(userId) {
+    const user = await dbGet('SELECT email FROM users WHERE id = ?', [userId]);
+    return user ? user.email : null;
+}
+
+function auditGroupName(req, groupId) {
+    const groups = userMonitoredGroups.get(req.user.userId);
+    const group = groups ? groups.get(groupId) : null;
+    return group ? group.name : null;
+}
+
+function parseAuditGroupIds(groupIds) {
+    try {
+        return JSON.parse(groupIds);
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Registration failed'
-        });
+        return groupIds;
     }
-});
+}
 
-// User Login
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// ============================================
+// SESSIONS
+// ============================================
+//
+// Each login is a row in auth_sessions. The client gets a short-lived access token (JWT with the
+// session id in `sid`) and a refresh token "<sessionId>.<secret>" that is swapped for a new pair at
+// POST /api/auth/refresh. Only a hash of the secret is stored. Revoking a session stops its access
+// token at the next request, not just at expiry.
 
-        // Validation
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email and password are required'
-            });
-        }
+const SESSION_RETENTION_DAYS = 30; // Ended sessions stay listed in the database this long
 
-        // Find user
-        db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-            if (err) {
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, username: user.username, email: user.email, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// "Chrome on Windows", good enough to tell devices apart in the session list
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Chrome\//, 'Chrome'],
+        [/Firefox\//, 'Firefox'], [/Safari\//, 'Safari'], [/curl\//, 'curl'], [/python-requests/, 'Python']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+        [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'],
+        [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return userAgent.slice(0, 60);
+    return [browser ? browser[1] : 'Unknown browser', os ? os[1] : null].filter(Boolean).join(' on ');
+}
+
+// Start a session after a successful login or registration; returns what the client needs
+async function createSession(user, req) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+
+    const { lastID } = await dbRun(`
+        INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [user.id, hashToken(secret), req.headers['user-agent'] || null, req.ip, now, now, refreshExpiry()]);
+
+    return {
+        token: signAccessToken(user, lastID),
+        refreshToken: `${lastID}.${secret}`
+    };
+}
+
+// Swap a refresh token for a new access/refresh pair. Returns null if it isn't valid any more.
+// Presenting a refresh token that was already swapped means it was copied: the session is revoked.
+async function rotateSession(refreshToken, req) {
+    const [idPart, secret] = String(refreshToken || '').split('.');
+    const sessionId = parseInt(idPart);
+    if (!sessionId || !secret) return null;
+
+    const session = await dbGet(`
+        SELECT s.*, u.username, u.email
+        FROM auth_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = ?
+    `, [sessionId]);
+    if (!session || session.revoked_at || session.expires_at <= new Date().toISOString()) {
+        return null;
+    }
+
+    const presentedHash = hashToken(secret);
+    if (presentedHash !== session.refresh_token_hash) {
+        // Two tabs refreshing at the same moment look the same as a replay; give them a few seconds
+        const justRotated = Date.now() - new Date(session.last_used_at).getTime() < 30000;
+        if (presentedHash === session.previous_token_hash && !justRotated) {
+            console.log(`🚨 Refresh token reuse on session ${sessionId} (user ${session.user_id}) - revoking it`);
+            await revokeSessions({ sessionId }, 'refresh_token_reuse');
+        }
+        return null;
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('base64url');
+    const result = await dbRun(`
+        UPDATE auth_sessions
+        SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = ?, ip_address = ?, user_agent = ?, expires_at = ?
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+    `, [hashToken(newSecret), presentedHash, new Date().toISOString(), req.ip,
+        req.headers['user-agent'] || session.user_agent, refreshExpiry(), sessionId, presentedHash]);
+    if (result.changes === 0) return null; // Lost a race with another refresh
+
+    return {
+        token: signAccessToken({ id: session.user_id, username: session.username, email: session.email }, sessionId),
+        refreshToken: `${sessionId}.${newSecret}`
+    };
+}
+
+// Access tokens issued before sessions existed have no sid and are no longer accepted
+async function isSessionActive(tokenPayload) {
+    if (!tokenPayload.sid) return false;
+
+    const session = await dbGet(`
+        SELECT revoked_at, expires_at FROM auth_sessions WHERE id = ? AND user_id = ?
+    `, [tokenPayload.sid, tokenPayload.userId]);
+    return Boolean(session && !session.revoked_at && session.expires_at > new Date().toISOString());
+}
+
+// End sessions by { sessionId } or { userId [, exceptSessionId] }; returns how many were revoked.
+// Open WebSockets of those sessions are closed too.
+async function revokeSessions({ sessionId = null, userId = null, exceptSessionId = null }, reason) {
+    const conditions = ['revoked_at IS NULL'];
+    const params = [];
+    if (sessionId) { conditions.push('id = ?'); params.push(sessionId); }
+    if (userId) { conditions.push('user_id = ?'); params.push(userId); }
+    if (exceptSessionId) { conditions.push('id != ?'); params.push(exceptSessionId); }
+    if (!sessionId && !userId) {
+        throw new Error('revokeSessions needs a sessionId or userId');
+    }
+
+    const sessions = await dbAll(`SELECT id FROM auth_sessions WHERE ${conditions.join(' AND ')}`, params);
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(row => row.id);
+    await dbRun(`
+        UPDATE auth_sessions SET revoked_at = ?, revoked_reason = ?
+        WHERE id IN (${ids.map(() => '?').join(',')})
+    `, [new Date().toISOString(), reason, ...ids]);
+
+    wsClients.forEach(ws => {
+        if (ids.includes(ws.sessionId)) {
+            ws.close(4001, 'Session revoked');
+        }
+    });
+    return ids.length;
+}
+
+// Drop sessions that ended more than SESSION_RETENTION_DAYS ago
+function purgeEndedSessions() {
+    const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    db.run(`DELETE FROM auth_sessions WHERE expires_at < ? OR revoked_at < ?`, [cutoff, cutoff], function(err) {
+        if (err) {
+            console.error('Error purging ended sessions:', err);
+        } else if (this.changes > 0) {
+            console.log(`🧹 Purged ${this.changes} ended session(s)`);
+        }
+    });
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+//
+// With 2FA enabled, a correct password only gets a short-lived challenge token. The session (and
+// the real tokens) are created by POST /api/auth/login/2fa once a TOTP or recovery code checks out.
+
+const TWO_FACTOR_CHALLENGE_SECONDS = 5 * 60;
+const TWO_FACTOR_MAX_ATTEMPTS = 5; // Wrong codes allowed per challenge before the password is needed again
+
+// Instance-wide policies, stored in app_settings and cached here
+const securityPolicy = {
+    requireAdminTwoFactor: false
+};
+
+// challenge id -> { attempts, expiresAt }
+const twoFactorChallenges = new Map();
+
+async function loadSecurityPolicy() {
+    const row = await dbGet(`SELECT value FROM app_settings WHERE key = 'require_admin_2fa'`);
+    securityPolicy.requireAdminTwoFactor = row ? row.value === 'true' : false;
+    if (securityPolicy.requireAdminTwoFactor) {
+        console.log('🔐 Two-factor authentication is required for admin accounts');
+    }
+}
+
+function issueTwoFactorChallenge(user) {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+
+    // Forget challenges that have expired anyway
+    for (const [id, challenge] of twoFactorChallenges) {
+        if (challenge.expiresAt < now) twoFactorChallenges.delete(id);
+    }
+    // The email is kept so wrong codes count towards the account's login lockout
+    twoFactorChallenges.set(challengeId, { attempts: 0, email: user.email, expiresAt: now + TWO_FACTOR_CHALLENGE_SECONDS * 1000 });
+
+    // No sid, so authenticateToken never accepts it as an access token
+    return jwt.sign({ userId: user.id, purpose: '2fa', cid: challengeId }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_SECONDS });
+}
+
+// True if 2FA is missing although policy requires it for this user
+function twoFactorSetupRequired(user) {
+    return Boolean(securityPolicy.requireAdminTwoFactor && user.is_admin && !user.totp_enabled_at);
+}
+
+// ============================================
+// API KEYS
+// ============================================
+//
+// Personal keys for scripts and integrations, sent as "Authorization: Bearer wa_...". A key acts as
+// the user who created it, in the workspace picked by X-Workspace-Id like a login does, but only on
+// routes whose permission maps to one of its scopes - and never beyond what the user's role allows.
+
+const API_KEY_PREFIX = 'wa_';
+const API_KEY_SCOPES = ['messages:read', 'events:read', 'stats:read', 'broadcast:send'];
+const API_KEY_DEFAULT_DAYS = 90;
+const API_KEY_MAX_DAYS = 365;
+const API_KEY_MAX_ACTIVE = 20; // Per user
+const API_KEY_USAGE_WRITE_INTERVAL = 60 * 1000; // last_used_at is written at most this often
+
+function generateApiKey() {
+    return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+async function authenticateApiKey(key, req, res, next) {
+    // Only routes guarded by requirePermission with a scope take keys; account, session and admin
+    // endpoints need a real login
+    const routeAcceptsKeys = req.route && req.route.stack.some(layer => layer.handle.apiKeyScope);
+    if (!routeAcceptsKeys) {
+        return res.status(403).json({
+            success: false,
+            error: 'API keys cannot be used for this endpoint'
+        });
+    }
+
+    try {
+        const apiKey = await dbGet(`
+            SELECT k.*, u.username, u.email
+            FROM api_keys k
+            JOIN users u ON u.id = k.user_id
+            WHERE k.key_hash = ?
+        `, [hashToken(key)]);
+
+        if (!apiKey || apiKey.revoked_at) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid API key'
+            });
+        }
+        if (apiKey.expires_at <= new Date().toISOString()) {
+            return res.status(401).json({
+                success: false,
+                error: 'API key has expired'
+            });
+        }
+
+        const workspace = await resolveWorkspace(apiKey.user_id, req.headers['x-workspace-id']);
+        if (!workspace) {
+            return res.status(403).json({
+                success: false,
+                error: 'You are not a member of this workspace'
+            });
+        }
+
+        if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > API_KEY_USAGE_WRITE_INTERVAL) {
+            db.run(`UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?`,
+                [new Date().toISOString(), req.ip, apiKey.id], (err) => {
+                    if (err) console.error('Error recording API key use:', err);
+                });
+        }
+
+        req.user = {
+            userId: workspace.ownerUserId,
+            actorUserId: apiKey.user_id,
+            username: apiKey.username,
+            email: apiKey.email,
+            sessionId: null,
+            apiKeyId: apiKey.id
+        };
+        req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: JSON.parse(apiKey.scopes) };
+        req.workspace = workspace;
+        next();
+    } catch (error) {
+        console.error('Error authenticating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
+}
+
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scopes: JSON.parse(row.scopes),
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        lastUsedIp: row.last_used_ip,
+        revokedAt: row.revoked_at
+    };
+}
+
+// ============================================
+// USER AUTHENTICATION ENDPOINTS
+// ============================================
+
+// User Registration
+app.post('/api/auth/register', registerLimiter, async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+
+        // Validation
+        if (!username || !email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Username, email, and password are required'
+            });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 6 characters long'
+            });
+        }
+
+        // Check if user already exists
+        db.get('SELECT id FROM users WHERE email = ? OR username = ?', [email, username], async (err, existingUser) => {
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Database error'
+                });
+            }
+
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Username or email already exists'
+                });
+            }
+
+            // Hash password
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            // Create user
+            db.run(
+                'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
+                [username, email, passwordHash],
+                function(err) {
+                    if (err) {
+                        console.error('Error creating user:', err);
+                        return res.status(500).json({
+                            success: false,
+                            error: 'Failed to create user'
+                        });
+                    }
+
+                    const userId = this.lastID;
+
+                    createSession({ id: userId, username, email }, req).then(({ token, refreshToken }) => {
+                        console.log(`✅ User registered: ${username} (${email})`);
+
+                        res.status(201).json({
+                            success: true,
+                            token,
+                            refreshToken,
+                            user: {
+                                id: userId,
+                                username,
+                                email
+                            }
+                        });
+                    }).catch(error => {
+                        console.error('Error creating session:', error);
+                        res.status(500).json({
+                            success: false,
+                            error: 'Failed to create session'
+                        });
+                    });
+                }
+            );
+        });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Registration failed'
+        });
+    }
+});
+
+// User Login
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // Validation
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email and password are required'
+            });
+        }
+
+        const lockedFor = loginLockedFor(email, req.ip);
+        if (lockedFor) {
+            return sendTooManyRequests(res, lockedFor, 'Too many failed logins. Please try again later.');
+        }
+
+        // Find user
+        db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
+            if (err) {
                 console.error('Database error:', err);
                 return res.status(500).json({
                     success: false,
@@ -679,6 +1111,7 @@ app.post('/api/auth/login', async (req, res) => {
             }
 
             if (!user) {
+                recordFailedLogin(email, req.ip);
                 return res.status(401).json({
                     success: false,
                     error: 'Invalid email or password'
@@ -689,30 +1122,49 @@ app.post('/api/auth/login', async (req, res) => {
             const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
             if (!isValidPassword) {
+                recordFailedLogin(email, req.ip);
                 return res.status(401).json({
                     success: false,
                     error: 'Invalid email or password'
                 });
             }
 
-            // Generate JWT token
-            const token = jwt.sign(
-                { userId: user.id, username: user.username, email: user.email },
-                JWT_SECRET,
-                { expiresIn: JWT_EXPIRES_IN }
-            );
+            if (user.totp_enabled_at) {
+                console.log(`🔐 Password accepted for ${user.email}, waiting for second factor`);
+                return res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: issueTwoFactorChallenge(user)
+                });
+            }
+
+            let session;
+            try {
+                session = await createSession(user, req);
+            } catch (error) {
+                console.error('Error creating session:', error);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to create session'
+                });
+            }
+            const { token, refreshToken } = session;
+            accountLoginGuard.recordSuccess(String(email).toLowerCase());
 
             console.log(`✅ User logged in: ${user.username} (${user.email}) - Admin: ${Boolean(user.is_admin)}`);
 
             res.json({
                 success: true,
                 token,
+                refreshToken,
                 user: {
                     id: user.id,
                     username: user.username,
                     email: user.email,
                     isAdmin: Boolean(user.is_admin),
-                    whatsappAuthenticated: Boolean(user.whatsapp_authenticated)
+                    whatsappAuthenticated: Boolean(user.whatsapp_authenticated),
+                    twoFactorEnabled: false,
+                    twoFactorSetupRequired: twoFactorSetupRequired(user)
                 }
             });
         });
@@ -727,7 +1179,7 @@ app.post('/api/auth/login', async (req, res) => {
 
 // Verify Token (check if user is authenticated)
 app.get('/api/auth/me', authenticateToken, (req, res) => {
-    db.get('SELECT id, username, email, is_admin, whatsapp_authenticated, created_at FROM users WHERE id = ?', [req.user.userId], (err, user) => {
+    db.get('SELECT id, username, email, is_admin, whatsapp_authenticated, created_at, totp_enabled_at FROM users WHERE id = ?', [req.user.actorUserId], (err, user) => {
         if (err) {
             console.error('Database error:', err);
             return res.status(500).json({
@@ -751,1941 +1203,4735 @@ app.get('/api/auth/me', authenticateToken, (req, res) => {
                 email: user.email,
                 isAdmin: Boolean(user.is_admin),
                 whatsappAuthenticated: Boolean(user.whatsapp_authenticated),
-                createdAt: user.created_at
+                createdAt: user.created_at,
+                twoFactorEnabled: Boolean(user.totp_enabled_at),
+                twoFactorSetupRequired: twoFactorSetupRequired(user)
             }
         });
     });
 });
 
-// ============================================
-// ADMIN ENDPOINTS
-// ============================================
+// Second login step: trade the challenge token and a TOTP code (or a recovery code) for a session
+app.post('/api/auth/login/2fa', loginLimiter, async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-// Get all users (admin only) - for Super Admin dashboard
-app.get('/api/admin/users', authenticateToken, authenticateAdmin, (req, res) => {
-    db.all(`
-        SELECT id, username, email, is_admin, whatsapp_authenticated, created_at
-        FROM users
-        ORDER BY whatsapp_authenticated DESC, created_at DESC
-    `, [], (err, users) => {
-        if (err) {
-            console.error('Error fetching users:', err);
-            return res.status(500).json({
+    let challenge;
+    try {
+        challenge = jwt.verify(challengeToken || '', JWT_SECRET);
+    } catch (error) {
+        challenge = null;
+    }
+    const state = challenge && challenge.purpose === '2fa' ? twoFactorChallenges.get(challenge.cid) : null;
+    if (!state) {
+        return res.status(401).json({
+            success: false,
+            error: 'Login expired. Please enter your password again.',
+            challengeExpired: true
+        });
+    }
+
+    if (!code && !recoveryCode) {
+        return res.status(400).json({
+            success: false,
+            error: 'Verification code is required'
+        });
+    }
+
+    const lockedFor = loginLockedFor(state.email, req.ip);
+    if (lockedFor) {
+        return sendTooManyRequests(res, lockedFor, 'Too many failed logins. Please try again later.');
+    }
+
+    state.attempts++;
+    if (state.attempts > TWO_FACTOR_MAX_ATTEMPTS) {
+        twoFactorChallenges.delete(challenge.cid);
+        return res.status(429).json({
+            success: false,
+            error: 'Too many wrong codes. Please enter your password again.',
+            challengeExpired: true
+        });
+    }
+
+    try {
+        const method = await verifySecondFactor(db, challenge.userId, { code, recoveryCode });
+        if (!method) {
+            console.log(`⚠️ Wrong second factor for user ${challenge.userId} (attempt ${state.attempts})`);
+            recordFailedLogin(state.email, req.ip);
+            return res.status(401).json({
                 success: false,
-                error: 'Database error'
+                error: recoveryCode ? 'Invalid or already used recovery code' : 'Invalid verification code'
             });
         }
+        twoFactorChallenges.delete(challenge.cid);
+
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [challenge.userId]);
+        const { token, refreshToken } = await createSession(user, req);
+        const status = await getTwoFactorStatus(db, user.id);
+        accountLoginGuard.recordSuccess(String(state.email).toLowerCase());
+
+        console.log(`✅ User logged in with ${method === 'totp' ? 'authenticator code' : 'recovery code'}: ${user.username} (${user.email})`);
 
         res.json({
             success: true,
-            users: users.map(user => ({
+            token,
+            refreshToken,
+            recoveryCodesRemaining: status.recoveryCodesRemaining,
+            user: {
                 id: user.id,
                 username: user.username,
                 email: user.email,
                 isAdmin: Boolean(user.is_admin),
                 whatsappAuthenticated: Boolean(user.whatsapp_authenticated),
-                createdAt: user.created_at
-            }))
+                twoFactorEnabled: true,
+                twoFactorSetupRequired: false
+            }
         });
-    });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed'
+        });
+    }
 });
 
-// TEMPORARY: Make current user admin (call once, then remove)
-app.post('/api/admin/make-me-admin', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
+// 2FA status of the logged-in user
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+    try {
+        const status = await getTwoFactorStatus(db, req.user.actorUserId);
+        const user = await dbGet('SELECT is_admin FROM users WHERE id = ?', [req.user.actorUserId]);
+        res.json({
+            success: true,
+            ...status,
+            requiredByPolicy: Boolean(securityPolicy.requireAdminTwoFactor && user.is_admin)
+        });
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Database error'
+        });
+    }
+});
 
-    db.run('UPDATE users SET is_admin = 1 WHERE id = ?', [userId], (err) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: 'Database error' });
-        }
-        res.json({ success: true, message: 'You are now admin. Logout and login again.' });
-    });
+// Start enrollment: returns the secret and the otpauth:// URL to show as a QR code
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const { secret, otpauthUrl } = await startEnrollment(db, req.user.actorUserId);
+        res.json({ success: true, secret, otpauthUrl });
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to start two-factor setup'
+        });
+    }
 });
 
-// Update user admin status (admin only)
-app.put('/api/admin/users/:userId/admin', authenticateToken, authenticateAdmin, (req, res) => {
-    const { userId } = req.params;
-    const { isAdmin } = req.body;
-
-    if (typeof isAdmin !== 'boolean') {
-        return res.status(400).json({
+// Finish enrollment with a code from the app. The recovery codes are shown this once.
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+    try {
+        const recoveryCodes = await confirmEnrollment(db, req.user.actorUserId, req.body.code);
+        console.log(`🔐 User ${req.user.actorUserId} enabled two-factor authentication`);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('Error enabling 2FA:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'isAdmin must be a boolean'
+            error: error.status ? error.message : 'Failed to enable two-factor authentication'
         });
     }
+});
 
-    db.run('UPDATE users SET is_admin = ? WHERE id = ?', [isAdmin ? 1 : 0, userId], function(err) {
-        if (err) {
-            console.error('Error updating user admin status:', err);
-            return res.status(500).json({
-                success: false,
-                error: 'Database error'
-            });
-        }
-
-        if (this.changes === 0) {
-            return res.status(404).json({
+// New set of recovery codes (the old ones stop working). Needs a current code.
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        if (!(await verifySecondFactor(db, req.user.actorUserId, { code: req.body.code }))) {
+            return res.status(400).json({
                 success: false,
-                error: 'User not found'
+                error: 'Invalid verification code'
             });
         }
 
-        res.json({
-            success: true,
-            message: `User ${isAdmin ? 'granted' : 'revoked'} admin privileges`
-        });
-    });
-});
-
-// Delete user (admin only)
-app.delete('/api/admin/users/:userId', authenticateToken, authenticateAdmin, (req, res) => {
-    const { userId } = req.params;
-    const requestingUserId = req.user.userId;
-
-    // Prevent admin from deleting themselves
-    if (parseInt(userId) === requestingUserId) {
-        return res.status(400).json({
+        const recoveryCodes = await regenerateRecoveryCodes(db, req.user.actorUserId);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({
             success: false,
-            error: 'You cannot delete your own account'
+            error: 'Failed to regenerate recovery codes'
         });
     }
+});
 
-    // Delete user from database (CASCADE will handle related records)
-    db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
-        if (err) {
-            console.error('Error deleting user:', err);
-            return res.status(500).json({
+// Turn 2FA off. Needs the password and a current code (or recovery code).
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    try {
+        const user = await dbGet('SELECT id, is_admin, password_hash FROM users WHERE id = ?', [req.user.actorUserId]);
+        if (securityPolicy.requireAdminTwoFactor && user.is_admin) {
+            return res.status(403).json({
                 success: false,
-                error: 'Database error'
+                error: 'Two-factor authentication is required for admin accounts'
             });
         }
 
-        if (this.changes === 0) {
-            return res.status(404).json({
+        if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+            return res.status(401).json({
                 success: false,
-                error: 'User not found'
+                error: 'Incorrect password'
             });
         }
 
-        // Clean up WhatsApp client if exists
-        const userIdNum = parseInt(userId);
-        const userClient = whatsappClients.get(userIdNum);
-        if (userClient) {
-            try {
-                userClient.destroy();
-            } catch (e) {
-                console.error('Error destroying WhatsApp client:', e);
-            }
-            whatsappClients.delete(userIdNum);
-        }
-
-        // Clean up monitoring interval
-        const intervalId = userMonitoringIntervals.get(userIdNum);
-        if (intervalId) {
-            clearInterval(intervalId);
-            userMonitoringIntervals.delete(userIdNum);
+        if (!(await verifySecondFactor(db, user.id, { code, recoveryCode }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
         }
 
-        // Clean up in-memory data
-        userMonitoredGroups.delete(userIdNum);
-        userClientReady.delete(userIdNum);
-        userQRCodes.delete(userIdNum);
-        userAuthStatus.delete(userIdNum);
+        await disableTwoFactor(db, user.id);
+        console.log(`🔓 User ${user.id} disabled two-factor authentication`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable two-factor authentication'
+        });
+    }
+});
 
-        console.log(`✅ User ${userId} deleted successfully`);
+// Swap a refresh token for a new token pair. No access token needed - it has usually expired by now.
+app.post('/api/auth/refresh', refreshLimiter, async (req, res) => {
+    try {
+        const tokens = await rotateSession(req.body.refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has ended. Please log in again.',
+                sessionEnded: true
+            });
+        }
 
         res.json({
             success: true,
-            message: 'User deleted successfully'
+            ...tokens
         });
-    });
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh session'
+        });
+    }
 });
 
-// ============================================
-// WELCOME MESSAGE SETTINGS ENDPOINTS
-// ============================================
+// Log out: ends the session the request was made with
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSessions({ sessionId: req.user.sessionId }, 'logout');
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
+        });
+    }
+});
 
-// Get welcome message settings for a group
-app.get('/api/welcome-settings/:groupId', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
+// Active sessions of the logged-in user, most recently used first
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await dbAll(`
+            SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+            FROM auth_sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `, [req.user.actorUserId, new Date().toISOString()]);
 
-    console.log(`📥 Getting welcome settings for user ${userId}, group ${groupId}`);
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session.id,
+                device: describeUserAgent(session.user_agent),
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
+});
 
-    db.get(`
-        SELECT * FROM welcome_message_settings
-        WHERE user_id = ? AND group_id = ?
-    `, [userId, groupId], (err, row) => {
-        if (err) {
-            console.error('Error fetching welcome settings:', err);
-            return res.status(500).json({
+// Log out everywhere. ?keepCurrent=true leaves the session making the request signed in.
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revoked = await revokeSessions({
+            userId: req.user.actorUserId,
+            exceptSessionId: keepCurrent ? req.user.sessionId : null
+        }, 'logout_all');
+
+        console.log(`🔒 User ${req.user.actorUserId} ended ${revoked} session(s)`);
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke sessions'
+        });
+    }
+});
+
+// End one of the logged-in user's sessions
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const session = await dbGet(
+            'SELECT id FROM auth_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [req.params.sessionId, req.user.actorUserId]
+        );
+        if (!session) {
+            return res.status(404).json({
                 success: false,
-                error: 'Database error'
+                error: 'Session not found'
             });
         }
 
-        console.log(`📤 Welcome settings result:`, row);
+        await revokeSessions({ sessionId: session.id }, 'revoked');
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke session'
+        });
+    }
+});
+
+// ============================================
+// API KEY ENDPOINTS
+// ============================================
+// These need a logged-in user; an API key can't create or list keys.
 
+// The logged-in user's keys, newest first (revoked and expired ones included)
+app.get('/api/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const keys = await dbAll(`SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`, [req.user.actorUserId]);
         res.json({
             success: true,
-            settings: row || null
+            keys: keys.map(formatApiKey),
+            availableScopes: API_KEY_SCOPES
         });
-    });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
 });
 
-// Save or update welcome message settings for a group
-app.post('/api/welcome-settings/:groupId', authenticateToken, upload.single('image'), (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
-    const { enabled, messageText, memberThreshold, delayMinutes, imageEnabled, imageCaption, specificMentions } = req.body;
-
-    console.log(`💾 Saving welcome settings: user=${userId}, group=${groupId}, enabled=${enabled}, threshold=${memberThreshold}, delay=${delayMinutes}, imageEnabled=${imageEnabled}`);
-    console.log(`🔍 Received specificMentions from frontend:`, specificMentions);
-    console.log(`🔍 Type of specificMentions:`, typeof specificMentions);
+// Create a key. The key itself is in this response only.
+app.post('/api/api-keys', authenticateToken, async (req, res) => {
+    const { name, scopes, expiresInDays = API_KEY_DEFAULT_DAYS } = req.body;
 
-    // Validation
-    if (typeof enabled !== 'boolean' && enabled !== 'true' && enabled !== 'false') {
+    if (!name || !String(name).trim()) {
         return res.status(400).json({
             success: false,
-            error: 'enabled must be a boolean'
+            error: 'Name is required'
         });
     }
-
-    if (!messageText || typeof messageText !== 'string') {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
         return res.status(400).json({
             success: false,
-            error: 'messageText is required'
+            error: `Choose one or more scopes: ${API_KEY_SCOPES.join(', ')}`
         });
     }
-
-    if (!memberThreshold || memberThreshold < 1) {
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > API_KEY_MAX_DAYS) {
         return res.status(400).json({
             success: false,
-            error: 'memberThreshold must be at least 1'
+            error: `expiresInDays must be between 1 and ${API_KEY_MAX_DAYS}`
         });
     }
 
-    if (delayMinutes === undefined || delayMinutes < 0) {
-        return res.status(400).json({
+    try {
+        const now = new Date();
+        const { count } = await dbGet(`
+            SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        `, [req.user.actorUserId, now.toISOString()]);
+        if (count >= API_KEY_MAX_ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                error: `You can have at most ${API_KEY_MAX_ACTIVE} active API keys. Revoke one first.`
+            });
+        }
+
+        const key = generateApiKey();
+        const expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+        const { lastID } = await dbRun(`
+            INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [req.user.actorUserId, String(name).trim(), key.slice(0, API_KEY_PREFIX.length + 6), hashToken(key),
+            JSON.stringify([...new Set(scopes)]), now.toISOString(), expiresAt]);
+
+        const row = await dbGet('SELECT * FROM api_keys WHERE id = ?', [lastID]);
+        console.log(`🔑 User ${req.user.actorUserId} created API key "${row.name}" (${row.scopes})`);
+
+        res.status(201).json({
+            success: true,
+            key,
+            apiKey: formatApiKey(row)
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
             success: false,
-            error: 'delayMinutes must be at least 0'
+            error: 'Failed to create API key'
         });
     }
+});
 
-    // Parse boolean values if they come as strings
-    const enabledBool = enabled === true || enabled === 'true';
-    const imageEnabledBool = imageEnabled === true || imageEnabled === 'true';
+// Revoke a key; requests with it fail from now on
+app.delete('/api/api-keys/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun(`
+            UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `, [new Date().toISOString(), req.params.id, req.user.actorUserId]);
 
-    // Handle image data
-    let imageData = null;
-    let imageMimetype = null;
-    let imageFilename = null;
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
 
-    if (req.file) {
-        imageData = req.file.buffer.toString('base64');
-        imageMimetype = req.file.mimetype;
-        imageFilename = req.file.originalname;
+        console.log(`🔑 User ${req.user.actorUserId} revoked API key ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key'
+        });
     }
+});
 
-    // Parse specific mentions if provided
-    const specificMentionsStr = specificMentions || '[]';
+// ============================================
+// WORKSPACE ENDPOINTS
+// ============================================
 
-    // Insert or update
-    db.run(`
-        INSERT INTO welcome_message_settings (
-            user_id, group_id, enabled, message_text, member_threshold, delay_minutes,
-            image_enabled, image_data, image_mimetype, image_filename, image_caption, specific_mentions,
-            updated_at
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(user_id, group_id) DO UPDATE SET
-            enabled = excluded.enabled,
-            message_text = excluded.message_text,
-            member_threshold = excluded.member_threshold,
-            delay_minutes = excluded.delay_minutes,
-            image_enabled = excluded.image_enabled,
-            image_data = CASE WHEN excluded.image_data IS NOT NULL THEN excluded.image_data ELSE image_data END,
-            image_mimetype = CASE WHEN excluded.image_mimetype IS NOT NULL THEN excluded.image_mimetype ELSE image_mimetype END,
-            image_filename = CASE WHEN excluded.image_filename IS NOT NULL THEN excluded.image_filename ELSE image_filename END,
-            image_caption = excluded.image_caption,
-            specific_mentions = excluded.specific_mentions,
-            updated_at = CURRENT_TIMESTAMP
-    `, [userId, groupId, enabledBool ? 1 : 0, messageText, memberThreshold, delayMinutes,
-        imageEnabledBool ? 1 : 0, imageData, imageMimetype, imageFilename, imageCaption, specificMentionsStr
-    ], function(err) {
+// Workspaces the logged-in user belongs to, and their role in the one this request acts in
+app.get('/api/workspaces', authenticateToken, (req, res) => {
+    const actorUserId = req.user.actorUserId;
+
+    db.all(`
+        SELECT w.id, w.name, w.owner_user_id, u.username AS owner_username, m.role
+        FROM workspace_members m
+        JOIN workspaces w ON w.id = m.workspace_id
+        LEFT JOIN users u ON u.id = w.owner_user_id
+        WHERE m.user_id = ?
+        ORDER BY (w.owner_user_id = ?) DESC, w.name COLLATE NOCASE ASC
+    `, [actorUserId, actorUserId], (err, rows) => {
         if (err) {
-            console.error('❌ Error saving welcome settings:', err);
+            console.error('Error fetching workspaces:', err);
             return res.status(500).json({
                 success: false,
-                error: 'Database error: ' + err.message
+                error: 'Database error'
             });
         }
 
-        console.log(`✅ Welcome settings saved successfully for user ${userId}, group ${groupId}, changes=${this.changes}`);
+        res.json({
+            success: true,
+            workspaces: rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                role: row.role,
+                ownerUserId: row.owner_user_id,
+                ownerUsername: row.owner_username,
+                isPersonal: row.owner_user_id === actorUserId
+            })),
+            current: {
+                ...req.workspace,
+                permissions: ROLE_PERMISSIONS[req.workspace.role] || []
+            }
+        });
+    });
+});
 
-        // Verify the save by reading it back
-        db.get(`SELECT * FROM welcome_message_settings WHERE user_id = ? AND group_id = ?`, [userId, groupId], (err2, row) => {
-            if (err2) {
-                console.error('❌ Error verifying saved settings:', err2);
-            } else {
-                console.log(`🔍 Verification - settings now in DB:`, row ? 'Found' : 'Not found');
-            }
+// Rename the current workspace
+app.put('/api/workspace', authenticateToken, requirePermission('workspace:manage'), (req, res) => {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Workspace name is required'
         });
+    }
+
+    db.run('UPDATE workspaces SET name = ? WHERE id = ?', [name.trim(), req.workspace.id], (err) => {
+        if (err) {
+            console.error('Error renaming workspace:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error'
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Welcome message settings saved successfully'
+            workspace: { id: req.workspace.id, name: name.trim() }
         });
     });
 });
 
-// Delete welcome message settings for a group
-app.delete('/api/welcome-settings/:groupId', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
-
-    db.run(`
-        DELETE FROM welcome_message_settings
-        WHERE user_id = ? AND group_id = ?
-    `, [userId, groupId], function(err) {
+// Members of the current workspace
+app.get('/api/workspace/members', authenticateToken, requirePermission('messages:read', null), (req, res) => {
+    db.all(`
+        SELECT m.user_id, u.username, u.email, m.role, m.created_at
+        FROM workspace_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.workspace_id = ?
+        ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'manager' THEN 1 WHEN 'analyst' THEN 2 ELSE 3 END, u.username COLLATE NOCASE
+    `, [req.workspace.id], (err, rows) => {
         if (err) {
-            console.error('Error deleting welcome settings:', err);
+            console.error('Error fetching workspace members:', err);
             return res.status(500).json({
                 success: false,
                 error: 'Database error'
             });
         }
 
-        if (this.changes === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Settings not found'
-            });
-        }
-
         res.json({
             success: true,
-            message: 'Welcome message settings deleted successfully'
+            members: rows.map(row => ({
+                userId: row.user_id,
+                username: row.username,
+                email: row.email,
+                role: row.role,
+                createdAt: row.created_at
+            })),
+            roles: WORKSPACE_ROLES.filter(role => role !== 'owner')
         });
     });
 });
 
-// ============================================
-// ADMIN-ONLY MODE SCHEDULE ENDPOINTS
-// ============================================
+// Add a registered user to the current workspace
+app.post('/api/workspace/members', authenticateToken, requirePermission('workspace:manage'), async (req, res) => {
+    const { email, role } = req.body;
 
-// Get admin-only schedule settings for a group
-app.get('/api/admin-only-schedule/:groupId', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
+    if (!email || !WORKSPACE_ROLES.includes(role) || role === 'owner') {
+        return res.status(400).json({
+            success: false,
+            error: 'email and a role of manager, analyst or viewer are required'
+        });
+    }
 
-    console.log(`📥 Getting admin-only schedule for user ${userId}, group ${groupId}`);
+    try {
+        const user = await dbGet('SELECT id, username, email FROM users WHERE email = ?', [email.trim()]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'No user with this email. They need to register first.'
+            });
+        }
 
-    db.get(`
-        SELECT * FROM admin_only_schedule
-        WHERE user_id = ? AND group_id = ?
-    `, [userId, groupId], (err, row) => {
-        if (err) {
-            console.error('Error fetching admin-only schedule:', err);
-            return res.status(500).json({
+        const result = await dbRun(`
+            INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role, added_by)
+            VALUES (?, ?, ?, ?)
+        `, [req.workspace.id, user.id, role, req.user.actorUserId]);
+
+        if (result.changes === 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Database error'
+                error: 'This user is already a member of the workspace'
             });
         }
 
-        console.log(`📤 Admin-only schedule result:`, row);
+        await recordWorkspaceRoleChange(db, {
+            workspaceId: req.workspace.id, user, role, action: 'grant',
+            actorUserId: req.user.actorUserId, ipAddress: req.ip
+        });
 
+        console.log(`👥 ${user.username} added to workspace ${req.workspace.id} as ${role}`);
         res.json({
             success: true,
-            settings: row || null
+            member: { userId: user.id, username: user.username, email: user.email, role }
         });
-    });
-});
-
-// Save or update admin-only schedule settings for a group
-app.post('/api/admin-only-schedule/:groupId', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
-    const { enabled, openTime, closeTime } = req.body;
-
-    console.log(`💾 Saving admin-only schedule: user=${userId}, group=${groupId}, enabled=${enabled}, open=${openTime}, close=${closeTime}`);
-
-    // Validation
-    if (typeof enabled !== 'boolean' && enabled !== 'true' && enabled !== 'false') {
-        return res.status(400).json({
+    } catch (error) {
+        console.error('Error adding workspace member:', error);
+        res.status(500).json({
             success: false,
-            error: 'enabled must be a boolean'
+            error: 'Database error'
         });
     }
+});
 
-    if (!openTime || typeof openTime !== 'string') {
+// Change a member's role
+app.put('/api/workspace/members/:userId', authenticateToken, requirePermission('workspace:manage'), async (req, res) => {
+    const memberUserId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (!WORKSPACE_ROLES.includes(role) || role === 'owner') {
         return res.status(400).json({
             success: false,
-            error: 'openTime is required'
+            error: 'role must be manager, analyst or viewer'
         });
     }
 
-    if (!closeTime || typeof closeTime !== 'string') {
+    if (memberUserId === req.workspace.ownerUserId) {
         return res.status(400).json({
             success: false,
-            error: 'closeTime is required'
+            error: "The owner's role can't be changed"
         });
     }
 
-    // Parse boolean values if they come as strings
-    const enabledBool = enabled === true || enabled === 'true';
-
-    // Insert or update
-    db.run(`
-        INSERT INTO admin_only_schedule (user_id, group_id, enabled, open_time, close_time, updated_at)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(user_id, group_id) DO UPDATE SET
-            enabled = excluded.enabled,
-            open_time = excluded.open_time,
-            close_time = excluded.close_time,
-            updated_at = CURRENT_TIMESTAMP
-    `, [userId, groupId, enabledBool ? 1 : 0, openTime, closeTime], function(err) {
-        if (err) {
-            console.error('❌ Error saving admin-only schedule:', err);
-            return res.status(500).json({
+    try {
+        const result = await dbRun(`
+            UPDATE workspace_members SET role = ?
+            WHERE workspace_id = ? AND user_id = ? AND role != ?
+        `, [role, req.workspace.id, memberUserId, role]);
+
+        if (result.changes > 0) {
+            const user = await dbGet('SELECT id, email FROM users WHERE id = ?', [memberUserId]);
+            await recordWorkspaceRoleChange(db, {
+                workspaceId: req.workspace.id, user, role, action: 'change',
+                actorUserId: req.user.actorUserId, ipAddress: req.ip
+            });
+        } else if (!(await dbGet('SELECT 1 FROM workspace_members WHERE workspace_id = ? AND user_id = ?', [req.workspace.id, memberUserId]))) {
+            return res.status(404).json({
                 success: false,
-                error: 'Database error: ' + err.message
+                error: 'Member not found'
             });
         }
 
-        console.log(`✅ Admin-only schedule saved successfully for user ${userId}, group ${groupId}, changes=${this.changes}`);
-
         res.json({
             success: true,
-            message: 'Admin-only schedule settings saved successfully'
+            message: `Role changed to ${role}`
         });
-    });
+    } catch (error) {
+        console.error('Error changing workspace role:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
 });
 
-// Delete admin-only schedule settings for a group
-app.delete('/api/admin-only-schedule/:groupId', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const { groupId } = req.params;
+// Remove a member. Members other than the owner can also remove themselves (leave).
+app.delete('/api/workspace/members/:userId', authenticateToken, async (req, res) => {
+    const memberUserId = parseInt(req.params.userId);
+    const leaving = memberUserId === req.user.actorUserId;
 
-    db.run(`
-        DELETE FROM admin_only_schedule
-        WHERE user_id = ? AND group_id = ?
-    `, [userId, groupId], function(err) {
-        if (err) {
-            console.error('Error deleting admin-only schedule:', err);
-            return res.status(500).json({
-                success: false,
-                error: 'Database error'
-            });
-        }
+    if (!leaving && !hasPermission(req.workspace.role, 'workspace:manage')) {
+        return res.status(403).json({
+            success: false,
+            error: `Your role (${req.workspace.role}) does not allow this action`
+        });
+    }
 
-        if (this.changes === 0) {
+    if (memberUserId === req.workspace.ownerUserId) {
+        return res.status(400).json({
+            success: false,
+            error: "The owner can't be removed from their workspace"
+        });
+    }
+
+    try {
+        const member = await dbGet(`
+            SELECT u.id, u.email, m.role
+            FROM workspace_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.workspace_id = ? AND m.user_id = ?
+        `, [req.workspace.id, memberUserId]);
+
+        if (!member) {
             return res.status(404).json({
                 success: false,
-                error: 'Settings not found'
+                error: 'Member not found'
             });
         }
 
+        await dbRun('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?', [req.workspace.id, memberUserId]);
+        await recordWorkspaceRoleChange(db, {
+            workspaceId: req.workspace.id, user: member, role: member.role, action: 'revoke',
+            actorUserId: req.user.actorUserId, ipAddress: req.ip
+        });
+
+        // Live streams of this workspace were authorised at connect time; end them now
+        wsClients.forEach(ws => {
+            if (ws.actorUserId === memberUserId && ws.userId === req.workspace.ownerUserId) {
+                ws.close(4003, 'Removed from workspace');
+            }
+        });
+
         res.json({
             success: true,
-            message: 'Admin-only schedule settings deleted successfully'
+            message: leaving ? 'You left the workspace' : 'Member removed'
         });
-    });
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
 });
 
-// Debug endpoint - list all admin-only schedules
-app.get('/api/debug/admin-only-schedules', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
 
+// Get all users (admin only) - for Super Admin dashboard
+app.get('/api/admin/users', authenticateToken, authenticateAdmin, (req, res) => {
     db.all(`
-        SELECT * FROM admin_only_schedule WHERE user_id = ?
-    `, [userId], (err, rows) => {
+        SELECT id, username, email, is_admin, whatsapp_authenticated, created_at, totp_enabled_at,
+            (SELECT COUNT(*) FROM auth_sessions s
+             WHERE s.user_id = users.id AND s.revoked_at IS NULL AND s.expires_at > ?) AS active_sessions
+        FROM users
+        ORDER BY whatsapp_authenticated DESC, created_at DESC
+    `, [new Date().toISOString()], (err, users) => {
         if (err) {
-            console.error('Error fetching all schedules:', err);
+            console.error('Error fetching users:', err);
             return res.status(500).json({
                 success: false,
                 error: 'Database error'
             });
         }
 
-        const now = new Date();
-        const egyptTime = new Date(now.toLocaleString('en-US', { timeZone: 'Africa/Cairo' }));
-        const currentTime = `${String(egyptTime.getHours()).padStart(2, '0')}:${String(egyptTime.getMinutes()).padStart(2, '0')}`;
-
         res.json({
             success: true,
-            currentTime: currentTime,
-            timezone: 'Africa/Cairo (Egypt)',
-            schedules: rows,
-            clientReady: userClientReady.get(userId) || false,
-            hasClient: whatsappClients.has(userId)
+            users: users.map(user => ({
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                isAdmin: Boolean(user.is_admin),
+                whatsappAuthenticated: Boolean(user.whatsapp_authenticated),
+                createdAt: user.created_at,
+                activeSessions: user.active_sessions,
+                twoFactorEnabled: Boolean(user.totp_enabled_at)
+            }))
         });
     });
 });
 
-// Debug endpoint - manually trigger scheduler check
-app.post('/api/debug/trigger-scheduler', authenticateToken, async (req, res) => {
-    console.log('🔧 Manual scheduler trigger requested');
+// Security policy (admin only)
+app.get('/api/admin/security-policy', authenticateToken, authenticateAdmin, (req, res) => {
+    res.json({
+        success: true,
+        requireAdminTwoFactor: securityPolicy.requireAdminTwoFactor
+    });
+});
 
-    try {
-        await checkAndApplyAdminOnlySchedules();
-        res.json({
-            success: true,
-            message: 'Scheduler triggered - check server logs for details'
+app.put('/api/admin/security-policy', authenticateToken, authenticateAdmin,
+    auditAction('security_policy.update', req => ({ details: req.body })), async (req, res) => {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'requireAdminTwoFactor must be true or false'
         });
+    }
+
+    try {
+        // Whoever turns it on must already comply, or they'd lose admin access the moment they save
+        if (requireAdminTwoFactor) {
+            const actor = await dbGet('SELECT totp_enabled_at FROM users WHERE id = ?', [req.user.actorUserId]);
+            if (!actor.totp_enabled_at) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Enable two-factor authentication on your own account first'
+                });
+            }
+        }
+
+        await dbRun(`
+            INSERT INTO app_settings (key, value, updated_by, updated_at) VALUES ('require_admin_2fa', ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+        `, [String(requireAdminTwoFactor), req.user.actorUserId, new Date().toISOString()]);
+        securityPolicy.requireAdminTwoFactor = requireAdminTwoFactor;
+
+        console.log(`🔐 Admin ${req.user.actorUserId} ${requireAdminTwoFactor ? 'now requires' : 'no longer requires'} 2FA for admins`);
+        res.json({ success: true, requireAdminTwoFactor });
     } catch (error) {
-        console.error('Error triggering scheduler:', error);
+        console.error('Error updating security policy:', error);
         res.status(500).json({
             success: false,
-            error: error.message
+            error: 'Database error'
         });
     }
 });
 
-// ============================================
-// ADMIN VIEW USER DATA ENDPOINTS
-// ============================================
-// These endpoints allow admins to view any user's data
-
-// Get groups for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/groups', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const userGroups = userMonitoredGroups.get(viewUserId);
+// Reset 2FA for a user who lost their authenticator and recovery codes (admin only).
+// Their sessions end too, so whoever holds them has to log in again.
+app.delete('/api/admin/users/:userId/2fa', authenticateToken, authenticateAdmin, auditAction('user.two_factor_reset', req => ({ targetType: 'user', targetId: req.params.userId }), {
+        targetLabel: req => auditUserEmail(req.params.userId)
+    }), async (req, res) => {
+    try {
+        const user = await dbGet('SELECT id, email FROM users WHERE id = ?', [req.params.userId]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
 
-    if (!userGroups) {
-        return res.json({
-            success: true,
-            groups: [],
-            count: 0
+        await disableTwoFactor(db, user.id);
+        await revokeSessions({ userId: user.id }, 'two_factor_reset');
+        console.log(`🔓 Admin ${req.user.actorUserId} reset two-factor authentication of ${user.email}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error resetting 2FA:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset two-factor authentication'
         });
     }
+});
 
-    const groups = Array.from(userGroups.values()).map(g => ({
-        id: g.id,
-        name: g.name,
-        memberCount: g.previousMembers ? g.previousMembers.size : 0
-    }));
+// Force-expire every session of a user (admin only), e.g. for a lost laptop or a leaked token
+app.delete('/api/admin/users/:userId/sessions', authenticateToken, authenticateAdmin, auditAction('user.sessions_revoke', req => ({ targetType: 'user', targetId: req.params.userId }), {
+        targetLabel: req => auditUserEmail(req.params.userId)
+    }), async (req, res) => {
+    try {
+        const user = await dbGet('SELECT id, email FROM users WHERE id = ?', [req.params.userId]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
 
-    res.json({
-        success: true,
-        groups: groups,
-        count: groups.length
-    });
+        const revoked = await revokeSessions({ userId: user.id }, 'admin');
+        console.log(`🔒 Admin ${req.user.actorUserId} ended ${revoked} session(s) of ${user.email}`);
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke sessions'
+        });
+    }
 });
 
-// Get messages for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/messages', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+// Claim the first admin account with the bootstrap token. Only works while nobody is an admin
+// and the token hasn't been used before; after that admins are managed with the route below or cli.js.
+app.post('/api/admin/bootstrap', loginLimiter, authenticateToken, async (req, res) => {
+    const userId = req.user.actorUserId;
 
-    db.get('SELECT COUNT(*) as count FROM messages WHERE user_id = ?', [viewUserId], (err, countResult) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: 'Database error' });
+    try {
+        if (!ADMIN_BOOTSTRAP_TOKEN || !(await isBootstrapAvailable(db))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin bootstrap is not available'
+            });
         }
 
-        db.all(
-            'SELECT * FROM messages WHERE user_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?',
-            [viewUserId, limit, offset],
-            (err, rows) => {
-                if (err) {
-                    return res.status(500).json({ success: false, error: 'Database error' });
-                }
+        const user = await claimBootstrapAdmin(db, {
+            userId,
+            token: req.body.token,
+            expectedToken: ADMIN_BOOTSTRAP_TOKEN,
+            ipAddress: req.ip
+        });
 
-                res.json({
-                    success: true,
-                    messages: rows,
-                    total: countResult.count,
-                    limit: limit,
-                    offset: offset
-                });
-            }
-        );
-    });
+        console.log(`🛡️  ${user.username} (${user.email}) claimed the first admin account with the bootstrap token`);
+        res.json({
+            success: true,
+            message: 'You are now admin. Logout and login again.'
+        });
+    } catch (error) {
+        if (error.status) {
+            console.log(`⚠️  Rejected admin bootstrap attempt by user ${userId}: ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error during admin bootstrap:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
 });
 
-// Get messages from a specific group for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/messages/:groupId', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const groupId = req.params.groupId;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+// Update user admin status (admin only)
+app.put('/api/admin/users/:userId/admin', authenticateToken, authenticateAdmin,
+    auditAction('user.admin_role', req => ({ targetType: 'user', targetId: req.params.userId, details: { isAdmin: req.body.isAdmin } }), {
+        targetLabel: req => auditUserEmail(req.params.userId)
+    }), async (req, res) => {
+    const { userId } = req.params;
+    const { isAdmin } = req.body;
 
-    db.get(
-        'SELECT COUNT(*) as count FROM messages WHERE user_id = ? AND group_id = ?',
-        [viewUserId, groupId],
-        (err, countResult) => {
-            if (err) {
-                return res.status(500).json({ success: false, error: 'Database error' });
-            }
+    if (typeof isAdmin !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'isAdmin must be a boolean'
+        });
+    }
 
-            db.all(
-                'SELECT * FROM messages WHERE user_id = ? AND group_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?',
-                [viewUserId, groupId, limit, offset],
-                (err, rows) => {
-                    if (err) {
-                        return res.status(500).json({ success: false, error: 'Database error' });
-                    }
+    try {
+        const { user, changed } = await setAdminRole(db, {
+            userId: parseInt(userId),
+            isAdmin,
+            actorUserId: req.user.actorUserId,
+            source: 'admin_api',
+            ipAddress: req.ip
+        });
 
-                    res.json({
-                        success: true,
-                        messages: rows,
-                        total: countResult.count,
-                        limit: limit,
-                        offset: offset
-                    });
-                }
-            );
+        if (changed) {
+            console.log(`🛡️  ${req.user.username} ${isAdmin ? 'granted admin to' : 'revoked admin from'} ${user.username} (${user.email})`);
         }
-    );
-});
-
-// Get events for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/events', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    const date = req.query.date;
-    const memberId = req.query.memberId;
-
-    // Build WHERE clause dynamically
-    let whereConditions = ['user_id = ?'];
-    let params = [viewUserId];
 
-    if (date) {
-        // Check if date is a range (contains comma)
-        if (date.includes(',')) {
-            const [startDate, endDate] = date.split(',');
-            whereConditions.push('date BETWEEN ? AND ?');
-            params.push(startDate, endDate);
-        } else {
-            // Single date
-            whereConditions.push('date = ?');
-            params.push(date);
+        res.json({
+            success: true,
+            message: `User ${isAdmin ? 'granted' : 'revoked'} admin privileges`
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
         }
+        console.error('Error updating user admin status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
     }
+});
 
-    if (memberId) {
-        whereConditions.push('member_id = ?');
-        params.push(memberId);
-    }
-
-    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+// Audit trail of admin grants and revokes (admin only)
+app.get('/api/admin/role-changes', authenticateToken, authenticateAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const userId = req.query.userId ? parseInt(req.query.userId) : null;
 
-    // Get total count with filters
-    db.get(`SELECT COUNT(*) as total FROM events ${whereClause}`, params, (err, countRow) => {
+    db.all(`
+        SELECT rc.id, rc.user_id, rc.user_email, u.username, rc.role, rc.action,
+               rc.actor_user_id, actor.username AS actor_username, rc.source, rc.ip_address, rc.created_at
+        FROM role_changes rc
+        LEFT JOIN users u ON u.id = rc.user_id
+        LEFT JOIN users actor ON actor.id = rc.actor_user_id
+        ${userId ? 'WHERE rc.user_id = ?' : ''}
+        ORDER BY rc.id DESC
+        LIMIT ?
+    `, userId ? [userId, limit] : [limit], (err, rows) => {
         if (err) {
-            console.error('Admin events count error:', err);
-            return res.status(500).json({ success: false, error: err.message });
+            console.error('Error fetching role changes:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error'
+            });
         }
 
-        // Get paginated events with filters (use column aliases to match frontend expectations)
-        db.all(`
-            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
-                   member_name as memberName, type, timestamp, date
-            FROM events
-            ${whereClause}
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
-        `, [...params, limit, offset], (err, rows) => {
-            if (err) {
-                console.error('Admin events query error:', err);
-                return res.status(500).json({ success: false, error: err.message });
-            }
-
-            console.log(`Admin view events for user ${viewUserId}: found ${rows.length} events (total: ${countRow.total})`);
-
-            res.json({
-                success: true,
-                events: rows,
-                total: countRow.total,
-                limit: limit,
-                offset: offset,
-                hasMore: offset + limit < countRow.total,
-                filters: { date, memberId }
-            });
+        res.json({
+            success: true,
+            roleChanges: rows
         });
     });
 });
 
-// Get stats for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/stats', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const dateParam = req.query.date;
-
-    const stats = {
-        groups: [],
-        topSenders: [],
-        totalMessages: 0,
-        totalEvents: 0,
-        totalJoins: 0,
-        totalLeaves: 0,
-        totalCertificates: 0,
-        activeUsers: 0,
-        dailyActivity: []
-    };
+// Audit log (admin only). Filters: action (exact, or a prefix ending in "."), actorUserId,
+// workspaceId, targetType, targetId, from, to. Newest first; page with ?beforeId=<nextCursor>.
+app.get('/api/admin/audit', authenticateToken, authenticateAdmin, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
 
-    let dateFilter = '';
-    let dateParams = [];
-    if (dateParam) {
-        if (dateParam.includes(',')) {
-            const [startDate, endDate] = dateParam.split(',');
-            dateFilter = ' AND date(timestamp) BETWEEN ? AND ?';
-            dateParams = [startDate, endDate];
-        } else {
-            dateFilter = ' AND date(timestamp) = ?';
-            dateParams = [dateParam];
+    try {
+        const { entries, nextCursor } = await listAuditEntries(db, req.query, { limit, beforeId: req.query.beforeId });
+        res.json({
+            success: true,
+            entries,
+            nextCursor
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
         }
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
     }
+});
 
-    // Get active users count
-    db.get(
-        `SELECT COUNT(DISTINCT sender_id) as count FROM messages WHERE user_id = ?${dateFilter}`,
-        [viewUserId, ...dateParams],
-        (err, activeUsersResult) => {
-            if (!err && activeUsersResult) stats.activeUsers = activeUsersResult.count;
-
-            db.get(
-                `SELECT COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter}`,
-                [viewUserId, ...dateParams],
-                (err, result) => {
-                    if (!err && result) stats.totalMessages = result.count;
+// Same filters as a CSV download, oldest first. Exporting is itself recorded.
+const AUDIT_EXPORT_MAX_ROWS = 100000;
 
-                    db.all(
-                        `SELECT sender, COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter} GROUP BY sender ORDER BY count DESC LIMIT 10`,
-                        [viewUserId, ...dateParams],
-                        (err, senders) => {
-                            if (!err) stats.topSenders = senders;
+app.get('/api/admin/audit/export', authenticateToken, authenticateAdmin,
+    auditAction('audit.export', req => ({ details: { filters: req.query } })), async (req, res) => {
+    try {
+        const { csv, rowCount, truncated } = await exportAuditCsv(db, req.query, AUDIT_EXPORT_MAX_ROWS);
+        const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
 
-                            db.get(
-                                `SELECT COUNT(*) as count FROM events WHERE user_id = ?${dateFilter.replace('timestamp', 'timestamp')}`,
-                                [viewUserId, ...dateParams],
-                                (err, result) => {
-                                    if (!err && result) stats.totalEvents = result.count;
+        console.log(`📋 Admin ${req.user.actorUserId} exported ${rowCount} audit entries${truncated ? ' (truncated)' : ''}`);
 
-                                    db.get(
-                                        `SELECT COUNT(*) as count FROM events WHERE user_id = ? AND type = 'JOIN'${dateFilter.replace('timestamp', 'timestamp')}`,
-                                        [viewUserId, ...dateParams],
-                                        (err, result) => {
-                                            if (!err && result) stats.totalJoins = result.count;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (truncated) {
+            res.set('X-Audit-Truncated', `first ${AUDIT_EXPORT_MAX_ROWS} rows; narrow the date range`);
+        }
+        res.send(csv);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
+});
 
-                                            db.get(
-                                                `SELECT COUNT(*) as count FROM events WHERE user_id = ? AND type = 'LEAVE'${dateFilter.replace('timestamp', 'timestamp')}`,
-                                                [viewUserId, ...dateParams],
-                                                (err, result) => {
-                                                    if (!err && result) stats.totalLeaves = result.count;
+// Delete user (admin only)
+app.delete('/api/admin/users/:userId', authenticateToken, authenticateAdmin, auditAction('user.delete', req => ({ targetType: 'user', targetId: req.params.userId }), {
+        targetLabel: req => auditUserEmail(req.params.userId)
+    }), (req, res) => {
+    const { userId } = req.params;
+    const requestingUserId = req.user.actorUserId;
 
-                                                    db.get(
-                                                        `SELECT COUNT(*) as count FROM events WHERE user_id = ? AND type = 'CERTIFICATE'${dateFilter.replace('timestamp', 'timestamp')}`,
-                                                        [viewUserId, ...dateParams],
-                                                        (err, result) => {
-                                                            if (!err && result) stats.totalCertificates = result.count;
+    // Prevent admin from deleting themselves
+    if (parseInt(userId) === requestingUserId) {
+        return res.status(400).json({
+            success: false,
+            error: 'You cannot delete your own account'
+        });
+    }
 
-                                                            db.all(
-                                                                `SELECT date(timestamp) as date, COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter} GROUP BY date(timestamp) ORDER BY date DESC LIMIT 30`,
-                                                                [viewUserId, ...dateParams],
-                                                                (err, activity) => {
-                                                                    if (!err) stats.dailyActivity = activity;
+    // Delete user from database (CASCADE will handle related records)
+    db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+        if (err) {
+            console.error('Error deleting user:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error'
+            });
+        }
 
-                                                                    // Get user's groups with detailed stats
-                                                                    const userGroups = userMonitoredGroups.get(viewUserId);
-                                                                    if (!userGroups || userGroups.size === 0) {
-                                                                        return res.json({ success: true, stats });
-                                                                    }
-
-                                                                    const groupIds = Array.from(userGroups.keys());
-                                                                    let processed = 0;
-
-                                                                    groupIds.forEach(groupId => {
-                                                                        const groupInfo = userGroups.get(groupId);
-
-                                                                        // Build params for group queries
-                                                                        const groupParams = [groupId, viewUserId];
-                                                                        if (dateParam) {
-                                                                            if (dateParam.includes(',')) {
-                                                                                const [startDate, endDate] = dateParam.split(',');
-                                                                                groupParams.push(startDate, endDate);
-                                                                            } else {
-                                                                                groupParams.push(dateParam);
-                                                                            }
-                                                                        }
-
-                                                                        // Get message count for this group
-                                                                        db.get(`SELECT COUNT(*) as count FROM messages WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, msgCount) => {
-                                                                            if (err) {
-                                                                                processed++;
-                                                                                if (processed === groupIds.length) {
-                                                                                    return res.json({ success: true, stats });
-                                                                                }
-                                                                                return;
-                                                                            }
-
-                                                                            // Get event count for this group
-                                                                            db.get(`SELECT COUNT(*) as count FROM events WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, eventCount) => {
-                                                                                if (err) {
-                                                                                    processed++;
-                                                                                    if (processed === groupIds.length) {
-                                                                                        return res.json({ success: true, stats });
-                                                                                    }
-                                                                                    return;
-                                                                                }
-
-                                                                                // Get top senders for this group
-                                                                                db.all(`
-                                                                                    SELECT sender as name, COUNT(*) as count
-                                                                                    FROM messages
-                                                                                    WHERE group_id = ? AND user_id = ?${dateFilter}
-                                                                                    GROUP BY sender
-                                                                                    ORDER BY count DESC
-                                                                                    LIMIT 5
-                                                                                `, groupParams, (err, topSenders) => {
-                                                                                    if (err) topSenders = [];
-
-                                                                                    stats.groups.push({
-                                                                                        id: groupId,
-                                                                                        name: groupInfo.name,
-                                                                                        messageCount: msgCount.count,
-                                                                                        eventCount: eventCount.count,
-                                                                                        memberCount: groupInfo.previousMembers ? groupInfo.previousMembers.size : 0,
-                                                                                        topSenders: topSenders || []
-                                                                                    });
-
-                                                                                    processed++;
-                                                                                    if (processed === groupIds.length) {
-                                                                                        res.json({ success: true, stats });
-                                                                                    }
-                                                                                });
-                                                                            });
-                                                                        });
-                                                                    });
-                                                                }
-                                                            );
-                                                        }
-                                                    );
-                                                }
-                                            );
-                                        }
-                                    );
-                                }
-                            );
-                        }
-                    );
-                }
-            );
-        }
-    );
-});
-
-// Get group members for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/groups/:groupId/members', authenticateToken, authenticateAdmin, async (req, res) => {
-    try {
-        const viewUserId = parseInt(req.params.userId);
-        const groupId = req.params.groupId;
-
-        const userClient = whatsappClients.get(viewUserId);
-        if (!userClient || !userClientReady.get(viewUserId)) {
-            return res.status(503).json({
-                success: false,
-                error: 'WhatsApp client not ready for this user'
-            });
-        }
-
-        const chat = await userClient.getChatById(groupId);
-        if (!chat.isGroup) {
-            return res.status(400).json({
+        if (this.changes === 0) {
+            return res.status(404).json({
                 success: false,
-                error: 'Not a group chat'
+                error: 'User not found'
             });
         }
 
-        const participants = chat.participants || [];
-        const membersMap = groupMembersCache.get(groupId) || new Map();
-
-        const members = await Promise.all(
-            participants.map(async (participant) => {
-                const cachedMember = membersMap.get(participant.id._serialized);
-                if (cachedMember) {
-                    return {
-                        id: participant.id._serialized,
-                        phone: cachedMember.phone,
-                        name: cachedMember.name,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    };
-                }
+        // Their own workspace goes with them; memberships elsewhere too
+        db.run(`DELETE FROM workspace_members WHERE user_id = ? OR workspace_id IN (SELECT id FROM workspaces WHERE owner_user_id = ?)`, [userId, userId]);
+        db.run(`DELETE FROM workspaces WHERE owner_user_id = ?`, [userId]);
+        db.run(`DELETE FROM api_keys WHERE user_id = ?`, [userId]);
+        revokeSessions({ userId: parseInt(userId) }, 'user_deleted')
+            .then(() => db.run('DELETE FROM auth_sessions WHERE user_id = ?', [userId]))
+            .catch(error => console.error('Error ending sessions of deleted user:', error));
 
-                try {
-                    const contact = await userClient.getContactById(participant.id._serialized);
-                    const phone = participant.id.user;
-                    const name = contact.pushname || contact.name || phone;
+        // Clean up WhatsApp client if exists
+        const userIdNum = parseInt(userId);
+        const userClient = whatsappClients.get(userIdNum);
+        if (userClient) {
+            try {
+                userClient.destroy();
+            } catch (e) {
+                console.error('Error destroying WhatsApp client:', e);
+            }
+            whatsappClients.delete(userIdNum);
+        }
 
-                    membersMap.set(participant.id._serialized, {
-                        name: name,
-                        phone: phone,
-                        isAdmin: participant.isAdmin
-                    });
+        // Clean up monitoring interval
+        const intervalId = userMonitoringIntervals.get(userIdNum);
+        if (intervalId) {
+            clearInterval(intervalId);
+            userMonitoringIntervals.delete(userIdNum);
+        }
 
-                    return {
-                        id: participant.id._serialized,
-                        phone: phone,
-                        name: name,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    };
-                } catch (error) {
-                    const phone = participant.id.user;
-                    return {
-                        id: participant.id._serialized,
-                        phone: phone,
-                        name: phone,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    };
-                }
-            })
-        );
+        // Clean up in-memory data
+        userMonitoredGroups.delete(userIdNum);
+        userClientReady.delete(userIdNum);
+        userQRCodes.delete(userIdNum);
+        userAuthStatus.delete(userIdNum);
 
-        groupMembersCache.set(groupId, membersMap);
+        console.log(`✅ User ${userId} deleted successfully`);
 
         res.json({
             success: true,
-            members: members,
-            count: members.length
-        });
-    } catch (error) {
-        console.error('Error fetching group members:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch group members'
+            message: 'User deleted successfully'
         });
-    }
+    });
 });
 
-// Get scheduled broadcasts for a specific user (admin only)
-app.get('/api/admin/view-user/:userId/scheduled-broadcasts', authenticateToken, authenticateAdmin, (req, res) => {
-    const viewUserId = parseInt(req.params.userId);
-    const status = req.query.status || 'all'; // 'pending', 'sent', 'failed', 'all'
-
-    console.log(`📅 Admin ${req.user.userId} requesting scheduled broadcasts for user ${viewUserId}, status: ${status}`);
-
-    let query = `
-        SELECT id, group_ids, message, message_type, poll_options,
-               allow_multiple_answers, gap_time, scheduled_time, status,
-               created_at, executed_at, result_summary,
-               (file_data IS NOT NULL) as has_file, file_name
-        FROM scheduled_broadcasts
-        WHERE user_id = ?
-    `;
-
-    const params = [viewUserId];
-
-    if (status !== 'all') {
-        query += ' AND status = ?';
-        params.push(status);
-    }
+// ============================================
+// WELCOME MESSAGE SETTINGS ENDPOINTS
+// ============================================
 
-    query += ' ORDER BY scheduled_time DESC';
+// Get welcome message settings for a group
+app.get('/api/welcome-settings/:groupId', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
 
-    console.log('Query:', query);
-    console.log('Params:', params);
+    console.log(`📥 Getting welcome settings for user ${userId}, group ${groupId}`);
 
-    db.all(query, params, (err, rows) => {
+    db.get(`
+        SELECT * FROM welcome_message_settings
+        WHERE user_id = ? AND group_id = ?
+    `, [userId, groupId], (err, row) => {
         if (err) {
-            console.error('❌ Error fetching scheduled broadcasts for user:', err);
+            console.error('Error fetching welcome settings:', err);
             return res.status(500).json({
                 success: false,
-                error: 'Failed to fetch scheduled broadcasts'
+                error: 'Database error'
             });
         }
 
-        console.log(`📊 Raw rows from database: ${rows.length} rows`);
-        console.log('Raw rows:', JSON.stringify(rows, null, 2));
-
-        // Parse JSON fields
-        const broadcasts = rows.map(row => ({
-            ...row,
-            group_ids: JSON.parse(row.group_ids),
-            poll_options: row.poll_options ? JSON.parse(row.poll_options) : null,
-            allow_multiple_answers: row.allow_multiple_answers === 1,
-            has_file: row.has_file === 1
-        }));
-
-        console.log(`✅ Admin view scheduled broadcasts for user ${viewUserId}: found ${broadcasts.length} broadcasts`);
+        console.log(`📤 Welcome settings result:`, row);
 
         res.json({
             success: true,
-            broadcasts
+            settings: row || null
         });
     });
 });
 
-// ============================================
-// PER-USER WHATSAPP ENDPOINTS (Multi-tenant)
-// ============================================
-// Note: Old single-client endpoints removed.
-// Use /api/whatsapp/* endpoints instead.
+// Save or update welcome message settings for a group
+app.post('/api/welcome-settings/:groupId', authenticateToken, requirePermission('groups:manage'), upload.single('image'),
+    auditAction('welcome_settings.update', req => ({ targetType: 'group', targetId: req.params.groupId, details: {
+        enabled: req.body.enabled,
+        messageText: auditText(req.body.messageText),
+        memberThreshold: req.body.memberThreshold,
+        delayMinutes: req.body.delayMinutes,
+        imageFileName: req.file ? req.file.originalname : undefined
+    } }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+    const { enabled, messageText, memberThreshold, delayMinutes, imageEnabled, imageCaption, specificMentions } = req.body;
 
-// Initialize WhatsApp client for logged-in user
-app.post('/api/whatsapp/init', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId;
+    console.log(`💾 Saving welcome settings: user=${userId}, group=${groupId}, enabled=${enabled}, threshold=${memberThreshold}, delay=${delayMinutes}, imageEnabled=${imageEnabled}`);
+    console.log(`🔍 Received specificMentions from frontend:`, specificMentions);
+    console.log(`🔍 Type of specificMentions:`, typeof specificMentions);
 
-        // Check if session record exists, create if not
-        db.get('SELECT * FROM whatsapp_sessions WHERE user_id = ?', [userId], async (err, session) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Database error'
-                });
-            }
-
-            // Create session record if it doesn't exist
-            if (!session) {
-                db.run(
-                    'INSERT INTO whatsapp_sessions (user_id, session_id, is_authenticated) VALUES (?, ?, ?)',
-                    [userId, `session_${userId}_${Date.now()}`, 0],
-                    (err) => {
-                        if (err) {
-                            console.error('Error creating session:', err);
-                        }
-                    }
-                );
-            }
-
-            // Initialize WhatsApp client for this user
-            try {
-                await initClientForUser(userId);
-
-                res.json({
-                    success: true,
-                    message: 'WhatsApp client initialization started',
-                    userId: userId
-                });
-            } catch (error) {
-                console.error(`Error initializing client for user ${userId}:`, error);
-                res.status(500).json({
-                    success: false,
-                    error: 'Failed to initialize WhatsApp client'
-                });
-            }
-        });
-    } catch (error) {
-        console.error('Error in /api/whatsapp/init:', error);
-        res.status(500).json({
+    // Validation
+    if (typeof enabled !== 'boolean' && enabled !== 'true' && enabled !== 'false') {
+        return res.status(400).json({
             success: false,
-            error: error.message
+            error: 'enabled must be a boolean'
         });
     }
-});
 
-// Get QR code for logged-in user
-app.get('/api/whatsapp/qr', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
+    if (!messageText || typeof messageText !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'messageText is required'
+        });
+    }
 
-    // Check if client is ready
-    if (userClientReady.get(userId)) {
-        return res.json({
-            success: true,
-            authenticated: true,
-            message: 'WhatsApp already authenticated'
+    if (!memberThreshold || memberThreshold < 1) {
+        return res.status(400).json({
+            success: false,
+            error: 'memberThreshold must be at least 1'
         });
     }
 
-    // Check for QR code
-    const qrCode = userQRCodes.get(userId);
-    const authStatus = userAuthStatus.get(userId) || 'not_initialized';
+    if (delayMinutes === undefined || delayMinutes < 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'delayMinutes must be at least 0'
+        });
+    }
 
-    if (!qrCode) {
-        return res.json({
+    const templateError = validateTemplate(messageText) || validateTemplate(imageCaption);
+    if (templateError) {
+        return res.status(400).json({
             success: false,
-            authenticated: false,
-            qr: null,
-            authStatus: authStatus,
-            message: authStatus === 'not_initialized'
-                ? 'Please initialize WhatsApp client first'
-                : 'QR code not yet generated. Please wait...'
+            error: templateError
         });
     }
 
-    res.json({
-        success: true,
-        authenticated: false,
-        qr: qrCode,
-        authStatus: authStatus,
-        message: 'Scan this QR code with WhatsApp'
-    });
-});
+    // Parse boolean values if they come as strings
+    const enabledBool = enabled === true || enabled === 'true';
+    const imageEnabledBool = imageEnabled === true || imageEnabled === 'true';
 
-// Get WhatsApp status for logged-in user
-app.get('/api/whatsapp/status', authenticateToken, async (req, res) => {
-    const userId = req.user.userId;
+    // Handle image data
+    let imageData = null;
+    let imageMimetype = null;
+    let imageFilename = null;
 
-    // Check if client is already in memory
-    if (userClientReady.get(userId)) {
-        return res.json({
-            success: true,
-            authenticated: true,
-            authStatus: 'authenticated',
-            hasQR: false,
-            timestamp: new Date().toISOString()
-        });
+    if (req.file) {
+        imageData = req.file.buffer.toString('base64');
+        imageMimetype = req.file.mimetype;
+        imageFilename = req.file.originalname;
     }
 
-    // Check if session files exist on disk (from previous session)
-    const sessionPath = path.join(DATA_DIR, '.wwebjs_auth', `user_${userId}`);
-    const sessionExists = fs.existsSync(sessionPath);
+    // Parse specific mentions if provided
+    const specificMentionsStr = specificMentions || '[]';
 
-    if (sessionExists && !whatsappClients.has(userId)) {
-        // Session exists but client not initialized - auto-restore it
-        console.log(`🔄 Auto-restoring WhatsApp session for user ${userId}...`);
+    // Insert or update
+    db.run(`
+        INSERT INTO welcome_message_settings (
+            user_id, group_id, enabled, message_text, member_threshold, delay_minutes,
+            image_enabled, image_data, image_mimetype, image_filename, image_caption, specific_mentions,
+            updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, group_id) DO UPDATE SET
+            enabled = excluded.enabled,
+            message_text = excluded.message_text,
+            member_threshold = excluded.member_threshold,
+            delay_minutes = excluded.delay_minutes,
+            image_enabled = excluded.image_enabled,
+            image_data = CASE WHEN excluded.image_data IS NOT NULL THEN excluded.image_data ELSE image_data END,
+            image_mimetype = CASE WHEN excluded.image_mimetype IS NOT NULL THEN excluded.image_mimetype ELSE image_mimetype END,
+            image_filename = CASE WHEN excluded.image_filename IS NOT NULL THEN excluded.image_filename ELSE image_filename END,
+            image_caption = excluded.image_caption,
+            specific_mentions = excluded.specific_mentions,
+            updated_at = CURRENT_TIMESTAMP
+    `, [userId, groupId, enabledBool ? 1 : 0, messageText, memberThreshold, delayMinutes,
+        imageEnabledBool ? 1 : 0, imageData, imageMimetype, imageFilename, imageCaption, specificMentionsStr
+    ], function(err) {
+        if (err) {
+            console.error('❌ Error saving welcome settings:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error: ' + err.message
+            });
+        }
 
-        try {
-            // Initialize client in background (don't wait for it)
-            initClientForUser(userId).catch(err => {
-                console.error(`Failed to auto-restore session for user ${userId}:`, err);
+        console.log(`✅ Welcome settings saved successfully for user ${userId}, group ${groupId}, changes=${this.changes}`);
+
+        // Verify the save by reading it back
+        db.get(`SELECT * FROM welcome_message_settings WHERE user_id = ? AND group_id = ?`, [userId, groupId], (err2, row) => {
+            if (err2) {
+                console.error('❌ Error verifying saved settings:', err2);
+            } else {
+                console.log(`🔍 Verification - settings now in DB:`, row ? 'Found' : 'Not found');
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Welcome message settings saved successfully'
+        });
+    });
+});
+
+// Delete welcome message settings for a group
+app.delete('/api/welcome-settings/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('welcome_settings.delete', req => ({ targetType: 'group', targetId: req.params.groupId }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+
+    db.run(`
+        DELETE FROM welcome_message_settings
+        WHERE user_id = ? AND group_id = ?
+    `, [userId, groupId], function(err) {
+        if (err) {
+            console.error('Error deleting welcome settings:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error'
             });
+        }
 
-            return res.json({
-                success: true,
-                authenticated: false,
-                authStatus: 'restoring',
-                hasQR: false,
-                message: 'Restoring previous session...',
-                timestamp: new Date().toISOString()
+        if (this.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Settings not found'
             });
-        } catch (error) {
-            console.error(`Error auto-restoring session for user ${userId}:`, error);
         }
-    }
 
-    // No session files, needs to scan QR
-    res.json({
-        success: true,
-        authenticated: false,
-        authStatus: userAuthStatus.get(userId) || 'not_initialized',
-        hasQR: userQRCodes.has(userId),
-        timestamp: new Date().toISOString()
+        res.json({
+            success: true,
+            message: 'Welcome message settings deleted successfully'
+        });
     });
 });
 
-// Disconnect WhatsApp (but keep account logged in)
-app.post('/api/whatsapp/logout', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId;
+// ============================================
+// MESSAGE TEMPLATES
+// ============================================
+//
+// Broadcast text, welcome messages and saved templates can use placeholders, rendered per group
+// at send time:
+//   {{group_name}} {{member_count}} {{member_name}} {{new_member_count}} {{date}} {{time}} {{weekday}}
+// and conditionals:
+//   {{#if new_member_count > 1}}Welcome all!{{else}}Welcome {{member_name}}!{{/if}}
+//   {{#unless member_name}}...{{/unless}}
+// Conditions are a placeholder on its own (true when non-empty and non-zero) or compared with
+// ==, !=, >, >=, <, <= against a number or a quoted string.
+
+const TEMPLATE_VARIABLES = ['member_name', 'group_name', 'date', 'time', 'weekday', 'member_count', 'new_member_count'];
+
+function parseTemplateCondition(expression) {
+    const match = /^(\w+)(?:\s*(==|!=|>=|<=|>|<)\s*(-?\d+(?:\.\d+)?|"[^"]*"|'[^']*'))?$/.exec(expression.trim());
+    if (!match) {
+        throw new Error(`Invalid condition: ${expression.trim()}`);
+    }
+    checkTemplateVariable(match[1]);
 
-        console.log(`🚪 Disconnecting WhatsApp for user ${userId}...`);
+    let value = match[3];
+    if (value !== undefined) {
+        value = /^["']/.test(value) ? value.slice(1, -1) : parseFloat(value);
+    }
+    return { name: match[1], op: match[2] || null, value };
+}
 
-        // Get the client
-        const userClient = whatsappClients.get(userId);
+function checkTemplateVariable(name) {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+        throw new Error(`Unknown placeholder {{${name}}}. Available: ${TEMPLATE_VARIABLES.map(v => `{{${v}}}`).join(', ')}`);
+    }
+}
 
-        if (userClient) {
-            // Destroy the client
-            await userClient.destroy();
-            console.log(`✓ WhatsApp client destroyed for user ${userId}`);
+// Parse a template into text / variable / conditional nodes. Throws on syntax errors in conditional
+// blocks; braces around anything that isn't a known placeholder are kept as text.
+function parseTemplate(source) {
+    const root = [];
+    const stack = [{ node: null, children: root }];
+    const tagPattern = /\{\{([^{}]*)\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const tag = match[1].trim();
+        let block;
+
+        if ((block = /^#(if|unless)\s+(.+)$/.exec(tag))) {
+            const node = { type: 'if', negate: block[1] === 'unless', condition: parseTemplateCondition(block[2]), then: [], otherwise: [] };
+            current.children.push(node);
+            stack.push({ node, children: node.then, closes: block[1], inElse: false });
+        } else if (tag === 'else') {
+            if (!current.node) {
+                throw new Error('{{else}} without a matching {{#if}}');
+            }
+            if (current.inElse) {
+                throw new Error(`Only one {{else}} is allowed per {{#${current.closes}}}`);
+            }
+            current.children = current.node.otherwise;
+            current.inElse = true;
+        } else if ((block = /^\/(if|unless)$/.exec(tag))) {
+            if (!current.node || current.closes !== block[1]) {
+                throw new Error(`{{/${block[1]}}} without a matching {{#${block[1]}}}`);
+            }
+            stack.pop();
+        } else if (TEMPLATE_VARIABLES.includes(tag)) {
+            current.children.push({ type: 'var', name: tag });
+        } else {
+            // Anything else in braces ({{name}}, {{ see below }}) is plain text, as it was before
+            // templates existed
+            current.children.push({ type: 'text', value: match[0] });
         }
+    }
 
-        // Remove from maps
-        whatsappClients.delete(userId);
-        userClientReady.delete(userId);
-        userQRCodes.delete(userId);
-        userAuthStatus.delete(userId);
-        userMonitoredGroups.delete(userId);
+    if (lastIndex < source.length) {
+        stack[stack.length - 1].children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    if (stack.length > 1) {
+        throw new Error(`Missing {{/${stack[stack.length - 1].closes}}}`);
+    }
+    return root;
+}
 
-        // Delete session files
-        const sessionPath = path.join(DATA_DIR, '.wwebjs_auth', `user_${userId}`);
-        if (fs.existsSync(sessionPath)) {
-            try {
-                fs.rmSync(sessionPath, { recursive: true, force: true });
-                console.log(`✓ Session files deleted for user ${userId}`);
-            } catch (error) {
-                console.error(`Error deleting session files for user ${userId}:`, error);
-            }
-        }
+function evaluateTemplateCondition(condition, variables) {
+    const actual = variables[condition.name];
+    if (!condition.op) {
+        return actual !== undefined && actual !== null && actual !== '' && actual !== 0;
+    }
 
-        // Update database
-        db.run(`
-            UPDATE whatsapp_sessions
-            SET is_authenticated = 0, phone_number = NULL
-            WHERE user_id = ?
-        `, [userId]);
+    const numeric = typeof condition.value === 'number';
+    const left = numeric ? Number(actual) : String(actual === undefined || actual === null ? '' : actual);
+    const right = condition.value;
+    switch (condition.op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+    }
+    return false;
+}
 
-        // Also update users table
-        db.run(`
-            UPDATE users
-            SET whatsapp_authenticated = 0
-            WHERE id = ?
-        `, [userId]);
+function renderTemplateNodes(nodes, variables) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'var') {
+            const value = variables[node.name];
+            return value === undefined || value === null ? '' : String(value);
+        }
+        const passed = evaluateTemplateCondition(node.condition, variables) !== node.negate;
+        return renderTemplateNodes(passed ? node.then : node.otherwise, variables);
+    }).join('');
+}
 
-        res.json({
-            success: true,
-            message: 'WhatsApp disconnected successfully (account still logged in)'
-        });
+// Render a template; throws on syntax errors (use for validation and previews)
+function renderTemplate(source, variables) {
+    return renderTemplateNodes(parseTemplate(source || ''), variables);
+}
+
+// Render at send time: a template that somehow fails to parse is sent as written rather than not at all
+function renderMessageTemplate(source, variables) {
+    if (!source || source.indexOf('{{') === -1) return source;
+    try {
+        return renderTemplate(source, variables);
     } catch (error) {
-        console.error('Error during WhatsApp logout:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to disconnect WhatsApp'
-        });
+        console.error(`⚠️  Template error, sending text as written: ${error.message}`);
+        return source;
     }
-});
-
-// Get all groups being monitored
-app.get('/api/groups', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const userGroups = userMonitoredGroups.get(userId);
+}
 
-    if (!userGroups) {
-        return res.json({
-            success: true,
-            groups: [],
-            count: 0
-        });
-    }
+// "A", "A and B", "A, B and C"
+function joinMemberNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
 
-    const groups = Array.from(userGroups.values()).map(g => ({
-        id: g.id,
-        name: g.name,
-        memberCount: g.previousMembers ? g.previousMembers.size : 0
-    }));
+// Placeholder values for one group. members are the new members a welcome message is for.
+function getTemplateVariables({ groupName = '', memberCount = 0, members = [], now = new Date() } = {}) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: BROADCAST_TIMEZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        weekday: 'long'
+    }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        member_name: joinMemberNames(members.map(m => m.name || m.phone)),
+        group_name: groupName,
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        weekday: parts.weekday,
+        member_count: memberCount,
+        new_member_count: members.length
+    };
+}
 
-    res.json({
-        success: true,
-        groups: groups,
-        count: groups.length
+function getTemplateVariablesForChat(chat, members = []) {
+    return getTemplateVariables({
+        groupName: chat.name,
+        memberCount: chat.participants ? chat.participants.length : 0,
+        members
     });
-});
+}
 
-// Get all WhatsApp groups/chats for broadcast
-app.get('/api/whatsapp/all-chats', authenticateToken, async (req, res) => {
+// Returns an error message if the text has template syntax errors, otherwise null
+function validateTemplate(source) {
     try {
-        const userId = req.user.userId;
-        const userClient = whatsappClients.get(userId);
+        parseTemplate(source || '');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
 
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(503).json({
+// Get the user's saved templates
+app.get('/api/templates', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+
+    db.all(`
+        SELECT id, name, body, created_at, updated_at
+        FROM message_templates
+        WHERE user_id = ?
+        ORDER BY name COLLATE NOCASE ASC
+    `, [userId], (err, rows) => {
+        if (err) {
+            console.error('Error fetching templates:', err);
+            return res.status(500).json({
                 success: false,
-                error: 'WhatsApp client not ready'
+                error: 'Failed to fetch templates'
             });
         }
 
-        // Get all chats
-        const chats = await userClient.getChats();
+        res.json({
+            success: true,
+            templates: rows,
+            variables: TEMPLATE_VARIABLES
+        });
+    });
+});
 
-        // Filter only groups and extract relevant info
-        const groups = chats
-            .filter(chat => chat.isGroup)
-            .map(chat => ({
-                id: chat.id._serialized,
-                name: chat.name,
-                isGroup: chat.isGroup
-            }));
+// Create a template
+app.post('/api/templates', authenticateToken, requirePermission('messages:send'), (req, res) => {
+    const userId = req.user.userId;
+    const { name, body } = req.body;
+
+    if (!name || !name.trim() || !body || !body.trim()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Template name and body are required'
+        });
+    }
+
+    const templateError = validateTemplate(body);
+    if (templateError) {
+        return res.status(400).json({
+            success: false,
+            error: templateError
+        });
+    }
+
+    db.run(`
+        INSERT INTO message_templates (user_id, name, body)
+        VALUES (?, ?, ?)
+    `, [userId, name.trim(), body], function(err) {
+        if (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A template with this name already exists'
+                });
+            }
+            console.error('Error creating template:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create template'
+            });
+        }
 
+        console.log(`📝 Template "${name.trim()}" created by user ${userId}`);
         res.json({
             success: true,
-            groups: groups,
-            count: groups.length
+            template: { id: this.lastID, name: name.trim(), body }
         });
-    } catch (error) {
-        console.error('Error fetching all chats:', error);
-        res.status(500).json({
+    });
+});
+
+// Update a template
+app.put('/api/templates/:id', authenticateToken, requirePermission('messages:send'), (req, res) => {
+    const userId = req.user.userId;
+    const { name, body } = req.body;
+
+    if (!name || !name.trim() || !body || !body.trim()) {
+        return res.status(400).json({
             success: false,
-            error: error.message || 'Failed to fetch chats'
+            error: 'Template name and body are required'
         });
     }
-});
 
-// Get all members of a specific group with their phone numbers
-app.get('/api/groups/:groupId/members', authenticateToken, async (req, res) => {
-    try {
-        const groupId = req.params.groupId;
-        const userId = req.user.userId;
+    const templateError = validateTemplate(body);
+    if (templateError) {
+        return res.status(400).json({
+            success: false,
+            error: templateError
+        });
+    }
 
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(503).json({
+    db.run(`
+        UPDATE message_templates
+        SET name = ?, body = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+    `, [name.trim(), body, req.params.id, userId], function(err) {
+        if (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A template with this name already exists'
+                });
+            }
+            console.error('Error updating template:', err);
+            return res.status(500).json({
                 success: false,
-                error: 'WhatsApp client not ready'
+                error: 'Failed to update template'
             });
         }
 
-        // Get the group chat
-        const chat = await userClient.getChatById(groupId);
-
-        if (!chat.isGroup) {
-            return res.status(400).json({
+        if (this.changes === 0) {
+            return res.status(404).json({
                 success: false,
-                error: 'Chat is not a group'
+                error: 'Template not found'
             });
         }
 
-        // Get all participants
-        const participants = chat.participants;
+        res.json({
+            success: true,
+            template: { id: parseInt(req.params.id), name: name.trim(), body }
+        });
+    });
+});
 
-        // Create a Map for this group's members cache
-        const membersMap = new Map();
+// Delete a template
+app.delete('/api/templates/:id', authenticateToken, requirePermission('messages:send'), (req, res) => {
+    const userId = req.user.userId;
 
-        // Fetch contact details for each participant
-        const members = await Promise.all(
-            participants.map(async (participant) => {
-                try {
-                    const contact = await userClient.getContactById(participant.id._serialized);
-                    const phone = (contact.id && contact.id.user) ? contact.id.user : (contact.number || participant.id.user);
-                    const name = contact.pushname || contact.name || contact.verifiedName || phone;
+    db.run(`
+        DELETE FROM message_templates
+        WHERE id = ? AND user_id = ?
+    `, [req.params.id, userId], function(err) {
+        if (err) {
+            console.error('Error deleting template:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to delete template'
+            });
+        }
 
-                    const memberData = {
-                        id: participant.id._serialized,
-                        phone: phone,
-                        name: name,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    };
+        if (this.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
 
-                    // Cache this member by their ID
-                    membersMap.set(participant.id._serialized, {
-                        name: name,
-                        phone: phone,
-                        isAdmin: participant.isAdmin
-                    });
+        res.json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    });
+});
 
-                    return memberData;
-                } catch (error) {
-                    // Fallback if contact fetch fails
-                    const phone = participant.id.user;
-                    const memberData = {
-                        id: participant.id._serialized,
-                        phone: phone,
-                        name: phone,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    };
+// Render a template the way it would be sent. Uses the group's real name and member count when
+// groupId is given and WhatsApp is connected, sample values otherwise; newMemberCount fakes that
+// many joining members for welcome messages.
+app.post('/api/templates/preview', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    const userId = req.user.userId;
+    const { body, templateId, groupId, newMemberCount } = req.body;
 
-                    // Cache this member
-                    membersMap.set(participant.id._serialized, {
-                        name: phone,
-                        phone: phone,
-                        isAdmin: participant.isAdmin
-                    });
+    try {
+        let source = body;
+        if (templateId) {
+            const template = await dbGet(`SELECT body FROM message_templates WHERE id = ? AND user_id = ?`, [templateId, userId]);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            source = template.body;
+        }
 
-                    return memberData;
-                }
-            })
-        );
+        if (typeof source !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'body or templateId is required'
+            });
+        }
 
-        // Store the members map in cache
-        groupMembersCache.set(groupId, membersMap);
-        console.log(`✅ Cached ${membersMap.size} members for group ${groupId}`);
+        const sampleCount = Math.min(Math.max(parseInt(newMemberCount) || 0, 0), 50);
+        const members = Array.from({ length: sampleCount }, (_, i) => ({ name: `Member ${i + 1}` }));
 
-        // Sort by name
-        members.sort((a, b) => a.name.localeCompare(b.name));
+        let variables = getTemplateVariables({ groupName: 'My Group', memberCount: 25, members });
+        const userClient = whatsappClients.get(userId);
+        if (groupId && userClient && userClientReady.get(userId)) {
+            try {
+                const chat = await userClient.getChatById(groupId);
+                variables = getTemplateVariablesForChat(chat, members);
+            } catch (error) {
+                console.error(`Could not load group ${groupId} for template preview:`, error.message);
+            }
+        }
+
+        let rendered;
+        try {
+            rendered = renderTemplate(source, variables);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
 
         res.json({
             success: true,
-            groupId: groupId,
-            groupName: chat.name,
-            members: members,
-            totalMembers: members.length
+            rendered,
+            variables
         });
-
     } catch (error) {
-        console.error('Error fetching group members:', error);
+        console.error('Error previewing template:', error);
         res.status(500).json({
             success: false,
-            error: error.message
+            error: 'Failed to preview template'
         });
     }
 });
 
 // ============================================
-// CHANNELS ENDPOINTS
+// ADMIN-ONLY MODE SCHEDULE ENDPOINTS
 // ============================================
 
-// Get all channels user follows
-app.get('/api/channels', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId;
-        const userClient = whatsappClients.get(userId);
+// Get admin-only schedule settings for a group
+app.get('/api/admin-only-schedule/:groupId', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
 
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(503).json({
+    console.log(`📥 Getting admin-only schedule for user ${userId}, group ${groupId}`);
+
+    db.get(`
+        SELECT * FROM admin_only_schedule
+        WHERE user_id = ? AND group_id = ?
+    `, [userId, groupId], (err, row) => {
+        if (err) {
+            console.error('Error fetching admin-only schedule:', err);
+            return res.status(500).json({
                 success: false,
-                error: 'WhatsApp client not ready'
+                error: 'Database error'
             });
         }
 
-        console.log(`📢 Fetching channels for user ${userId}...`);
+        console.log(`📤 Admin-only schedule result:`, row);
 
-        // Use the dedicated getChannels() method (from wwebjs docs)
-        const channels = await userClient.getChannels();
+        res.json({
+            success: true,
+            settings: row || null
+        });
+    });
+});
 
-        console.log(`🔍 DEBUG: Got ${channels.length} channels from getChannels() for user ${userId}`);
+// Save or update admin-only schedule settings for a group
+app.post('/api/admin-only-schedule/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('admin_only_schedule.update', req => ({ targetType: 'group', targetId: req.params.groupId, details: {
+        enabled: req.body.enabled,
+        openTime: req.body.openTime,
+        closeTime: req.body.closeTime
+    } }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+    const { enabled, openTime, closeTime } = req.body;
 
-        // Map to our format
-        const channelList = channels.map(chat => ({
-            id: chat.id._serialized,
-            name: chat.name,
-            description: chat.description || '',
-            subscriberCount: chat.size || 0,
-            isNewsletter: true
-        }));
+    console.log(`💾 Saving admin-only schedule: user=${userId}, group=${groupId}, enabled=${enabled}, open=${openTime}, close=${closeTime}`);
 
-        console.log(`✅ Found ${channelList.length} channel(s) for user ${userId}`);
+    // Validation
+    if (typeof enabled !== 'boolean' && enabled !== 'true' && enabled !== 'false') {
+        return res.status(400).json({
+            success: false,
+            error: 'enabled must be a boolean'
+        });
+    }
 
-        res.json({
-            success: true,
-            channels: channelList,
-            count: channelList.length
+    if (!openTime || typeof openTime !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'openTime is required'
         });
+    }
 
-    } catch (error) {
-        console.error('Error fetching channels:', error);
-        res.status(500).json({
+    if (!closeTime || typeof closeTime !== 'string') {
+        return res.status(400).json({
             success: false,
-            error: error.message || 'Failed to fetch channels'
+            error: 'closeTime is required'
         });
     }
-});
 
-// Get messages/posts from a specific channel
-app.get('/api/channels/:channelId/messages', authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.userId;
-        const channelId = req.params.channelId;
-        const limit = parseInt(req.query.limit) || 50;
+    // Parse boolean values if they come as strings
+    const enabledBool = enabled === true || enabled === 'true';
 
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(503).json({
+    // Insert or update
+    db.run(`
+        INSERT INTO admin_only_schedule (user_id, group_id, enabled, open_time, close_time, updated_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, group_id) DO UPDATE SET
+            enabled = excluded.enabled,
+            open_time = excluded.open_time,
+            close_time = excluded.close_time,
+            updated_at = CURRENT_TIMESTAMP
+    `, [userId, groupId, enabledBool ? 1 : 0, openTime, closeTime], function(err) {
+        if (err) {
+            console.error('❌ Error saving admin-only schedule:', err);
+            return res.status(500).json({
                 success: false,
-                error: 'WhatsApp client not ready'
+                error: 'Database error: ' + err.message
             });
         }
 
-        console.log(`📢 Fetching messages from channel ${channelId} for user ${userId}...`);
+        console.log(`✅ Admin-only schedule saved successfully for user ${userId}, group ${groupId}, changes=${this.changes}`);
 
-        // Get the channel chat
-        const chat = await userClient.getChatById(channelId);
+        res.json({
+            success: true,
+            message: 'Admin-only schedule settings saved successfully'
+        });
+    });
+});
 
-        if (!chat.isChannel) {
-            return res.status(400).json({
+// Delete admin-only schedule settings for a group
+app.delete('/api/admin-only-schedule/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('admin_only_schedule.delete', req => ({ targetType: 'group', targetId: req.params.groupId }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+
+    db.run(`
+        DELETE FROM admin_only_schedule
+        WHERE user_id = ? AND group_id = ?
+    `, [userId, groupId], function(err) {
+        if (err) {
+            console.error('Error deleting admin-only schedule:', err);
+            return res.status(500).json({
                 success: false,
-                error: 'Chat is not a channel'
+                error: 'Database error'
             });
         }
 
-        // Fetch messages from channel
-        const messages = await chat.fetchMessages({ limit });
+        if (this.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Settings not found'
+            });
+        }
 
-        // Process messages
-        const processedMessages = await Promise.all(
-            messages.map(async (msg) => {
-                try {
-                    // Determine message content
-                    let content = msg.body || '';
-                    let mediaType = 'text';
-                    let pollData = null;
-                    let reactions = [];
+        res.json({
+            success: true,
+            message: 'Admin-only schedule settings deleted successfully'
+        });
+    });
+});
 
-                    // Try to get reactions for this message
-                    try {
-                        if (typeof msg.getReactions === 'function') {
-                            const reactionsData = await msg.getReactions();
+// Debug endpoint - list all admin-only schedules
+app.get('/api/debug/admin-only-schedules', authenticateToken, requirePermission('groups:manage'), (req, res) => {
+    const userId = req.user.userId;
 
-                            if (reactionsData && Array.isArray(reactionsData) && reactionsData.length > 0) {
-                                console.log(`✅ REACTIONS FOUND for message ${msg.id._serialized.substring(0, 30)}`);
-                                console.log(`   Total reactions: ${reactionsData.length}`);
-                                console.log(`   First reaction:`, JSON.stringify(reactionsData[0], null, 2).substring(0, 300));
-                                reactions = reactionsData;
-                            } else {
-                                // Empty or null - this is normal for messages without reactions
-                                // Only log if we want to debug
-                                // console.log(`No reactions for ${msg.id._serialized.substring(0, 20)}`);
-                            }
-                        }
-                    } catch (err) {
-                        console.log(`⚠️ Error calling getReactions():`, err.message);
-                    }
+    db.all(`
+        SELECT * FROM admin_only_schedule WHERE user_id = ?
+    `, [userId], (err, rows) => {
+        if (err) {
+            console.error('Error fetching all schedules:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Database error'
+            });
+        }
 
-                    // Process different message types
-                    if (msg.type === 'image') {
-                        mediaType = 'image';
-                        content = content || '[Image]';
-                    } else if (msg.type === 'video') {
-                        mediaType = 'video';
-                        content = content || '[Video]';
-                    } else if (msg.type === 'document') {
-                        mediaType = 'document';
-                        content = content || '[Document]';
-                    } else if (msg.type === 'poll' || msg.type === 'poll_creation') {
-                        mediaType = 'poll';
+        const now = new Date();
+        const egyptTime = new Date(now.toLocaleString('en-US', { timeZone: 'Africa/Cairo' }));
+        const currentTime = `${String(egyptTime.getHours()).padStart(2, '0')}:${String(egyptTime.getMinutes()).padStart(2, '0')}`;
 
-                        console.log(`\n\n========== DEEP POLL DEBUG ==========`);
-                        console.log(`📊 Poll ID: ${msg.id._serialized.substring(0, 50)}...`);
-                        console.log(`📝 Type: ${msg.type}, Body: ${msg.body}`);
+        res.json({
+            success: true,
+            currentTime: currentTime,
+            timezone: 'Africa/Cairo (Egypt)',
+            schedules: rows,
+            clientReady: userClientReady.get(userId) || false,
+            hasClient: whatsappClients.has(userId)
+        });
+    });
+});
 
-                        // Log ALL properties
-                        console.log(`\n🔍 ALL MSG PROPERTIES:`, Object.keys(msg));
+// Debug endpoint - manually trigger scheduler check
+app.post('/api/debug/trigger-scheduler', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    console.log('🔧 Manual scheduler trigger requested');
 
-                        // Check msg.poll
-                        if (msg.poll) {
-                            console.log(`\n✅ msg.poll:`, JSON.stringify(msg.poll, null, 2));
-                        } else {
-                            console.log(`\n❌ msg.poll: DOES NOT EXIST`);
-                        }
+    try {
+        await checkAndApplyAdminOnlySchedules();
+        res.json({
+            success: true,
+            message: 'Scheduler triggered - check server logs for details'
+        });
+    } catch (error) {
+        console.error('Error triggering scheduler:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-                        // NEW: Check for direct poll properties on message
-                        if (msg.pollOptions) {
-                            console.log(`\n🎉 FOUND IT! msg.pollOptions array length:`, msg.pollOptions.length);
-                            console.log(`\n🎉 FIRST POLL OPTION:`, JSON.stringify(msg.pollOptions[0], null, 2));
-                            if (msg.pollOptions.length > 1) {
-                                console.log(`\n🎉 SECOND POLL OPTION:`, JSON.stringify(msg.pollOptions[1], null, 2));
-                            }
-                            console.log(`\n🎉 Poll option keys:`, msg.pollOptions[0] ? Object.keys(msg.pollOptions[0]) : 'none');
-                        }
-                        if (msg.pollName) {
-                            console.log(`\n🎉 msg.pollName:`, msg.pollName);
-                        }
-                        if (msg.allowMultipleAnswers !== undefined) {
-                            console.log(`\n🎉 msg.allowMultipleAnswers:`, msg.allowMultipleAnswers);
-                        }
+// ============================================
+// ADMIN VIEW USER DATA ENDPOINTS
+// ============================================
+// These endpoints allow admins to view any user's data
 
-                        // Check msg._data for poll info
-                        if (msg._data) {
-                            const pollKeys = Object.keys(msg._data).filter(k => k.toLowerCase().includes('poll'));
-                            console.log(`\n📊 Poll keys in _data:`, pollKeys);
-                            pollKeys.forEach(key => {
-                                console.log(`_data.${key}:`, JSON.stringify(msg._data[key], null, 2).substring(0, 1000));
-                            });
-                            // Dump full _data
-                            console.log(`\n📦 Full _data (5000 chars):\n${JSON.stringify(msg._data, null, 2).substring(0, 5000)}`);
-                        }
-                        console.log(`========== END POLL DEBUG ==========\n\n`);
+// Every look at another user's data through /api/admin/view-user is recorded
+const auditAdminView = auditAction('admin.view_user', req => ({
+    targetType: 'user',
+    targetId: req.params.userId,
+    details: {
+        path: req.path,
+        query: Object.keys(req.query).length ? req.query : undefined
+    }
+}), {
+    targetLabel: req => auditUserEmail(req.params.userId)
+});
 
-                        // FIXED: Use direct poll properties from message (channel polls don't have msg.poll)
-                        // Channel polls have pollName and pollOptions directly on the message object
-                        if (msg.pollName && msg.pollOptions) {
-                            console.log(`✅ Using direct poll properties from message`);
+// Get groups for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/groups', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const userGroups = userMonitoredGroups.get(viewUserId);
 
-                            // EXPERIMENTAL: Try multiple ways to get poll votes
-                            let pollVotes = [];
-                            try {
-                                // Method 1: getPollVotes()
-                                if (typeof msg.getPollVotes === 'function') {
-                                    const votesRaw = await msg.getPollVotes();
-                                    console.log(`🔬 getPollVotes():`, JSON.stringify(votesRaw, null, 2).substring(0, 300));
-                                    pollVotes = votesRaw || [];
-                                }
+    if (!userGroups) {
+        return res.json({
+            success: true,
+            groups: [],
+            count: 0
+        });
+    }
 
-                                // Method 2: Check _data.pollVotesSnapshot
-                                if ((!pollVotes || pollVotes.length === 0) && msg._data && msg._data.pollVotesSnapshot) {
-                                    console.log(`🔬 _data.pollVotesSnapshot:`, JSON.stringify(msg._data.pollVotesSnapshot, null, 2).substring(0, 300));
-                                    if (msg._data.pollVotesSnapshot.pollVotes) {
-                                        pollVotes = msg._data.pollVotesSnapshot.pollVotes;
-                                    }
-                                }
+    const groups = Array.from(userGroups.values()).map(g => ({
+        id: g.id,
+        name: g.name,
+        memberCount: g.previousMembers ? g.previousMembers.size : 0
+    }));
 
-                                // Method 3: Check if there's a votes property
-                                if ((!pollVotes || pollVotes.length === 0) && msg.votes) {
-                                    console.log(`🔬 msg.votes:`, JSON.stringify(msg.votes, null, 2).substring(0, 300));
-                                    pollVotes = msg.votes;
-                                }
+    res.json({
+        success: true,
+        groups: groups,
+        count: groups.length
+    });
+});
 
-                                // Method 4: Check _data for any vote-related keys
-                                if ((!pollVotes || pollVotes.length === 0) && msg._data) {
-                                    const voteKeys = Object.keys(msg._data).filter(k => k.toLowerCase().includes('vote'));
-                                    if (voteKeys.length > 0) {
-                                        console.log(`🔬 Vote-related keys in _data:`, voteKeys);
-                                        voteKeys.forEach(key => {
-                                            console.log(`🔬 _data.${key}:`, JSON.stringify(msg._data[key], null, 2).substring(0, 300));
-                                        });
-                                    }
-                                }
-                            } catch (err) {
-                                console.log(`⚠️ Error getting poll votes:`, err.message);
-                            }
+// Get messages for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/messages', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
 
-                            pollData = {
-                                pollName: msg.pollName,
-                                pollOptions: msg.pollOptions, // Already in correct format: {name, localId}
-                                votes: pollVotes
-                            };
-                            content = msg.pollName;
-                        } else {
-                            // Fallback for regular group polls (try getPollVotes)
-                            console.log(`⚠️  No direct poll properties, trying getPollVotes()`);
-                            try {
-                                const votesRaw = await msg.getPollVotes();
-                                console.log(`🗳️  DEBUG Poll votes raw:`, JSON.stringify(votesRaw, null, 2));
+    db.get('SELECT COUNT(*) as count FROM messages WHERE user_id = ?', [viewUserId], (err, countResult) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: 'Database error' });
+        }
 
-                                if (votesRaw && Array.isArray(votesRaw) && votesRaw.length > 0) {
-                                    const firstVote = votesRaw[0];
-                                    // Try to get poll options from parent message
-                                    if (firstVote.parentMessage && firstVote.parentMessage.poll) {
-                                        pollData = {
-                                            pollName: firstVote.parentMessage.poll.pollName || msg.body || '[Poll]',
-                                            pollOptions: firstVote.parentMessage.poll.pollOptions || [],
-                                            votes: votesRaw
-                                        };
-                                        content = pollData.pollName;
-                                    } else {
-                                        pollData = {
-                                            pollName: msg.body || '[Poll]',
-                                            pollOptions: [],
-                                            votes: votesRaw
-                                        };
-                                        content = msg.body || '[Poll]';
-                                    }
-                                } else {
-                                    pollData = {
-                                        pollName: msg.body || '[Poll]',
-                                        pollOptions: [],
-                                        votes: []
-                                    };
-                                    content = msg.body || '[Poll]';
-                                }
-                            } catch (err) {
-                                console.error('Error getting poll votes:', err);
-                                pollData = {
-                                    pollName: msg.body || '[Poll]',
-                                    pollOptions: [],
-                                    votes: []
-                                };
-                                content = msg.body || '[Poll]';
-                            }
-                        }
+        db.all(
+            'SELECT * FROM messages WHERE user_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?',
+            [viewUserId, limit, offset],
+            (err, rows) => {
+                if (err) {
+                    return res.status(500).json({ success: false, error: 'Database error' });
+                }
+
+                res.json({
+                    success: true,
+                    messages: rows,
+                    total: countResult.count,
+                    limit: limit,
+                    offset: offset
+                });
+            }
+        );
+    });
+});
+
+// Get messages from a specific group for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/messages/:groupId', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const groupId = req.params.groupId;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    db.get(
+        'SELECT COUNT(*) as count FROM messages WHERE user_id = ? AND group_id = ?',
+        [viewUserId, groupId],
+        (err, countResult) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: 'Database error' });
+            }
+
+            db.all(
+                'SELECT * FROM messages WHERE user_id = ? AND group_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?',
+                [viewUserId, groupId, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        return res.status(500).json({ success: false, error: 'Database error' });
                     }
 
-                    return {
-                        id: msg.id._serialized,
-                        channelId: channelId,
-                        channelName: chat.name,
-                        content: content,
-                        mediaType: mediaType,
-                        timestamp: msg.timestamp * 1000,
-                        hasMedia: msg.hasMedia,
-                        forwardingScore: msg.forwardingScore || 0,
-                        reactions: reactions,
-                        pollData: pollData
-                    };
-                } catch (error) {
-                    console.error('Error processing channel message:', error);
-                    return null;
+                    res.json({
+                        success: true,
+                        messages: rows,
+                        total: countResult.count,
+                        limit: limit,
+                        offset: offset
+                    });
                 }
-            })
-        );
+            );
+        }
+    );
+});
+
+// Get events for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/events', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+    const date = req.query.date;
+    const memberId = req.query.memberId;
+
+    // Build WHERE clause dynamically
+    let whereConditions = ['user_id = ?'];
+    let params = [viewUserId];
+
+    if (date) {
+        // Check if date is a range (contains comma)
+        if (date.includes(',')) {
+            const [startDate, endDate] = date.split(',');
+            whereConditions.push('date BETWEEN ? AND ?');
+            params.push(startDate, endDate);
+        } else {
+            // Single date
+            whereConditions.push('date = ?');
+            params.push(date);
+        }
+    }
+
+    if (memberId) {
+        whereConditions.push('member_id = ?');
+        params.push(memberId);
+    }
+
+    if (types.length > 0) {
+        whereConditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+        params.push(...types);
+    }
+
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+    // Get total count with filters
+    db.get(`SELECT COUNT(*) as total FROM events ${whereClause}`, params, (err, countRow) => {
+        if (err) {
+            console.error('Admin events count error:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        // Get paginated events with filters (use column aliases to match frontend expectations)
+        db.all(`
+            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
+                   member_name as memberName, type, timestamp, date,
+                   detected_after_downtime as detectedAfterDowntime, window_start as windowStart, window_end as windowEnd
+            FROM events
+            ${whereClause}
+            ORDER BY timestamp DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset], (err, rows) => {
+            if (err) {
+                console.error('Admin events query error:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            console.log(`Admin view events for user ${viewUserId}: found ${rows.length} events (total: ${countRow.total})`);
+
+            res.json({
+                success: true,
+                events: rows,
+                total: countRow.total,
+                limit: limit,
+                offset: offset,
+                hasMore: offset + limit < countRow.total,
+                filters: { date, memberId, type: types.length > 0 ? types : undefined }
+            });
+        });
+    });
+});
+
+// Activity heatmap for a specific user (admin only); same query as /api/stats/heatmap
+app.get('/api/admin/view-user/:userId/stats/heatmap', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendActivityHeatmap(parseInt(req.params.userId), req.query, res);
+});
+
+// Group growth for a specific user (admin only); same query as /api/stats/groups/:groupId/growth
+app.get('/api/admin/view-user/:userId/stats/groups/:groupId/growth', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendGroupGrowth(parseInt(req.params.userId), req, res);
+});
+
+// Cohort retention for a specific user (admin only); same query as /api/stats/groups/:groupId/retention
+app.get('/api/admin/view-user/:userId/stats/groups/:groupId/retention', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendCohortRetention(parseInt(req.params.userId), req, res);
+});
+
+// Member profile and group leaderboard for a specific user (admin only); same queries as the user routes
+app.get('/api/admin/view-user/:userId/members/:memberId/profile', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendMemberProfile(parseInt(req.params.userId), req, res);
+});
+
+app.get('/api/admin/view-user/:userId/groups/:groupId/leaderboard', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendGroupLeaderboard(parseInt(req.params.userId), req, res);
+});
+
+// Reply analytics for a specific user (admin only); same queries as /api/groups/:groupId/replies
+app.get('/api/admin/view-user/:userId/groups/:groupId/replies', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendReplyAnalytics(parseInt(req.params.userId), req, res);
+});
+
+app.get('/api/admin/view-user/:userId/groups/:groupId/replies/graph', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendReplyGraph(parseInt(req.params.userId), req, res);
+});
+
+app.get('/api/admin/view-user/:userId/groups/:groupId/replies/unanswered', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendUnansweredQuestions(parseInt(req.params.userId), req, res);
+});
+
+// Certificate attendance report for a specific user (admin only); same query as /api/groups/:groupId/attendance
+app.get('/api/admin/view-user/:userId/groups/:groupId/attendance', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendAttendanceReport(parseInt(req.params.userId), req, res);
+});
+
+// Get stats for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/stats', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const dateParam = req.query.date;
+
+    const stats = {
+        groups: [],
+        topSenders: [],
+        totalMessages: 0,
+        totalEvents: 0,
+        totalJoins: 0,
+        totalLeaves: 0,
+        totalCertificates: 0,
+        activeUsers: 0,
+        dailyActivity: []
+    };
+
+    let dateFilter = '';
+    let dateParams = [];
+    if (dateParam) {
+        if (dateParam.includes(',')) {
+            const [startDate, endDate] = dateParam.split(',');
+            dateFilter = ' AND date(timestamp) BETWEEN ? AND ?';
+            dateParams = [startDate, endDate];
+        } else {
+            dateFilter = ' AND date(timestamp) = ?';
+            dateParams = [dateParam];
+        }
+    }
+
+    // Get active users count
+    db.get(
+        `SELECT COUNT(DISTINCT sender_id) as count FROM messages WHERE user_id = ?${dateFilter}`,
+        [viewUserId, ...dateParams],
+        (err, activeUsersResult) => {
+            if (!err && activeUsersResult) stats.activeUsers = activeUsersResult.count;
+
+            db.get(
+                `SELECT COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter}`,
+                [viewUserId, ...dateParams],
+                (err, result) => {
+                    if (!err && result) stats.totalMessages = result.count;
+
+                    db.all(
+                        `SELECT sender, COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter} GROUP BY sender ORDER BY count DESC LIMIT 10`,
+                        [viewUserId, ...dateParams],
+                        (err, senders) => {
+                            if (!err) stats.topSenders = senders;
+
+                            db.get(
+                                `SELECT COUNT(*) as count FROM events WHERE user_id = ?${dateFilter.replace('timestamp', 'timestamp')}`,
+                                [viewUserId, ...dateParams],
+                                (err, result) => {
+                                    if (!err && result) stats.totalEvents = result.count;
+
+                                    db.get(
+                                        `SELECT COUNT(*) as count FROM events WHERE user_id = ? AND type = 'JOIN'${dateFilter.replace('timestamp', 'timestamp')}`,
+                                        [viewUserId, ...dateParams],
+                                        (err, result) => {
+                                            if (!err && result) stats.totalJoins = result.count;
+
+                                            db.get(
+                                                `SELECT COUNT(*) as count FROM events WHERE user_id = ? AND type = 'LEAVE'${dateFilter.replace('timestamp', 'timestamp')}`,
+                                                [viewUserId, ...dateParams],
+                                                (err, result) => {
+                                                    if (!err && result) stats.totalLeaves = result.count;
+
+                                                    // Event counts by type (JOIN, LEAVE, CERTIFICATE and rule event types), overall and per group
+                                                    db.all(
+                                                        `SELECT group_id, type, COUNT(*) as count FROM events WHERE user_id = ?${dateFilter} GROUP BY group_id, type`,
+                                                        [viewUserId, ...dateParams],
+                                                        (err, typeRows) => {
+                                                            const eventTypeCounts = countEventTypes(err ? [] : typeRows);
+                                                            stats.eventTypes = eventTypeCounts.totals;
+                                                            stats.totalCertificates = eventTypeCounts.totals.CERTIFICATE || 0;
+
+                                                            db.all(
+                                                                `SELECT date(timestamp) as date, COUNT(*) as count FROM messages WHERE user_id = ?${dateFilter} GROUP BY date(timestamp) ORDER BY date DESC LIMIT 30`,
+                                                                [viewUserId, ...dateParams],
+                                                                (err, activity) => {
+                                                                    if (!err) stats.dailyActivity = activity;
+
+                                                                    // Get user's groups with detailed stats
+                                                                    const userGroups = userMonitoredGroups.get(viewUserId);
+                                                                    if (!userGroups || userGroups.size === 0) {
+                                                                        return res.json({ success: true, stats });
+                                                                    }
+
+                                                                    const groupIds = Array.from(userGroups.keys());
+                                                                    let processed = 0;
+
+                                                                    groupIds.forEach(groupId => {
+                                                                        const groupInfo = userGroups.get(groupId);
+
+                                                                        // Build params for group queries
+                                                                        const groupParams = [groupId, viewUserId];
+                                                                        if (dateParam) {
+                                                                            if (dateParam.includes(',')) {
+                                                                                const [startDate, endDate] = dateParam.split(',');
+                                                                                groupParams.push(startDate, endDate);
+                                                                            } else {
+                                                                                groupParams.push(dateParam);
+                                                                            }
+                                                                        }
+
+                                                                        // Get message count for this group
+                                                                        db.get(`SELECT COUNT(*) as count FROM messages WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, msgCount) => {
+                                                                            if (err) {
+                                                                                processed++;
+                                                                                if (processed === groupIds.length) {
+                                                                                    return res.json({ success: true, stats });
+                                                                                }
+                                                                                return;
+                                                                            }
+
+                                                                            // Get event count for this group
+                                                                            db.get(`SELECT COUNT(*) as count FROM events WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, eventCount) => {
+                                                                                if (err) {
+                                                                                    processed++;
+                                                                                    if (processed === groupIds.length) {
+                                                                                        return res.json({ success: true, stats });
+                                                                                    }
+                                                                                    return;
+                                                                                }
+
+                                                                                // Get top senders for this group
+                                                                                db.all(`
+                                                                                    SELECT sender as name, COUNT(*) as count
+                                                                                    FROM messages
+                                                                                    WHERE group_id = ? AND user_id = ?${dateFilter}
+                                                                                    GROUP BY sender
+                                                                                    ORDER BY count DESC
+                                                                                    LIMIT 5
+                                                                                `, groupParams, (err, topSenders) => {
+                                                                                    if (err) topSenders = [];
+
+                                                                                    stats.groups.push({
+                                                                                        id: groupId,
+                                                                                        name: groupInfo.name,
+                                                                                        messageCount: msgCount.count,
+                                                                                        eventCount: eventCount.count,
+                                                                                        memberCount: groupInfo.previousMembers ? groupInfo.previousMembers.size : 0,
+                                                                                        eventTypes: eventTypeCounts.byGroup.get(groupId) || {},
+                                                                                        topSenders: topSenders || []
+                                                                                    });
+
+                                                                                    processed++;
+                                                                                    if (processed === groupIds.length) {
+                                                                                        res.json({ success: true, stats });
+                                                                                    }
+                                                                                });
+                                                                            });
+                                                                        });
+                                                                    });
+                                                                }
+                                                            );
+                                                        }
+                                                    );
+                                                }
+                                            );
+                                        }
+                                    );
+                                }
+                            );
+                        }
+                    );
+                }
+            );
+        }
+    );
+});
+
+// Get group members for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/groups/:groupId/members', authenticateToken, authenticateAdmin, auditAdminView, async (req, res) => {
+    try {
+        const viewUserId = parseInt(req.params.userId);
+        const groupId = req.params.groupId;
+
+        const userClient = whatsappClients.get(viewUserId);
+        if (!userClient || !userClientReady.get(viewUserId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready for this user'
+            });
+        }
+
+        const chat = await userClient.getChatById(groupId);
+        if (!chat.isGroup) {
+            return res.status(400).json({
+                success: false,
+                error: 'Not a group chat'
+            });
+        }
+
+        const participants = chat.participants || [];
+        const membersMap = groupMembersCache.get(groupId) || new Map();
+
+        const members = await Promise.all(
+            participants.map(async (participant) => {
+                const cachedMember = membersMap.get(participant.id._serialized);
+                if (cachedMember) {
+                    return {
+                        id: participant.id._serialized,
+                        phone: cachedMember.phone,
+                        name: cachedMember.name,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    };
+                }
+
+                try {
+                    const contact = await userClient.getContactById(participant.id._serialized);
+                    const phone = participant.id.user;
+                    const name = contact.pushname || contact.name || phone;
+
+                    membersMap.set(participant.id._serialized, {
+                        name: name,
+                        phone: phone,
+                        isAdmin: participant.isAdmin
+                    });
+
+                    return {
+                        id: participant.id._serialized,
+                        phone: phone,
+                        name: name,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    };
+                } catch (error) {
+                    const phone = participant.id.user;
+                    return {
+                        id: participant.id._serialized,
+                        phone: phone,
+                        name: phone,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    };
+                }
+            })
+        );
+
+        groupMembersCache.set(groupId, membersMap);
+
+        res.json({
+            success: true,
+            members: members,
+            count: members.length
+        });
+    } catch (error) {
+        console.error('Error fetching group members:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch group members'
+        });
+    }
+});
+
+// Get scheduled broadcasts for a specific user (admin only)
+app.get('/api/admin/view-user/:userId/scheduled-broadcasts', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    const viewUserId = parseInt(req.params.userId);
+    const status = req.query.status || 'all'; // 'pending', 'paused', 'sent', 'failed', 'completed', 'all'
+
+    console.log(`📅 Admin ${req.user.userId} requesting scheduled broadcasts for user ${viewUserId}, status: ${status}`);
+
+    let query = `
+        SELECT id, group_ids, message, message_type, poll_options,
+               allow_multiple_answers, gap_time, scheduled_time, status,
+               created_at, executed_at, result_summary,
+               (file_data IS NOT NULL) as has_file, file_name,
+               recurrence, cron_expression, timezone, ends_at,
+               max_occurrences, occurrence_count, paused_at
+        FROM scheduled_broadcasts
+        WHERE user_id = ?
+    `;
+
+    const params = [viewUserId];
+
+    if (status !== 'all') {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+
+    query += ' ORDER BY scheduled_time DESC';
+
+    console.log('Query:', query);
+    console.log('Params:', params);
+
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            console.error('❌ Error fetching scheduled broadcasts for user:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch scheduled broadcasts'
+            });
+        }
+
+        console.log(`📊 Raw rows from database: ${rows.length} rows`);
+        console.log('Raw rows:', JSON.stringify(rows, null, 2));
+
+        // Parse JSON fields
+        const broadcasts = rows.map(formatScheduledBroadcast);
+
+        console.log(`✅ Admin view scheduled broadcasts for user ${viewUserId}: found ${broadcasts.length} broadcasts`);
+
+        res.json({
+            success: true,
+            broadcasts
+        });
+    });
+});
+
+// Get the runs of one of a user's scheduled broadcasts (admin only)
+app.get('/api/admin/view-user/:userId/scheduled-broadcasts/:id/executions', authenticateToken, authenticateAdmin, auditAdminView, (req, res) => {
+    sendBroadcastExecutions(parseInt(req.params.userId), req.params.id, res);
+});
+
+// ============================================
+// PER-USER WHATSAPP ENDPOINTS (Multi-tenant)
+// ============================================
+// Note: Old single-client endpoints removed.
+// Use /api/whatsapp/* endpoints instead.
+
+// Initialize WhatsApp client for logged-in user
+app.post('/api/whatsapp/init', authenticateToken, requirePermission('whatsapp:manage'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        // Check if session record exists, create if not
+        db.get('SELECT * FROM whatsapp_sessions WHERE user_id = ?', [userId], async (err, session) => {
+            if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Database error'
+                });
+            }
+
+            // Create session record if it doesn't exist
+            if (!session) {
+                db.run(
+                    'INSERT INTO whatsapp_sessions (user_id, session_id, is_authenticated) VALUES (?, ?, ?)',
+                    [userId, `session_${userId}_${Date.now()}`, 0],
+                    (err) => {
+                        if (err) {
+                            console.error('Error creating session:', err);
+                        }
+                    }
+                );
+            }
+
+            // Initialize WhatsApp client for this user
+            try {
+                await initClientForUser(userId);
+
+                res.json({
+                    success: true,
+                    message: 'WhatsApp client initialization started',
+                    userId: userId
+                });
+            } catch (error) {
+                console.error(`Error initializing client for user ${userId}:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to initialize WhatsApp client'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Error in /api/whatsapp/init:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get QR code for logged-in user
+app.get('/api/whatsapp/qr', authenticateToken, requirePermission('whatsapp:manage'), (req, res) => {
+    const userId = req.user.userId;
+
+    // Check if client is ready
+    if (userClientReady.get(userId)) {
+        return res.json({
+            success: true,
+            authenticated: true,
+            message: 'WhatsApp already authenticated'
+        });
+    }
+
+    // Check for QR code
+    const qrCode = userQRCodes.get(userId);
+    const authStatus = userAuthStatus.get(userId) || 'not_initialized';
+
+    if (!qrCode) {
+        return res.json({
+            success: false,
+            authenticated: false,
+            qr: null,
+            authStatus: authStatus,
+            message: authStatus === 'not_initialized'
+                ? 'Please initialize WhatsApp client first'
+                : 'QR code not yet generated. Please wait...'
+        });
+    }
+
+    res.json({
+        success: true,
+        authenticated: false,
+        qr: qrCode,
+        authStatus: authStatus,
+        message: 'Scan this QR code with WhatsApp'
+    });
+});
+
+// Get WhatsApp status for logged-in user
+app.get('/api/whatsapp/status', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    const userId = req.user.userId;
+
+    // Check if client is already in memory
+    if (userClientReady.get(userId)) {
+        return res.json({
+            success: true,
+            authenticated: true,
+            authStatus: 'authenticated',
+            hasQR: false,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Check if session files exist on disk (from previous session)
+    const sessionPath = path.join(DATA_DIR, '.wwebjs_auth', `user_${userId}`);
+    const sessionExists = fs.existsSync(sessionPath);
+
+    if (sessionExists && !whatsappClients.has(userId)) {
+        // Session exists but client not initialized - auto-restore it
+        console.log(`🔄 Auto-restoring WhatsApp session for user ${userId}...`);
+
+        try {
+            // Initialize client in background (don't wait for it)
+            initClientForUser(userId).catch(err => {
+                console.error(`Failed to auto-restore session for user ${userId}:`, err);
+            });
+
+            return res.json({
+                success: true,
+                authenticated: false,
+                authStatus: 'restoring',
+                hasQR: false,
+                message: 'Restoring previous session...',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`Error auto-restoring session for user ${userId}:`, error);
+        }
+    }
+
+    // No session files, needs to scan QR
+    res.json({
+        success: true,
+        authenticated: false,
+        authStatus: userAuthStatus.get(userId) || 'not_initialized',
+        hasQR: userQRCodes.has(userId),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Disconnect WhatsApp (but keep account logged in)
+app.post('/api/whatsapp/logout', authenticateToken, requirePermission('whatsapp:manage'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        console.log(`🚪 Disconnecting WhatsApp for user ${userId}...`);
+
+        // Get the client
+        const userClient = whatsappClients.get(userId);
+
+        if (userClient) {
+            // Destroy the client
+            await userClient.destroy();
+            console.log(`✓ WhatsApp client destroyed for user ${userId}`);
+        }
+
+        // Remove from maps
+        whatsappClients.delete(userId);
+        userClientReady.delete(userId);
+        userQRCodes.delete(userId);
+        userAuthStatus.delete(userId);
+        userMonitoredGroups.delete(userId);
+
+        // Delete session files
+        const sessionPath = path.join(DATA_DIR, '.wwebjs_auth', `user_${userId}`);
+        if (fs.existsSync(sessionPath)) {
+            try {
+                fs.rmSync(sessionPath, { recursive: true, force: true });
+                console.log(`✓ Session files deleted for user ${userId}`);
+            } catch (error) {
+                console.error(`Error deleting session files for user ${userId}:`, error);
+            }
+        }
+
+        // Update database
+        db.run(`
+            UPDATE whatsapp_sessions
+            SET is_authenticated = 0, phone_number = NULL
+            WHERE user_id = ?
+        `, [userId]);
+
+        // Also update users table
+        db.run(`
+            UPDATE users
+            SET whatsapp_authenticated = 0
+            WHERE id = ?
+        `, [userId]);
+
+        res.json({
+            success: true,
+            message: 'WhatsApp disconnected successfully (account still logged in)'
+        });
+    } catch (error) {
+        console.error('Error during WhatsApp logout:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to disconnect WhatsApp'
+        });
+    }
+});
+
+// Get all groups being monitored
+app.get('/api/groups', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const userGroups = userMonitoredGroups.get(userId);
+
+    if (!userGroups) {
+        return res.json({
+            success: true,
+            groups: [],
+            count: 0
+        });
+    }
+
+    const groups = Array.from(userGroups.values()).map(g => ({
+        id: g.id,
+        name: g.name,
+        memberCount: g.previousMembers ? g.previousMembers.size : 0
+    }));
+
+    res.json({
+        success: true,
+        groups: groups,
+        count: groups.length
+    });
+});
+
+// Get all WhatsApp groups/chats for broadcast
+app.get('/api/whatsapp/all-chats', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const userClient = whatsappClients.get(userId);
+
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
+
+        // Get all chats
+        const chats = await userClient.getChats();
+
+        // Filter only groups and extract relevant info
+        const groups = chats
+            .filter(chat => chat.isGroup)
+            .map(chat => ({
+                id: chat.id._serialized,
+                name: chat.name,
+                isGroup: chat.isGroup
+            }));
+
+        res.json({
+            success: true,
+            groups: groups,
+            count: groups.length
+        });
+    } catch (error) {
+        console.error('Error fetching all chats:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch chats'
+        });
+    }
+});
+
+// Get all members of a specific group with their phone numbers
+app.get('/api/groups/:groupId/members', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const groupId = req.params.groupId;
+        const userId = req.user.userId;
+
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
+
+        // Get the group chat
+        const chat = await userClient.getChatById(groupId);
+
+        if (!chat.isGroup) {
+            return res.status(400).json({
+                success: false,
+                error: 'Chat is not a group'
+            });
+        }
+
+        // Get all participants
+        const participants = chat.participants;
+
+        // Create a Map for this group's members cache
+        const membersMap = new Map();
+
+        // Fetch contact details for each participant
+        const members = await Promise.all(
+            participants.map(async (participant) => {
+                try {
+                    const contact = await userClient.getContactById(participant.id._serialized);
+                    const phone = (contact.id && contact.id.user) ? contact.id.user : (contact.number || participant.id.user);
+                    const name = contact.pushname || contact.name || contact.verifiedName || phone;
+
+                    const memberData = {
+                        id: participant.id._serialized,
+                        phone: phone,
+                        name: name,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    };
+
+                    // Cache this member by their ID
+                    membersMap.set(participant.id._serialized, {
+                        name: name,
+                        phone: phone,
+                        isAdmin: participant.isAdmin
+                    });
+
+                    return memberData;
+                } catch (error) {
+                    // Fallback if contact fetch fails
+                    const phone = participant.id.user;
+                    const memberData = {
+                        id: participant.id._serialized,
+                        phone: phone,
+                        name: phone,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    };
+
+                    // Cache this member
+                    membersMap.set(participant.id._serialized, {
+                        name: phone,
+                        phone: phone,
+                        isAdmin: participant.isAdmin
+                    });
+
+                    return memberData;
+                }
+            })
+        );
+
+        // Store the members map in cache
+        groupMembersCache.set(groupId, membersMap);
+        console.log(`✅ Cached ${membersMap.size} members for group ${groupId}`);
+
+        // Sort by name
+        members.sort((a, b) => a.name.localeCompare(b.name));
+
+        res.json({
+            success: true,
+            groupId: groupId,
+            groupName: chat.name,
+            members: members,
+            totalMembers: members.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching group members:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CHANNELS ENDPOINTS
+// ============================================
+
+// Get all channels user follows
+app.get('/api/channels', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const userClient = whatsappClients.get(userId);
+
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
+
+        console.log(`📢 Fetching channels for user ${userId}...`);
+
+        // Use the dedicated getChannels() method (from wwebjs docs)
+        const channels = await userClient.getChannels();
+
+        console.log(`🔍 DEBUG: Got ${channels.length} channels from getChannels() for user ${userId}`);
+
+        // Map to our format
+        const channelList = channels.map(chat => ({
+            id: chat.id._serialized,
+            name: chat.name,
+            description: chat.description || '',
+            subscriberCount: chat.size || 0,
+            isNewsletter: true
+        }));
+
+        console.log(`✅ Found ${channelList.length} channel(s) for user ${userId}`);
+
+        res.json({
+            success: true,
+            channels: channelList,
+            count: channelList.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching channels:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch channels'
+        });
+    }
+});
+
+// Get messages/posts from a specific channel
+app.get('/api/channels/:channelId/messages', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const channelId = req.params.channelId;
+        const limit = parseInt(req.query.limit) || 50;
+
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
+
+        console.log(`📢 Fetching messages from channel ${channelId} for user ${userId}...`);
+
+        // Get the channel chat
+        const chat = await userClient.getChatById(channelId);
+
+        if (!chat.isChannel) {
+            return res.status(400).json({
+                success: false,
+                error: 'Chat is not a channel'
+            });
+        }
+
+        // Fetch messages from channel
+        const messages = await chat.fetchMessages({ limit });
+
+        // Process messages
+        const processedMessages = await Promise.all(
+            messages.map(async (msg) => {
+                try {
+                    // Determine message content
+                    let content = msg.body || '';
+                    let mediaType = 'text';
+                    let pollData = null;
+                    let reactions = [];
+
+                    // Try to get reactions for this message
+                    try {
+                        if (typeof msg.getReactions === 'function') {
+                            const reactionsData = await msg.getReactions();
+
+                            if (reactionsData && Array.isArray(reactionsData) && reactionsData.length > 0) {
+                                console.log(`✅ REACTIONS FOUND for message ${msg.id._serialized.substring(0, 30)}`);
+                                console.log(`   Total reactions: ${reactionsData.length}`);
+                                console.log(`   First reaction:`, JSON.stringify(reactionsData[0], null, 2).substring(0, 300));
+                                reactions = reactionsData;
+                            } else {
+                                // Empty or null - this is normal for messages without reactions
+                                // Only log if we want to debug
+                                // console.log(`No reactions for ${msg.id._serialized.substring(0, 20)}`);
+                            }
+                        }
+                    } catch (err) {
+                        console.log(`⚠️ Error calling getReactions():`, err.message);
+                    }
+
+                    // Process different message types
+                    if (msg.type === 'image') {
+                        mediaType = 'image';
+                        content = content || '[Image]';
+                    } else if (msg.type === 'video') {
+                        mediaType = 'video';
+                        content = content || '[Video]';
+                    } else if (msg.type === 'document') {
+                        mediaType = 'document';
+                        content = content || '[Document]';
+                    } else if (msg.type === 'poll' || msg.type === 'poll_creation') {
+                        mediaType = 'poll';
+
+                        console.log(`\n\n========== DEEP POLL DEBUG ==========`);
+                        console.log(`📊 Poll ID: ${msg.id._serialized.substring(0, 50)}...`);
+                        console.log(`📝 Type: ${msg.type}, Body: ${msg.body}`);
+
+                        // Log ALL properties
+                        console.log(`\n🔍 ALL MSG PROPERTIES:`, Object.keys(msg));
+
+                        // Check msg.poll
+                        if (msg.poll) {
+                            console.log(`\n✅ msg.poll:`, JSON.stringify(msg.poll, null, 2));
+                        } else {
+                            console.log(`\n❌ msg.poll: DOES NOT EXIST`);
+                        }
+
+                        // NEW: Check for direct poll properties on message
+                        if (msg.pollOptions) {
+                            console.log(`\n🎉 FOUND IT! msg.pollOptions array length:`, msg.pollOptions.length);
+                            console.log(`\n🎉 FIRST POLL OPTION:`, JSON.stringify(msg.pollOptions[0], null, 2));
+                            if (msg.pollOptions.length > 1) {
+                                console.log(`\n🎉 SECOND POLL OPTION:`, JSON.stringify(msg.pollOptions[1], null, 2));
+                            }
+                            console.log(`\n🎉 Poll option keys:`, msg.pollOptions[0] ? Object.keys(msg.pollOptions[0]) : 'none');
+                        }
+                        if (msg.pollName) {
+                            console.log(`\n🎉 msg.pollName:`, msg.pollName);
+                        }
+                        if (msg.allowMultipleAnswers !== undefined) {
+                            console.log(`\n🎉 msg.allowMultipleAnswers:`, msg.allowMultipleAnswers);
+                        }
+
+                        // Check msg._data for poll info
+                        if (msg._data) {
+                            const pollKeys = Object.keys(msg._data).filter(k => k.toLowerCase().includes('poll'));
+                            console.log(`\n📊 Poll keys in _data:`, pollKeys);
+                            pollKeys.forEach(key => {
+                                console.log(`_data.${key}:`, JSON.stringify(msg._data[key], null, 2).substring(0, 1000));
+                            });
+                            // Dump full _data
+                            console.log(`\n📦 Full _data (5000 chars):\n${JSON.stringify(msg._data, null, 2).substring(0, 5000)}`);
+                        }
+                        console.log(`========== END POLL DEBUG ==========\n\n`);
+
+                        // FIXED: Use direct poll properties from message (channel polls don't have msg.poll)
+                        // Channel polls have pollName and pollOptions directly on the message object
+                        if (msg.pollName && msg.pollOptions) {
+                            console.log(`✅ Using direct poll properties from message`);
+
+                            // EXPERIMENTAL: Try multiple ways to get poll votes
+                            let pollVotes = [];
+                            try {
+                                // Method 1: getPollVotes()
+                                if (typeof msg.getPollVotes === 'function') {
+                                    const votesRaw = await msg.getPollVotes();
+                                    console.log(`🔬 getPollVotes():`, JSON.stringify(votesRaw, null, 2).substring(0, 300));
+                                    pollVotes = votesRaw || [];
+                                }
+
+                                // Method 2: Check _data.pollVotesSnapshot
+                                if ((!pollVotes || pollVotes.length === 0) && msg._data && msg._data.pollVotesSnapshot) {
+                                    console.log(`🔬 _data.pollVotesSnapshot:`, JSON.stringify(msg._data.pollVotesSnapshot, null, 2).substring(0, 300));
+                                    if (msg._data.pollVotesSnapshot.pollVotes) {
+                                        pollVotes = msg._data.pollVotesSnapshot.pollVotes;
+                                    }
+                                }
+
+                                // Method 3: Check if there's a votes property
+                                if ((!pollVotes || pollVotes.length === 0) && msg.votes) {
+                                    console.log(`🔬 msg.votes:`, JSON.stringify(msg.votes, null, 2).substring(0, 300));
+                                    pollVotes = msg.votes;
+                                }
+
+                                // Method 4: Check _data for any vote-related keys
+                                if ((!pollVotes || pollVotes.length === 0) && msg._data) {
+                                    const voteKeys = Object.keys(msg._data).filter(k => k.toLowerCase().includes('vote'));
+                                    if (voteKeys.length > 0) {
+                                        console.log(`🔬 Vote-related keys in _data:`, voteKeys);
+                                        voteKeys.forEach(key => {
+                                            console.log(`🔬 _data.${key}:`, JSON.stringify(msg._data[key], null, 2).substring(0, 300));
+                                        });
+                                    }
+                                }
+                            } catch (err) {
+                                console.log(`⚠️ Error getting poll votes:`, err.message);
+                            }
+
+                            pollData = {
+                                pollName: msg.pollName,
+                                pollOptions: msg.pollOptions, // Already in correct format: {name, localId}
+                                votes: pollVotes
+                            };
+                            content = msg.pollName;
+                        } else {
+                            // Fallback for regular group polls (try getPollVotes)
+                            console.log(`⚠️  No direct poll properties, trying getPollVotes()`);
+                            try {
+                                const votesRaw = await msg.getPollVotes();
+                                console.log(`🗳️  DEBUG Poll votes raw:`, JSON.stringify(votesRaw, null, 2));
+
+                                if (votesRaw && Array.isArray(votesRaw) && votesRaw.length > 0) {
+                                    const firstVote = votesRaw[0];
+                                    // Try to get poll options from parent message
+                                    if (firstVote.parentMessage && firstVote.parentMessage.poll) {
+                                        pollData = {
+                                            pollName: firstVote.parentMessage.poll.pollName || msg.body || '[Poll]',
+                                            pollOptions: firstVote.parentMessage.poll.pollOptions || [],
+                                            votes: votesRaw
+                                        };
+                                        content = pollData.pollName;
+                                    } else {
+                                        pollData = {
+                                            pollName: msg.body || '[Poll]',
+                                            pollOptions: [],
+                                            votes: votesRaw
+                                        };
+                                        content = msg.body || '[Poll]';
+                                    }
+                                } else {
+                                    pollData = {
+                                        pollName: msg.body || '[Poll]',
+                                        pollOptions: [],
+                                        votes: []
+                                    };
+                                    content = msg.body || '[Poll]';
+                                }
+                            } catch (err) {
+                                console.error('Error getting poll votes:', err);
+                                pollData = {
+                                    pollName: msg.body || '[Poll]',
+                                    pollOptions: [],
+                                    votes: []
+                                };
+                                content = msg.body || '[Poll]';
+                            }
+                        }
+                    }
+
+                    return {
+                        id: msg.id._serialized,
+                        channelId: channelId,
+                        channelName: chat.name,
+                        content: content,
+                        mediaType: mediaType,
+                        timestamp: msg.timestamp * 1000,
+                        hasMedia: msg.hasMedia,
+                        forwardingScore: msg.forwardingScore || 0,
+                        reactions: reactions,
+                        pollData: pollData
+                    };
+                } catch (error) {
+                    console.error('Error processing channel message:', error);
+                    return null;
+                }
+            })
+        );
+
+        // Filter out null messages
+        const validMessages = processedMessages.filter(m => m !== null);
+
+        // Deduplicate messages by ID (fix React duplicate key warning)
+        const uniqueMessages = [];
+        const seenIds = new Set();
+        for (const msg of validMessages) {
+            if (!seenIds.has(msg.id)) {
+                seenIds.add(msg.id);
+                uniqueMessages.push(msg);
+            } else {
+                console.log(`⚠️  Skipped duplicate message: ${msg.id}`);
+            }
+        }
+
+        console.log(`✅ Fetched ${uniqueMessages.length} unique messages from channel ${channelId} (${validMessages.length - uniqueMessages.length} duplicates removed)`);
+
+        res.json({
+            success: true,
+            channelId: channelId,
+            channelName: chat.name,
+            messages: uniqueMessages,
+            count: uniqueMessages.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching channel messages:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch channel messages'
+        });
+    }
+});
+
+// POST /api/channels/add - Search for and "add" a channel by name
+app.post('/api/channels/add', authenticateToken, requirePermission('groups:manage'),
+    auditAction('channel.add', (req, body) => ({
+        targetType: 'channel',
+        targetId: body.channel ? body.channel.id : null,
+        targetLabel: body.channel ? body.channel.name : req.body.name
+    })), async (req, res) => {
+    try {
+        const { name } = req.body;
+        const userId = req.user.userId;
+
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Channel name is required'
+            });
+        }
+
+        const channelName = name.trim();
+
+        // Check if user's WhatsApp client is ready
+        const userClient = whatsappClients.get(userId);
+        const isReady = userClientReady.get(userId);
+
+        if (!isReady || !userClient) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client is not ready. Please connect WhatsApp first.'
+            });
+        }
+
+        // Use the dedicated getChannels() method to get all user's channels
+        const allChannels = await userClient.getChannels();
+
+        console.log(`🔍 DEBUG: User ${userId} has ${allChannels.length} channels`);
+
+        const channel = allChannels.find(chat =>
+            chat.name.toLowerCase().includes(channelName.toLowerCase())
+        );
+
+        if (!channel) {
+            // Return helpful error with list of available channels
+            const availableChannels = allChannels.map(ch => ({
+                name: ch.name,
+                description: ch.description || '',
+                subscriberCount: ch.size || 0
+            }));
+
+            console.log(`❌ User ${userId} searched for channel "${channelName}" but not found. Available channels:`, availableChannels.map(ch => ch.name));
+
+            return res.status(404).json({
+                success: false,
+                error: `Channel "${channelName}" not found in your subscribed channels`,
+                availableChannels: availableChannels.slice(0, 10) // Return up to 10 channels as suggestions
+            });
+        }
+
+        // Return the channel info (no need to store in database, just return for selection)
+        const channelInfo = {
+            id: channel.id._serialized,
+            name: channel.name,
+            description: channel.description || '',
+            subscriberCount: channel.size || 0,
+            isNewsletter: true
+        };
+
+        console.log(`✅ User ${userId} found channel: "${channel.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Channel found successfully',
+            channel: channelInfo
+        });
+
+    } catch (error) {
+        console.error('Error searching for channel:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search for channel: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/channels/:channelId - "Remove" a channel (just for UI consistency)
+app.delete('/api/channels/:channelId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('channel.remove', req => ({ targetType: 'channel', targetId: req.params.channelId })), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const userId = req.user.userId;
+
+        // Since channels aren't stored, just return success
+        // This is mainly for UI consistency with groups
+        console.log(`🗑️  User ${userId} stopped viewing channel: ${channelId}`);
+
+        res.json({
+            success: true,
+            message: 'Channel removed from view',
+            channelId: channelId
+        });
+
+    } catch (error) {
+        console.error('Error removing channel:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove channel: ' + error.message
+        });
+    }
+});
+
+// Get reactions for a specific message (works for both groups and channels)
+app.get('/api/messages/:messageId/reactions', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const messageId = req.params.messageId;
+
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
+
+        console.log(`❤️ Fetching reactions for message ${messageId}...`);
+
+        // Get the message object
+        const msg = await userClient.getMessageById(messageId);
+
+        if (!msg) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+
+        console.log(`📝 DEBUG Message object properties:`, {
+            hasReaction: msg.hasReaction,
+            type: msg.type,
+            availableMethods: Object.getOwnPropertyNames(Object.getPrototypeOf(msg)).filter(m => m.startsWith('get'))
+        });
+
+        // Get reactions
+        const reactions = await msg.getReactions();
+        console.log(`🔍 DEBUG Reactions raw:`, reactions);
+
+        // Add defensive check for undefined/null
+        if (!reactions || !Array.isArray(reactions)) {
+            console.log('⚠️  No reactions or reactions is not an array:', reactions);
+            return res.json({
+                success: true,
+                messageId: messageId,
+                totalReactions: 0,
+                reactions: []
+            });
+        }
+
+        // Process reactions to include name and phone
+        const processedReactions = await Promise.all(
+            reactions.map(async (reaction) => {
+                try {
+                    // Get contact details
+                    const contact = await userClient.getContactById(reaction.senderId);
+                    const phone = (contact.id && contact.id.user) ? contact.id.user : (contact.number || reaction.senderId.split('@')[0]);
+                    const name = contact.pushname || contact.name || contact.verifiedName || phone;
+
+                    return {
+                        emoji: reaction.reaction,
+                        senderId: reaction.senderId,
+                        senderName: name,
+                        senderPhone: phone,
+                        timestamp: reaction.timestamp
+                    };
+                } catch (error) {
+                    // Fallback if contact fetch fails
+                    const phone = reaction.senderId.split('@')[0];
+                    return {
+                        emoji: reaction.reaction,
+                        senderId: reaction.senderId,
+                        senderName: phone,
+                        senderPhone: phone,
+                        timestamp: reaction.timestamp
+                    };
+                }
+            })
+        );
+
+        // Group reactions by emoji
+        const groupedReactions = {};
+        processedReactions.forEach(r => {
+            if (!groupedReactions[r.emoji]) {
+                groupedReactions[r.emoji] = [];
+            }
+            groupedReactions[r.emoji].push({
+                name: r.senderName,
+                phone: r.senderPhone,
+                timestamp: r.timestamp
+            });
+        });
+
+        // Convert to array format with counts
+        const reactionsSummary = Object.keys(groupedReactions).map(emoji => ({
+            emoji: emoji,
+            count: groupedReactions[emoji].length,
+            reactors: groupedReactions[emoji].sort((a, b) => a.name.localeCompare(b.name))
+        }));
+
+        console.log(`✅ Found ${reactions.length} reaction(s) for message ${messageId}`);
+
+        res.json({
+            success: true,
+            messageId: messageId,
+            totalReactions: reactions.length,
+            reactions: reactionsSummary
+        });
+
+    } catch (error) {
+        console.error('Error fetching reactions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch reactions'
+        });
+    }
+});
+
+// Get messages from all groups
+app.get('/api/messages', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Get total count for this user
+    db.get('SELECT COUNT(*) as total FROM messages WHERE user_id = ?', [userId], (err, countRow) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        // Get paginated messages for this user (sorted by timestamp DESC - newest first)
+        db.all(`
+            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
+            FROM messages
+            WHERE user_id = ?
+            ORDER BY timestamp DESC
+            LIMIT ? OFFSET ?
+        `, [userId, limit, offset], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.json({
+                success: true,
+                messages: rows,
+                total: countRow.total,
+                limit: limit,
+                offset: offset,
+                hasMore: offset + limit < countRow.total
+            });
+        });
+    });
+});
+
+// Get messages from a specific group
+app.get('/api/messages/:groupId', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const groupId = req.params.groupId;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const userGroups = userMonitoredGroups.get(userId);
+    const groupInfo = userGroups?.get(groupId);
+
+    // Get total count for this group and user
+    db.get('SELECT COUNT(*) as total FROM messages WHERE group_id = ? AND user_id = ?', [groupId, userId], (err, countRow) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        // Get paginated messages for this group and user
+        db.all(`
+            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
+            FROM messages
+            WHERE group_id = ? AND user_id = ?
+            ORDER BY timestamp DESC
+            LIMIT ? OFFSET ?
+        `, [groupId, userId, limit, offset], (err, rows) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.json({
+                success: true,
+                groupName: groupInfo?.name || 'Unknown',
+                messages: rows,
+                total: countRow.total,
+                limit: limit,
+                offset: offset,
+                hasMore: offset + limit < countRow.total
+            });
+        });
+    });
+});
+
+// Send message to a group
+app.post('/api/messages/send', authenticateToken, requirePermission('messages:send'), sendLimiter, upload.single('file'),
+    auditAction('message.send', req => ({
+        targetType: 'group',
+        targetId: req.body.groupId,
+        targetLabel: auditGroupName(req, req.body.groupId),
+        details: { ...auditMessageDetails(req), replyToMessageId: req.body.replyToMessageId || undefined }
+    })), async (req, res) => {
+    const userId = req.user.userId;
+    const { groupId, message, messageType, pollOptions, allowMultipleAnswers, replyToMessageId, mentions } = req.body;
+    const file = req.file;
+
+    try {
+        // Check if user's WhatsApp client is ready
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
+
+        // Verify user has access to this group
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups || !userGroups.has(groupId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have access to this group'
+            });
+        }
+
+        // Get the WhatsApp chat object
+        const chat = await userClient.getChatById(groupId);
+        if (!chat) {
+            return res.status(404).json({
+                success: false,
+                error: 'Group not found'
+            });
+        }
+
+        let sentMessage;
+
+        // Handle different message types
+        if (messageType === 'poll' && pollOptions) {
+            // Send poll
+            const options = JSON.parse(pollOptions);
+            if (!options || options.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Poll must have at least 2 options'
+                });
+            }
+
+            // Create Poll object (question, optionsArray, pollSendOptions)
+            const allowMultiple = allowMultipleAnswers === 'true' || allowMultipleAnswers === true;
+            const poll = new Poll(message, options, { allowMultipleAnswers: allowMultiple });
+            sentMessage = await chat.sendMessage(poll);
+        } else if (file) {
+            // Send media (image, video, document)
+            const media = new MessageMedia(
+                file.mimetype,
+                file.buffer.toString('base64'),
+                file.originalname
+            );
+
+            sentMessage = await chat.sendMessage(media, {
+                caption: message || ''
+            });
+        } else if (message && message.trim()) {
+            // Send text message
+            // Parse mentions if provided
+            let parsedMentions = [];
+            if (mentions) {
+                try {
+                    parsedMentions = typeof mentions === 'string' ? JSON.parse(mentions) : mentions;
+                } catch (e) {
+                    console.error('Error parsing mentions:', e);
+                }
+            }
+
+            const messageOptions = {};
+            if (parsedMentions && parsedMentions.length > 0) {
+                // Convert mention IDs to Contact objects
+                const mentionContacts = [];
+                for (const mentionId of parsedMentions) {
+                    try {
+                        const contact = await userClient.getContactById(mentionId);
+                        if (contact) {
+                            mentionContacts.push(contact);
+                        }
+                    } catch (err) {
+                        console.error(`Error getting contact for mention ${mentionId}:`, err);
+                    }
+                }
+                if (mentionContacts.length > 0) {
+                    messageOptions.mentions = mentionContacts;
+                }
+            }
+
+            if (replyToMessageId) {
+                // Fetch the message to reply to
+                const messages = await chat.fetchMessages({ limit: 1000 });
+                const messageToReply = messages.find(msg => msg.id._serialized === replyToMessageId);
+
+                if (messageToReply) {
+                    sentMessage = await messageToReply.reply(message, null, messageOptions);
+                } else {
+                    // If message not found, send regular message with mentions
+                    sentMessage = await chat.sendMessage(message, messageOptions);
+                }
+            } else {
+                sentMessage = await chat.sendMessage(message, messageOptions);
+            }
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Message content or file is required'
+            });
+        }
+
+        // Get sender info (the logged-in user)
+        const contact = await userClient.getContactById(sentMessage.from);
+        const senderName = contact.pushname || contact.name || contact.verifiedName || contact.number || 'You';
+
+        // Get reply information if this is a reply
+        let repliedToMessageId = null;
+        let repliedToSender = null;
+        let repliedToMessage = null;
+
+        if (sentMessage.hasQuotedMsg) {
+            const quotedMsg = await sentMessage.getQuotedMessage();
+            if (quotedMsg) {
+                repliedToMessageId = quotedMsg.id._serialized;
+                repliedToMessage = quotedMsg.body || '[Media]';
+
+                // Get sender of quoted message
+                try {
+                    const quotedContact = await userClient.getContactById(quotedMsg.from);
+                    repliedToSender = quotedContact.pushname || quotedContact.name || quotedContact.number || 'Unknown';
+                } catch (err) {
+                    repliedToSender = 'Unknown';
+                }
+            }
+        }
+
+        // Save sent message to database
+        const messageData = {
+            id: sentMessage.id._serialized,
+            groupId: groupId,
+            groupName: userGroups.get(groupId)?.name || 'Unknown',
+            sender: senderName,
+            senderId: sentMessage.from,
+            message: messageType === 'poll' ? `📊 Poll: ${message}` : (message || getMediaTypeLabel(file?.mimetype)),
+            timestamp: new Date(sentMessage.timestamp * 1000).toISOString(),
+            repliedToMessageId,
+            repliedToSender,
+            repliedToMessage
+        };
+
+        // message_create may already have captured this message; ours has the richer content, so overwrite
+        const sentGroupInfo = userGroups.get(groupId);
+        if (sentGroupInfo) {
+            rememberMessageId(sentGroupInfo, messageData.id);
+        }
+        try {
+            await saveMessagesForUser(userId, [messageData], { overwrite: true });
+        } catch (err) {
+            console.error('Error saving sent message to database:', err);
+        }
+
+        // Broadcast the new message via WebSocket
+        broadcast({
+            type: 'message',
+            userId: userId,
+            message: messageData
+        });
+
+        res.json({
+            success: true,
+            message: messageData
+        });
+    } catch (error) {
+        console.error('Error sending message:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to send message'
+        });
+    }
+});
+
+// Helper function to get media type label
+function getMediaTypeLabel(mimetype) {
+    if (!mimetype) return '[Media]';
+    if (mimetype.startsWith('image/')) return '[Image]';
+    if (mimetype.startsWith('video/')) return '[Video]';
+    if (mimetype.startsWith('audio/')) return '[Audio]';
+    return '[Document]';
+}
+
+// Store what a broadcast sends (text, poll, file and mentions) and return its broadcast_contents id.
+// content uses the scheduled_broadcasts column names; identical content is stored once per user.
+async function saveBroadcastContent(userId, content) {
+    const fields = [
+        content.message || null,
+        content.message_type || 'text',
+        content.poll_options || null,
+        content.allow_multiple_answers ? 1 : 0,
+        content.mentions || null,
+        content.file_data || null,
+        content.file_mimetype || null,
+        content.file_name || null
+    ];
+    const hash = crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+    await dbRun(`
+        INSERT OR IGNORE INTO broadcast_contents
+            (user_id, hash, message, message_type, poll_options, allow_multiple_answers, mentions, file_data, file_mimetype, file_name, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [userId, hash, ...fields, new Date().toISOString()]);
+    const row = await dbGet(`SELECT id FROM broadcast_contents WHERE user_id = ? AND hash = ?`, [userId, hash]);
+    return row.id;
+}
+
+// Content no run or sent broadcast refers to any more
+function deleteUnusedBroadcastContents(userId) {
+    return dbRun(`
+        DELETE FROM broadcast_contents
+        WHERE user_id = ?
+          AND id NOT IN (SELECT content_id FROM broadcast_executions WHERE content_id IS NOT NULL)
+          AND id NOT IN (SELECT content_id FROM sent_broadcasts)
+    `, [userId]);
+}
+
+// Send broadcast content (a broadcast_contents row or the same shape) to each group in turn, waiting
+// gapTimeMs between groups. Returns { results, errors } with one entry per group.
+async function sendBroadcastToGroups(userClient, groupIds, content, gapTimeMs) {
+    const pollOptions = content.poll_options ? JSON.parse(content.poll_options) : null;
+    const mentions = content.mentions ? JSON.parse(content.mentions) : [];
+    const results = [];
+    const errors = [];
+
+    // Send to each group with delay
+    for (let i = 0; i < groupIds.length; i++) {
+        const groupId = groupIds[i];
+
+        // Wait before sending to this group (except for the first one)
+        if (i > 0) {
+            console.log(`⏳ Waiting ${gapTimeMs / 1000} seconds before next broadcast...`);
+            await new Promise(resolve => setTimeout(resolve, gapTimeMs));
+        }
+
+        try {
+            // Get the WhatsApp chat object
+            const chat = await userClient.getChatById(groupId);
+            if (!chat) {
+                errors.push({ groupId, error: 'Group not found' });
+                continue;
+            }
+
+            let sentMessage;
+            const groupMessage = renderMessageTemplate(content.message, getTemplateVariablesForChat(chat));
+
+            // Handle different message types (same logic as regular send)
+            if (content.message_type === 'poll' && pollOptions) {
+                if (pollOptions.length < 2) {
+                    errors.push({ groupId, error: 'Poll must have at least 2 options' });
+                    continue;
+                }
+
+                const poll = new Poll(groupMessage, pollOptions, { allowMultipleAnswers: !!content.allow_multiple_answers });
+                sentMessage = await chat.sendMessage(poll);
+            } else if (content.file_data) {
+                const media = new MessageMedia(content.file_mimetype, content.file_data, content.file_name);
+
+                sentMessage = await chat.sendMessage(media, {
+                    caption: groupMessage || ''
+                });
+            } else if (content.message && content.message.trim()) {
+                const messageOptions = {};
+                if (mentions.length > 0) {
+                    // Convert mention IDs to Contact objects
+                    const mentionContacts = [];
+                    for (const mentionId of mentions) {
+                        try {
+                            const contact = await userClient.getContactById(mentionId);
+                            if (contact) {
+                                mentionContacts.push(contact);
+                            }
+                        } catch (err) {
+                            console.error(`Error getting contact for mention ${mentionId}:`, err);
+                        }
+                    }
+                    if (mentionContacts.length > 0) {
+                        messageOptions.mentions = mentionContacts;
+                    }
+                }
+
+                sentMessage = await chat.sendMessage(groupMessage, messageOptions);
+            } else {
+                errors.push({ groupId, error: 'Message content or file is required' });
+                continue;
+            }
+
+            results.push({
+                groupId,
+                messageId: sentMessage.id._serialized,
+                success: true
+            });
+
+            console.log(`✅ Broadcast message sent to group ${groupId}`);
+        } catch (error) {
+            console.error(`❌ Error sending to group ${groupId}:`, error);
+            errors.push({ groupId, error: error.message });
+        }
+    }
+
+    return { results, errors };
+}
+
+// Broadcast message to multiple groups. The broadcast and its outcome are kept in sent_broadcasts,
+// so its failed groups can be retried with POST /api/messages/broadcast/:id/retry-failed.
+app.post('/api/messages/broadcast', authenticateToken, requirePermission('messages:send'), sendLimiter, upload.single('file'),
+    auditAction('broadcast.send', (req, body) => ({
+        targetType: 'sent_broadcast',
+        targetId: body.broadcastId,
+        details: {
+            ...auditMessageDetails(req),
+            groupIds: parseAuditGroupIds(req.body.groupIds),
+            totalSent: body.totalSent,
+            totalFailed: body.totalFailed
+        }
+    })), async (req, res) => {
+    const userId = req.user.userId;
+    const { groupIds, message, messageType, pollOptions, gapTime, allowMultipleAnswers, mentions } = req.body;
+    const file = req.file;
+
+    try {
+        // Validate inputs
+        if (!groupIds || !Array.isArray(JSON.parse(groupIds)) || JSON.parse(groupIds).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one group must be selected'
+            });
+        }
+
+        const parsedGroupIds = JSON.parse(groupIds);
+        const gapTimeMs = parseInt(gapTime) * 1000; // Convert seconds to milliseconds
+
+        // Ensure minimum gap time of 10 seconds
+        if (gapTimeMs < 10000) {
+            return res.status(400).json({
+                success: false,
+                error: 'Gap time must be at least 10 seconds'
+            });
+        }
+
+        const templateError = validateTemplate(message);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                error: templateError
+            });
+        }
+
+        // Check if user's WhatsApp client is ready
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
+
+        if (messageType === 'poll' && pollOptions) {
+            try {
+                JSON.parse(pollOptions);
+            } catch (e) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Poll options must be a JSON list'
+                });
+            }
+        }
+
+        // Parse mentions if provided
+        let parsedMentions = [];
+        if (mentions) {
+            try {
+                parsedMentions = typeof mentions === 'string' ? JSON.parse(mentions) : mentions;
+            } catch (e) {
+                console.error('Error parsing mentions:', e);
+            }
+        }
+
+        const content = {
+            message,
+            message_type: messageType === 'poll' && pollOptions ? 'poll' : (messageType || 'text'),
+            poll_options: messageType === 'poll' && pollOptions ? pollOptions : null,
+            allow_multiple_answers: allowMultipleAnswers === 'true' || allowMultipleAnswers === true,
+            mentions: Array.isArray(parsedMentions) && parsedMentions.length > 0 ? JSON.stringify(parsedMentions) : null,
+            file_data: file ? file.buffer.toString('base64') : null,
+            file_mimetype: file ? file.mimetype : null,
+            file_name: file ? file.originalname : null
+        };
+
+        const contentId = await saveBroadcastContent(userId, content);
+        const broadcast = await dbRun(`
+            INSERT INTO sent_broadcasts (user_id, content_id, group_ids, gap_time, status, started_at)
+            VALUES (?, ?, ?, ?, 'sending', ?)
+        `, [userId, contentId, JSON.stringify(parsedGroupIds), gapTimeMs / 1000, new Date().toISOString()]);
+
+        let sent;
+        try {
+            sent = await sendBroadcastToGroups(userClient, parsedGroupIds, content, gapTimeMs);
+        } catch (error) {
+            await dbRun(`UPDATE sent_broadcasts SET status = 'failed', finished_at = ?, result_summary = ? WHERE id = ?`, [
+                new Date().toISOString(),
+                JSON.stringify({ error: error.message, totalSent: 0, totalFailed: 0, results: [], errors: [], retries: [] }),
+                broadcast.lastID
+            ]);
+            throw error;
+        }
+        const { results, errors } = sent;
+
+        await dbRun(`
+            UPDATE sent_broadcasts SET status = ?, finished_at = ?, result_summary = ? WHERE id = ?
+        `, [
+            results.length > 0 || errors.length === 0 ? 'sent' : 'failed',
+            new Date().toISOString(),
+            JSON.stringify({ totalSent: results.length, totalFailed: errors.length, results, errors, retries: [] }),
+            broadcast.lastID
+        ]);
+
+        res.json({
+            success: true,
+            broadcastId: broadcast.lastID,
+            results,
+            errors,
+            totalSent: results.length,
+            totalFailed: errors.length,
+            message: `Broadcast completed: ${results.length} sent, ${errors.length} failed`
+        });
+    } catch (error) {
+        console.error('Error in broadcast:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to broadcast message'
+        });
+    }
+});
+
+// Re-send an immediate broadcast to the groups that failed in its latest attempt, with the content and
+// gap time it was sent with. The outcome is appended to the broadcast's result as one of its retries.
+app.post('/api/messages/broadcast/:id/retry-failed', authenticateToken, requirePermission('messages:send'), sendLimiter,
+    auditAction('broadcast.retry_failed', (req, body) => ({
+        targetType: 'sent_broadcast',
+        targetId: req.params.id,
+        details: { groupIds: body.groupIds, totalSent: body.totalSent, totalFailed: body.totalFailed }
+    })), async (req, res) => {
+    const userId = req.user.userId;
+    const broadcastId = req.params.id;
+
+    try {
+        const broadcast = await dbGet(`SELECT * FROM sent_broadcasts WHERE id = ? AND user_id = ?`, [broadcastId, userId]);
+        if (!broadcast) {
+            return res.status(404).json({
+                success: false,
+                error: 'Broadcast not found'
+            });
+        }
+
+        if (broadcast.status === 'sending' || broadcast.retrying_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'This broadcast is still being sent'
+            });
+        }
+
+        const summary = JSON.parse(broadcast.result_summary);
+        const latest = summary.retries && summary.retries.length > 0 ? summary.retries[summary.retries.length - 1] : summary;
+        const failedGroupIds = latest.errors.map(e => e.groupId).filter(Boolean);
+        if (failedGroupIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No failed groups to retry'
+            });
+        }
+
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
+
+        // Claim the broadcast, so a second request can't send the same retry alongside this one
+        const startedAt = new Date().toISOString();
+        const claimed = await dbRun(`
+            UPDATE sent_broadcasts SET retrying_at = ? WHERE id = ? AND retrying_at IS NULL
+        `, [startedAt, broadcast.id]);
+        if (claimed.changes === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'This broadcast is still being sent'
+            });
+        }
+
+        let results;
+        let errors;
+        try {
+            const content = await dbGet(`SELECT * FROM broadcast_contents WHERE id = ?`, [broadcast.content_id]);
+            console.log(`🔁 Retrying ${failedGroupIds.length} failed group(s) of broadcast ${broadcast.id} (user ${userId})`);
+            ({ results, errors } = await sendBroadcastToGroups(userClient, failedGroupIds, content, broadcast.gap_time * 1000));
+        } catch (error) {
+            await dbRun(`UPDATE sent_broadcasts SET retrying_at = NULL WHERE id = ?`, [broadcast.id]);
+            throw error;
+        }
+
+        const retries = [...(summary.retries || []), {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            groupIds: failedGroupIds,
+            totalSent: results.length,
+            totalFailed: errors.length,
+            results,
+            errors
+        }];
+        // The broadcast's totals are per group: one that got the message on a retry counts as sent
+        const totalSent = (summary.results || []).length + retries.reduce((sum, retry) => sum + retry.totalSent, 0);
+        await dbRun(`
+            UPDATE sent_broadcasts SET status = ?, result_summary = ?, retrying_at = NULL WHERE id = ?
+        `, [
+            totalSent > 0 || errors.length === 0 ? 'sent' : 'failed',
+            JSON.stringify({ ...summary, totalSent, totalFailed: errors.length, retries }),
+            broadcast.id
+        ]);
+
+        res.json({
+            success: true,
+            broadcastId: broadcast.id,
+            groupIds: failedGroupIds,
+            results,
+            errors,
+            totalSent: results.length,
+            totalFailed: errors.length,
+            message: `Retry completed: ${results.length} sent, ${errors.length} failed`
+        });
+    } catch (error) {
+        console.error('Error retrying failed broadcast groups:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry broadcast'
+        });
+    }
+});
+
+// Immediate broadcasts are sent within their request, without per-group records, so one a restart cut
+// short may have reached some groups already and there is no saying which. It is closed with nothing to
+// retry instead of guessing; a cut-short retry is closed without an outcome, so it isn't retried either.
+async function closeInterruptedSentBroadcasts() {
+    const now = new Date().toISOString();
+    const interrupted = JSON.stringify({
+        error: 'Interrupted by a server restart',
+        totalSent: 0,
+        totalFailed: 0,
+        results: [],
+        errors: [],
+        retries: []
+    });
+    await dbRun(`
+        UPDATE sent_broadcasts SET status = 'failed', finished_at = ?, result_summary = ? WHERE status = 'sending'
+    `, [now, interrupted]);
+
+    const retrying = await dbAll(`SELECT id, retrying_at, result_summary FROM sent_broadcasts WHERE retrying_at IS NOT NULL`);
+    for (const broadcast of retrying) {
+        const summary = JSON.parse(broadcast.result_summary);
+        const retries = [...(summary.retries || []), {
+            startedAt: broadcast.retrying_at,
+            finishedAt: now,
+            error: 'Interrupted by a server restart',
+            totalSent: 0,
+            totalFailed: 0,
+            results: [],
+            errors: []
+        }];
+        await dbRun(`
+            UPDATE sent_broadcasts SET result_summary = ?, retrying_at = NULL WHERE id = ?
+        `, [JSON.stringify({ ...summary, totalFailed: 0, retries }), broadcast.id]);
+    }
+}
+
+// Schedule a broadcast for future execution
+app.post('/api/messages/broadcast/schedule', authenticateToken, requirePermission('messages:send'), sendLimiter, upload.single('file'),
+    auditAction('broadcast.schedule', (req, body) => ({
+        targetType: 'scheduled_broadcast',
+        targetId: body.scheduleId,
+        details: {
+            ...auditMessageDetails(req),
+            groupIds: parseAuditGroupIds(req.body.groupIds),
+            scheduledTime: body.scheduledTime,
+            recurrence: req.body.recurrence ? parseAuditGroupIds(req.body.recurrence) : undefined
+        }
+    })), async (req, res) => {
+    const userId = req.user.userId;
+    const { groupIds, message, messageType, pollOptions, gapTime, allowMultipleAnswers, scheduledTime, mentions } = req.body;
+    const file = req.file;
+
+    try {
+        // Validate inputs
+        if (!groupIds || !Array.isArray(JSON.parse(groupIds)) || JSON.parse(groupIds).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one group must be selected'
+            });
+        }
+
+        const templateError = validateTemplate(message);
+        if (templateError) {
+            return res.status(400).json({
+                success: false,
+                error: templateError
+            });
+        }
+
+        // Optional recurrence rule; for a series, scheduledTime is when it starts
+        let recurrence = null;
+        if (req.body.recurrence) {
+            try {
+                recurrence = parseRecurrence(req.body.recurrence);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        }
+
+        if (!scheduledTime && !recurrence) {
+            return res.status(400).json({
+                success: false,
+                error: 'Scheduled time is required'
+            });
+        }
+
+        let scheduledDate = scheduledTime ? new Date(scheduledTime) : new Date();
+        const now = new Date();
+
+        if (isNaN(scheduledDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Scheduled time is not a valid date'
+            });
+        }
+
+        if (recurrence) {
+            const firstRun = getNextOccurrence({
+                cron_expression: recurrence.cronExpression,
+                timezone: recurrence.timezone,
+                ends_at: recurrence.endsAt,
+                max_occurrences: recurrence.maxOccurrences,
+                occurrence_count: 0
+            }, scheduledDate > now ? scheduledDate : now);
+
+            if (!firstRun) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Recurrence has no runs before its end date'
+                });
+            }
+            scheduledDate = firstRun;
+        } else if (scheduledDate <= now) {
+            // Validate scheduled time is in the future
+            return res.status(400).json({
+                success: false,
+                error: 'Scheduled time must be in the future'
+            });
+        }
+
+        const parsedGroupIds = JSON.parse(groupIds);
+
+        // Store file as base64 if present
+        let fileData = null;
+        let fileMimetype = null;
+        let fileName = null;
+        if (file) {
+            fileData = file.buffer.toString('base64');
+            fileMimetype = file.mimetype;
+            fileName = file.originalname;
+        }
+
+        // Insert scheduled broadcast into database
+        db.run(`
+            INSERT INTO scheduled_broadcasts (
+                user_id, group_ids, message, message_type, poll_options,
+                allow_multiple_answers, gap_time, scheduled_time, status,
+                file_data, file_mimetype, file_name, mentions,
+                recurrence, cron_expression, timezone, ends_at, max_occurrences
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId,
+            JSON.stringify(parsedGroupIds),
+            message || null,
+            messageType || 'text',
+            pollOptions || null,
+            allowMultipleAnswers === 'true' || allowMultipleAnswers === true ? 1 : 0,
+            parseInt(gapTime) || 10,
+            scheduledDate.toISOString(),
+            'pending',
+            fileData,
+            fileMimetype,
+            fileName,
+            mentions || null,
+            recurrence ? JSON.stringify(recurrence.rule) : null,
+            recurrence ? recurrence.cronExpression : null,
+            recurrence ? recurrence.timezone : null,
+            recurrence ? recurrence.endsAt : null,
+            recurrence ? recurrence.maxOccurrences : null
+        ], function(err) {
+            if (err) {
+                console.error('Error scheduling broadcast:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to schedule broadcast'
+                });
+            }
+
+            console.log(`📅 Broadcast scheduled for ${scheduledDate.toISOString()} (ID: ${this.lastID}${recurrence ? `, repeats: ${recurrence.cronExpression} ${recurrence.timezone}` : ''})`);
+
+            // OPTIMIZATION: Increment cache to avoid unnecessary DB queries
+            incrementBroadcastCache();
+
+            res.json({
+                success: true,
+                scheduleId: this.lastID,
+                scheduledTime: scheduledDate.toISOString(),
+                recurring: !!recurrence,
+                message: recurrence
+                    ? `Recurring broadcast scheduled, first run ${scheduledDate.toLocaleString('en-US', { timeZone: recurrence.timezone })} (${recurrence.timezone})`
+                    : `Broadcast scheduled for ${scheduledDate.toLocaleString()}`
+            });
+        });
+    } catch (error) {
+        console.error('Error scheduling broadcast:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to schedule broadcast'
+        });
+    }
+});
+
+// Get user's scheduled broadcasts
+app.get('/api/messages/broadcast/scheduled', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    const userId = req.user.userId;
+    const status = req.query.status || 'all'; // 'pending', 'paused', 'sent', 'failed', 'completed', 'all'
+
+    let query = `
+        SELECT id, group_ids, message, message_type, poll_options,
+               allow_multiple_answers, gap_time, scheduled_time, status,
+               created_at, executed_at, result_summary,
+               (file_data IS NOT NULL) as has_file, file_name,
+               recurrence, cron_expression, timezone, ends_at,
+               max_occurrences, occurrence_count, paused_at
+        FROM scheduled_broadcasts
+        WHERE user_id = ?
+    `;
+
+    const params = [userId];
+
+    if (status !== 'all') {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+
+    query += ' ORDER BY scheduled_time DESC';
+
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            console.error('Error fetching scheduled broadcasts:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch scheduled broadcasts'
+            });
+        }
+
+        // Parse JSON fields
+        const broadcasts = rows.map(formatScheduledBroadcast);
+
+        res.json({
+            success: true,
+            broadcasts
+        });
+    });
+});
+
+// Cancel (delete) a scheduled broadcast
+app.delete('/api/messages/broadcast/scheduled/:id', authenticateToken, requirePermission('messages:send'),
+    auditAction('broadcast.schedule.cancel', (req, body) => ({ targetType: 'scheduled_broadcast', targetId: req.params.id })), (req, res) => {
+    const userId = req.user.userId;
+    const scheduleId = req.params.id;
+
+    // First check if the broadcast belongs to the user and is still pending
+    db.get(`
+        SELECT id, status, scheduled_time
+        FROM scheduled_broadcasts
+        WHERE id = ? AND user_id = ?
+    `, [scheduleId, userId], (err, row) => {
+        if (err) {
+            console.error('Error checking scheduled broadcast:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to check scheduled broadcast'
+            });
+        }
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scheduled broadcast not found'
+            });
+        }
+
+        if (row.status !== 'pending' && row.status !== 'paused') {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot cancel a broadcast with status: ${row.status}`
+            });
+        }
+
+        // Delete the scheduled broadcast
+        db.run(`
+            DELETE FROM scheduled_broadcasts
+            WHERE id = ? AND user_id = ?
+        `, [scheduleId, userId], function(err) {
+            if (err) {
+                console.error('Error deleting scheduled broadcast:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to cancel scheduled broadcast'
+                });
+            }
+
+            db.run(`DELETE FROM broadcast_executions WHERE broadcast_id = ?`, [scheduleId], (err) => {
+                if (err) return console.error('Error deleting broadcast executions:', err);
+                deleteUnusedBroadcastContents(userId).catch(err => {
+                    console.error('Error deleting unused broadcast content:', err);
+                });
+            });
+
+            console.log(`🗑️ Scheduled broadcast ${scheduleId} cancelled by user ${userId}`);
+
+            // OPTIMIZATION: Decrement cache since broadcast was cancelled (paused ones aren't counted)
+            if (row.status === 'pending') {
+                decrementBroadcastCache();
+            }
+
+            res.json({
+                success: true,
+                message: 'Scheduled broadcast cancelled successfully'
+            });
+        });
+    });
+});
+
+// Update scheduled broadcast time
+app.put('/api/messages/broadcast/scheduled/:id', authenticateToken, requirePermission('messages:send'),
+    auditAction('broadcast.schedule.update', (req, body) => ({ targetType: 'scheduled_broadcast', targetId: req.params.id, details: { scheduledTime: body.scheduledTime } })), (req, res) => {
+    const userId = req.user.userId;
+    const scheduleId = req.params.id;
+    const { scheduledTime } = req.body;
+
+    if (!scheduledTime) {
+        return res.status(400).json({
+            success: false,
+            error: 'New scheduled time is required'
+        });
+    }
+
+    const newScheduledDate = new Date(scheduledTime);
+    const now = new Date();
+
+    // Validate scheduled time is in the future
+    if (newScheduledDate <= now) {
+        return res.status(400).json({
+            success: false,
+            error: 'Scheduled time must be in the future'
+        });
+    }
+
+    // First check if the broadcast belongs to the user and is still pending
+    db.get(`
+        SELECT id, status
+        FROM scheduled_broadcasts
+        WHERE id = ? AND user_id = ?
+    `, [scheduleId, userId], (err, row) => {
+        if (err) {
+            console.error('Error checking scheduled broadcast:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to check scheduled broadcast'
+            });
+        }
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scheduled broadcast not found'
+            });
+        }
+
+        if (row.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot update a broadcast with status: ${row.status}`
+            });
+        }
+
+        // Update the scheduled time
+        db.run(`
+            UPDATE scheduled_broadcasts
+            SET scheduled_time = ?
+            WHERE id = ? AND user_id = ?
+        `, [newScheduledDate.toISOString(), scheduleId, userId], function(err) {
+            if (err) {
+                console.error('Error updating scheduled broadcast:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to update scheduled broadcast'
+                });
+            }
+
+            console.log(`📅 Scheduled broadcast ${scheduleId} updated to ${newScheduledDate.toISOString()}`);
+            res.json({
+                success: true,
+                scheduledTime: newScheduledDate.toISOString(),
+                message: `Scheduled time updated to ${newScheduledDate.toLocaleString()}`
+            });
+        });
+    });
+});
+
+// Pause a recurring broadcast; no runs happen until it is resumed
+app.post('/api/messages/broadcast/scheduled/:id/pause', authenticateToken, requirePermission('messages:send'),
+    auditAction('broadcast.schedule.pause', (req, body) => ({ targetType: 'scheduled_broadcast', targetId: req.params.id })), async (req, res) => {
+    const userId = req.user.userId;
+    const scheduleId = req.params.id;
+
+    try {
+        const row = await dbGet(`
+            SELECT id, status, cron_expression
+            FROM scheduled_broadcasts
+            WHERE id = ? AND user_id = ?
+        `, [scheduleId, userId]);
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scheduled broadcast not found'
+            });
+        }
 
-        // Filter out null messages
-        const validMessages = processedMessages.filter(m => m !== null);
+        if (!row.cron_expression) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only recurring broadcasts can be paused'
+            });
+        }
 
-        // Deduplicate messages by ID (fix React duplicate key warning)
-        const uniqueMessages = [];
-        const seenIds = new Set();
-        for (const msg of validMessages) {
-            if (!seenIds.has(msg.id)) {
-                seenIds.add(msg.id);
-                uniqueMessages.push(msg);
-            } else {
-                console.log(`⚠️  Skipped duplicate message: ${msg.id}`);
-            }
+        if (row.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot pause a broadcast with status: ${row.status}`
+            });
         }
 
-        console.log(`✅ Fetched ${uniqueMessages.length} unique messages from channel ${channelId} (${validMessages.length - uniqueMessages.length} duplicates removed)`);
+        const pausedAt = new Date().toISOString();
+        await dbRun(`
+            UPDATE scheduled_broadcasts
+            SET status = 'paused', paused_at = ?
+            WHERE id = ? AND user_id = ?
+        `, [pausedAt, scheduleId, userId]);
+
+        decrementBroadcastCache();
 
+        console.log(`⏸️ Recurring broadcast ${scheduleId} paused by user ${userId}`);
         res.json({
             success: true,
-            channelId: channelId,
-            channelName: chat.name,
-            messages: uniqueMessages,
-            count: uniqueMessages.length
+            pausedAt,
+            message: 'Recurring broadcast paused'
         });
-
     } catch (error) {
-        console.error('Error fetching channel messages:', error);
+        console.error('Error pausing scheduled broadcast:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to fetch channel messages'
+            error: 'Failed to pause scheduled broadcast'
         });
     }
 });
 
-// POST /api/channels/add - Search for and "add" a channel by name
-app.post('/api/channels/add', authenticateToken, async (req, res) => {
+// Resume a paused recurring broadcast from its next occurrence after now (skipped runs are not made up)
+app.post('/api/messages/broadcast/scheduled/:id/resume', authenticateToken, requirePermission('messages:send'),
+    auditAction('broadcast.schedule.resume', (req, body) => ({ targetType: 'scheduled_broadcast', targetId: req.params.id, details: { status: body.status, scheduledTime: body.scheduledTime } })), async (req, res) => {
+    const userId = req.user.userId;
+    const scheduleId = req.params.id;
+
     try {
-        const { name } = req.body;
-        const userId = req.user.userId;
+        const row = await dbGet(`
+            SELECT id, status, cron_expression, timezone, ends_at, max_occurrences, occurrence_count
+            FROM scheduled_broadcasts
+            WHERE id = ? AND user_id = ?
+        `, [scheduleId, userId]);
 
-        if (!name || typeof name !== 'string' || name.trim() === '') {
-            return res.status(400).json({
+        if (!row) {
+            return res.status(404).json({
                 success: false,
-                error: 'Channel name is required'
+                error: 'Scheduled broadcast not found'
             });
         }
 
-        const channelName = name.trim();
-
-        // Check if user's WhatsApp client is ready
-        const userClient = whatsappClients.get(userId);
-        const isReady = userClientReady.get(userId);
-
-        if (!isReady || !userClient) {
-            return res.status(503).json({
+        if (row.status !== 'paused') {
+            return res.status(400).json({
                 success: false,
-                error: 'WhatsApp client is not ready. Please connect WhatsApp first.'
+                error: `Cannot resume a broadcast with status: ${row.status}`
             });
         }
 
-        // Use the dedicated getChannels() method to get all user's channels
-        const allChannels = await userClient.getChannels();
-
-        console.log(`🔍 DEBUG: User ${userId} has ${allChannels.length} channels`);
-
-        const channel = allChannels.find(chat =>
-            chat.name.toLowerCase().includes(channelName.toLowerCase())
-        );
-
-        if (!channel) {
-            // Return helpful error with list of available channels
-            const availableChannels = allChannels.map(ch => ({
-                name: ch.name,
-                description: ch.description || '',
-                subscriberCount: ch.size || 0
-            }));
+        const next = getNextOccurrence(row, new Date());
 
-            console.log(`❌ User ${userId} searched for channel "${channelName}" but not found. Available channels:`, availableChannels.map(ch => ch.name));
+        if (!next) {
+            await dbRun(`
+                UPDATE scheduled_broadcasts
+                SET status = 'completed', paused_at = NULL
+                WHERE id = ? AND user_id = ?
+            `, [scheduleId, userId]);
 
-            return res.status(404).json({
-                success: false,
-                error: `Channel "${channelName}" not found in your subscribed channels`,
-                availableChannels: availableChannels.slice(0, 10) // Return up to 10 channels as suggestions
+            return res.json({
+                success: true,
+                status: 'completed',
+                message: 'Recurring broadcast has no runs left and was marked completed'
             });
         }
 
-        // Return the channel info (no need to store in database, just return for selection)
-        const channelInfo = {
-            id: channel.id._serialized,
-            name: channel.name,
-            description: channel.description || '',
-            subscriberCount: channel.size || 0,
-            isNewsletter: true
-        };
+        await dbRun(`
+            UPDATE scheduled_broadcasts
+            SET status = 'pending', paused_at = NULL, scheduled_time = ?
+            WHERE id = ? AND user_id = ?
+        `, [next.toISOString(), scheduleId, userId]);
 
-        console.log(`✅ User ${userId} found channel: "${channel.name}"`);
+        incrementBroadcastCache();
 
+        console.log(`▶️ Recurring broadcast ${scheduleId} resumed by user ${userId}, next run ${next.toISOString()}`);
         res.json({
             success: true,
-            message: 'Channel found successfully',
-            channel: channelInfo
+            status: 'pending',
+            scheduledTime: next.toISOString(),
+            message: `Recurring broadcast resumed, next run ${next.toLocaleString('en-US', { timeZone: row.timezone || BROADCAST_TIMEZONE })}`
         });
-
     } catch (error) {
-        console.error('Error searching for channel:', error);
+        console.error('Error resuming scheduled broadcast:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to search for channel: ' + error.message
+            error: 'Failed to resume scheduled broadcast'
         });
     }
 });
 
-// DELETE /api/channels/:channelId - "Remove" a channel (just for UI consistency)
-app.delete('/api/channels/:channelId', authenticateToken, async (req, res) => {
-    try {
-        const { channelId } = req.params;
-        const userId = req.user.userId;
+// Runs of a scheduled broadcast owned by userId, newest first
+function sendBroadcastExecutions(userId, scheduleId, res) {
+    db.get(`SELECT id FROM scheduled_broadcasts WHERE id = ? AND user_id = ?`, [scheduleId, userId], (err, row) => {
+        if (err) {
+            console.error('Error checking scheduled broadcast:', err);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to check scheduled broadcast'
+            });
+        }
 
-        // Since channels aren't stored, just return success
-        // This is mainly for UI consistency with groups
-        console.log(`🗑️  User ${userId} stopped viewing channel: ${channelId}`);
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scheduled broadcast not found'
+            });
+        }
 
-        res.json({
-            success: true,
-            message: 'Channel removed from view',
-            channelId: channelId
-        });
+        db.all(`
+            SELECT id, occurrence, retry_of, scheduled_time, started_at, finished_at, status, result_summary
+            FROM broadcast_executions
+            WHERE broadcast_id = ?
+            ORDER BY scheduled_time DESC, id DESC
+        `, [scheduleId], (err, rows) => {
+            if (err) {
+                console.error('Error fetching broadcast executions:', err);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch broadcast executions'
+                });
+            }
 
-    } catch (error) {
-        console.error('Error removing channel:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to remove channel: ' + error.message
+            // Per-group delivery state, so an in-progress or interrupted run shows who already got it
+            db.all(`
+                SELECT execution_id, group_id, status, attempts, next_attempt_at, last_error, sent_at
+                FROM broadcast_deliveries
+                WHERE broadcast_id = ?
+                ORDER BY position ASC
+            `, [scheduleId], (err, deliveries) => {
+                if (err) {
+                    console.error('Error fetching broadcast deliveries:', err);
+                    return res.status(500).json({
+                        success: false,
+                        error: 'Failed to fetch broadcast executions'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    executions: rows.map(row => ({
+                        ...row,
+                        result_summary: row.result_summary ? JSON.parse(row.result_summary) : null,
+                        deliveries: deliveries
+                            .filter(d => d.execution_id === row.id)
+                            .map(({ execution_id, ...delivery }) => delivery)
+                    }))
+                });
+            });
         });
-    }
+    });
+}
+
+// Individual runs of a scheduled broadcast
+app.get('/api/messages/broadcast/scheduled/:id/executions', authenticateToken, requirePermission('messages:read'), (req, res) => {
+    sendBroadcastExecutions(req.user.userId, req.params.id, res);
 });
 
-// Get reactions for a specific message (works for both groups and channels)
-app.get('/api/messages/:messageId/reactions', authenticateToken, async (req, res) => {
+// Re-send a run's content to just the groups that failed, with the original gap time and mentions.
+// Defaults to the latest run; pass executionId to retry an older one. Sending happens in the background
+// and shows up as a new entry in the broadcast's run history. A run is retried at most once (409
+// after that); to try its still-failing groups again, retry the retry.
+app.post('/api/messages/broadcast/scheduled/:id/retry-failed', authenticateToken, requirePermission('messages:send'),
+    auditAction('broadcast.schedule.retry_failed', (req, body) => ({ targetType: 'scheduled_broadcast', targetId: req.params.id, details: { executionId: body.executionId, groupIds: body.groupIds } })), async (req, res) => {
+    const userId = req.user.userId;
+    const scheduleId = req.params.id;
+    const { executionId } = req.body || {};
+
     try {
-        const userId = req.user.userId;
-        const messageId = req.params.messageId;
+        const broadcast = await dbGet(`
+            SELECT * FROM scheduled_broadcasts
+            WHERE id = ? AND user_id = ?
+        `, [scheduleId, userId]);
 
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(503).json({
+        if (!broadcast) {
+            return res.status(404).json({
                 success: false,
-                error: 'WhatsApp client not ready'
+                error: 'Scheduled broadcast not found'
             });
         }
 
-        console.log(`❤️ Fetching reactions for message ${messageId}...`);
-
-        // Get the message object
-        const msg = await userClient.getMessageById(messageId);
+        const execution = executionId
+            ? await dbGet(`SELECT * FROM broadcast_executions WHERE id = ? AND broadcast_id = ?`, [executionId, scheduleId])
+            : await dbGet(`SELECT * FROM broadcast_executions WHERE broadcast_id = ? ORDER BY id DESC LIMIT 1`, [scheduleId]);
 
-        if (!msg) {
+        if (!execution) {
             return res.status(404).json({
                 success: false,
-                error: 'Message not found'
+                error: 'Broadcast run not found'
             });
         }
 
-        console.log(`📝 DEBUG Message object properties:`, {
-            hasReaction: msg.hasReaction,
-            type: msg.type,
-            availableMethods: Object.getOwnPropertyNames(Object.getPrototypeOf(msg)).filter(m => m.startsWith('get'))
-        });
+        if (execution.status === 'executing') {
+            return res.status(400).json({
+                success: false,
+                error: 'This run is still in progress'
+            });
+        }
 
-        // Get reactions
-        const reactions = await msg.getReactions();
-        console.log(`🔍 DEBUG Reactions raw:`, reactions);
+        const existingRetry = await dbGet(`SELECT id, status FROM broadcast_executions WHERE retry_of = ?`, [execution.id]);
+        if (existingRetry) {
+            return res.status(409).json({
+                success: false,
+                error: existingRetry.status === 'executing'
+                    ? 'This run is already being retried'
+                    : 'This run was already retried; retry that run instead',
+                retryExecutionId: existingRetry.id
+            });
+        }
 
-        // Add defensive check for undefined/null
-        if (!reactions || !Array.isArray(reactions)) {
-            console.log('⚠️  No reactions or reactions is not an array:', reactions);
-            return res.json({
-                success: true,
-                messageId: messageId,
-                totalReactions: 0,
-                reactions: []
+        // Per-group delivery rows where they exist; runs from before those were tracked only have the summary
+        const failedDeliveries = await dbAll(`
+            SELECT group_id FROM broadcast_deliveries
+            WHERE execution_id = ? AND status = 'failed'
+            ORDER BY position ASC
+        `, [execution.id]);
+
+        let failedGroupIds = failedDeliveries.map(d => d.group_id);
+        if (failedGroupIds.length === 0 && execution.result_summary) {
+            const summary = JSON.parse(execution.result_summary);
+            failedGroupIds = (summary.errors || []).map(e => e.groupId).filter(Boolean);
+        }
+
+        if (failedGroupIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No failed groups to retry'
             });
         }
 
-        // Process reactions to include name and phone
-        const processedReactions = await Promise.all(
-            reactions.map(async (reaction) => {
-                try {
-                    // Get contact details
-                    const contact = await userClient.getContactById(reaction.senderId);
-                    const phone = (contact.id && contact.id.user) ? contact.id.user : (contact.number || reaction.senderId.split('@')[0]);
-                    const name = contact.pushname || contact.name || contact.verifiedName || phone;
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
+                success: false,
+                error: 'WhatsApp client not ready'
+            });
+        }
 
-                    return {
-                        emoji: reaction.reaction,
-                        senderId: reaction.senderId,
-                        senderName: name,
-                        senderPhone: phone,
-                        timestamp: reaction.timestamp
-                    };
-                } catch (error) {
-                    // Fallback if contact fetch fails
-                    const phone = reaction.senderId.split('@')[0];
-                    return {
-                        emoji: reaction.reaction,
-                        senderId: reaction.senderId,
-                        senderName: phone,
-                        senderPhone: phone,
-                        timestamp: reaction.timestamp
-                    };
-                }
-            })
-        );
+        // The retry re-sends the content of the run it retries. Inserted only while the run has no retry
+        // yet, so two requests at once can't both start one.
+        const contentId = execution.content_id || await saveBroadcastContent(userId, broadcast);
+        const now = new Date().toISOString();
+        const retry = await dbRun(`
+            INSERT INTO broadcast_executions (broadcast_id, user_id, occurrence, scheduled_time, started_at, status, retry_of, content_id)
+            SELECT ?, ?, ?, ?, ?, 'executing', ?, ?
+            WHERE NOT EXISTS (SELECT 1 FROM broadcast_executions WHERE retry_of = ?)
+        `, [broadcast.id, userId, execution.occurrence, now, now, execution.id, contentId, execution.id]);
 
-        // Group reactions by emoji
-        const groupedReactions = {};
-        processedReactions.forEach(r => {
-            if (!groupedReactions[r.emoji]) {
-                groupedReactions[r.emoji] = [];
-            }
-            groupedReactions[r.emoji].push({
-                name: r.senderName,
-                phone: r.senderPhone,
-                timestamp: r.timestamp
+        if (retry.changes === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'This run is already being retried'
             });
-        });
+        }
 
-        // Convert to array format with counts
-        const reactionsSummary = Object.keys(groupedReactions).map(emoji => ({
-            emoji: emoji,
-            count: groupedReactions[emoji].length,
-            reactors: groupedReactions[emoji].sort((a, b) => a.name.localeCompare(b.name))
-        }));
+        await createBroadcastDeliveries(broadcast, retry.lastID, failedGroupIds);
 
-        console.log(`✅ Found ${reactions.length} reaction(s) for message ${messageId}`);
+        console.log(`🔁 Retrying ${failedGroupIds.length} failed group(s) of broadcast ${broadcast.id} run ${execution.id} (user ${userId})`);
+
+        processBroadcastDeliveries(broadcast, retry.lastID).catch(err => {
+            console.error(`Error retrying scheduled broadcast ${broadcast.id}:`, err);
+        });
 
         res.json({
             success: true,
-            messageId: messageId,
-            totalReactions: reactions.length,
-            reactions: reactionsSummary
+            executionId: retry.lastID,
+            groupIds: failedGroupIds,
+            message: `Re-sending to ${failedGroupIds.length} failed group(s)`
         });
-
     } catch (error) {
-        console.error('Error fetching reactions:', error);
+        console.error('Error retrying failed broadcast groups:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to fetch reactions'
+            error: 'Failed to retry broadcast'
         });
     }
 });
 
-// Get messages from all groups
-app.get('/api/messages', authenticateToken, (req, res) => {
+// "HOMEWORK,question" -> ['HOMEWORK', 'QUESTION']
+function eventTypesParam(value) {
+    if (!value) return [];
+    return [...new Set(String(value).split(',').map(type => type.trim().toUpperCase()).filter(Boolean))];
+}
+
+// Get events (joins/leaves, certificates and rule events) from all groups
+app.get('/api/events', authenticateToken, requirePermission('messages:read', 'events:read'), (req, res) => {
     const userId = req.user.userId;
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
+    const date = req.query.date; // Optional: filter by specific date (YYYY-MM-DD) or date range (YYYY-MM-DD,YYYY-MM-DD)
+    const memberId = req.query.memberId; // Optional: filter by member phone number
+    const types = eventTypesParam(req.query.type); // Optional: filter by event type(s), e.g. "HOMEWORK" or "JOIN,LEAVE"
 
-    // Get total count for this user
-    db.get('SELECT COUNT(*) as total FROM messages WHERE user_id = ?', [userId], (err, countRow) => {
+    // Build WHERE clause dynamically
+    let whereConditions = ['user_id = ?'];
+    let params = [userId];
+
+    if (date) {
+        // Check if date is a range (contains comma)
+        if (date.includes(',')) {
+            const [startDate, endDate] = date.split(',');
+            whereConditions.push('date BETWEEN ? AND ?');
+            params.push(startDate, endDate);
+        } else {
+            // Single date
+            whereConditions.push('date = ?');
+            params.push(date);
+        }
+    }
+
+    if (memberId) {
+        whereConditions.push('member_id = ?');
+        params.push(memberId);
+    }
+
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+    // Get total count with filters
+    db.get(`SELECT COUNT(*) as total FROM events ${whereClause}`, params, (err, countRow) => {
         if (err) {
             return res.status(500).json({ success: false, error: err.message });
         }
 
-        // Get paginated messages for this user (sorted by timestamp DESC - newest first)
+        // Get paginated events with filters
         db.all(`
-            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
-            FROM messages
-            WHERE user_id = ?
+            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
+                   member_name as memberName, type, timestamp, date,
+                   detected_after_downtime as detectedAfterDowntime, window_start as windowStart, window_end as windowEnd
+            FROM events
+            ${whereClause}
             ORDER BY timestamp DESC
             LIMIT ? OFFSET ?
-        `, [userId, limit, offset], (err, rows) => {
+        `, [...params, limit, offset], (err, rows) => {
             if (err) {
                 return res.status(500).json({ success: false, error: err.message });
             }
 
             res.json({
                 success: true,
-                messages: rows,
+                events: rows,
                 total: countRow.total,
                 limit: limit,
                 offset: offset,
-                hasMore: offset + limit < countRow.total
+                hasMore: offset + limit < countRow.total,
+                filters: { date, memberId }
             });
         });
     });
 });
 
-// Get messages from a specific group
-app.get('/api/messages/:groupId', authenticateToken, (req, res) => {
+// Get events from a specific group
+app.get('/api/events/:groupId', authenticateToken, requirePermission('messages:read', 'events:read'), (req, res) => {
     const userId = req.user.userId;
     const groupId = req.params.groupId;
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
 
+    const types = eventTypesParam(req.query.type);
+
     const userGroups = userMonitoredGroups.get(userId);
     const groupInfo = userGroups?.get(groupId);
 
+    const typeFilter = types.length > 0 ? ` AND type IN (${types.map(() => '?').join(', ')})` : '';
+
     // Get total count for this group and user
-    db.get('SELECT COUNT(*) as total FROM messages WHERE group_id = ? AND user_id = ?', [groupId, userId], (err, countRow) => {
+    db.get(`SELECT COUNT(*) as total FROM events WHERE group_id = ? AND user_id = ?${typeFilter}`, [groupId, userId, ...types], (err, countRow) => {
         if (err) {
             return res.status(500).json({ success: false, error: err.message });
         }
 
-        // Get paginated messages for this group and user
+        // Get paginated events for this group and user
         db.all(`
-            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
-            FROM messages
-            WHERE group_id = ? AND user_id = ?
+            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
+                   member_name as memberName, type, timestamp, date,
+                   detected_after_downtime as detectedAfterDowntime, window_start as windowStart, window_end as windowEnd
+            FROM events
+            WHERE group_id = ? AND user_id = ?${typeFilter}
             ORDER BY timestamp DESC
             LIMIT ? OFFSET ?
-        `, [groupId, userId, limit, offset], (err, rows) => {
+        `, [groupId, userId, ...types, limit, offset], (err, rows) => {
             if (err) {
                 return res.status(500).json({ success: false, error: err.message });
             }
@@ -2693,7 +5939,7 @@ app.get('/api/messages/:groupId', authenticateToken, (req, res) => {
             res.json({
                 success: true,
                 groupName: groupInfo?.name || 'Unknown',
-                messages: rows,
+                events: rows,
                 total: countRow.total,
                 limit: limit,
                 offset: offset,
@@ -2703,964 +5949,1332 @@ app.get('/api/messages/:groupId', authenticateToken, (req, res) => {
     });
 });
 
-// Send message to a group
-app.post('/api/messages/send', authenticateToken, upload.single('file'), async (req, res) => {
-    const userId = req.user.userId;
-    const { groupId, message, messageType, pollOptions, allowMultipleAnswers, replyToMessageId, mentions } = req.body;
-    const file = req.file;
+// ============================================
+// FULL-TEXT SEARCH
+// ============================================
 
-    try {
-        // Check if user's WhatsApp client is ready
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
-            });
-        }
+// Query-side half of the normalization the messages_fts triggers apply (ARABIC_NORMALIZATION, migrations.js)
+function normalizeSearchText(text) {
+    let normalized = text || '';
+    for (const [from, to] of ARABIC_NORMALIZATION) {
+        normalized = normalized.split(from).join(to);
+    }
+    return normalized;
+}
 
-        // Verify user has access to this group
-        const userGroups = userMonitoredGroups.get(userId);
-        if (!userGroups || !userGroups.has(groupId)) {
-            return res.status(403).json({
-                success: false,
-                error: 'You do not have access to this group'
-            });
-        }
+const SEARCH_FIELDS = ['from', 'group', 'before', 'after', 'has'];
 
-        // Get the WhatsApp chat object
-        const chat = await userClient.getChatById(groupId);
-        if (!chat) {
-            return res.status(404).json({
-                success: false,
-                error: 'Group not found'
-            });
+// Split a query into terms and field filters. Supports "exact phrases", prefix*, OR, AND, NOT / -term,
+// from:, group:, before:YYYY-MM-DD, after:YYYY-MM-DD and has:reply.
+// Returns { match, filters } where match is an FTS5 MATCH expression (null for filter-only queries),
+// or { error } when the query can't be searched.
+function parseSearchQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
         }
 
-        let sentMessage;
+        let negate = false;
+        if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            negate = true;
+            i++;
+        }
 
-        // Handle different message types
-        if (messageType === 'poll' && pollOptions) {
-            // Send poll
-            const options = JSON.parse(pollOptions);
-            if (!options || options.length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Poll must have at least 2 options'
-                });
-            }
+        let field = null;
+        const fieldMatch = /^([a-zA-Z]+):(?=\S)/.exec(query.slice(i));
+        if (fieldMatch && SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+            field = fieldMatch[1].toLowerCase();
+            i += fieldMatch[0].length;
+        }
 
-            // Create Poll object (question, optionsArray, pollSendOptions)
-            const allowMultiple = allowMultipleAnswers === 'true' || allowMultipleAnswers === true;
-            const poll = new Poll(message, options, { allowMultipleAnswers: allowMultiple });
-            sentMessage = await chat.sendMessage(poll);
-        } else if (file) {
-            // Send media (image, video, document)
-            const media = new MessageMedia(
-                file.mimetype,
-                file.buffer.toString('base64'),
-                file.originalname
-            );
+        let value;
+        let quoted = false;
+        if (query[i] === '"') {
+            const end = query.indexOf('"', i + 1);
+            value = query.slice(i + 1, end === -1 ? query.length : end);
+            i = end === -1 ? query.length : end + 1;
+            quoted = true;
+        } else {
+            const start = i;
+            while (i < query.length && !/\s/.test(query[i])) i++;
+            value = query.slice(start, i);
+        }
 
-            sentMessage = await chat.sendMessage(media, {
-                caption: message || ''
-            });
-        } else if (message && message.trim()) {
-            // Send text message
-            // Parse mentions if provided
-            let parsedMentions = [];
-            if (mentions) {
-                try {
-                    parsedMentions = typeof mentions === 'string' ? JSON.parse(mentions) : mentions;
-                } catch (e) {
-                    console.error('Error parsing mentions:', e);
-                }
-            }
+        tokens.push({ negate, field, value, quoted });
+    }
 
-            const messageOptions = {};
-            if (parsedMentions && parsedMentions.length > 0) {
-                // Convert mention IDs to Contact objects
-                const mentionContacts = [];
-                for (const mentionId of parsedMentions) {
-                    try {
-                        const contact = await userClient.getContactById(mentionId);
-                        if (contact) {
-                            mentionContacts.push(contact);
-                        }
-                    } catch (err) {
-                        console.error(`Error getting contact for mention ${mentionId}:`, err);
-                    }
+    const filters = { from: [], group: [], before: null, after: null, hasReply: false };
+    const orGroups = []; // Terms inside a group are ORed, groups are ANDed
+    const negatives = [];
+    let pendingOr = false;
+    let pendingNot = false;
+
+    for (const token of tokens) {
+        if (token.field) {
+            if (token.field === 'from' || token.field === 'group') {
+                filters[token.field].push(token.value);
+            } else if (token.field === 'before' || token.field === 'after') {
+                const date = new Date(token.value);
+                if (isNaN(date.getTime())) {
+                    return { error: `Invalid date for ${token.field}: "${token.value}" (use YYYY-MM-DD)` };
                 }
-                if (mentionContacts.length > 0) {
-                    messageOptions.mentions = mentionContacts;
+                filters[token.field] = date.toISOString();
+            } else if (token.field === 'has') {
+                if (token.value.toLowerCase() !== 'reply') {
+                    return { error: `Unsupported filter has:${token.value} (only has:reply is supported)` };
                 }
+                filters.hasReply = true;
             }
+            continue;
+        }
 
-            if (replyToMessageId) {
-                // Fetch the message to reply to
-                const messages = await chat.fetchMessages({ limit: 1000 });
-                const messageToReply = messages.find(msg => msg.id._serialized === replyToMessageId);
+        if (!token.quoted && !token.negate) {
+            if (token.value === 'OR') { pendingOr = orGroups.length > 0; continue; }
+            if (token.value === 'AND') { continue; }
+            if (token.value === 'NOT') { pendingNot = true; continue; }
+        }
 
-                if (messageToReply) {
-                    sentMessage = await messageToReply.reply(message, null, messageOptions);
-                } else {
-                    // If message not found, send regular message with mentions
-                    sentMessage = await chat.sendMessage(message, messageOptions);
-                }
-            } else {
-                sentMessage = await chat.sendMessage(message, messageOptions);
-            }
+        let text = token.value;
+        let prefix = false;
+        if (!token.quoted && text.endsWith('*')) {
+            text = text.replace(/\*+$/, '');
+            prefix = true;
+        }
+
+        text = normalizeSearchText(text);
+        if (!/[\p{L}\p{N}]/u.test(text)) {
+            continue; // Nothing the tokenizer would index
+        }
+
+        const ftsTerm = `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+
+        if (token.negate || pendingNot) {
+            negatives.push(ftsTerm);
+        } else if (pendingOr) {
+            orGroups[orGroups.length - 1].push(ftsTerm);
         } else {
-            return res.status(400).json({
-                success: false,
-                error: 'Message content or file is required'
-            });
+            orGroups.push([ftsTerm]);
         }
+        pendingOr = false;
+        pendingNot = false;
+    }
 
-        // Get sender info (the logged-in user)
-        const contact = await userClient.getContactById(sentMessage.from);
-        const senderName = contact.pushname || contact.name || contact.verifiedName || contact.number || 'You';
+    const hasFilters = filters.from.length > 0 || filters.group.length > 0 || filters.before || filters.after || filters.hasReply;
 
-        // Get reply information if this is a reply
-        let repliedToMessageId = null;
-        let repliedToSender = null;
-        let repliedToMessage = null;
+    if (orGroups.length === 0) {
+        if (negatives.length > 0) {
+            return { error: 'Excluded terms need at least one term to search for' };
+        }
+        if (!hasFilters) {
+            return { error: 'Search query is empty' };
+        }
+        return { match: null, filters };
+    }
 
-        if (sentMessage.hasQuotedMsg) {
-            const quotedMsg = await sentMessage.getQuotedMessage();
-            if (quotedMsg) {
-                repliedToMessageId = quotedMsg.id._serialized;
-                repliedToMessage = quotedMsg.body || '[Media]';
+    let match = orGroups.map(group => group.length > 1 ? `(${group.join(' OR ')})` : group[0]).join(' AND ');
+    for (const negative of negatives) {
+        match += ` NOT ${negative}`;
+    }
 
-                // Get sender of quoted message
-                try {
-                    const quotedContact = await userClient.getContactById(quotedMsg.from);
-                    repliedToSender = quotedContact.pushname || quotedContact.name || quotedContact.number || 'Unknown';
-                } catch (err) {
-                    repliedToSender = 'Unknown';
-                }
+    return { match, filters };
+}
+
+const SNIPPET_LEAD_CHARS = 60;  // Shown before the first match
+const SNIPPET_MAX_CHARS = 200;
+
+function escapeSnippetText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// messages_fts.body holds the normalized text, so highlight() marks matches (\x02/\x03) in that.
+// The normalization only drops characters or swaps one for another, so each normalized character
+// maps back to one in the original message; the snippet is cut from the original around the first
+// match, escaped, with <mark> around the mapped matches.
+function buildSearchSnippet(original, highlighted) {
+    if (!highlighted) return null;
+    original = original || '';
+
+    const normalizedToOriginal = [];
+    for (let i = 0; i < original.length; i++) {
+        if (normalizeSearchText(original[i])) normalizedToOriginal.push(i);
+    }
+    normalizedToOriginal.push(original.length);
+
+    const ranges = [];
+    let normalizedLength = 0;
+    let matchStart = null;
+    for (const char of highlighted) {
+        if (char === '\x02') {
+            matchStart = normalizedLength;
+        } else if (char === '\x03') {
+            if (matchStart !== null && normalizedLength > matchStart) {
+                // Ends where the next kept character starts, so harakat trailing the match stay inside it
+                ranges.push([normalizedToOriginal[matchStart], normalizedToOriginal[normalizedLength]]);
             }
+            matchStart = null;
+        } else {
+            normalizedLength += char.length;
         }
+    }
+    if (normalizedLength !== normalizedToOriginal.length - 1 || ranges.length === 0) {
+        return null; // Index out of step with the message; the client shows the message instead
+    }
 
-        // Save sent message to database
-        const messageData = {
-            id: sentMessage.id._serialized,
-            groupId: groupId,
-            groupName: userGroups.get(groupId)?.name || 'Unknown',
-            sender: senderName,
-            senderId: sentMessage.from,
-            message: messageType === 'poll' ? `📊 Poll: ${message}` : (message || getMediaTypeLabel(file?.mimetype)),
-            timestamp: new Date(sentMessage.timestamp * 1000).toISOString(),
-            repliedToMessageId,
-            repliedToSender,
-            repliedToMessage
-        };
+    let start = Math.max(0, ranges[0][0] - SNIPPET_LEAD_CHARS);
+    let end = Math.min(original.length, start + SNIPPET_MAX_CHARS);
+    // Snap to whitespace so the snippet doesn't open or close mid-word
+    if (start > 0) {
+        const space = original.slice(start, ranges[0][0]).search(/\s/);
+        if (space !== -1) start += space + 1;
+    }
+    if (end < original.length) {
+        const space = original.slice(ranges[0][1], end).search(/\s\S*$/);
+        if (space !== -1) end = ranges[0][1] + space;
+    }
+
+    let snippet = start > 0 ? '…' : '';
+    let position = start;
+    for (const [from, to] of ranges) {
+        if (to <= position || from >= end) continue;
+        const markFrom = Math.max(from, position);
+        const markTo = Math.min(to, end);
+        snippet += escapeSnippetText(original.slice(position, markFrom))
+            + '<mark>' + escapeSnippetText(original.slice(markFrom, markTo)) + '</mark>';
+        position = markTo;
+    }
+    snippet += escapeSnippetText(original.slice(position, end));
+    return end < original.length ? snippet + '…' : snippet;
+}
+
+function encodeSearchCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Search messages
+app.get('/api/search', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    const userId = req.user.userId;
+    const query = req.query.q || '';
+    const groupId = req.query.groupId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!query) {
+        return res.status(400).json({
+            success: false,
+            error: 'Query parameter "q" is required'
+        });
+    }
+
+    const parsed = parseSearchQuery(query);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    // Filter-only queries have no relevance score, so they are always sorted by recency
+    const sort = parsed.match && req.query.sort !== 'recent' ? 'relevance' : 'recent';
+
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeSearchCursor(req.query.cursor);
+        if (!cursor || cursor.sort !== sort) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+    }
+
+    const whereConditions = ['m.user_id = ?'];
+    const params = [userId];
 
-        db.run(`
-            INSERT OR REPLACE INTO messages (id, user_id, group_id, group_name, sender, sender_id, message, timestamp, replied_to_message_id, replied_to_sender, replied_to_message)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            messageData.id,
-            userId,
-            messageData.groupId,
-            messageData.groupName,
-            messageData.sender,
-            messageData.senderId,
-            messageData.message,
-            messageData.timestamp,
-            messageData.repliedToMessageId,
-            messageData.repliedToSender,
-            messageData.repliedToMessage
-        ], (err) => {
-            if (err) {
-                console.error('Error saving sent message to database:', err);
-            }
-        });
+    if (parsed.match) {
+        whereConditions.push('messages_fts MATCH ?');
+        params.push(parsed.match);
+    }
+    if (groupId) {
+        whereConditions.push('m.group_id = ?');
+        params.push(groupId);
+    }
+    for (const from of parsed.filters.from) {
+        whereConditions.push('(m.sender LIKE ? OR m.sender_id LIKE ?)');
+        params.push(`%${from}%`, `%${from}%`);
+    }
+    for (const group of parsed.filters.group) {
+        whereConditions.push('(m.group_name LIKE ? OR m.group_id = ?)');
+        params.push(`%${group}%`, group);
+    }
+    if (parsed.filters.before) {
+        whereConditions.push('m.timestamp < ?');
+        params.push(parsed.filters.before);
+    }
+    if (parsed.filters.after) {
+        whereConditions.push('m.timestamp >= ?');
+        params.push(parsed.filters.after);
+    }
+    if (parsed.filters.hasReply) {
+        whereConditions.push('m.replied_to_message_id IS NOT NULL');
+    }
 
-        // Broadcast the new message via WebSocket
-        broadcast({
-            type: 'message',
-            userId: userId,
-            message: messageData
-        });
+    const fromClause = parsed.match
+        ? 'messages_fts JOIN messages m ON m.rowid = messages_fts.rowid'
+        : 'messages m';
+    const scoreColumn = parsed.match ? 'bm25(messages_fts)' : '0';
+    const highlightColumn = parsed.match ? 'highlight(messages_fts, 0, char(2), char(3))' : 'NULL';
+
+    let cursorClause = '';
+    const cursorParams = [];
+    if (cursor && sort === 'relevance') {
+        cursorClause = 'WHERE (score > ? OR (score = ? AND rid > ?))';
+        cursorParams.push(cursor.score, cursor.score, cursor.rowid);
+    } else if (cursor) {
+        cursorClause = 'WHERE (timestamp < ? OR (timestamp = ? AND rid < ?))';
+        cursorParams.push(cursor.timestamp, cursor.timestamp, cursor.rowid);
+    }
+    const orderClause = sort === 'relevance' ? 'ORDER BY score ASC, rid ASC' : 'ORDER BY timestamp DESC, rid DESC';
+
+    try {
+        const countRow = await dbGet(`
+            SELECT COUNT(*) as total FROM ${fromClause}
+            WHERE ${whereConditions.join(' AND ')}
+        `, params);
+
+        const rows = await dbAll(`
+            SELECT * FROM (
+                SELECT m.rowid as rid, m.id, m.group_id as groupId, m.group_name as groupName, m.sender,
+                       m.sender_id as senderId, m.message, m.timestamp,
+                       m.replied_to_message_id as repliedToMessageId, m.replied_to_sender as repliedToSender,
+                       m.replied_to_message as repliedToMessage,
+                       ${scoreColumn} as score, ${highlightColumn} as highlighted
+                FROM ${fromClause}
+                WHERE ${whereConditions.join(' AND ')}
+            )
+            ${cursorClause}
+            ${orderClause}
+            LIMIT ?
+        `, [...params, ...cursorParams, limit + 1]);
+
+        const hasMore = rows.length > limit;
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = hasMore && last
+            ? encodeSearchCursor({ sort, score: last.score, timestamp: last.timestamp, rowid: last.rid })
+            : null;
 
         res.json({
             success: true,
-            message: messageData
-        });
-    } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to send message'
+            query: query,
+            sort: sort,
+            results: page.map(({ rid, score, highlighted, ...row }) => ({
+                ...row,
+                snippet: buildSearchSnippet(row.message, highlighted)
+            })),
+            total: countRow.total,
+            hasMore: hasMore,
+            nextCursor: nextCursor
         });
+    } catch (err) {
+        // FTS5 syntax errors surface here for queries the parser let through
+        const status = /fts5|syntax/i.test(err.message) ? 400 : 500;
+        res.status(status).json({ success: false, error: err.message });
     }
 });
 
-// Helper function to get media type label
-function getMediaTypeLabel(mimetype) {
-    if (!mimetype) return '[Media]';
-    if (mimetype.startsWith('image/')) return '[Image]';
-    if (mimetype.startsWith('video/')) return '[Video]';
-    if (mimetype.startsWith('audio/')) return '[Audio]';
-    return '[Document]';
-}
-
-// Broadcast message to multiple groups
-app.post('/api/messages/broadcast', authenticateToken, upload.single('file'), async (req, res) => {
-    const userId = req.user.userId;
-    const { groupIds, message, messageType, pollOptions, gapTime, allowMultipleAnswers, mentions } = req.body;
-    const file = req.file;
-
+// Translate single message (Arabic to Chinese)
+app.post('/api/translate-message', authenticateToken, requirePermission('messages:read'), translateLimiter, async (req, res) => {
     try {
-        // Validate inputs
-        if (!groupIds || !Array.isArray(JSON.parse(groupIds)) || JSON.parse(groupIds).length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'At least one group must be selected'
-            });
-        }
-
-        const parsedGroupIds = JSON.parse(groupIds);
-        const gapTimeMs = parseInt(gapTime) * 1000; // Convert seconds to milliseconds
+        const { messageId, text } = req.body;
 
-        // Ensure minimum gap time of 10 seconds
-        if (gapTimeMs < 10000) {
+        if (!text || typeof text !== 'string') {
             return res.status(400).json({
                 success: false,
-                error: 'Gap time must be at least 10 seconds'
+                error: 'Text is required'
             });
         }
 
-        // Check if user's WhatsApp client is ready
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
+        // Every call goes to the translation service, so keep it to message-sized text
+        if (text.length > 5000) {
             return res.status(400).json({
                 success: false,
-                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+                error: 'Text is too long to translate (max 5000 characters)'
             });
         }
 
-        const results = [];
-        const errors = [];
-
-        // Send to each group with delay
-        for (let i = 0; i < parsedGroupIds.length; i++) {
-            const groupId = parsedGroupIds[i];
-
-            // Wait before sending to this group (except for the first one)
-            if (i > 0) {
-                console.log(`⏳ Waiting ${gapTime} seconds before next broadcast...`);
-                await new Promise(resolve => setTimeout(resolve, gapTimeMs));
-            }
-
-            try {
-                // Get the WhatsApp chat object
-                const chat = await userClient.getChatById(groupId);
-                if (!chat) {
-                    errors.push({ groupId, error: 'Group not found' });
-                    continue;
-                }
-
-                let sentMessage;
-
-                // Handle different message types (same logic as regular send)
-                if (messageType === 'poll' && pollOptions) {
-                    const options = JSON.parse(pollOptions);
-                    if (!options || options.length < 2) {
-                        errors.push({ groupId, error: 'Poll must have at least 2 options' });
-                        continue;
-                    }
-
-                    const allowMultiple = allowMultipleAnswers === 'true' || allowMultipleAnswers === true;
-                    const poll = new Poll(message, options, { allowMultipleAnswers: allowMultiple });
-                    sentMessage = await chat.sendMessage(poll);
-                } else if (file) {
-                    const media = new MessageMedia(
-                        file.mimetype,
-                        file.buffer.toString('base64'),
-                        file.originalname
-                    );
-
-                    sentMessage = await chat.sendMessage(media, {
-                        caption: message || ''
-                    });
-                } else if (message && message.trim()) {
-                    // Parse mentions if provided
-                    let parsedMentions = [];
-                    if (mentions) {
-                        try {
-                            parsedMentions = typeof mentions === 'string' ? JSON.parse(mentions) : mentions;
-                        } catch (e) {
-                            console.error('Error parsing mentions:', e);
-                        }
-                    }
-
-                    const messageOptions = {};
-                    if (parsedMentions && parsedMentions.length > 0) {
-                        // Convert mention IDs to Contact objects
-                        const mentionContacts = [];
-                        for (const mentionId of parsedMentions) {
-                            try {
-                                const contact = await userClient.getContactById(mentionId);
-                                if (contact) {
-                                    mentionContacts.push(contact);
-                                }
-                            } catch (err) {
-                                console.error(`Error getting contact for mention ${mentionId}:`, err);
-                            }
-                        }
-                        if (mentionContacts.length > 0) {
-                            messageOptions.mentions = mentionContacts;
-                        }
-                    }
-
-                    sentMessage = await chat.sendMessage(message, messageOptions);
-                } else {
-                    errors.push({ groupId, error: 'Message content or file is required' });
-                    continue;
-                }
+        console.log(`🔄 Translating message ${messageId}: ${text.substring(0, 50)}...`);
 
-                results.push({
-                    groupId,
-                    messageId: sentMessage.id._serialized,
-                    success: true
-                });
+        // Translate from Arabic to Simplified Chinese
+        const result = await translate(text, { from: 'ar', to: 'zh-CN' });
 
-                console.log(`✅ Broadcast message sent to group ${groupId}`);
-            } catch (error) {
-                console.error(`❌ Error sending to group ${groupId}:`, error);
-                errors.push({ groupId, error: error.message });
-            }
-        }
+        console.log(`✅ Translation complete: ${result.text.substring(0, 50)}...`);
 
         res.json({
             success: true,
-            results,
-            errors,
-            totalSent: results.length,
-            totalFailed: errors.length,
-            message: `Broadcast completed: ${results.length} sent, ${errors.length} failed`
+            messageId: messageId,
+            original: text,
+            translated: result.text
         });
     } catch (error) {
-        console.error('Error in broadcast:', error);
+        console.error('Translation error:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to broadcast message'
+            error: error.message
         });
     }
 });
 
-// Schedule a broadcast for future execution
-app.post('/api/messages/broadcast/schedule', authenticateToken, upload.single('file'), async (req, res) => {
+// Get statistics
+// Rows of { group_id, type, count } -> { totals: { TYPE: count }, byGroup: Map(groupId -> { TYPE: count }) }
+function countEventTypes(rows) {
+    const totals = {};
+    const byGroup = new Map();
+    for (const row of rows) {
+        totals[row.type] = (totals[row.type] || 0) + row.count;
+        if (!byGroup.has(row.group_id)) byGroup.set(row.group_id, {});
+        byGroup.get(row.group_id)[row.type] = row.count;
+    }
+    return { totals, byGroup };
+}
+
+app.get('/api/stats', authenticateToken, requirePermission('analytics:read'), (req, res) => {
     const userId = req.user.userId;
-    const { groupIds, message, messageType, pollOptions, gapTime, allowMultipleAnswers, scheduledTime, mentions } = req.body;
-    const file = req.file;
+    const dateParam = req.query.date; // Format: "YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD"
 
-    try {
-        // Validate inputs
-        if (!groupIds || !Array.isArray(JSON.parse(groupIds)) || JSON.parse(groupIds).length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'At least one group must be selected'
-            });
+    const stats = {
+        groups: [],
+        totalMessages: 0,
+        totalEvents: 0,
+        activeUsers: 0
+    };
+
+    // Build date filter for queries
+    let dateFilter = '';
+    let dateParams = [userId];
+
+    if (dateParam) {
+        if (dateParam.includes(',')) {
+            // Date range
+            const [startDate, endDate] = dateParam.split(',');
+            dateFilter = ' AND DATE(timestamp) BETWEEN ? AND ?';
+            dateParams.push(startDate, endDate);
+        } else {
+            // Single date
+            dateFilter = ' AND DATE(timestamp) = ?';
+            dateParams.push(dateParam);
         }
+    }
 
-        if (!scheduledTime) {
-            return res.status(400).json({
-                success: false,
-                error: 'Scheduled time is required'
-            });
+    // Get total message count for this user (with optional date filter)
+    db.get(`SELECT COUNT(*) as total FROM messages WHERE user_id = ?${dateFilter}`, dateParams, (err, msgCountRow) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
         }
 
-        const scheduledDate = new Date(scheduledTime);
-        const now = new Date();
+        // Get total event count for this user (with optional date filter)
+        db.get(`SELECT COUNT(*) as total FROM events WHERE user_id = ?${dateFilter}`, dateParams, (err, eventCountRow) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
 
-        // Validate scheduled time is in the future
-        if (scheduledDate <= now) {
-            return res.status(400).json({
-                success: false,
-                error: 'Scheduled time must be in the future'
-            });
-        }
+            // Get active users count (distinct senders who sent messages in date range)
+            db.get(`SELECT COUNT(DISTINCT sender_id) as total FROM messages WHERE user_id = ?${dateFilter}`, dateParams, (err, activeUsersRow) => {
+                if (err) {
+                    return res.status(500).json({ success: false, error: err.message });
+                }
 
-        const parsedGroupIds = JSON.parse(groupIds);
+                stats.totalMessages = msgCountRow.total;
+                stats.totalEvents = eventCountRow.total;
+                stats.activeUsers = activeUsersRow.total;
 
-        // Store file as base64 if present
-        let fileData = null;
-        let fileMimetype = null;
-        let fileName = null;
-        if (file) {
-            fileData = file.buffer.toString('base64');
-            fileMimetype = file.mimetype;
-            fileName = file.originalname;
-        }
+            // Event counts by type (JOIN, LEAVE, CERTIFICATE and rule event types), overall and per group
+            db.all(`SELECT group_id, type, COUNT(*) as count FROM events WHERE user_id = ?${dateFilter} GROUP BY group_id, type`, dateParams, (err, typeRows) => {
+                const eventTypeCounts = countEventTypes(err ? [] : typeRows);
+                stats.eventTypes = eventTypeCounts.totals;
 
-        // Insert scheduled broadcast into database
-        db.run(`
-            INSERT INTO scheduled_broadcasts (
-                user_id, group_ids, message, message_type, poll_options,
-                allow_multiple_answers, gap_time, scheduled_time, status,
-                file_data, file_mimetype, file_name, mentions
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            userId,
-            JSON.stringify(parsedGroupIds),
-            message || null,
-            messageType || 'text',
-            pollOptions || null,
-            allowMultipleAnswers === 'true' || allowMultipleAnswers === true ? 1 : 0,
-            parseInt(gapTime) || 10,
-            scheduledDate.toISOString(),
-            'pending',
-            fileData,
-            fileMimetype,
-            fileName,
-            mentions || null
-        ], function(err) {
-            if (err) {
-                console.error('Error scheduling broadcast:', err);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to schedule broadcast'
+                // Get user's groups
+                const userGroups = userMonitoredGroups.get(userId);
+                if (!userGroups || userGroups.size === 0) {
+                    return res.json({
+                        success: true,
+                        stats: stats,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const groupIds = Array.from(userGroups.keys());
+                let processed = 0;
+
+                groupIds.forEach(groupId => {
+                    const groupInfo = userGroups.get(groupId);
+
+                    // Build params for group queries
+                    const groupParams = [groupId, userId];
+                    if (dateParam) {
+                        if (dateParam.includes(',')) {
+                            const [startDate, endDate] = dateParam.split(',');
+                            groupParams.push(startDate, endDate);
+                        } else {
+                            groupParams.push(dateParam);
+                        }
+                    }
+
+                    // Get message count for this group and user (with date filter)
+                    db.get(`SELECT COUNT(*) as count FROM messages WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, msgCount) => {
+                        if (err) {
+                            processed++;
+                            if (processed === groupIds.length) {
+                                return res.json({ success: true, stats, timestamp: new Date().toISOString() });
+                            }
+                            return;
+                        }
+
+                        // Get event count for this group and user (with date filter)
+                        db.get(`SELECT COUNT(*) as count FROM events WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, eventCount) => {
+                            if (err) {
+                                processed++;
+                                if (processed === groupIds.length) {
+                                    return res.json({ success: true, stats, timestamp: new Date().toISOString() });
+                                }
+                                return;
+                            }
+
+                            // Get top senders for this group and user (with date filter)
+                            db.all(`
+                                SELECT sender as name, COUNT(*) as count
+                                FROM messages
+                                WHERE group_id = ? AND user_id = ?${dateFilter}
+                                GROUP BY sender
+                                ORDER BY count DESC
+                                LIMIT 5
+                            `, groupParams, (err, topSenders) => {
+                                if (err) topSenders = [];
+
+                                stats.groups.push({
+                                    id: groupId,
+                                    name: groupInfo.name,
+                                    messageCount: msgCount.count,
+                                    eventCount: eventCount.count,
+                                    memberCount: groupInfo.previousMembers ? groupInfo.previousMembers.size : 0,
+                                    eventTypes: eventTypeCounts.byGroup.get(groupId) || {},
+                                    topSenders: topSenders || []
+                                });
+
+                                processed++;
+                                if (processed === groupIds.length) {
+                                    res.json({
+                                        success: true,
+                                        stats: stats,
+                                        timestamp: new Date().toISOString()
+                                    });
+                                }
+                            });
+                        });
+                    });
                 });
-            }
+            });
+            });
+        });
+    });
+});
 
-            console.log(`📅 Broadcast scheduled for ${scheduledDate.toISOString()} (ID: ${this.lastID})`);
+// Messages per weekday x hour, for picking broadcast times and admin-only windows.
+// Query: groupId, senderId, date ("YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD" like /api/stats, as local
+// dates in the time zone) and timezone (IANA name, default: the configured broadcast time zone).
+app.get('/api/stats/heatmap', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendActivityHeatmap(req.user.userId, req.query, res);
+});
 
-            // OPTIMIZATION: Increment cache to avoid unnecessary DB queries
-            incrementBroadcastCache();
+const HEATMAP_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-            res.json({
-                success: true,
-                scheduleId: this.lastID,
-                scheduledTime: scheduledDate.toISOString(),
-                message: `Broadcast scheduled for ${scheduledDate.toLocaleString()}`
-            });
+// Counts are grouped by 15-minute UTC slot in SQL and each slot is then placed in the time zone with
+// Intl, so DST changes and half-hour offsets land in the right hour.
+async function buildActivityHeatmap(userId, { groupId, senderId, date, timezone }) {
+    const timeZone = timezone || BROADCAST_TIMEZONE;
+    let formatter;
+    try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone, weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
         });
     } catch (error) {
-        console.error('Error scheduling broadcast:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to schedule broadcast'
-        });
+        const badTimezone = new Error(`Unknown timezone: ${timeZone}`);
+        badTimezone.status = 400;
+        throw badTimezone;
     }
-});
-
-// Get user's scheduled broadcasts
-app.get('/api/messages/broadcast/scheduled', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const status = req.query.status || 'all'; // 'pending', 'sent', 'failed', 'all'
 
-    let query = `
-        SELECT id, group_ids, message, message_type, poll_options,
-               allow_multiple_answers, gap_time, scheduled_time, status,
-               created_at, executed_at, result_summary,
-               (file_data IS NOT NULL) as has_file, file_name
-        FROM scheduled_broadcasts
-        WHERE user_id = ?
-    `;
+    let fromDate = null;
+    let toDate = null;
+    if (date) {
+        [fromDate, toDate = fromDate] = String(date).split(',');
+        if (![fromDate, toDate].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d)) || fromDate > toDate) {
+            const badDate = new Error('date must be YYYY-MM-DD or YYYY-MM-DD,YYYY-MM-DD');
+            badDate.status = 400;
+            throw badDate;
+        }
+    }
 
+    const conditions = ['user_id = ?'];
     const params = [userId];
-
-    if (status !== 'all') {
-        query += ' AND status = ?';
-        params.push(status);
+    if (groupId) {
+        conditions.push('group_id = ?');
+        params.push(groupId);
+    }
+    if (senderId) {
+        conditions.push('sender_id = ?');
+        params.push(senderId);
+    }
+    if (date) {
+        // A day's worth of margin on each side covers every offset; exact local dates are checked below
+        const dayMs = 24 * 60 * 60 * 1000;
+        conditions.push('timestamp >= ? AND timestamp < ?');
+        params.push(
+            new Date(Date.parse(fromDate) - dayMs).toISOString().slice(0, 10),
+            new Date(Date.parse(toDate) + 2 * dayMs).toISOString().slice(0, 10)
+        );
     }
 
-    query += ' ORDER BY scheduled_time DESC';
+    const slots = await dbAll(`
+        SELECT substr(timestamp, 1, 13) AS hour, CAST(substr(timestamp, 15, 2) AS INTEGER) / 15 AS quarter, COUNT(*) AS count
+        FROM messages
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY hour, quarter
+    `, params);
 
-    db.all(query, params, (err, rows) => {
-        if (err) {
-            console.error('Error fetching scheduled broadcasts:', err);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to fetch scheduled broadcasts'
-            });
+    const cells = HEATMAP_WEEKDAYS.map(() => new Array(24).fill(0));
+    let totalMessages = 0;
+
+    for (const slot of slots) {
+        const slotStart = new Date(`${slot.hour}:${String(slot.quarter * 15).padStart(2, '0')}:00Z`);
+        if (Number.isNaN(slotStart.getTime())) continue;
+
+        const parts = Object.fromEntries(formatter.formatToParts(slotStart).map(part => [part.type, part.value]));
+        const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+        if (date && (localDate < fromDate || localDate > toDate)) continue;
+
+        cells[HEATMAP_WEEKDAYS.indexOf(parts.weekday)][parseInt(parts.hour)] += slot.count;
+        totalMessages += slot.count;
+    }
+
+    let peak = null;
+    cells.forEach((hours, weekday) => hours.forEach((count, hour) => {
+        if (count > 0 && (!peak || count > peak.count)) {
+            peak = { weekday, hour, count };
         }
+    }));
 
-        // Parse JSON fields
-        const broadcasts = rows.map(row => ({
-            ...row,
-            group_ids: JSON.parse(row.group_ids),
-            poll_options: row.poll_options ? JSON.parse(row.poll_options) : null,
-            allow_multiple_answers: row.allow_multiple_answers === 1,
-            has_file: row.has_file === 1
-        }));
+    return {
+        timezone: timeZone,
+        cells,
+        weekdayTotals: cells.map(hours => hours.reduce((sum, count) => sum + count, 0)),
+        hourTotals: cells[0].map((_, hour) => cells.reduce((sum, hours) => sum + hours[hour], 0)),
+        totalMessages,
+        peak
+    };
+}
 
+async function sendActivityHeatmap(userId, query, res) {
+    try {
+        const heatmap = await buildActivityHeatmap(userId, query);
         res.json({
             success: true,
-            broadcasts
+            heatmap,
+            timestamp: new Date().toISOString()
         });
-    });
-});
-
-// Cancel (delete) a scheduled broadcast
-app.delete('/api/messages/broadcast/scheduled/:id', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const scheduleId = req.params.id;
-
-    // First check if the broadcast belongs to the user and is still pending
-    db.get(`
-        SELECT id, status, scheduled_time
-        FROM scheduled_broadcasts
-        WHERE id = ? AND user_id = ?
-    `, [scheduleId, userId], (err, row) => {
-        if (err) {
-            console.error('Error checking scheduled broadcast:', err);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to check scheduled broadcast'
-            });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
         }
+        console.error('Error building activity heatmap:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build activity heatmap'
+        });
+    }
+}
 
-        if (!row) {
-            return res.status(404).json({
-                success: false,
-                error: 'Scheduled broadcast not found'
-            });
-        }
+// Record today's participant and admin counts for each of a user's monitored groups. A group that can't
+// be loaded is skipped and picked up by the next snapshot.
+async function recordMemberCountsForUser(userId) {
+    const userClient = whatsappClients.get(userId);
+    const userGroups = userMonitoredGroups.get(userId);
+    if (!userClient || !userClientReady.get(userId) || !userGroups) {
+        return 0;
+    }
 
-        if (row.status !== 'pending') {
-            return res.status(400).json({
-                success: false,
-                error: `Cannot cancel a broadcast with status: ${row.status}`
+    let recorded = 0;
+    for (const [groupId, groupInfo] of userGroups) {
+        try {
+            const chat = await userClient.getChatById(groupId);
+            const participants = chat.participants || [];
+            await recordMemberCount(db, userId, groupId, {
+                participantCount: participants.length,
+                adminCount: participants.filter(p => p.isAdmin || p.isSuperAdmin).length
             });
+            recorded++;
+        } catch (error) {
+            console.error(`❌ User ${userId} - Error recording member count for ${groupInfo.name}:`, error.message);
         }
+    }
+    return recorded;
+}
 
-        // Delete the scheduled broadcast
-        db.run(`
-            DELETE FROM scheduled_broadcasts
-            WHERE id = ? AND user_id = ?
-        `, [scheduleId, userId], function(err) {
-            if (err) {
-                console.error('Error deleting scheduled broadcast:', err);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to cancel scheduled broadcast'
-                });
-            }
-
-            console.log(`🗑️ Scheduled broadcast ${scheduleId} cancelled by user ${userId}`);
-
-            // OPTIMIZATION: Decrement cache since broadcast was cancelled
-            decrementBroadcastCache();
+async function recordAllMemberCounts() {
+    for (const userId of whatsappClients.keys()) {
+        const recorded = await recordMemberCountsForUser(userId);
+        if (recorded > 0) {
+            console.log(`📈 User ${userId} - Recorded member counts for ${recorded} group(s)`);
+        }
+    }
+}
 
-            res.json({
-                success: true,
-                message: 'Scheduled broadcast cancelled successfully'
-            });
+async function sendGroupGrowth(userId, req, res) {
+    try {
+        const userGroups = userMonitoredGroups.get(userId);
+        const groupInfo = userGroups ? userGroups.get(req.params.groupId) : null;
+        const range = growthRange(req.query, new Date().toISOString().slice(0, 10));
+        const growth = await buildGrowthReport(db, userId, req.params.groupId, range);
+        res.json({
+            success: true,
+            groupId: req.params.groupId,
+            groupName: groupInfo ? groupInfo.name : null,
+            growth,
+            timestamp: new Date().toISOString()
         });
-    });
-});
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to build group growth');
+    }
+}
 
-// Update scheduled broadcast time
-app.put('/api/messages/broadcast/scheduled/:id', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const scheduleId = req.params.id;
-    const { scheduledTime } = req.body;
+// Daily member counts with the joins, leaves and net change of each day.
+// Query: from, to (YYYY-MM-DD) or days (default 30)
+app.get('/api/stats/groups/:groupId/growth', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendGroupGrowth(req.user.userId, req, res);
+});
 
-    if (!scheduledTime) {
-        return res.status(400).json({
-            success: false,
-            error: 'New scheduled time is required'
+async function sendCohortRetention(userId, req, res) {
+    try {
+        const userGroups = userMonitoredGroups.get(userId);
+        const groupInfo = userGroups ? userGroups.get(req.params.groupId) : null;
+        const options = retentionOptions(req.query, new Date().toISOString().slice(0, 10));
+        const retention = await buildRetentionReport(db, userId, req.params.groupId, options);
+        res.json({
+            success: true,
+            groupId: req.params.groupId,
+            groupName: groupInfo ? groupInfo.name : null,
+            retention,
+            timestamp: new Date().toISOString()
         });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to build cohort retention');
     }
+}
 
-    const newScheduledDate = new Date(scheduledTime);
-    const now = new Date();
+// Members grouped by the week or month they joined, and how many are still in the group and still
+// posting some days later. Query: period (week|month), from, to (YYYY-MM-DD) or days (default 182),
+// checkpoints (default 30,60,90)
+app.get('/api/stats/groups/:groupId/retention', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendCohortRetention(req.user.userId, req, res);
+});
 
-    // Validate scheduled time is in the future
-    if (newScheduledDate <= now) {
-        return res.status(400).json({
-            success: false,
-            error: 'Scheduled time must be in the future'
-        });
-    }
+// ============================================
+// MEMBER ENGAGEMENT
+// ============================================
 
-    // First check if the broadcast belongs to the user and is still pending
-    db.get(`
-        SELECT id, status
-        FROM scheduled_broadcasts
-        WHERE id = ? AND user_id = ?
-    `, [scheduleId, userId], (err, row) => {
-        if (err) {
-            console.error('Error checking scheduled broadcast:', err);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to check scheduled broadcast'
-            });
-        }
+// Monitored groups of a user (from the database, so it also works while their WhatsApp is disconnected),
+// with the live member list where the client has one
+async function engagementGroups(userId) {
+    const rows = await dbAll(`SELECT group_id, group_name FROM monitored_groups WHERE user_id = ? ORDER BY group_name`, [userId]);
+    const liveGroups = userMonitoredGroups.get(userId);
+    return rows.map(row => {
+        const live = liveGroups ? liveGroups.get(row.group_id) : null;
+        return {
+            id: row.group_id,
+            name: live ? live.name : row.group_name,
+            members: live && live.previousMembers ? live.previousMembers : null
+        };
+    });
+}
 
-        if (!row) {
-            return res.status(404).json({
-                success: false,
-                error: 'Scheduled broadcast not found'
-            });
-        }
+// One member across every monitored group: activity per group and overall, plus every JOIN, LEAVE and
+// REMOVED event in those groups (history, newest first).
+// memberId may be a phone number or a WhatsApp id. Query: days or date (see engagement.parseWindow;
+// default all time).
+async function buildMemberProfile(userId, memberIdParam, query) {
+    const memberId = memberKey(memberIdParam);
+    if (!/^\d+$/.test(memberId)) {
+        const badMember = new Error('memberId must be a phone number or WhatsApp id');
+        badMember.status = 400;
+        throw badMember;
+    }
 
-        if (row.status !== 'pending') {
-            return res.status(400).json({
-                success: false,
-                error: `Cannot update a broadcast with status: ${row.status}`
-            });
-        }
+    const window = parseWindow(query, 0);
+    const groups = await engagementGroups(userId);
+    const groupIds = groups.map(group => group.id);
 
-        // Update the scheduled time
-        db.run(`
-            UPDATE scheduled_broadcasts
-            SET scheduled_time = ?
-            WHERE id = ? AND user_id = ?
-        `, [newScheduledDate.toISOString(), scheduleId, userId], function(err) {
-            if (err) {
-                console.error('Error updating scheduled broadcast:', err);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to update scheduled broadcast'
-                });
+    const [perGroup, [overall], history] = await Promise.all([
+        memberActivity(db, userId, { groupIds, memberId, window }),
+        memberActivity(db, userId, { groupIds, memberId, window, perGroup: false }),
+        groupIds.length === 0 ? [] : dbAll(`
+            SELECT group_id AS groupId, group_name AS groupName, member_name AS memberName, type, timestamp
+            FROM events
+            WHERE user_id = ? AND member_id = ? AND type IN ('JOIN', 'LEAVE', 'REMOVED')
+                AND group_id IN (${groupIds.map(() => '?').join(', ')})
+            ORDER BY timestamp DESC
+        `, [userId, memberId, ...groupIds])
+    ]);
+
+    const activityByGroup = new Map(perGroup.map(row => [row.groupId, row]));
+    const profileGroups = groups
+        .map(group => {
+            const activity = activityByGroup.get(group.id);
+            const isMember = group.members
+                ? Array.from(group.members).some(id => memberKey(id) === memberId)
+                : null; // Unknown until the WhatsApp client has loaded the group
+            if (!activity && !isMember && !history.some(event => event.groupId === group.id)) {
+                return null;
             }
+            return { groupId: group.id, groupName: group.name, isMember, ...engagementStats(activity) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+    if (profileGroups.length === 0) {
+        const notFound = new Error('Member not found in any monitored group');
+        notFound.status = 404;
+        throw notFound;
+    }
 
-            console.log(`📅 Scheduled broadcast ${scheduleId} updated to ${newScheduledDate.toISOString()}`);
-            res.json({
-                success: true,
-                scheduledTime: newScheduledDate.toISOString(),
-                message: `Scheduled time updated to ${newScheduledDate.toLocaleString()}`
-            });
-        });
-    });
-});
-
-// Get events (joins/leaves) from all groups
-app.get('/api/events', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    const date = req.query.date; // Optional: filter by specific date (YYYY-MM-DD) or date range (YYYY-MM-DD,YYYY-MM-DD)
-    const memberId = req.query.memberId; // Optional: filter by member phone number
+    const name = overall && overall.name !== memberId ? overall.name : (history[0] ? history[0].memberName : memberId);
+    return {
+        memberId,
+        name,
+        window,
+        totals: engagementStats(overall),
+        groups: profileGroups,
+        history
+    };
+}
 
-    // Build WHERE clause dynamically
-    let whereConditions = ['user_id = ?'];
-    let params = [userId];
+// The counters of a memberActivity row (zeros when the member had no activity)
+function engagementStats(row) {
+    return {
+        messages: row ? row.messages : 0,
+        repliesSent: row ? row.repliesSent : 0,
+        repliesReceived: row ? row.repliesReceived : 0,
+        certificates: row ? row.certificates : 0,
+        activeDays: row ? row.activeDays : 0,
+        firstActivity: row ? row.firstActivity : null,
+        lastActivity: row ? row.lastActivity : null,
+        score: row ? row.score : 0
+    };
+}
 
-    if (date) {
-        // Check if date is a range (contains comma)
-        if (date.includes(',')) {
-            const [startDate, endDate] = date.split(',');
-            whereConditions.push('date BETWEEN ? AND ?');
-            params.push(startDate, endDate);
-        } else {
-            // Single date
-            whereConditions.push('date = ?');
-            params.push(date);
-        }
+function sendEngagementError(res, error, fallback) {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
     }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
 
-    if (memberId) {
-        whereConditions.push('member_id = ?');
-        params.push(memberId);
+async function sendMemberProfile(userId, req, res) {
+    try {
+        const profile = await buildMemberProfile(userId, req.params.memberId, req.query);
+        res.json({
+            success: true,
+            profile,
+            scoreWeights: SCORE_WEIGHTS,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to load member profile');
     }
+}
 
-    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+// Leaderboard options from query or body: days (default 30) or date, metric, limit (1-50, default 10)
+function leaderboardOptions(source) {
+    return {
+        window: parseWindow(source, 30),
+        metric: source.metric || 'score',
+        limit: Math.min(Math.max(parseInt(source.limit) || 10, 1), 50)
+    };
+}
 
-    // Get total count with filters
-    db.get(`SELECT COUNT(*) as total FROM events ${whereClause}`, params, (err, countRow) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: err.message });
+async function sendGroupLeaderboard(userId, req, res) {
+    try {
+        const { groupId } = req.params;
+        const group = (await engagementGroups(userId)).find(g => g.id === groupId);
+        if (!group) {
+            return res.status(404).json({ success: false, error: 'Group is not monitored' });
         }
 
-        // Get paginated events with filters
-        db.all(`
-            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
-                   member_name as memberName, type, timestamp, date
-            FROM events
-            ${whereClause}
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
-        `, [...params, limit, offset], (err, rows) => {
-            if (err) {
-                return res.status(500).json({ success: false, error: err.message });
-            }
-
-            res.json({
-                success: true,
-                events: rows,
-                total: countRow.total,
-                limit: limit,
-                offset: offset,
-                hasMore: offset + limit < countRow.total,
-                filters: { date, memberId }
-            });
+        const options = leaderboardOptions(req.query);
+        const entries = await groupLeaderboard(db, userId, groupId, options);
+        res.json({
+            success: true,
+            group: { id: group.id, name: group.name },
+            window: options.window,
+            metric: options.metric,
+            entries,
+            timestamp: new Date().toISOString()
         });
-    });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to load leaderboard');
+    }
+}
+
+// Member profile across all monitored groups
+app.get('/api/members/:memberId/profile', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendMemberProfile(req.user.userId, req, res);
 });
 
-// Get events from a specific group
-app.get('/api/events/:groupId', authenticateToken, (req, res) => {
+// Top members of a group. Query: days (default 30, 0 = all time) or date, metric
+// (score, messages, replies, certificates) and limit.
+app.get('/api/groups/:groupId/leaderboard', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendGroupLeaderboard(req.user.userId, req, res);
+});
+
+// Post a leaderboard into the group. Body: same options as the GET, plus mention (true to @-mention
+// the members instead of writing their names).
+app.post('/api/groups/:groupId/leaderboard/post', authenticateToken, requirePermission('messages:send'), sendLimiter,
+    auditAction('leaderboard.post', (req, body) => ({
+        targetType: 'group',
+        targetId: req.params.groupId,
+        targetLabel: auditGroupName(req, req.params.groupId),
+        details: { metric: body.metric, window: body.window, entries: body.entries ? body.entries.length : undefined }
+    })), async (req, res) => {
     const userId = req.user.userId;
-    const groupId = req.params.groupId;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+    const { groupId } = req.params;
 
-    const userGroups = userMonitoredGroups.get(userId);
-    const groupInfo = userGroups?.get(groupId);
+    try {
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
 
-    // Get total count for this group and user
-    db.get('SELECT COUNT(*) as total FROM events WHERE group_id = ? AND user_id = ?', [groupId, userId], (err, countRow) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: err.message });
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups || !userGroups.has(groupId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have access to this group'
+            });
         }
 
-        // Get paginated events for this group and user
-        db.all(`
-            SELECT id, group_id as groupId, group_name as groupName, member_id as memberId,
-                   member_name as memberName, type, timestamp, date
-            FROM events
-            WHERE group_id = ? AND user_id = ?
-            ORDER BY timestamp DESC
-            LIMIT ? OFFSET ?
-        `, [groupId, userId, limit, offset], (err, rows) => {
-            if (err) {
-                return res.status(500).json({ success: false, error: err.message });
+        const options = leaderboardOptions(req.body || {});
+        const entries = await groupLeaderboard(db, userId, groupId, options);
+        const mention = req.body.mention === true || req.body.mention === 'true';
+        const text = formatLeaderboardMessage(userGroups.get(groupId).name, entries, { ...options, mention });
+
+        const messageOptions = {};
+        if (mention) {
+            const mentionContacts = [];
+            for (const entry of entries) {
+                try {
+                    mentionContacts.push(await userClient.getContactById(`${entry.memberId}@c.us`));
+                } catch (err) {
+                    console.error(`Error getting contact for mention ${entry.memberId}:`, err);
+                }
+            }
+            if (mentionContacts.length > 0) {
+                messageOptions.mentions = mentionContacts;
             }
+        }
 
-            res.json({
-                success: true,
-                groupName: groupInfo?.name || 'Unknown',
-                events: rows,
-                total: countRow.total,
-                limit: limit,
-                offset: offset,
-                hasMore: offset + limit < countRow.total
-            });
+        // message_create stores and broadcasts the sent message like any other outgoing message
+        const chat = await userClient.getChatById(groupId);
+        const sentMessage = await chat.sendMessage(text, messageOptions);
+        console.log(`🏆 User ${userId} - Posted ${options.metric} leaderboard to ${userGroups.get(groupId).name}`);
+
+        res.json({
+            success: true,
+            messageId: sentMessage.id._serialized,
+            text,
+            metric: options.metric,
+            window: options.window,
+            entries
         });
-    });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to post leaderboard');
+    }
 });
 
-// Search messages
-app.get('/api/search', authenticateToken, (req, res) => {
-    const userId = req.user.userId;
-    const query = req.query.q || '';
-    const groupId = req.query.groupId;
-    const limit = parseInt(req.query.limit) || 100;
+// The monitored group a reply analytics request is about, or null after answering 404
+async function replyAnalyticsGroup(userId, req, res) {
+    const group = (await engagementGroups(userId)).find(g => g.id === req.params.groupId);
+    if (!group) {
+        res.status(404).json({ success: false, error: 'Group is not monitored' });
+        return null;
+    }
+    return group;
+}
 
-    if (!query) {
-        return res.status(400).json({
-            success: false,
-            error: 'Query parameter "q" is required'
+async function sendReplyAnalytics(userId, req, res) {
+    try {
+        const group = await replyAnalyticsGroup(userId, req, res);
+        if (!group) return;
+
+        const window = parseWindow(req.query, 30);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const [graph, times] = await Promise.all([
+            replyGraph(db, userId, group.id, window),
+            responseTimes(db, userId, group.id, window)
+        ]);
+        res.json({
+            success: true,
+            group: { id: group.id, name: group.name },
+            window,
+            replies: graph.replies,
+            unresolvedReplies: graph.unresolvedReplies,
+            responseTimes: times,
+            mostRepliedTo: mostRepliedTo(graph, limit),
+            timestamp: new Date().toISOString()
         });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to load reply analytics');
     }
+}
 
-    const searchPattern = `%${query}%`;
-    let sqlQuery, params;
+async function sendReplyGraph(userId, req, res) {
+    try {
+        const group = await replyAnalyticsGroup(userId, req, res);
+        if (!group) return;
 
-    if (groupId) {
-        // Search in specific group for this user
-        sqlQuery = `
-            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
-            FROM messages
-            WHERE user_id = ? AND group_id = ? AND (message LIKE ? OR sender LIKE ?)
-            ORDER BY timestamp DESC
-            LIMIT ?
-        `;
-        params = [userId, groupId, searchPattern, searchPattern, limit];
-    } else {
-        // Search in all user's groups
-        sqlQuery = `
-            SELECT id, group_id as groupId, group_name as groupName, sender, sender_id as senderId, message, timestamp
-            FROM messages
-            WHERE user_id = ? AND (message LIKE ? OR sender LIKE ?)
-            ORDER BY timestamp DESC
-            LIMIT ?
-        `;
-        params = [userId, searchPattern, searchPattern, limit];
-    }
+        const format = req.query.format || 'json';
+        if (!['json', 'graphml'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be json or graphml' });
+        }
 
-    db.all(sqlQuery, params, (err, rows) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: err.message });
+        const window = parseWindow(req.query, 30);
+        const graph = await replyGraph(db, userId, group.id, window);
+        if (format === 'graphml') {
+            const fileName = `replies-${group.id.split('@')[0]}-${new Date().toISOString().slice(0, 10)}.graphml`;
+            res.set('Content-Type', 'application/graphml+xml; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(replyGraphML(graph, group.name));
         }
 
         res.json({
             success: true,
-            query: query,
-            results: rows,
-            total: rows.length,
-            hasMore: rows.length === limit
+            group: { id: group.id, name: group.name },
+            window,
+            graph,
+            timestamp: new Date().toISOString()
         });
-    });
-});
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to build reply graph');
+    }
+}
 
-// Translate single message (Arabic to Chinese)
-app.post('/api/translate-message', async (req, res) => {
+async function sendUnansweredQuestions(userId, req, res) {
     try {
-        const { messageId, text } = req.body;
+        const group = await replyAnalyticsGroup(userId, req, res);
+        if (!group) return;
 
-        if (!text) {
-            return res.status(400).json({
+        const window = parseWindow(req.query, 30);
+        const options = unansweredOptions(req.query);
+        const unanswered = await unansweredQuestions(db, userId, group.id, { window, ...options });
+        res.json({
+            success: true,
+            group: { id: group.id, name: group.name },
+            window,
+            minAgeMinutes: options.minAgeMinutes,
+            total: unanswered.total,
+            messages: unanswered.messages,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to load unanswered questions');
+    }
+}
+
+// Reply totals, time to first reply for questions and the most replied-to members.
+// Query: days (default 30, 0 = all time) or date, limit (most replied-to members, 1-50, default 10)
+app.get('/api/groups/:groupId/replies', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendReplyAnalytics(req.user.userId, req, res);
+});
+
+// Who replies to whom. Query: days or date, format (json or graphml)
+app.get('/api/groups/:groupId/replies/graph', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendReplyGraph(req.user.userId, req, res);
+});
+
+// Questions nobody replied to, newest first. Query: days or date, minAge (minutes, default 60), limit
+app.get('/api/groups/:groupId/replies/unanswered', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendUnansweredQuestions(req.user.userId, req, res);
+});
+
+// Participants of a group as { id, phone, name, isAdmin }, named from the member cache
+async function groupParticipantsForUser(userId, userClient, groupId) {
+    const chat = await userClient.getChatById(groupId);
+    if (!chat || !chat.isGroup) {
+        const notGroup = new Error('Chat is not a group');
+        notGroup.status = 400;
+        throw notGroup;
+    }
+
+    if (!groupMembersCache.has(groupId)) {
+        await cacheGroupMembersForUser(userId, groupId, userClient);
+    }
+    const membersMap = groupMembersCache.get(groupId) || new Map();
+
+    return (chat.participants || []).map(participant => {
+        const cached = membersMap.get(participant.id._serialized);
+        return {
+            id: participant.id._serialized,
+            phone: cached ? cached.phone : participant.id.user,
+            name: cached ? cached.name : participant.id.user,
+            isAdmin: !!(participant.isAdmin || participant.isSuperAdmin)
+        };
+    });
+}
+
+// Inactive members of a group; admins and the connected account are left out unless includeAdmins is set
+async function findInactiveMembers(userId, groupId, { days, includeAdmins }) {
+    const userClient = whatsappClients.get(userId);
+    let participants = await groupParticipantsForUser(userId, userClient, groupId);
+
+    const ownId = userClient.info && userClient.info.wid ? userClient.info.wid._serialized : null;
+    participants = participants.filter(member => member.id !== ownId && (includeAdmins || !member.isAdmin));
+
+    return inactiveMembers(db, userId, groupId, participants, { days });
+}
+
+function inactiveDaysParam(value) {
+    const days = value === undefined || value === '' ? 30 : parseInt(value);
+    if (Number.isNaN(days) || days < 1) {
+        const badDays = new Error('days must be a whole number of at least 1');
+        badDays.status = 400;
+        throw badDays;
+    }
+    return days;
+}
+
+// Groups with a removal run in progress, keyed "userId:groupId"
+const activePrunes = new Set();
+
+// Members of a monitored group with no message, certificate or join in the last `days` days (default 30).
+// Query: days, includeAdmins=true to list admins too.
+app.get('/api/groups/:groupId/inactive', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+
+    try {
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(503).json({
                 success: false,
-                error: 'Text is required'
+                error: 'WhatsApp client not ready'
             });
         }
 
-        console.log(`🔄 Translating message ${messageId}: ${text.substring(0, 50)}...`);
-
-        // Translate from Arabic to Simplified Chinese
-        const result = await translate(text, { from: 'ar', to: 'zh-CN' });
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups || !userGroups.has(groupId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have access to this group'
+            });
+        }
 
-        console.log(`✅ Translation complete: ${result.text.substring(0, 50)}...`);
+        const days = inactiveDaysParam(req.query.days);
+        const members = await findInactiveMembers(userId, groupId, { days, includeAdmins: req.query.includeAdmins === 'true' });
 
         res.json({
             success: true,
-            messageId: messageId,
-            original: text,
-            translated: result.text
+            groupId: groupId,
+            groupName: userGroups.get(groupId).name,
+            days: days,
+            members: members,
+            totalInactive: members.length,
+            removalInProgress: activePrunes.has(`${userId}:${groupId}`),
+            timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Translation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendEngagementError(res, error, 'Failed to find inactive members');
     }
 });
 
-// Get statistics
-app.get('/api/stats', authenticateToken, (req, res) => {
+// Remove selected inactive members, one every gapSeconds (default config.pruneGapSeconds, at least 10).
+// Body: memberIds (WhatsApp ids from the report), days (members active within this many days are skipped),
+// gapSeconds. Removals run in the background; each one is recorded as a REMOVED event.
+app.post('/api/groups/:groupId/inactive/remove', authenticateToken, requirePermission('groups:manage'),
+    auditAction('group.members_remove', (req, body) => ({
+        targetType: 'group',
+        targetId: req.params.groupId,
+        targetLabel: auditGroupName(req, req.params.groupId),
+        details: {
+            memberIds: body.queued ? body.queued.map(member => member.id) : undefined,
+            skipped: body.skipped ? body.skipped.length : undefined,
+            days: body.days,
+            gapSeconds: body.gapSeconds
+        }
+    })), async (req, res) => {
     const userId = req.user.userId;
-    const dateParam = req.query.date; // Format: "YYYY-MM-DD" or "YYYY-MM-DD,YYYY-MM-DD"
-
-    const stats = {
-        groups: [],
-        totalMessages: 0,
-        totalEvents: 0,
-        activeUsers: 0
-    };
-
-    // Build date filter for queries
-    let dateFilter = '';
-    let dateParams = [userId];
+    const { groupId } = req.params;
+    const { memberIds } = req.body;
 
-    if (dateParam) {
-        if (dateParam.includes(',')) {
-            // Date range
-            const [startDate, endDate] = dateParam.split(',');
-            dateFilter = ' AND DATE(timestamp) BETWEEN ? AND ?';
-            dateParams.push(startDate, endDate);
-        } else {
-            // Single date
-            dateFilter = ' AND DATE(timestamp) = ?';
-            dateParams.push(dateParam);
+    try {
+        if (!Array.isArray(memberIds) || memberIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Select at least one member to remove'
+            });
         }
-    }
 
-    // Get total message count for this user (with optional date filter)
-    db.get(`SELECT COUNT(*) as total FROM messages WHERE user_id = ?${dateFilter}`, dateParams, (err, msgCountRow) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: err.message });
+        const gapSeconds = req.body.gapSeconds === undefined ? PRUNE_GAP_SECONDS : parseInt(req.body.gapSeconds);
+        if (Number.isNaN(gapSeconds) || gapSeconds < 10) {
+            return res.status(400).json({
+                success: false,
+                error: 'Gap time must be at least 10 seconds'
+            });
         }
 
-        // Get total event count for this user (with optional date filter)
-        db.get(`SELECT COUNT(*) as total FROM events WHERE user_id = ?${dateFilter}`, dateParams, (err, eventCountRow) => {
-            if (err) {
-                return res.status(500).json({ success: false, error: err.message });
-            }
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
 
-            // Get active users count (distinct senders who sent messages in date range)
-            db.get(`SELECT COUNT(DISTINCT sender_id) as total FROM messages WHERE user_id = ?${dateFilter}`, dateParams, (err, activeUsersRow) => {
-                if (err) {
-                    return res.status(500).json({ success: false, error: err.message });
-                }
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups || !userGroups.has(groupId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have access to this group'
+            });
+        }
 
-                stats.totalMessages = msgCountRow.total;
-                stats.totalEvents = eventCountRow.total;
-                stats.activeUsers = activeUsersRow.total;
+        const pruneKey = `${userId}:${groupId}`;
+        if (activePrunes.has(pruneKey)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Members are already being removed from this group'
+            });
+        }
 
-            // Get user's groups
-            const userGroups = userMonitoredGroups.get(userId);
-            if (!userGroups || userGroups.size === 0) {
-                return res.json({
-                    success: true,
-                    stats: stats,
-                    timestamp: new Date().toISOString()
-                });
+        // Check the selection against a fresh report so nobody who became active since is removed
+        const days = inactiveDaysParam(req.body.days);
+        const inactive = new Map((await findInactiveMembers(userId, groupId, { days, includeAdmins: true }))
+            .map(member => [member.id, member]));
+        const queued = [];
+        const skipped = [];
+        for (const memberId of new Set(memberIds)) {
+            const member = inactive.get(memberId);
+            if (member) {
+                queued.push({ id: member.id, phone: member.phone, name: member.name });
+            } else {
+                skipped.push({ id: memberId, reason: 'Not an inactive member of this group' });
             }
+        }
 
-            const groupIds = Array.from(userGroups.keys());
-            let processed = 0;
+        if (queued.length > 0) {
+            activePrunes.add(pruneKey);
+            removeMembersWithGap(userId, userClient, groupId, userGroups.get(groupId).name, queued, gapSeconds)
+                .finally(() => activePrunes.delete(pruneKey));
+        }
 
-            groupIds.forEach(groupId => {
-                const groupInfo = userGroups.get(groupId);
+        res.status(queued.length > 0 ? 202 : 200).json({
+            success: true,
+            queued: queued,
+            skipped: skipped,
+            days: days,
+            gapSeconds: gapSeconds,
+            estimatedSeconds: Math.max(queued.length - 1, 0) * gapSeconds
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to remove members');
+    }
+});
 
-                // Build params for group queries
-                const groupParams = [groupId, userId];
-                if (dateParam) {
-                    if (dateParam.includes(',')) {
-                        const [startDate, endDate] = dateParam.split(',');
-                        groupParams.push(startDate, endDate);
-                    } else {
-                        groupParams.push(dateParam);
-                    }
-                }
+// Removals started by removeMembersWithGap whose REMOVED event isn't saved yet: "userId|groupId|phone" -> when.
+// whatsapp-web.js reports a removal as group_leave too, and that LEAVE can arrive before the REMOVED event
+// is saved. An entry covers one LEAVE and goes once the REMOVED event is saved.
+const pendingRemovals = new Map();
+const PENDING_REMOVAL_MS = 10 * 60 * 1000;
+
+// Whether a departure is already recorded as REMOVED (or about to be), so no LEAVE should be added.
+// A REMOVED newer than the member's latest JOIN covers departures found later by a member diff.
+async function isRecordedRemoval(userId, groupId, memberPhone) {
+    const key = `${userId}|${groupId}|${memberPhone}`;
+    const startedAt = pendingRemovals.get(key);
+    pendingRemovals.delete(key);
+    if (startedAt && Date.now() - startedAt < PENDING_REMOVAL_MS) {
+        return true;
+    }
 
-                // Get message count for this group and user (with date filter)
-                db.get(`SELECT COUNT(*) as count FROM messages WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, msgCount) => {
-                    if (err) {
-                        processed++;
-                        if (processed === groupIds.length) {
-                            return res.json({ success: true, stats, timestamp: new Date().toISOString() });
-                        }
-                        return;
-                    }
+    const removed = await dbGet(`
+        SELECT 1 FROM events r
+        WHERE r.user_id = ? AND r.group_id = ? AND r.member_id = ? AND r.type = 'REMOVED'
+          AND r.timestamp >= COALESCE((
+              SELECT MAX(j.timestamp) FROM events j
+              WHERE j.user_id = r.user_id AND j.group_id = r.group_id AND j.member_id = r.member_id AND j.type = 'JOIN'
+          ), '')
+        LIMIT 1
+    `, [userId, groupId, memberPhone]);
+    return !!removed;
+}
 
-                    // Get event count for this group and user (with date filter)
-                    db.get(`SELECT COUNT(*) as count FROM events WHERE group_id = ? AND user_id = ?${dateFilter}`, groupParams, (err, eventCount) => {
-                        if (err) {
-                            processed++;
-                            if (processed === groupIds.length) {
-                                return res.json({ success: true, stats, timestamp: new Date().toISOString() });
-                            }
-                            return;
-                        }
+async function removeMembersWithGap(userId, userClient, groupId, groupName, members, gapSeconds) {
+    let removed = 0;
 
-                        // Get top senders for this group and user (with date filter)
-                        db.all(`
-                            SELECT sender as name, COUNT(*) as count
-                            FROM messages
-                            WHERE group_id = ? AND user_id = ?${dateFilter}
-                            GROUP BY sender
-                            ORDER BY count DESC
-                            LIMIT 5
-                        `, groupParams, (err, topSenders) => {
-                            if (err) topSenders = [];
-
-                            stats.groups.push({
-                                id: groupId,
-                                name: groupInfo.name,
-                                messageCount: msgCount.count,
-                                eventCount: eventCount.count,
-                                memberCount: groupInfo.previousMembers ? groupInfo.previousMembers.size : 0,
-                                topSenders: topSenders || []
-                            });
+    for (let i = 0; i < members.length; i++) {
+        const member = members[i];
+        if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, gapSeconds * 1000));
+        }
+        if (!userClientReady.get(userId)) {
+            console.log(`⚠️  User ${userId} - WhatsApp disconnected, stopped removing members from ${groupName} (${members.length - i} left)`);
+            return;
+        }
 
-                            processed++;
-                            if (processed === groupIds.length) {
-                                res.json({
-                                    success: true,
-                                    stats: stats,
-                                    timestamp: new Date().toISOString()
-                                });
-                            }
-                        });
-                    });
-                });
-            });
-            });
-        });
-    });
-});
+        const removalKey = `${userId}|${groupId}|${member.phone}`;
+        try {
+            const chat = await userClient.getChatById(groupId);
+            pendingRemovals.set(removalKey, Date.now());
+            try {
+                await chat.removeParticipants([member.id]);
+            } catch (error) {
+                // Still a member, so a later departure is a real LEAVE
+                pendingRemovals.delete(removalKey);
+                throw error;
+            }
+            removed++;
+
+            const event = await createEventForUser(userId, userClient, member.id, 'REMOVED', groupName, groupId);
+            if (event) {
+                // From here the saved REMOVED event covers the LEAVE, and a LEAVE after a re-add is real
+                pendingRemovals.delete(removalKey);
+                console.log(`✂️  User ${userId}: removed inactive member ${event.memberName} from ${groupName}`);
+                broadcast({ type: 'event', userId: userId, event: event });
+            }
+        } catch (error) {
+            console.error(`❌ User ${userId} - Failed to remove ${member.phone} from ${groupName}:`, error.message);
+        }
+    }
+
+    console.log(`✅ User ${userId} - Removed ${removed}/${members.length} inactive members from ${groupName}`);
+}
 
 // Add a new group to monitor
-app.post('/api/groups', authenticateToken, async (req, res) => {
+app.post('/api/groups', authenticateToken, requirePermission('groups:manage'),
+    auditAction('group.add', (req, body) => ({
+        targetType: 'group',
+        targetId: body.group ? body.group.id : null,
+        targetLabel: body.group ? body.group.name : req.body.name
+    })), async (req, res) => {
     try {
         const { name } = req.body;
         const userId = req.user.userId;
@@ -3709,127 +7323,448 @@ app.post('/api/groups', authenticateToken, async (req, res) => {
             chat.isGroup && chat.name && chat.name.toLowerCase().includes(groupName.toLowerCase())
         );
 
-        if (!group) {
-            return res.status(404).json({
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                error: `Group "${groupName}" not found in your WhatsApp chats`
+            });
+        }
+
+        // Add group to user's monitoring
+        const groupId = group.id._serialized;
+        const memberCount = group.participants ? group.participants.length : 0;
+        const members = group.participants ? group.participants.map(p => p.id._serialized) : [];
+
+        const groupInfo = {
+            id: groupId,
+            name: group.name,
+            memberCount: memberCount
+        };
+
+        userMonitoredGroups.get(userId).set(groupId, {
+            name: group.name,
+            id: groupId,
+            previousMessageIds: new Set(),
+            previousMembers: new Set(members),
+            isFirstRun: true
+        });
+        await saveMemberSnapshotForUser(userId, groupId, members);
+
+        // Save group to database for persistence
+        db.run(`
+            INSERT OR IGNORE INTO monitored_groups (user_id, group_id, group_name)
+            VALUES (?, ?, ?)
+        `, [userId, groupId, group.name], (err) => {
+            if (err) {
+                console.error(`Error saving group to database:`, err);
+            } else {
+                console.log(`✅ User ${userId} added group "${group.name}" to monitoring (saved to database)`);
+            }
+        });
+
+        // Immediately check messages for this new group (with error handling)
+        const groupData = userMonitoredGroups.get(userId).get(groupId);
+        try {
+            await reconcileGroupForUser(userId, userClient, groupId, groupData);
+        } catch (msgError) {
+            console.error(`⚠️  Error checking messages for new group ${group.name}:`, msgError.message);
+            // Don't fail the entire request - group was added successfully
+        }
+
+        // Broadcast to WebSocket clients
+        broadcast({
+            type: 'group_added',
+            userId: userId,
+            group: groupInfo
+        });
+
+        console.log(`✅ Added new group to monitoring: "${group.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Group added successfully',
+            group: groupInfo
+        });
+
+    } catch (error) {
+        console.error('Error adding group:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add group: ' + error.message
+        });
+    }
+});
+
+// DELETE /api/groups/:groupId - Stop monitoring a group
+app.delete('/api/groups/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('group.remove', req => ({ targetType: 'group', targetId: req.params.groupId }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user.userId;
+
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups) {
+            return res.status(404).json({
+                success: false,
+                error: 'No groups being monitored'
+            });
+        }
+
+        // Check if group exists in user's monitored groups
+        const groupData = userGroups.get(groupId);
+        if (!groupData) {
+            return res.status(404).json({
+                success: false,
+                error: 'Group not found in monitoring list'
+            });
+        }
+
+        const groupName = groupData.name;
+
+        // Remove from user's memory stores
+        userGroups.delete(groupId);
+
+        // Remove from database
+        db.run(`
+            DELETE FROM monitored_groups
+            WHERE user_id = ? AND group_id = ?
+        `, [userId, groupId], (err) => {
+            if (err) {
+                console.error(`Error removing group from database:`, err);
+            } else {
+                console.log(`🗑️  User ${userId} stopped monitoring group: "${groupName}" (removed from database)`);
+            }
+        });
+        db.run(`DELETE FROM group_member_snapshots WHERE user_id = ? AND group_id = ?`, [userId, groupId]);
+        db.run(`DELETE FROM certificate_rules WHERE user_id = ? AND group_id = ?`, [userId, groupId]);
+
+        res.json({
+            success: true,
+            message: 'Group removed from monitoring',
+            groupId: groupId
+        });
+
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to delete group'
+        });
+    }
+});
+
+// ============================================
+// CERTIFICATE ATTENDANCE
+// ============================================
+
+// Current participants of a group as attendance members ({ memberId: phone, name }), from the live member
+// snapshot; null while the WhatsApp client hasn't loaded the group. Admins and the connected account are
+// left out unless includeAdmins is set.
+function attendanceRoster(userId, groupId, includeAdmins) {
+    const userGroups = userMonitoredGroups.get(userId);
+    const groupInfo = userGroups ? userGroups.get(groupId) : null;
+    if (!groupInfo || !groupInfo.previousMembers || groupInfo.previousMembers.size === 0) {
+        return null;
+    }
+
+    const userClient = whatsappClients.get(userId);
+    const ownId = userClient && userClient.info && userClient.info.wid ? userClient.info.wid._serialized : null;
+    const membersMap = groupMembersCache.get(groupId) || new Map();
+
+    return Array.from(groupInfo.previousMembers)
+        .filter(id => id !== ownId)
+        .map(id => ({ id, cached: membersMap.get(id) }))
+        .filter(({ cached }) => includeAdmins || !(cached && cached.isAdmin))
+        .map(({ id, cached }) => ({
+            memberId: cached ? cached.phone : memberKey(id),
+            name: cached ? cached.name : memberKey(id)
+        }));
+}
+
+// Report for a group's certificate rule. options.completeOnly picks the last ended period when no
+// from/to is given (used for posting).
+async function attendanceReportForGroup(userId, groupId, source, options = {}) {
+    const rule = await getCertificateRule(db, userId, groupId);
+    if (!rule) {
+        const noRule = new Error('No certificate rule is set for this group');
+        noRule.status = 404;
+        throw noRule;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const range = attendanceRange(rule, source, { today, completeOnly: options.completeOnly });
+    const members = attendanceRoster(userId, groupId, source.includeAdmins === true || source.includeAdmins === 'true');
+    return buildAttendanceReport(db, userId, groupId, rule, members, { ...range, today });
+}
+
+async function sendAttendanceReport(userId, req, res) {
+    try {
+        const report = await attendanceReportForGroup(userId, req.params.groupId, req.query);
+        res.json({
+            success: true,
+            groupId: req.params.groupId,
+            report,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to build attendance report');
+    }
+}
+
+// Get the certificate rule for a group
+app.get('/api/certificate-rules/:groupId', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const rule = await getCertificateRule(db, req.user.userId, req.params.groupId);
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        console.error('Error fetching certificate rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
+});
+
+// Save the certificate rule for a group. Body: period ("day" or "week"), requiredCount, countedDays
+// (weekdays, 0 = Sunday; default all), weekStart (default 0)
+app.post('/api/certificate-rules/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('certificate_rules.update', req => ({ targetType: 'group', targetId: req.params.groupId, details: {
+        period: req.body.period,
+        requiredCount: req.body.requiredCount,
+        countedDays: req.body.countedDays,
+        weekStart: req.body.weekStart
+    } }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), async (req, res) => {
+    try {
+        const monitored = await dbGet(`SELECT 1 FROM monitored_groups WHERE user_id = ? AND group_id = ?`, [req.user.userId, req.params.groupId]);
+        if (!monitored) {
+            return res.status(404).json({ success: false, error: 'Group is not monitored' });
+        }
+
+        const rule = await saveCertificateRule(db, req.user.userId, req.params.groupId, parseCertificateRule(req.body));
+        console.log(`✅ Certificate rule saved for user ${req.user.userId}, group ${req.params.groupId}: ${describeRule(rule)}`);
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to save certificate rule');
+    }
+});
+
+// Delete the certificate rule for a group
+app.delete('/api/certificate-rules/:groupId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('certificate_rules.delete', req => ({ targetType: 'group', targetId: req.params.groupId }), {
+        targetLabel: req => auditGroupName(req, req.params.groupId)
+    }), async (req, res) => {
+    try {
+        await dbRun(`DELETE FROM certificate_rules WHERE user_id = ? AND group_id = ?`, [req.user.userId, req.params.groupId]);
+        res.json({
+            success: true,
+            message: 'Certificate rule deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting certificate rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Database error'
+        });
+    }
+});
+
+// Who met, missed or exceeded the group's certificate quota in each period.
+// Query: from, to (YYYY-MM-DD; default the last 7 days or 4 weeks), includeAdmins=true
+app.get('/api/groups/:groupId/attendance', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+    sendAttendanceReport(req.user.userId, req, res);
+});
+
+// Same report as CSV, one row per member and period
+app.get('/api/groups/:groupId/attendance/export', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+    try {
+        const report = await attendanceReportForGroup(req.user.userId, req.params.groupId, req.query);
+        const fileName = `attendance-${report.from}-to-${report.to}.csv`;
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(attendanceCsv(report));
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to export attendance report');
+    }
+});
+
+// Post an attendance summary into the group. Body: from, to (default: the last period that has ended),
+// includeAdmins
+app.post('/api/groups/:groupId/attendance/post', authenticateToken, requirePermission('messages:send'), sendLimiter,
+    auditAction('attendance.post', (req, body) => ({
+        targetType: 'group',
+        targetId: req.params.groupId,
+        targetLabel: auditGroupName(req, req.params.groupId),
+        details: { from: body.from, to: body.to }
+    })), async (req, res) => {
+    const userId = req.user.userId;
+    const { groupId } = req.params;
+
+    try {
+        const userClient = whatsappClients.get(userId);
+        if (!userClient || !userClientReady.get(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'WhatsApp client not ready. Please connect your WhatsApp first.'
+            });
+        }
+
+        const userGroups = userMonitoredGroups.get(userId);
+        if (!userGroups || !userGroups.has(groupId)) {
+            return res.status(403).json({
                 success: false,
-                error: `Group "${groupName}" not found in your WhatsApp chats`
+                error: 'You do not have access to this group'
             });
         }
 
-        // Add group to user's monitoring
-        const groupId = group.id._serialized;
-        const memberCount = group.participants ? group.participants.length : 0;
-        const members = group.participants ? group.participants.map(p => p.id._serialized) : [];
+        const report = await attendanceReportForGroup(userId, groupId, req.body || {}, { completeOnly: true });
+        const text = formatAttendanceMessage(userGroups.get(groupId).name, report);
 
-        const groupInfo = {
-            id: groupId,
-            name: group.name,
-            memberCount: memberCount
-        };
+        // message_create stores and broadcasts the sent message like any other outgoing message
+        const chat = await userClient.getChatById(groupId);
+        const sentMessage = await chat.sendMessage(text);
+        console.log(`📋 User ${userId} - Posted attendance for ${report.from} – ${report.to} to ${userGroups.get(groupId).name}`);
 
-        userMonitoredGroups.get(userId).set(groupId, {
-            name: group.name,
-            id: groupId,
-            previousMessageIds: new Set(),
-            previousMembers: new Set(members),
-            isFirstRun: true
+        res.json({
+            success: true,
+            messageId: sentMessage.id._serialized,
+            text,
+            from: report.from,
+            to: report.to
         });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to post attendance summary');
+    }
+});
 
-        // Save group to database for persistence
-        db.run(`
-            INSERT OR IGNORE INTO monitored_groups (user_id, group_id, group_name)
-            VALUES (?, ?, ?)
-        `, [userId, groupId, group.name], (err) => {
-            if (err) {
-                console.error(`Error saving group to database:`, err);
-            } else {
-                console.log(`✅ User ${userId} added group "${group.name}" to monitoring (saved to database)`);
-            }
-        });
+// ============================================
+// EVENT RULES
+// ============================================
 
-        // Immediately check messages for this new group (with error handling)
-        const groupData = userMonitoredGroups.get(userId).get(groupId);
+// Compiled rules per user for processMessageForUser; dropped whenever the user's rules change
+const eventRulesCache = new Map();
+
+async function eventRulesForUser(userId) {
+    if (!eventRulesCache.has(userId)) {
         try {
-            await checkMessagesInGroup(userId, userClient, groupId, groupData);
-        } catch (msgError) {
-            console.error(`⚠️  Error checking messages for new group ${group.name}:`, msgError.message);
-            // Don't fail the entire request - group was added successfully
+            eventRulesCache.set(userId, compileEventRules(await listEventRules(db, userId), BROADCAST_TIMEZONE));
+        } catch (error) {
+            // Fall back to the default voice note rule rather than dropping the message
+            console.error(`❌ Error loading event rules for user ${userId}:`, error.message);
+            return [];
         }
+    }
+    return eventRulesCache.get(userId);
+}
 
-        // Broadcast to WebSocket clients
-        broadcast({
-            type: 'group_added',
-            group: groupInfo
-        });
-
-        console.log(`✅ Added new group to monitoring: "${group.name}"`);
+// Audit fields for a saved rule
+function auditEventRule(rule) {
+    return {
+        targetLabel: `${rule.name} (${rule.eventType})`,
+        details: { eventType: rule.eventType, groupId: rule.groupId, enabled: rule.enabled }
+    };
+}
 
+// List event rules. Query: groupId (that group's rules and the ones for all groups)
+app.get('/api/event-rules', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+    try {
+        const rules = await listEventRules(db, req.user.userId, req.query.groupId || null);
         res.json({
             success: true,
-            message: 'Group added successfully',
-            group: groupInfo
+            rules: rules,
+            messageTypes: Object.keys(MESSAGE_TYPES)
         });
-
     } catch (error) {
-        console.error('Error adding group:', error);
+        console.error('Error fetching event rules:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add group: ' + error.message
+            error: 'Database error'
         });
     }
 });
 
-// DELETE /api/groups/:groupId - Stop monitoring a group
-app.delete('/api/groups/:groupId', authenticateToken, async (req, res) => {
+// Create an event rule. Body: name, eventType, groupId (omit for all groups), enabled, oncePerDay and at
+// least one condition: messageTypes, keywords, pattern (regex), senders (phones), timeStart + timeEnd (HH:mm)
+// with an optional timezone
+app.post('/api/event-rules', authenticateToken, requirePermission('groups:manage'),
+    auditAction('event_rules.create', (req, body) => ({
+        targetType: 'event_rule',
+        targetId: body.rule ? body.rule.id : null,
+        ...(body.rule ? auditEventRule(body.rule) : {})
+    })), async (req, res) => {
     try {
-        const { groupId } = req.params;
-        const userId = req.user.userId;
+        const rule = await createEventRule(db, req.user.userId, parseEventRule(req.body));
+        eventRulesCache.delete(req.user.userId);
+        console.log(`✅ Event rule "${rule.name}" (${rule.eventType}) created for user ${req.user.userId}`);
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to create event rule');
+    }
+});
 
-        const userGroups = userMonitoredGroups.get(userId);
-        if (!userGroups) {
+// Replace an event rule. Body: same as creating one
+app.put('/api/event-rules/:ruleId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('event_rules.update', (req, body) => ({
+        targetType: 'event_rule',
+        targetId: req.params.ruleId,
+        ...(body.rule ? auditEventRule(body.rule) : {})
+    })), async (req, res) => {
+    try {
+        const rule = await updateEventRule(db, req.user.userId, parseInt(req.params.ruleId), parseEventRule(req.body));
+        if (!rule) {
             return res.status(404).json({
                 success: false,
-                error: 'No groups being monitored'
+                error: 'Event rule not found'
             });
         }
+        eventRulesCache.delete(req.user.userId);
+        res.json({
+            success: true,
+            rule: rule
+        });
+    } catch (error) {
+        sendEngagementError(res, error, 'Failed to update event rule');
+    }
+});
 
-        // Check if group exists in user's monitored groups
-        const groupData = userGroups.get(groupId);
-        if (!groupData) {
+// Delete an event rule. Events it already created are kept.
+app.delete('/api/event-rules/:ruleId', authenticateToken, requirePermission('groups:manage'),
+    auditAction('event_rules.delete', req => ({ targetType: 'event_rule', targetId: req.params.ruleId }), {
+        targetLabel: async req => {
+            const rule = await getEventRule(db, req.user.userId, parseInt(req.params.ruleId));
+            return rule ? `${rule.name} (${rule.eventType})` : null;
+        }
+    }), async (req, res) => {
+    try {
+        if (!(await deleteEventRule(db, req.user.userId, parseInt(req.params.ruleId)))) {
             return res.status(404).json({
                 success: false,
-                error: 'Group not found in monitoring list'
+                error: 'Event rule not found'
             });
         }
-
-        const groupName = groupData.name;
-
-        // Remove from user's memory stores
-        userGroups.delete(groupId);
-
-        // Remove from database
-        db.run(`
-            DELETE FROM monitored_groups
-            WHERE user_id = ? AND group_id = ?
-        `, [userId, groupId], (err) => {
-            if (err) {
-                console.error(`Error removing group from database:`, err);
-            } else {
-                console.log(`🗑️  User ${userId} stopped monitoring group: "${groupName}" (removed from database)`);
-            }
-        });
-
+        eventRulesCache.delete(req.user.userId);
         res.json({
             success: true,
-            message: 'Group removed from monitoring',
-            groupId: groupId
+            message: 'Event rule deleted'
         });
-
     } catch (error) {
-        console.error('Error deleting group:', error);
+        console.error('Error deleting event rule:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to delete group'
+            error: 'Database error'
         });
     }
 });
@@ -3838,19 +7773,41 @@ app.delete('/api/groups/:groupId', authenticateToken, async (req, res) => {
 // WEBSOCKET
 // ============================================
 
-wss.on('connection', (ws) => {
-    console.log('✅ New WebSocket client connected');
+wss.on('connection', (ws, request, user) => {
+    console.log(`✅ New WebSocket client connected (user ${user.userId})`);
+    ws.userId = user.userId;
+    ws.actorUserId = user.actorUserId;
+    ws.sessionId = user.sessionId; // Closed when the session is revoked
+    ws.user = user; // Audit entries for frames
+    ws.viewUserId = null; // Set when an admin opts into another user's stream
+    ws.groupFilter = null; // Set of group IDs, null = all groups
+    ws.eventTypeFilter = null; // Set of event types, null = all types
+    ws.replaying = false; // Live frames are buffered while a resume replay is running
+    ws.replayBuffer = [];
     wsClients.add(ws);
 
     // Send initial data
     ws.send(JSON.stringify({
         type: 'connected',
         message: 'Connected to WhatsApp Analytics',
-        groups: Array.from(groupInfoStore.values())
+        userId: user.userId,
+        groups: getGroupSummariesForUser(user.userId)
     }));
 
+    ws.on('message', (raw) => {
+        let data;
+        try {
+            data = JSON.parse(raw.toString());
+        } catch (e) {
+            ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON frame' }));
+            return;
+        }
+
+        handleClientFrame(ws, data);
+    });
+
     ws.on('close', () => {
-        console.log('❌ WebSocket client disconnected');
+        console.log(`❌ WebSocket client disconnected (user ${ws.userId})`);
         wsClients.delete(ws);
     });
 
@@ -3860,13 +7817,270 @@ wss.on('connection', (ws) => {
     });
 });
 
-// Broadcast to all WebSocket clients
+// Handle frames sent by the browser over the socket
+function handleClientFrame(ws, data) {
+    switch (data.type) {
+        case 'view_user': {
+            // Admins opt into another user's stream explicitly, mirroring /api/admin/view-user/:userId/*
+            const targetUserId = parseInt(data.userId);
+            if (!targetUserId) {
+                ws.send(JSON.stringify({ type: 'error', error: 'userId is required' }));
+                return;
+            }
+
+            db.get('SELECT is_admin, totp_enabled_at FROM users WHERE id = ?', [ws.actorUserId], (err, row) => {
+                if (err) {
+                    ws.send(JSON.stringify({ type: 'error', error: 'Database error' }));
+                    return;
+                }
+                const denied = adminAccessError(row);
+                if (denied) {
+                    ws.send(JSON.stringify({ type: 'error', ...denied }));
+                    return;
+                }
+
+                db.get('SELECT id, email FROM users WHERE id = ?', [targetUserId], (err, target) => {
+                    if (err || !target) {
+                        ws.send(JSON.stringify({ type: 'error', error: 'User not found' }));
+                        return;
+                    }
+
+                    ws.viewUserId = targetUserId;
+                    // Same entry auditAdminView writes for the REST endpoints
+                    recordAudit(db, {
+                        action: 'admin.view_user',
+                        actorUserId: ws.actorUserId,
+                        actorEmail: ws.user.email,
+                        workspaceId: ws.user.workspaceId,
+                        workspaceOwnerId: ws.userId,
+                        ipAddress: ws.user.ip,
+                        targetType: 'user',
+                        targetId: targetUserId,
+                        targetLabel: target.email,
+                        details: { path: '/ws', frame: 'view_user' }
+                    }).catch(error => console.error('❌ Failed to write audit entry (admin.view_user):', error));
+                    console.log(`👁️  Admin ${ws.userId} is now viewing the live stream of user ${targetUserId}`);
+                    ws.send(JSON.stringify({
+                        type: 'viewing_user',
+                        userId: targetUserId,
+                        groups: getGroupSummariesForUser(targetUserId)
+                    }));
+                });
+            });
+            break;
+        }
+
+        case 'stop_viewing':
+            ws.viewUserId = null;
+            ws.send(JSON.stringify({ type: 'viewing_user', userId: null }));
+            break;
+
+        case 'subscribe':
+        case 'unsubscribe': {
+            const groupIds = Array.isArray(data.groupIds) ? data.groupIds.map(String) : null;
+            const eventTypes = Array.isArray(data.eventTypes) ? data.eventTypes.map(t => String(t).toUpperCase()) : null;
+
+            if (data.type === 'subscribe') {
+                // A bare subscribe (no lists) resets to the full stream
+                if (!groupIds && !eventTypes) {
+                    ws.groupFilter = null;
+                    ws.eventTypeFilter = null;
+                }
+                if (groupIds) {
+                    ws.groupFilter = new Set([...(ws.groupFilter || []), ...groupIds]);
+                }
+                if (eventTypes) {
+                    ws.eventTypeFilter = new Set([...(ws.eventTypeFilter || []), ...eventTypes]);
+                }
+            } else {
+                if (groupIds) {
+                    // Dropping a group from the full stream leaves every other group the socket can see
+                    if (!ws.groupFilter) {
+                        ws.groupFilter = new Set([ws.userId, ws.viewUserId]
+                            .filter(Boolean)
+                            .flatMap(userId => Array.from((userMonitoredGroups.get(userId) || new Map()).keys())));
+                    }
+                    groupIds.forEach(id => ws.groupFilter.delete(id));
+                }
+                if (eventTypes && ws.eventTypeFilter) {
+                    eventTypes.forEach(t => ws.eventTypeFilter.delete(t));
+                }
+            }
+
+            ws.send(JSON.stringify({
+                type: 'subscribed',
+                groupIds: ws.groupFilter ? Array.from(ws.groupFilter) : null,
+                eventTypes: ws.eventTypeFilter ? Array.from(ws.eventTypeFilter) : null
+            }));
+            break;
+        }
+
+        case 'resume':
+            replayMissedFrames(ws, data).catch(error => {
+                console.error(`❌ WebSocket replay failed for user ${ws.userId}:`, error.message);
+                ws.replaying = false;
+                ws.replayBuffer = [];
+                ws.send(JSON.stringify({ type: 'error', error: 'Replay failed' }));
+            });
+            break;
+
+        default:
+            ws.send(JSON.stringify({ type: 'error', error: `Unknown frame type: ${data.type}` }));
+    }
+}
+
+// Maximum rows replayed per table on resume; the client falls back to the REST API beyond this
+const WS_REPLAY_LIMIT = 500;
+
+// Replay messages/events the socket missed since its last-seen cursor, then switch back to live delivery.
+// Cursor: { since: ISO timestamp of last message, lastMessageId, lastEventId }
+async function replayMissedFrames(ws, cursor) {
+    const { since, lastMessageId, lastEventId } = cursor;
+
+    if (!since && !lastEventId) {
+        ws.send(JSON.stringify({ type: 'error', error: 'since or lastEventId is required to resume' }));
+        return;
+    }
+    if (since && isNaN(new Date(since).getTime())) {
+        ws.send(JSON.stringify({ type: 'error', error: 'since must be an ISO timestamp' }));
+        return;
+    }
+
+    ws.replaying = true;
+    ws.replayBuffer = [];
+
+    const userIds = [...new Set([ws.userId, ws.viewUserId].filter(id => id !== null && id !== undefined))];
+    const userPlaceholders = userIds.map(() => '?').join(', ');
+    const groupIds = ws.groupFilter ? Array.from(ws.groupFilter) : null;
+    const groupClause = groupIds ? `AND group_id IN (${groupIds.map(() => '?').join(', ') || 'NULL'})` : '';
+
+    // Messages: everything after the last-seen timestamp (same-timestamp rows except the one already seen)
+    let messages = [];
+    if (since) {
+        const sinceISO = new Date(since).toISOString();
+        messages = await dbAll(`
+            SELECT id, user_id as userId, group_id as groupId, group_name as groupName, sender, sender_id as senderId,
+                   message, timestamp, replied_to_message_id as repliedToMessageId,
+                   replied_to_sender as repliedToSender, replied_to_message as repliedToMessage
+            FROM messages
+            WHERE user_id IN (${userPlaceholders})
+              AND (timestamp > ? OR (timestamp = ? AND id != ?))
+              ${groupClause}
+            ORDER BY timestamp ASC
+            LIMIT ?
+        `, [...userIds, sinceISO, sinceISO, lastMessageId || '', ...(groupIds || []), WS_REPLAY_LIMIT + 1]);
+    }
+
+    // Events: ids are monotonic, so prefer the id cursor over the timestamp
+    const eventTypes = ws.eventTypeFilter ? Array.from(ws.eventTypeFilter) : null;
+    const typeClause = eventTypes ? `AND type IN (${eventTypes.map(() => '?').join(', ') || 'NULL'})` : '';
+    const eventCursorClause = lastEventId ? 'id > ?' : 'timestamp > ?';
+    const eventCursor = lastEventId ? parseInt(lastEventId) : new Date(since).toISOString();
+
+    const events = await dbAll(`
+        SELECT id, user_id as userId, group_id as groupId, group_name as groupName, member_id as memberId,
+               member_name as memberName, type, timestamp, date,
+               detected_after_downtime as detectedAfterDowntime, window_start as windowStart, window_end as windowEnd
+        FROM events
+        WHERE user_id IN (${userPlaceholders})
+          AND ${eventCursorClause}
+          ${groupClause}
+          ${typeClause}
+        ORDER BY id ASC
+        LIMIT ?
+    `, [...userIds, eventCursor, ...(groupIds || []), ...(eventTypes || []), WS_REPLAY_LIMIT + 1]);
+
+    const truncated = messages.length > WS_REPLAY_LIMIT || events.length > WS_REPLAY_LIMIT;
+    messages = messages.slice(0, WS_REPLAY_LIMIT);
+    const replayedEvents = events.slice(0, WS_REPLAY_LIMIT);
+
+    if (ws.readyState !== WebSocket.OPEN) {
+        return;
+    }
+
+    const sentMessageIds = new Set();
+    const sentEventIds = new Set();
+
+    for (const { userId, ...message } of messages) {
+        sentMessageIds.add(message.id);
+        ws.send(JSON.stringify({ type: 'message', userId: userId, message: message, replayed: true }));
+    }
+    for (const { userId, ...event } of replayedEvents) {
+        sentEventIds.add(event.id);
+        ws.send(JSON.stringify({ type: 'event', userId: userId, event: event, replayed: true }));
+    }
+
+    // Flush live frames that arrived during the replay, skipping rows the replay already covered
+    const buffered = ws.replayBuffer;
+    ws.replaying = false;
+    ws.replayBuffer = [];
+    for (const data of buffered) {
+        if (data.type === 'message' && sentMessageIds.has(data.message.id)) continue;
+        if (data.type === 'event' && data.event.id && sentEventIds.has(data.event.id)) continue;
+        ws.send(JSON.stringify(data));
+    }
+
+    console.log(`🔁 Replayed ${messages.length} message(s) and ${replayedEvents.length} event(s) to user ${ws.userId}${truncated ? ' (truncated)' : ''}`);
+
+    ws.send(JSON.stringify({
+        type: 'replay_complete',
+        messages: messages.length,
+        events: replayedEvents.length,
+        truncated: truncated
+    }));
+}
+
+// Whether a frame passes the socket's subscribe filters
+function matchesSubscription(ws, data) {
+    if (data.type === 'message') {
+        return !ws.groupFilter || ws.groupFilter.has(data.message.groupId);
+    }
+    if (data.type === 'event') {
+        if (ws.groupFilter && !ws.groupFilter.has(data.event.groupId)) return false;
+        if (ws.eventTypeFilter && !ws.eventTypeFilter.has(data.event.type)) return false;
+    }
+    return true;
+}
+
+// Monitored groups for one user, in the shape the dashboard expects
+function getGroupSummariesForUser(userId) {
+    const userGroups = userMonitoredGroups.get(userId);
+    if (!userGroups) {
+        return [];
+    }
+
+    return Array.from(userGroups.values()).map(g => ({
+        id: g.id,
+        name: g.name,
+        memberCount: g.previousMembers ? g.previousMembers.size : 0
+    }));
+}
+
+// Send a frame to the sockets that own data.userId's WhatsApp account
+// (plus any admin sockets that opted into that user's stream).
+// Frames without a userId are not delivered - nothing is pushed to every tenant.
 function broadcast(data) {
+    if (data.userId === undefined || data.userId === null) {
+        console.warn(`⚠️  Dropping WebSocket frame without userId (type: ${data.type})`);
+        return;
+    }
+
     const message = JSON.stringify(data);
     wsClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
+        if (client.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        if (client.userId !== data.userId && client.viewUserId !== data.userId) {
+            return;
+        }
+        if (!matchesSubscription(client, data)) {
+            return;
+        }
+        if (client.replaying) {
+            client.replayBuffer.push(data);
+            return;
         }
+        client.send(message);
     });
 }
 
@@ -4259,6 +8473,16 @@ async function initClientForUser(userId) {
         // Initialize groups for this user
         await initializeGroupsForUser(userId, userClient);
 
+        // Today's member counts; the daily snapshot job updates them at the end of the day
+        recordMemberCountsForUser(userId).catch(error => {
+            console.error(`❌ Error recording member counts for user ${userId}:`, error);
+        });
+
+        // Finish scheduled broadcasts that were interrupted by a restart or disconnect
+        resumeBroadcastDeliveriesForUser(userId).catch(error => {
+            console.error(`❌ Error resuming scheduled broadcasts for user ${userId}:`, error);
+        });
+
         const userGroups = userMonitoredGroups.get(userId);
         if (userGroups && userGroups.size === 0) {
             console.log(`⚠️  No groups configured for user ${userId}`);
@@ -4280,6 +8504,17 @@ async function initClientForUser(userId) {
         });
     });
 
+    // Live message capture: 'message' covers messages from others, 'message_create' our own
+    userClient.on('message', async (msg) => {
+        await handleLiveMessageForUser(userId, userClient, msg);
+    });
+
+    userClient.on('message_create', async (msg) => {
+        if (msg.fromMe) {
+            await handleLiveMessageForUser(userId, userClient, msg);
+        }
+    });
+
     // Handle real-time group join events
     userClient.on('group_join', async (notification) => {
         const groupId = notification.chatId._serialized;
@@ -4289,19 +8524,26 @@ async function initClientForUser(userId) {
         if (groupInfo) {
             const newMembers = [];
             for (const participant of notification.recipientIds) {
+                const memberId = participant._serialized || participant;
+
+                // Keep the member snapshot current so the reconciliation pass doesn't report this join again
+                groupInfo.previousMembers.add(memberId);
+
                 // Correct parameter order: (userId, userClient, memberId, eventType, groupName, groupId)
-                const event = await createEventForUser(userId, userClient, participant._serialized, 'JOIN', groupInfo.name, groupId);
+                const event = await createEventForUser(userId, userClient, memberId, 'JOIN', groupInfo.name, groupId);
                 if (event) {
                     console.log(`🟢 User ${userId}: ${event.memberName} joined ${groupInfo.name}`);
                     broadcast({ type: 'event', userId: userId, event: event });
                     newMembers.push({
-                        id: participant._serialized,
+                        id: memberId,
                         name: event.memberName,
                         phone: event.memberId
                     });
                 }
             }
 
+            await saveMemberSnapshotForUser(userId, groupId, groupInfo.previousMembers);
+
             // Check and trigger welcome message if configured
             if (newMembers.length > 0) {
                 await checkAndTriggerWelcomeMessage(userId, userClient, groupId, groupInfo.name, newMembers);
@@ -4317,13 +8559,18 @@ async function initClientForUser(userId) {
 
         if (groupInfo) {
             for (const participant of notification.recipientIds) {
+                const memberId = participant._serialized || participant;
+                groupInfo.previousMembers.delete(memberId);
+
                 // Correct parameter order: (userId, userClient, memberId, eventType, groupName, groupId)
-                const event = await createEventForUser(userId, userClient, participant._serialized, 'LEAVE', groupInfo.name, groupId);
+                const event = await createEventForUser(userId, userClient, memberId, 'LEAVE', groupInfo.name, groupId);
                 if (event) {
                     console.log(`🔴 User ${userId}: ${event.memberName} left ${groupInfo.name}`);
                     broadcast({ type: 'event', userId: userId, event: event });
                 }
             }
+
+            await saveMemberSnapshotForUser(userId, groupId, groupInfo.previousMembers);
         }
     });
 
@@ -4433,6 +8680,10 @@ async function initializeGroupsForUser(userId, userClient) {
                 const memberCount = group.participants ? group.participants.length : 0;
                 const members = group.participants ? group.participants.map(p => p.id._serialized) : [];
 
+                // Record joins/leaves that happened while we were offline, then refresh the stored snapshot
+                await detectMemberChangesSinceSnapshot(userId, userClient, groupId, group.name, members);
+                await saveMemberSnapshotForUser(userId, groupId, members);
+
                 // Store in per-user monitored groups
                 const userGroups = userMonitoredGroups.get(userId);
                 userGroups.set(groupId, {
@@ -4457,6 +8708,79 @@ async function initializeGroupsForUser(userId, userClient) {
     }
 }
 
+// Persist the current participant list so the next startup can diff against it
+async function saveMemberSnapshotForUser(userId, groupId, members) {
+    try {
+        await dbRun(`
+            INSERT INTO group_member_snapshots (user_id, group_id, member_ids, captured_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id, group_id) DO UPDATE SET member_ids = excluded.member_ids, captured_at = excluded.captured_at
+        `, [userId, groupId, JSON.stringify(Array.from(members)), new Date().toISOString()]);
+    } catch (error) {
+        console.error(`❌ User ${userId} - Error saving member snapshot for ${groupId}:`, error.message);
+    }
+}
+
+// Diff the group's current members against the snapshot stored before the restart.
+// The exact time of each change is unknown, so events are stamped with the detection time and
+// carry the window between the last snapshot and now.
+async function detectMemberChangesSinceSnapshot(userId, userClient, groupId, groupName, currentMemberIds) {
+    if (!DETECT_JOINS_LEAVES) {
+        return;
+    }
+
+    try {
+        const snapshot = await dbGet(`
+            SELECT member_ids, captured_at FROM group_member_snapshots
+            WHERE user_id = ? AND group_id = ?
+        `, [userId, groupId]);
+
+        // First time we see this group - nothing to compare against
+        if (!snapshot) {
+            return;
+        }
+
+        const previousMembers = new Set(JSON.parse(snapshot.member_ids));
+        const currentMembers = new Set(currentMemberIds);
+        const detectedAt = new Date();
+        const options = {
+            detectedAfterDowntime: true,
+            windowStart: snapshot.captured_at,
+            windowEnd: detectedAt.toISOString()
+        };
+
+        let joins = 0;
+        let leaves = 0;
+
+        // No welcome message for these - the member may have joined hours ago
+        for (const memberId of currentMembers) {
+            if (!previousMembers.has(memberId)) {
+                const event = await createEventForUser(userId, userClient, memberId, 'JOIN', groupName, groupId, detectedAt, options);
+                if (event) {
+                    joins++;
+                    broadcast({ type: 'event', userId: userId, event: event });
+                }
+            }
+        }
+
+        for (const memberId of previousMembers) {
+            if (!currentMembers.has(memberId)) {
+                const event = await createEventForUser(userId, userClient, memberId, 'LEAVE', groupName, groupId, detectedAt, options);
+                if (event) {
+                    leaves++;
+                    broadcast({ type: 'event', userId: userId, event: event });
+                }
+            }
+        }
+
+        if (joins > 0 || leaves > 0) {
+            console.log(`🕰️  User ${userId} - ${groupName}: ${joins} join(s) and ${leaves} leave(s) happened while offline (since ${snapshot.captured_at})`);
+        }
+    } catch (error) {
+        console.error(`❌ User ${userId} - Error diffing member snapshot for ${groupName}:`, error.message);
+    }
+}
+
 // Function to cache group members for fast lookup
 async function cacheGroupMembers(groupId) {
     try {
@@ -4562,25 +8886,26 @@ async function cacheGroupMembersForUser(userId, groupId, userClient) {
 // Map to store monitoring intervals per user
 const userMonitoringIntervals = new Map();
 
+// Live capture happens in the client's message/message_create/group_join/group_leave handlers.
+// This loop is only a reconciliation pass that detects and backfills anything those handlers missed.
 function startMonitoringForUser(userId, userClient) {
     // Clear any existing interval for this user
     if (userMonitoringIntervals.has(userId)) {
         clearInterval(userMonitoringIntervals.get(userId));
     }
 
-    // Start checking immediately
-    checkMessagesForUser(userId, userClient);
+    // Reconcile immediately (also backfills whatever arrived while we were offline)
+    reconcileGroupsForUser(userId, userClient);
 
-    // Then check every 60 seconds
     const interval = setInterval(() => {
-        checkMessagesForUser(userId, userClient);
-    }, CHECK_INTERVAL);
+        reconcileGroupsForUser(userId, userClient);
+    }, RECONCILE_INTERVAL);
 
     userMonitoringIntervals.set(userId, interval);
-    console.log(`⏰ Monitoring started for user ${userId} (checking every ${CHECK_INTERVAL / 1000}s)`);
+    console.log(`⏰ Monitoring started for user ${userId} (live events, reconciling every ${RECONCILE_INTERVAL / 1000}s)`);
 }
 
-async function checkMessagesForUser(userId, userClient) {
+async function reconcileGroupsForUser(userId, userClient) {
     try {
         const userGroups = userMonitoredGroups.get(userId);
 
@@ -4594,35 +8919,104 @@ async function checkMessagesForUser(userId, userClient) {
             return;
         }
 
-        console.log(`🔍 User ${userId} - Checking ${userGroups.size} monitored group(s)...`);
+        console.log(`🔍 User ${userId} - Reconciling ${userGroups.size} monitored group(s)...`);
 
         for (const [groupId, groupInfo] of userGroups) {
             try {
-                await checkMessagesInGroup(userId, userClient, groupId, groupInfo);
+                await reconcileGroupForUser(userId, userClient, groupId, groupInfo);
             } catch (error) {
-                console.error(`❌ Error checking group ${groupInfo.name} for user ${userId}:`, error.message);
+                console.error(`❌ Error reconciling group ${groupInfo.name} for user ${userId}:`, error.message);
                 // Continue with next group even if this one fails
             }
         }
     } catch (error) {
-        console.error(`❌ Critical error in checkMessagesForUser for user ${userId}:`, error.message);
+        console.error(`❌ Critical error in reconcileGroupsForUser for user ${userId}:`, error.message);
     }
 }
 
-async function checkMessagesInGroup(userId, userClient, groupId, groupInfo) {
+// Remember a message id so the live handlers and the reconciliation pass don't process it twice
+function rememberMessageId(groupInfo, msgId) {
+    groupInfo.previousMessageIds.add(msgId);
+
+    if (groupInfo.previousMessageIds.size > 500) {
+        const idsArray = Array.from(groupInfo.previousMessageIds);
+        groupInfo.previousMessageIds = new Set(idsArray.slice(-500));
+    }
+}
+
+// Save processed messages for a user. Returns the messages that were not stored yet for this user;
+// other accounts in the same group keep their own copy under the same id.
+// Captured rows are left alone unless overwrite is set (used by /api/messages/send, which has the richest data).
+async function saveMessagesForUser(userId, messages, { overwrite = false } = {}) {
+    const conflictClause = overwrite
+        ? `DO UPDATE SET group_name = excluded.group_name, sender = excluded.sender, sender_id = excluded.sender_id,
+                         message = excluded.message, timestamp = excluded.timestamp,
+                         replied_to_message_id = excluded.replied_to_message_id,
+                         replied_to_sender = excluded.replied_to_sender,
+                         replied_to_message = excluded.replied_to_message`
+        : 'DO NOTHING';
+
+    const inserted = [];
+    for (const msg of messages) {
+        const result = await dbRun(`
+            INSERT INTO messages (id, user_id, group_id, group_name, sender, sender_id, message, timestamp, replied_to_message_id, replied_to_sender, replied_to_message)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(ifnull(user_id, 0), id) ${conflictClause}
+        `, [msg.id, userId, msg.groupId, msg.groupName, msg.sender, msg.senderId, msg.message, msg.timestamp, msg.repliedToMessageId || null, msg.repliedToSender || null, msg.repliedToMessage || null]);
+
+        if (result.changes > 0) {
+            inserted.push(msg);
+        }
+    }
+    return inserted;
+}
+
+// Handle a message delivered by the client's message/message_create events
+async function handleLiveMessageForUser(userId, userClient, msg) {
+    try {
+        // Group messages come "from" the group; our own messages go "to" it
+        const groupId = msg.fromMe ? msg.to : msg.from;
+        const userGroups = userMonitoredGroups.get(userId);
+        const groupInfo = userGroups ? userGroups.get(groupId) : null;
+
+        if (!groupInfo) {
+            return;
+        }
+
+        const msgId = msg.id._serialized;
+        if (groupInfo.previousMessageIds.has(msgId)) {
+            return;
+        }
+        rememberMessageId(groupInfo, msgId);
+
+        const processed = await processMessageForUser(userId, userClient, msg, groupInfo.name, groupId);
+        if (!processed) {
+            return;
+        }
+
+        const inserted = await saveMessagesForUser(userId, [processed]);
+        if (inserted.length > 0) {
+            broadcast({ type: 'message', userId: userId, message: processed });
+        }
+    } catch (error) {
+        console.error(`❌ User ${userId} - Error handling live message:`, error.message);
+    }
+}
+
+// Compare the group's current state with what we have stored and backfill the difference
+async function reconcileGroupForUser(userId, userClient, groupId, groupInfo) {
     const timestamp = new Date().toLocaleString();
-    console.log(`[${timestamp}] User ${userId} - Checking ${groupInfo.name}...`);
+    console.log(`[${timestamp}] User ${userId} - Reconciling ${groupInfo.name}...`);
 
     try {
-        const chats = await userClient.getChats();
-        const group = chats.find(chat => chat.id._serialized === groupId);
+        const group = await userClient.getChatById(groupId);
 
         if (!group) {
             console.error(`❌ User ${userId} - Group ${groupInfo.name} not found`);
             return;
         }
 
-        // Check for member changes (joins/leaves)
+        // Check for member changes the group_join/group_leave handlers didn't see
         if (DETECT_JOINS_LEAVES && group.participants) {
             const currentMembers = new Set(group.participants.map(p => p.id._serialized));
 
@@ -4633,7 +9027,7 @@ async function checkMessagesInGroup(userId, userClient, groupId, groupInfo) {
                     const event = await createEventForUser(userId, userClient, memberId, 'JOIN', groupInfo.name, groupId);
                     if (event) {
                         console.log(`🟢 User ${userId} - ${event.memberName} joined ${groupInfo.name}`);
-                        broadcast({ type: 'event', event: event });
+                        broadcast({ type: 'event', userId: userId, event: event });
 
                         // Add to list for welcome message
                         newJoinedMembers.push({
@@ -4656,82 +9050,83 @@ async function checkMessagesInGroup(userId, userClient, groupId, groupInfo) {
                     const event = await createEventForUser(userId, userClient, memberId, 'LEAVE', groupInfo.name, groupId);
                     if (event) {
                         console.log(`🔴 User ${userId} - ${event.memberName} left ${groupInfo.name}`);
-                        broadcast({ type: 'event', event: event });
+                        broadcast({ type: 'event', userId: userId, event: event });
                     }
                 }
             }
 
             groupInfo.previousMembers = currentMembers;
+            await saveMemberSnapshotForUser(userId, groupId, currentMembers);
         }
 
-        // Fetch and process messages
-        const messages = await group.fetchMessages({ limit: MESSAGE_LIMIT });
+        // Find messages we don't have yet. If everything in the fetched window is unknown, the gap may be
+        // bigger than the window, so widen it until it overlaps what's already stored.
+        const storedRow = await dbGet('SELECT COUNT(*) as count FROM messages WHERE user_id = ? AND group_id = ?', [userId, groupId]);
+        const hasStoredMessages = storedRow.count > 0;
 
-        // Detect new messages
-        const newMessages = [];
-        for (const msg of messages) {
-            const msgId = msg.id._serialized;
-            if (!groupInfo.previousMessageIds.has(msgId)) {
-                newMessages.push(msg);
-                groupInfo.previousMessageIds.add(msgId);
+        let limit = MESSAGE_LIMIT;
+        let messages = [];
+        let unknownMessages = [];
+
+        while (true) {
+            messages = await group.fetchMessages({ limit: limit });
+
+            const ids = messages.map(m => m.id._serialized);
+            const knownRows = ids.length > 0
+                ? await dbAll(`SELECT id FROM messages WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`, [userId, ...ids])
+                : [];
+            const knownIds = new Set(knownRows.map(r => r.id));
+            unknownMessages = messages.filter(m => !knownIds.has(m.id._serialized));
+
+            const overlapsStored = knownIds.size > 0;
+            const historyExhausted = messages.length < limit;
+            if (!hasStoredMessages || overlapsStored || historyExhausted || limit >= RECONCILE_MAX_FETCH) {
+                if (hasStoredMessages && !overlapsStored && !historyExhausted) {
+                    console.warn(`⚠️  User ${userId} - Gap in ${groupInfo.name} is larger than ${RECONCILE_MAX_FETCH} messages; older messages were not backfilled`);
+                }
+                break;
             }
+
+            limit = Math.min(limit * 4, RECONCILE_MAX_FETCH);
+            console.log(`🕳️  User ${userId} - Gap detected in ${groupInfo.name}, widening fetch to ${limit} messages`);
         }
 
-        if (newMessages.length > 0 || groupInfo.isFirstRun) {
+        if (unknownMessages.length > 0) {
             const processedMessages = [];
 
-            // Only process NEW messages (not all fetched messages) for better performance
-            const messagesToProcess = groupInfo.isFirstRun ? messages : newMessages;
+            for (const msg of unknownMessages) {
+                rememberMessageId(groupInfo, msg.id._serialized);
 
-            for (const msg of messagesToProcess) {
-                const processed = await processMessageForUser(userId, userClient, msg, groupInfo.name, groupId);
+                // Joins/leaves are covered by the member diff above, so skip notification events here
+                const processed = await processMessageForUser(userId, userClient, msg, groupInfo.name, groupId, { skipMemberEvents: true });
                 if (processed) {
                     processedMessages.push(processed);
                 }
             }
 
-            // Save messages to database with user_id (only if there are processed messages)
-            if (processedMessages.length > 0) {
-                const insertStmt = db.prepare(`
-                    INSERT OR REPLACE INTO messages (id, user_id, group_id, group_name, sender, sender_id, message, timestamp, replied_to_message_id, replied_to_sender, replied_to_message)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `);
-
-                for (const msg of processedMessages) {
-                    insertStmt.run(msg.id, userId, msg.groupId, msg.groupName, msg.sender, msg.senderId, msg.message, msg.timestamp, msg.repliedToMessageId, msg.repliedToSender, msg.repliedToMessage);
-                }
-
-                insertStmt.finalize();
-            }
+            const inserted = await saveMessagesForUser(userId, processedMessages);
 
-            if (!groupInfo.isFirstRun && newMessages.length > 0) {
-                console.log(`🆕 User ${userId} - ${newMessages.length} new message(s) in ${groupInfo.name}`);
+            if (!groupInfo.isFirstRun && inserted.length > 0) {
+                console.log(`🩹 User ${userId} - Backfilled ${inserted.length} missed message(s) in ${groupInfo.name}`);
 
-                // Broadcast already-processed new messages (no need to reprocess)
-                for (const processed of processedMessages) {
-                    broadcast({ type: 'message', message: processed });
+                for (const processed of inserted) {
+                    broadcast({ type: 'message', userId: userId, message: processed });
                 }
             } else if (groupInfo.isFirstRun) {
-                console.log(`✅ User ${userId} - Loaded ${processedMessages.length} messages from ${groupInfo.name}`);
+                console.log(`✅ User ${userId} - Loaded ${inserted.length} messages from ${groupInfo.name}`);
             }
-
-            groupInfo.isFirstRun = false;
         } else {
-            console.log(`   User ${userId} - No new messages in ${groupInfo.name}`);
+            console.log(`   User ${userId} - ${groupInfo.name} is up to date`);
         }
 
-        // Clean up old message IDs
-        if (groupInfo.previousMessageIds.size > 100) {
-            const idsArray = Array.from(groupInfo.previousMessageIds);
-            groupInfo.previousMessageIds = new Set(idsArray.slice(-100));
-        }
+        groupInfo.isFirstRun = false;
 
     } catch (error) {
-        console.error(`❌ User ${userId} - Error checking ${groupInfo.name}:`, error.message);
+        console.error(`❌ User ${userId} - Error reconciling ${groupInfo.name}:`, error.message);
     }
 }
 
-async function processMessageForUser(userId, userClient, msg, groupName, groupId) {
+async function processMessageForUser(userId, userClient, msg, groupName, groupId, { skipMemberEvents = false } = {}) {
     try {
         const timestamp = new Date(msg.timestamp * 1000);
         const cachedMembers = groupMembersCache.get(groupId);
@@ -4781,11 +9176,11 @@ async function processMessageForUser(userId, userClient, msg, groupName, groupId
                 }
 
                 // Save to events table if we detected the event type
-                if (eventType && memberId) {
+                if (eventType && memberId && !skipMemberEvents) {
                     const event = await createEventForUser(userId, userClient, memberId, eventType, groupName, groupId, timestamp);
                     if (event) {
                         console.log(`📝 User ${userId} - Detected ${eventType} event: ${memberName} in ${groupName}`);
-                        broadcast({ type: 'event', event: event });
+                        broadcast({ type: 'event', userId: userId, event: event });
 
                         // Trigger welcome message if it's a JOIN event
                         if (eventType === 'JOIN') {
@@ -4838,12 +9233,25 @@ async function processMessageForUser(userId, userClient, msg, groupName, groupId
             senderDisplay = `${senderName} (${senderPhone})`;
         }
 
-        // Check if it's a voice/audio message - create CERTIFICATE event
-        if (msg.type === 'ptt' || msg.type === 'audio') {
-            const event = await createEventForUser(userId, userClient, senderId, 'CERTIFICATE', groupName, groupId, timestamp);
+        // Create the events this message's traits call for (voice notes are CERTIFICATEs unless the group has its own rules)
+        const eventMatches = classifyMessage(await eventRulesForUser(userId), groupId, {
+            type: msg.type,
+            body: msg.body,
+            senderPhone,
+            timestamp
+        });
+        for (const match of eventMatches) {
+            const event = await createEventForUser(userId, userClient, senderId, match.eventType, groupName, groupId, timestamp, {
+                oncePerDay: match.oncePerDay,
+                messageId: msg.id._serialized
+            });
             if (event) {
-                console.log(`🎤 User ${userId} - ${event.memberName} recorded certificate in ${groupName}`);
-                broadcast({ type: 'event', event: event });
+                if (match.eventType === 'CERTIFICATE') {
+                    console.log(`🎤 User ${userId} - ${event.memberName} recorded certificate in ${groupName}`);
+                } else {
+                    console.log(`🏷️  User ${userId} - ${match.eventType} event for ${event.memberName} in ${groupName}`);
+                }
+                broadcast({ type: 'event', userId: userId, event: event });
             }
         }
 
@@ -5045,8 +9453,9 @@ async function sendWelcomeMessage(userId, userClient, groupId, groupName, settin
         console.log(`📝 Specific mentions text (bottom): ${specificMentionText}`);
         console.log(`📝 Total mention contacts: ${mentionContacts.length}`);
 
-        // Process message text to replace mentions with proper format
-        let processedMessageText = settings.message_text;
+        // Fill in template placeholders for this group and these members
+        const templateVariables = getTemplateVariablesForChat(chat, members);
+        let processedMessageText = renderMessageTemplate(settings.message_text, templateVariables);
 
         // Build full message: new members at top, message text in middle, specific mentions at bottom
         let fullMessage = `${newMemberMentionText}\n\n${processedMessageText}`;
@@ -5070,7 +9479,7 @@ async function sendWelcomeMessage(userId, userClient, groupId, groupName, settin
                 const media = new MessageMedia(settings.image_mimetype, settings.image_data, settings.image_filename);
 
                 // Caption can also have mentions
-                let caption = settings.image_caption || '';
+                let caption = renderMessageTemplate(settings.image_caption || '', templateVariables);
 
                 const imageMessageOptions = {};
                 if (caption) {
@@ -5092,12 +9501,39 @@ async function sendWelcomeMessage(userId, userClient, groupId, groupName, settin
     }
 }
 
-async function createEventForUser(userId, userClient, memberId, eventType, groupName, groupId, messageTimestamp = null) {
+// Whether a JOIN (or LEAVE) at timestamp repeats one already recorded: the same kind exists (REMOVED counts
+// as a leave) with no event of the opposite kind between it and timestamp
+async function isRecordedMembershipChange(userId, groupId, memberPhone, eventType, timestamp) {
+    const [sameTypes, oppositeTypes] = eventType === 'JOIN'
+        ? [`'JOIN'`, `'LEAVE', 'REMOVED'`]
+        : [`'LEAVE', 'REMOVED'`, `'JOIN'`];
+    const recorded = await dbGet(`
+        SELECT 1 FROM events s
+        WHERE s.user_id = ? AND s.group_id = ? AND s.member_id = ? AND s.type IN (${sameTypes})
+          AND NOT EXISTS (
+              SELECT 1 FROM events o
+              WHERE o.user_id = s.user_id AND o.group_id = s.group_id AND o.member_id = s.member_id
+                AND o.type IN (${oppositeTypes})
+                AND o.timestamp > MIN(s.timestamp, ?) AND o.timestamp < MAX(s.timestamp, ?)
+          )
+        LIMIT 1
+    `, [userId, groupId, memberPhone, timestamp, timestamp]);
+    return !!recorded;
+}
+
+// options.detectedAfterDowntime / windowStart / windowEnd mark events found by diffing a stored member snapshot.
+// Other types (REMOVED, rule events) are stored as given: options.oncePerDay keeps one per member, group and
+// day like certificates, and options.messageId keeps one per message.
+async function createEventForUser(userId, userClient, memberId, eventType, groupName, groupId, messageTimestamp = null, options = {}) {
     try {
         const contact = await userClient.getContactById(memberId);
         const memberPhone = (contact.id && contact.id.user) ? contact.id.user : (contact.number || memberId.split('@')[0]);
         const memberName = contact.pushname || contact.name || contact.verifiedName || memberPhone;
 
+        if (eventType === 'LEAVE' && await isRecordedRemoval(userId, groupId, memberPhone)) {
+            return null;
+        }
+
         // Use message timestamp if provided, otherwise use current time (for real-time events)
         const timestamp = messageTimestamp || new Date();
         const eventDate = timestamp.toISOString().split('T')[0];
@@ -5109,35 +9545,41 @@ async function createEventForUser(userId, userClient, memberId, eventType, group
             memberName: memberName,
             type: eventType,
             timestamp: timestamp.toISOString(),
-            date: eventDate
+            date: eventDate,
+            detectedAfterDowntime: options.detectedAfterDowntime ? 1 : 0,
+            windowStart: options.windowStart || null,
+            windowEnd: options.windowEnd || null
         };
 
-        // Save to database with user_id
-        if (eventType === 'JOIN') {
-            db.run(`DELETE FROM events WHERE user_id = ? AND group_id = ? AND member_id = ? AND type = 'JOIN'`, [userId, groupId, memberPhone]);
-            db.run(`
-                INSERT INTO events (user_id, group_id, group_name, member_id, member_name, type, timestamp, date)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [userId, event.groupId, event.groupName, event.memberId, event.memberName, event.type, event.timestamp, eventDate]);
-        } else if (eventType === 'LEAVE') {
-            db.run(`DELETE FROM events WHERE user_id = ? AND group_id = ? AND member_id = ? AND type = 'LEAVE'`, [userId, groupId, memberPhone]);
-            db.run(`
-                INSERT INTO events (user_id, group_id, group_name, member_id, member_name, type, timestamp, date)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [userId, event.groupId, event.groupName, event.memberId, event.memberName, event.type, event.timestamp, eventDate]);
-        } else if (eventType === 'CERTIFICATE') {
-            // Check if certificate already exists for today
-            db.get(`
-                SELECT * FROM events
-                WHERE user_id = ? AND group_id = ? AND member_id = ? AND type = 'CERTIFICATE' AND date = ?
-            `, [userId, groupId, memberPhone, eventDate], (err, row) => {
-                if (!err && !row) {
-                    db.run(`
-                        INSERT INTO events (user_id, group_id, group_name, member_id, member_name, type, timestamp, date)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [userId, event.groupId, event.groupName, event.memberId, event.memberName, event.type, event.timestamp, eventDate]);
-                }
-            });
+        // Save to database with user_id and keep the row id so WebSocket clients can resume from it
+        const insertEvent = async () => {
+            const result = await dbRun(`
+                INSERT INTO events (user_id, group_id, group_name, member_id, member_name, type, timestamp, date, detected_after_downtime, window_start, window_end, message_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [userId, event.groupId, event.groupName, event.memberId, event.memberName, event.type, event.timestamp, eventDate, event.detectedAfterDowntime, event.windowStart, event.windowEnd, options.messageId || null]);
+            return result.lastID;
+        };
+
+        if (eventType === 'JOIN' || eventType === 'LEAVE') {
+            // Every join and leave is kept. The same change is often seen more than once (group_join, the
+            // notification message, a member diff), so it is skipped when this kind is already recorded
+            // with nothing of the opposite kind between the two.
+            if (await isRecordedMembershipChange(userId, groupId, memberPhone, eventType, event.timestamp)) {
+                return null;
+            }
+            event.id = await insertEvent();
+        } else if (eventType === 'CERTIFICATE' || options.oncePerDay) {
+            // Check if this event already exists for today
+            const existing = await dbGet(`
+                SELECT id FROM events
+                WHERE user_id = ? AND group_id = ? AND member_id = ? AND type = ? AND date = ?
+            `, [userId, groupId, memberPhone, eventType, eventDate]);
+            event.id = existing ? existing.id : await insertEvent();
+        } else {
+            const existing = options.messageId
+                ? await dbGet(`SELECT id FROM events WHERE user_id = ? AND message_id = ? AND type = ?`, [userId, options.messageId, eventType])
+                : null;
+            event.id = existing ? existing.id : await insertEvent();
         }
 
         return event;
@@ -5569,104 +10011,439 @@ if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
 // SCHEDULED BROADCAST EXECUTOR
 // ============================================
 
-// Function to execute a scheduled broadcast
-async function executeScheduledBroadcast(broadcast) {
-    const userId = broadcast.user_id;
-    const groupIds = JSON.parse(broadcast.group_ids);
-    const message = broadcast.message;
-    const messageType = broadcast.message_type;
+// Turn the `recurrence` field of a schedule request into what scheduled_broadcasts stores.
+// Accepts { type: 'daily' | 'weekly' | 'monthly' | 'cron', time: 'HH:mm', daysOfWeek: [0-6],
+// dayOfMonth: 1-31, cron: '<5-field expression>', timezone, endDate, maxOccurrences }.
+// Throws with a message that can go straight back to the client.
+function parseRecurrence(input) {
+    let recurrence = input;
+    if (typeof input === 'string') {
+        try {
+            recurrence = JSON.parse(input);
+        } catch (error) {
+            throw new Error('Recurrence must be valid JSON');
+        }
+    }
+    if (!recurrence || typeof recurrence !== 'object') {
+        throw new Error('Recurrence must be an object');
+    }
+
+    const timezone = recurrence.timezone || BROADCAST_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    let hour = null;
+    let minute = null;
+    if (recurrence.type !== 'cron') {
+        const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(recurrence.time || '');
+        if (!match) {
+            throw new Error('Recurrence time must be in HH:mm format');
+        }
+        hour = parseInt(match[1]);
+        minute = parseInt(match[2]);
+    }
+
+    let cronExpression;
+    const rule = { type: recurrence.type };
+
+    switch (recurrence.type) {
+        case 'daily':
+            cronExpression = `${minute} ${hour} * * *`;
+            rule.time = recurrence.time;
+            break;
+        case 'weekly': {
+            const days = [...new Set((recurrence.daysOfWeek || []).map(d => parseInt(d)))].sort((a, b) => a - b);
+            if (days.length === 0 || days.some(d => isNaN(d) || d < 0 || d > 6)) {
+                throw new Error('Weekly recurrence needs at least one day of the week (0 = Sunday ... 6 = Saturday)');
+            }
+            cronExpression = `${minute} ${hour} * * ${days.join(',')}`;
+            rule.time = recurrence.time;
+            rule.daysOfWeek = days;
+            break;
+        }
+        case 'monthly': {
+            const day = parseInt(recurrence.dayOfMonth);
+            if (isNaN(day) || day < 1 || day > 31) {
+                throw new Error('Monthly recurrence needs a day of the month between 1 and 31');
+            }
+            // Months without that day are skipped, same as cron
+            cronExpression = `${minute} ${hour} ${day} * *`;
+            rule.time = recurrence.time;
+            rule.dayOfMonth = day;
+            break;
+        }
+        case 'cron':
+            // The checker runs once a minute, so no seconds field
+            if (typeof recurrence.cron !== 'string' || recurrence.cron.trim().split(/\s+/).length !== 5) {
+                throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+            }
+            cronExpression = recurrence.cron.trim().split(/\s+/).join(' ');
+            try {
+                cronParser.parseExpression(cronExpression, { tz: timezone });
+            } catch (error) {
+                throw new Error(`Invalid cron expression: ${error.message}`);
+            }
+            rule.cron = cronExpression;
+            break;
+        default:
+            throw new Error('Recurrence type must be one of: daily, weekly, monthly, cron');
+    }
+
+    let endsAt = null;
+    if (recurrence.endDate) {
+        const endDate = new Date(recurrence.endDate);
+        if (isNaN(endDate.getTime())) {
+            throw new Error('Recurrence end date is not a valid date');
+        }
+        endsAt = endDate.toISOString();
+    }
+
+    let maxOccurrences = null;
+    if (recurrence.maxOccurrences !== undefined && recurrence.maxOccurrences !== null && recurrence.maxOccurrences !== '') {
+        maxOccurrences = parseInt(recurrence.maxOccurrences);
+        if (isNaN(maxOccurrences) || maxOccurrences < 1) {
+            throw new Error('Occurrence count must be a positive number');
+        }
+    }
+
+    return { rule, cronExpression, timezone, endsAt, maxOccurrences };
+}
+
+// Next run of a recurring broadcast at or after `from` (strictly after with `after: true`), or null
+// once the series is over (end date passed or occurrence count used up)
+function getNextOccurrence(broadcast, from, { after = false } = {}) {
+    if (broadcast.max_occurrences && (broadcast.occurrence_count || 0) >= broadcast.max_occurrences) {
+        return null;
+    }
+
+    const interval = cronParser.parseExpression(broadcast.cron_expression, {
+        // cron-parser returns the first match strictly after currentDate
+        currentDate: after ? from : new Date(from.getTime() - 1000),
+        tz: broadcast.timezone || BROADCAST_TIMEZONE
+    });
+    const next = interval.next().toDate();
+
+    if (broadcast.ends_at && next > new Date(broadcast.ends_at)) {
+        return null;
+    }
+    return next;
+}
+
+// Shape a scheduled_broadcasts row for the API
+function formatScheduledBroadcast(row) {
+    return {
+        ...row,
+        group_ids: JSON.parse(row.group_ids),
+        poll_options: row.poll_options ? JSON.parse(row.poll_options) : null,
+        allow_multiple_answers: row.allow_multiple_answers === 1,
+        has_file: row.has_file === 1,
+        recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+        is_recurring: !!row.cron_expression
+    };
+}
+
+// Record the outcome of one run, then either close the broadcast (one-off, or last run of a series)
+// or move a series on to its next occurrence. Retries of failed groups don't move a series.
+async function finishBroadcastExecution(broadcast, executionId, status, resultSummary) {
+    const finishedAt = new Date();
+
+    await dbRun(`
+        UPDATE broadcast_executions
+        SET status = ?, finished_at = ?, result_summary = ?
+        WHERE id = ?
+    `, [status, finishedAt.toISOString(), resultSummary, executionId]);
+
+    const execution = await dbGet(`SELECT retry_of, scheduled_time FROM broadcast_executions WHERE id = ?`, [executionId]);
+    const isRetry = !!(execution && execution.retry_of);
+
+    if (isRetry && broadcast.cron_expression) {
+        return;
+    }
+
+    if (!broadcast.cron_expression) {
+        // A one-off shows the outcome of its latest attempt
+        await dbRun(`
+            UPDATE scheduled_broadcasts
+            SET status = ?, executed_at = ?, result_summary = ?, occurrence_count = 1
+            WHERE id = ?
+        `, [status, finishedAt.toISOString(), resultSummary, broadcast.id]);
+        return;
+    }
+
+    const occurrenceCount = (broadcast.occurrence_count || 0) + 1;
+    // Runs missed while the server was down are not replayed - continue from now. The next run is
+    // strictly after both this run's slot and now, so a run that finishes within its own minute (or
+    // one that ran late) doesn't queue the slot it just sent again.
+    const slot = execution ? new Date(execution.scheduled_time) : finishedAt;
+    const next = getNextOccurrence({ ...broadcast, occurrence_count: occurrenceCount }, slot > finishedAt ? slot : finishedAt, { after: true });
+
+    await dbRun(`
+        UPDATE scheduled_broadcasts
+        SET status = ?, scheduled_time = ?, occurrence_count = ?, executed_at = ?, result_summary = ?
+        WHERE id = ?
+    `, [
+        next ? 'pending' : 'completed',
+        next ? next.toISOString() : broadcast.scheduled_time,
+        occurrenceCount,
+        finishedAt.toISOString(),
+        resultSummary,
+        broadcast.id
+    ]);
+
+    if (next) {
+        incrementBroadcastCache();
+        console.log(`🔁 Recurring broadcast ${broadcast.id} next run: ${next.toISOString()}`);
+    } else {
+        console.log(`🏁 Recurring broadcast ${broadcast.id} completed after ${occurrenceCount} run(s)`);
+    }
+}
+
+// Errors from sendMessage worth retrying: the page or connection hiccuped, the group itself is fine
+const TRANSIENT_SEND_ERROR = /timed? ?out|protocol error|session closed|target closed|execution context|evaluation failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i;
+
+// Runs currently being worked on by this process, and pending retry timers per run
+const activeBroadcastExecutions = new Set();
+const broadcastRetryTimers = new Map();
+
+// An error caused by the broadcast itself (bad poll, missing group) - retrying won't help
+function permanentDeliveryError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+// Send a scheduled broadcast's content to one group
+async function sendScheduledBroadcastToGroup(userClient, broadcast, groupId) {
     const pollOptions = broadcast.poll_options ? JSON.parse(broadcast.poll_options) : null;
     const mentions = broadcast.mentions ? JSON.parse(broadcast.mentions) : null;
-    const gapTime = broadcast.gap_time || 10;
-    const gapTimeMs = gapTime * 1000;
     const allowMultipleAnswers = broadcast.allow_multiple_answers === 1;
 
-    console.log(`📤 Executing scheduled broadcast ${broadcast.id} for user ${userId}`);
+    const chat = await userClient.getChatById(groupId);
+    if (!chat) {
+        throw permanentDeliveryError('Group not found');
+    }
 
-    try {
-        // Check if user's WhatsApp client is ready
-        const userClient = whatsappClients.get(userId);
-        if (!userClient || !userClientReady.get(userId)) {
-            throw new Error('WhatsApp client not ready');
+    // Placeholders are filled in per group
+    const message = renderMessageTemplate(broadcast.message, getTemplateVariablesForChat(chat));
+
+    // Handle different message types
+    if (broadcast.message_type === 'poll' && pollOptions) {
+        if (pollOptions.length < 2) {
+            throw permanentDeliveryError('Poll must have at least 2 options');
         }
 
-        const results = [];
-        const errors = [];
+        const poll = new Poll(message, pollOptions, { allowMultipleAnswers });
+        return chat.sendMessage(poll);
+    }
 
-        // Reconstruct file from base64 if present
-        let file = null;
-        if (broadcast.file_data && broadcast.file_mimetype && broadcast.file_name) {
-            file = {
-                buffer: Buffer.from(broadcast.file_data, 'base64'),
-                mimetype: broadcast.file_mimetype,
-                originalname: broadcast.file_name
-            };
+    // Reconstruct file from base64 if present
+    if (broadcast.file_data && broadcast.file_mimetype && broadcast.file_name) {
+        const media = new MessageMedia(broadcast.file_mimetype, broadcast.file_data, broadcast.file_name);
+        return chat.sendMessage(media, {
+            caption: message || ''
+        });
+    }
+
+    if (message && message.trim()) {
+        const messageOptions = {};
+        if (mentions && mentions.length > 0) {
+            // Use mention IDs directly (new whatsapp-web.js format)
+            messageOptions.mentions = mentions;
         }
+        return chat.sendMessage(message, messageOptions);
+    }
+
+    throw permanentDeliveryError('Message content or file is required');
+}
+
+// Function to execute a scheduled broadcast: record the run and one pending delivery per group,
+// then work through them
+async function executeScheduledBroadcast(broadcast) {
+    const userId = broadcast.user_id;
+
+    console.log(`📤 Executing scheduled broadcast ${broadcast.id} for user ${userId}`);
+
+    let executionId;
+    try {
+        const contentId = await saveBroadcastContent(userId, broadcast);
+        const execution = await dbRun(`
+            INSERT INTO broadcast_executions (broadcast_id, user_id, occurrence, scheduled_time, started_at, status, content_id)
+            VALUES (?, ?, ?, ?, ?, 'executing', ?)
+        `, [broadcast.id, userId, (broadcast.occurrence_count || 0) + 1, broadcast.scheduled_time, new Date().toISOString(), contentId]);
+        executionId = execution.lastID;
+    } catch (error) {
+        console.error(`❌ Could not record execution for scheduled broadcast ${broadcast.id}:`, error);
+        return;
+    }
+
+    // Check if user's WhatsApp client is ready
+    const userClient = whatsappClients.get(userId);
+    if (!userClient || !userClientReady.get(userId)) {
+        console.error(`❌ Scheduled broadcast ${broadcast.id} not started: WhatsApp client not ready`);
+        await finishBroadcastExecution(broadcast, executionId, 'failed', JSON.stringify({
+            error: 'WhatsApp client not ready',
+            totalSent: 0,
+            totalFailed: 0
+        })).catch(err => {
+            console.error('Error updating broadcast status:', err);
+        });
+        return;
+    }
+
+    try {
+        await createBroadcastDeliveries(broadcast, executionId);
+    } catch (error) {
+        console.error(`❌ Could not queue deliveries for scheduled broadcast ${broadcast.id}:`, error);
+        return;
+    }
+
+    await processBroadcastDeliveries(broadcast, executionId);
+}
+
+// The broadcast with the content recorded for one of its runs. Runs from before content was recorded
+// use the broadcast's current content.
+async function broadcastWithExecutionContent(broadcast, executionId) {
+    const content = await dbGet(`
+        SELECT c.message, c.message_type, c.poll_options, c.allow_multiple_answers, c.mentions, c.file_data, c.file_mimetype, c.file_name
+        FROM broadcast_executions e
+        JOIN broadcast_contents c ON c.id = e.content_id
+        WHERE e.id = ?
+    `, [executionId]);
+    return content ? { ...broadcast, ...content } : broadcast;
+}
+
+async function createBroadcastDeliveries(broadcast, executionId, groupIds = JSON.parse(broadcast.group_ids)) {
+    if (groupIds.length === 0) return;
 
-        // Send to each group with delay (same logic as immediate broadcast)
-        for (let i = 0; i < groupIds.length; i++) {
-            const groupId = groupIds[i];
+    const now = new Date().toISOString();
+    await dbRun(`
+        INSERT OR IGNORE INTO broadcast_deliveries (execution_id, broadcast_id, user_id, group_id, position, status, updated_at)
+        VALUES ${groupIds.map(() => `(?, ?, ?, ?, ?, 'pending', ?)`).join(', ')}
+    `, groupIds.flatMap((groupId, position) => [executionId, broadcast.id, broadcast.user_id, groupId, position, now]));
+}
+
+// Send every pending delivery of a run whose retry time has come, in group order with the broadcast's
+// gap between sends. Transient failures are retried with exponential backoff; if the client goes away
+// the rest waits for resumeBroadcastDeliveriesForUser. The run is finished once nothing is pending.
+async function processBroadcastDeliveries(broadcast, executionId) {
+    if (activeBroadcastExecutions.has(executionId)) return;
+    activeBroadcastExecutions.add(executionId);
+    clearTimeout(broadcastRetryTimers.get(executionId));
+    broadcastRetryTimers.delete(executionId);
+
+    const userId = broadcast.user_id;
+    const gapTime = broadcast.gap_time || 10;
+
+    try {
+        // Send what the run started with, even if the broadcast was edited since
+        broadcast = await broadcastWithExecutionContent(broadcast, executionId);
+
+        const deliveries = await dbAll(`
+            SELECT * FROM broadcast_deliveries
+            WHERE execution_id = ? AND status = 'pending'
+            ORDER BY position ASC
+        `, [executionId]);
+
+        let attempted = 0;
+        for (const delivery of deliveries) {
+            if (delivery.next_attempt_at && new Date(delivery.next_attempt_at) > new Date()) {
+                continue;
+            }
 
             // Wait before sending to this group (except for the first one)
-            if (i > 0) {
+            if (attempted > 0) {
                 console.log(`⏳ Waiting ${gapTime} seconds before next scheduled broadcast...`);
-                await new Promise(resolve => setTimeout(resolve, gapTimeMs));
+                await new Promise(resolve => setTimeout(resolve, gapTime * 1000));
             }
 
-            try {
-                const chat = await userClient.getChatById(groupId);
-                if (!chat) {
-                    errors.push({ groupId, error: 'Group not found' });
-                    continue;
-                }
+            const userClient = whatsappClients.get(userId);
+            if (!userClient || !userClientReady.get(userId)) {
+                console.log(`⏸️  Scheduled broadcast ${broadcast.id}: WhatsApp client not ready, remaining groups resume when it reconnects`);
+                return;
+            }
 
-                let sentMessage;
+            attempted++;
+            const attempts = delivery.attempts + 1;
 
-                // Handle different message types
-                if (messageType === 'poll' && pollOptions) {
-                    if (!pollOptions || pollOptions.length < 2) {
-                        errors.push({ groupId, error: 'Poll must have at least 2 options' });
-                        continue;
-                    }
+            try {
+                const sentMessage = await sendScheduledBroadcastToGroup(userClient, broadcast, delivery.group_id);
+                const now = new Date().toISOString();
+                await dbRun(`
+                    UPDATE broadcast_deliveries
+                    SET status = 'sent', attempts = ?, message_id = ?, sent_at = ?, last_error = NULL, next_attempt_at = NULL, updated_at = ?
+                    WHERE id = ?
+                `, [attempts, sentMessage.id._serialized, now, now, delivery.id]);
 
-                    const poll = new Poll(message, pollOptions, { allowMultipleAnswers });
-                    sentMessage = await chat.sendMessage(poll);
-                } else if (file) {
-                    const media = new MessageMedia(
-                        file.mimetype,
-                        file.buffer.toString('base64'),
-                        file.originalname
-                    );
+                console.log(`✅ Scheduled broadcast sent to group ${delivery.group_id}`);
+            } catch (error) {
+                console.error(`❌ Error sending scheduled broadcast to group ${delivery.group_id} (attempt ${attempts}):`, error.message);
 
-                    sentMessage = await chat.sendMessage(media, {
-                        caption: message || ''
-                    });
-                } else if (message && message.trim()) {
-                    const messageOptions = {};
-                    if (mentions && mentions.length > 0) {
-                        // Use mention IDs directly (new whatsapp-web.js format)
-                        messageOptions.mentions = mentions;
-                    }
-                    sentMessage = await chat.sendMessage(message, messageOptions);
+                // Lost the client mid-send: not the group's fault, leave it for the reconnect
+                if (!userClientReady.get(userId)) {
+                    await dbRun(`UPDATE broadcast_deliveries SET last_error = ?, updated_at = ? WHERE id = ?`,
+                        [error.message, new Date().toISOString(), delivery.id]);
+                    return;
+                }
+
+                const retry = !error.permanent && TRANSIENT_SEND_ERROR.test(error.message || '') && attempts < BROADCAST_MAX_ATTEMPTS;
+                if (retry) {
+                    const delay = Math.min(BROADCAST_RETRY_DELAY * Math.pow(2, attempts - 1), 15 * 60 * 1000);
+                    await dbRun(`
+                        UPDATE broadcast_deliveries
+                        SET attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+                        WHERE id = ?
+                    `, [attempts, error.message, new Date(Date.now() + delay).toISOString(), new Date().toISOString(), delivery.id]);
+                    console.log(`🔁 Retrying group ${delivery.group_id} in ${Math.round(delay / 1000)}s`);
                 } else {
-                    errors.push({ groupId, error: 'Message content or file is required' });
-                    continue;
+                    await dbRun(`
+                        UPDATE broadcast_deliveries
+                        SET status = 'failed', attempts = ?, last_error = ?, next_attempt_at = NULL, updated_at = ?
+                        WHERE id = ?
+                    `, [attempts, error.message, new Date().toISOString(), delivery.id]);
                 }
+            }
+        }
 
-                results.push({
-                    groupId,
-                    messageId: sentMessage.id._serialized,
-                    success: true
-                });
+        const waiting = await dbGet(`
+            SELECT COUNT(*) AS count, MIN(next_attempt_at) AS next_attempt_at
+            FROM broadcast_deliveries
+            WHERE execution_id = ? AND status = 'pending'
+        `, [executionId]);
 
-                console.log(`✅ Scheduled broadcast sent to group ${groupId}`);
-            } catch (error) {
-                console.error(`❌ Error sending scheduled broadcast to group ${groupId}:`, error);
-                errors.push({ groupId, error: error.message });
-            }
+        if (waiting.count > 0) {
+            const delay = Math.max(0, new Date(waiting.next_attempt_at).getTime() - Date.now()) || 0;
+            broadcastRetryTimers.set(executionId, setTimeout(() => {
+                broadcastRetryTimers.delete(executionId);
+                processBroadcastDeliveries(broadcast, executionId).catch(err => {
+                    console.error(`Error in scheduled broadcast ${broadcast.id}:`, err);
+                });
+            }, delay));
+            return;
         }
 
-        // Update broadcast status and result
+        // Every group is settled - summarize the run from the delivery rows
+        const rows = await dbAll(`
+            SELECT group_id, status, attempts, message_id, last_error
+            FROM broadcast_deliveries
+            WHERE execution_id = ?
+            ORDER BY position ASC
+        `, [executionId]);
+
+        const results = rows.filter(r => r.status === 'sent').map(r => ({
+            groupId: r.group_id,
+            messageId: r.message_id,
+            attempts: r.attempts,
+            success: true
+        }));
+        const errors = rows.filter(r => r.status === 'failed').map(r => ({
+            groupId: r.group_id,
+            error: r.last_error,
+            attempts: r.attempts
+        }));
+
         const resultSummary = JSON.stringify({
             totalSent: results.length,
             totalFailed: errors.length,
@@ -5674,33 +10451,45 @@ async function executeScheduledBroadcast(broadcast) {
             errors
         });
 
-        db.run(`
-            UPDATE scheduled_broadcasts
-            SET status = ?, executed_at = ?, result_summary = ?
-            WHERE id = ?
-        `, ['sent', new Date().toISOString(), resultSummary, broadcast.id], (err) => {
-            if (err) {
-                console.error('Error updating broadcast status:', err);
-            } else {
-                console.log(`✅ Scheduled broadcast ${broadcast.id} completed: ${results.length} sent, ${errors.length} failed`);
-            }
-        });
-
-    } catch (error) {
-        console.error(`❌ Error executing scheduled broadcast ${broadcast.id}:`, error);
+        await finishBroadcastExecution(broadcast, executionId, results.length > 0 || errors.length === 0 ? 'sent' : 'failed', resultSummary);
+        console.log(`✅ Scheduled broadcast ${broadcast.id} completed: ${results.length} sent, ${errors.length} failed`);
+    } finally {
+        activeBroadcastExecutions.delete(executionId);
+    }
+}
 
-        // Mark as failed
-        const resultSummary = JSON.stringify({
-            error: error.message,
-            totalSent: 0,
-            totalFailed: 0
-        });
+// Pick up runs that were cut short by a restart or disconnect once the user's client is ready again
+async function resumeBroadcastDeliveriesForUser(userId) {
+    // Claimed by the minute checker but never got as far as recording a run - nothing was sent yet
+    const unstarted = await dbAll(`
+        SELECT * FROM scheduled_broadcasts b
+        WHERE b.user_id = ? AND b.status = 'executing'
+          AND NOT EXISTS (SELECT 1 FROM broadcast_executions e WHERE e.broadcast_id = b.id AND e.status = 'executing')
+    `, [userId]);
+
+    const interrupted = await dbAll(`
+        SELECT e.id AS execution_id, e.retry_of AS retry_of, b.*
+        FROM broadcast_executions e
+        JOIN scheduled_broadcasts b ON b.id = e.broadcast_id
+        WHERE e.user_id = ? AND e.status = 'executing'
+    `, [userId]);
+
+    if (unstarted.length === 0 && interrupted.length === 0) return;
+    console.log(`♻️  Resuming ${unstarted.length + interrupted.length} interrupted scheduled broadcast(s) for user ${userId}`);
+
+    for (const { execution_id: executionId, retry_of: retryOf, ...broadcast } of interrupted) {
+        if (activeBroadcastExecutions.has(executionId)) continue;
+
+        // Deliveries are written before the first send, so a run without any hasn't sent anything.
+        // A retry only ever targets the groups it queued, so it is never filled in with all of them.
+        if (!retryOf) {
+            await createBroadcastDeliveries(broadcast, executionId);
+        }
+        await processBroadcastDeliveries(broadcast, executionId);
+    }
 
-        db.run(`
-            UPDATE scheduled_broadcasts
-            SET status = ?, executed_at = ?, result_summary = ?
-            WHERE id = ?
-        `, ['failed', new Date().toISOString(), resultSummary, broadcast.id]);
+    for (const broadcast of unstarted) {
+        await executeScheduledBroadcast(broadcast);
     }
 }
 
@@ -5918,7 +10707,33 @@ async function autoInitializeAuthenticatedUsers() {
 // START SERVER
 // ============================================
 
-server.listen(PORT, '0.0.0.0', () => {
+databaseReady.then(async () => {
+    await loadSecurityPolicy();
+    await closeInterruptedSentBroadcasts();
+    await announceAdminBootstrap();
+    server.listen(PORT, '0.0.0.0', onServerListening);
+}).catch(error => {
+    console.error('❌ Database migration failed - not starting the server:', error.message);
+    process.exit(1);
+});
+
+// With no admin yet, print how to create one (generating a bootstrap token if none was configured)
+async function announceAdminBootstrap() {
+    if (!(await isBootstrapAvailable(db))) {
+        return;
+    }
+
+    if (!ADMIN_BOOTSTRAP_TOKEN) {
+        ADMIN_BOOTSTRAP_TOKEN = crypto.randomBytes(24).toString('hex');
+        console.log(`\n🔑 No admin account exists yet. Bootstrap token for this run: ${ADMIN_BOOTSTRAP_TOKEN}`);
+    } else {
+        console.log('\n🔑 No admin account exists yet. Claim it with ADMIN_BOOTSTRAP_TOKEN.');
+    }
+    console.log('   Log in as the account to promote and POST { "token": "..." } to /api/admin/bootstrap,');
+    console.log('   or run: node cli.js admin:promote <email>\n');
+}
+
+function onServerListening() {
     console.log(`\n🚀 API Server running on http://0.0.0.0:${PORT}`);
     console.log(`📡 WebSocket available at ws://0.0.0.0:${PORT}`);
     console.log('\nAPI Endpoints:');
@@ -5938,6 +10753,15 @@ server.listen(PORT, '0.0.0.0', () => {
     // Start the admin-only mode scheduler
     startAdminOnlyScheduler();
 
+    // Ended login sessions are kept for a while, then dropped
+    purgeEndedSessions();
+    setInterval(purgeEndedSessions, 24 * 60 * 60 * 1000);
+
+    // Daily member count snapshots for the growth history, just before the UTC day ends
+    schedule.scheduleJob({ hour: 23, minute: 55, tz: 'UTC' }, () => {
+        recordAllMemberCounts().catch(error => console.error('❌ Error recording member counts:', error));
+    });
+
     // Auto-initialize WhatsApp clients for all authenticated users
     autoInitializeAuthenticatedUsers().then(() => {
         console.log('✅ Server ready. All authenticated users auto-initialized.\n');
@@ -5945,7 +10769,7 @@ server.listen(PORT, '0.0.0.0', () => {
         console.error('❌ Error during auto-initialization:', error);
         console.log('✅ Server ready (with auto-init errors).\n');
     });
-});
+}
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
@@ -0,0 +1,213 @@
+// TOTP two-factor authentication (RFC 6238, the codes Google Authenticator, 1Password etc. show)
+// and single-use recovery codes. Used by server.js for enrollment and the second login step, and by
+// cli.js to reset 2FA for someone who lost their authenticator.
+
+const crypto = require('crypto');
+const { query, httpError } = require('./utils');
+
+const ISSUER = 'WhatsApp Analytics';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Also accept the previous and next code, for phones with a drifting clock
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Time step the code belongs to, or null if it doesn't match. Steps up to lastUsedStep are skipped
+// so an intercepted code can't be replayed within its 30 seconds.
+function matchTotp(secret, code, lastUsedStep = null, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// What authenticator apps read from the enrollment QR code
+function otpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// Recovery codes look like "k7qm-x2pa"; dashes and case don't matter when typing them back
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Replace the user's recovery codes with a fresh set. The plain codes are only ever returned here.
+async function regenerateRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+        return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+    });
+
+    await query(db, 'run', 'DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await query(db, 'run', 'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+    }
+    return codes;
+}
+
+async function getTwoFactorStatus(db, userId) {
+    const row = await query(db, 'get', `
+        SELECT u.totp_enabled_at,
+            (SELECT COUNT(*) FROM recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) AS recovery_codes_left
+        FROM users u
+        WHERE u.id = ?
+    `, [userId]);
+    if (!row) {
+        throw httpError('User not found', 404);
+    }
+
+    return {
+        enabled: Boolean(row.totp_enabled_at),
+        enabledAt: row.totp_enabled_at,
+        recoveryCodesRemaining: row.totp_enabled_at ? row.recovery_codes_left : 0
+    };
+}
+
+// Step 1 of enrollment: a new secret waits in totp_pending_secret until a code from it is confirmed
+async function startEnrollment(db, userId) {
+    const user = await query(db, 'get', 'SELECT id, email, totp_enabled_at FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    if (user.totp_enabled_at) {
+        throw httpError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+    await query(db, 'run', 'UPDATE users SET totp_pending_secret = ? WHERE id = ?', [secret, userId]);
+    return { secret, otpauthUrl: otpauthUrl(secret, user.email) };
+}
+
+// Step 2: the first code proves the authenticator app has the secret. Returns the recovery codes.
+async function confirmEnrollment(db, userId, code) {
+    const user = await query(db, 'get', 'SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    if (user.totp_enabled_at) {
+        throw httpError('Two-factor authentication is already enabled', 400);
+    }
+    if (!user.totp_pending_secret) {
+        throw httpError('Start two-factor setup first', 400);
+    }
+
+    const step = matchTotp(user.totp_pending_secret, code);
+    if (step === null) {
+        throw httpError('Invalid verification code', 400);
+    }
+
+    await query(db, 'run', `
+        UPDATE users
+        SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = ?, totp_last_step = ?
+        WHERE id = ?
+    `, [new Date().toISOString(), step, userId]);
+
+    return regenerateRecoveryCodes(db, userId);
+}
+
+// Check a second factor for a user with 2FA enabled: either a TOTP code or an unused recovery code.
+// Both are consumed on success. Returns 'totp', 'recovery_code' or null.
+async function verifySecondFactor(db, userId, { code, recoveryCode }) {
+    const user = await query(db, 'get', 'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?', [userId]);
+    if (!user || !user.totp_enabled_at) return null;
+
+    if (recoveryCode) {
+        const result = await query(db, 'run', `
+            UPDATE recovery_codes SET used_at = ?
+            WHERE id = (SELECT id FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)
+        `, [new Date().toISOString(), userId, hashRecoveryCode(recoveryCode)]);
+        return result.changes === 1 ? 'recovery_code' : null;
+    }
+
+    const step = matchTotp(user.totp_secret, code, user.totp_last_step);
+    if (step === null) return null;
+
+    // Conditional so the same code submitted twice at once only counts once
+    const result = await query(db, 'run', `
+        UPDATE users SET totp_last_step = ?
+        WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `, [step, userId, step]);
+    return result.changes === 1 ? 'totp' : null;
+}
+
+async function disableTwoFactor(db, userId) {
+    await query(db, 'run', `
+        UPDATE users
+        SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+        WHERE id = ?
+    `, [userId]);
+    await query(db, 'run', 'DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+};
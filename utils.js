@@ -0,0 +1,50 @@
+// Helpers shared by the feature modules (roles, totp, audit, engagement, attendance, eventRules,
+// growth, retention, replies). server.js keeps its own dbRun/dbGet/dbAll on the shared connection.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// db.run/get/all as a promise; 'run' resolves to { lastID, changes }
+function query(db, method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db[method](sql, params, function(err, result) {
+            if (err) reject(err);
+            else if (method === 'run') resolve({ lastID: this.lastID, changes: this.changes });
+            else resolve(result);
+        });
+    });
+}
+
+// Error carrying the HTTP status the API should answer with
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Dates are "YYYY-MM-DD" strings in UTC, like events.date
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Quote a CSV field when needed. Fields a spreadsheet would run as a formula get a leading quote.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    DAY_MS,
+    query,
+    httpError,
+    addDays,
+    isDate,
+    csvField
+};